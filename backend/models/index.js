@@ -8,12 +8,18 @@ const { sequelize } = require('../config/database');
  * - User: Stores user information and roles
  * - Domain: Organizes agents by domain/category
  * - Agent: AI agents with metadata
+ * - AgentConnector: Live endpoint configuration for external agents
  * - Question: Questions for agents
  * - Answer: Rich text answers for questions
  * - QuestionVariant: Generated paraphrased question variants
  * - AnswerVariant: Generated paraphrased answer variants  
+ * - RelatedQuestion: Curated links to related follow-up questions
+ * - FlowNode: Step of a multi-turn conversation flow
+ * - FlowChoice: Quick-reply choice on a flow node, leading to another node
  * - ChatSession: Demo user chat sessions
  * - ChatMessage: Individual chat messages
+ * - MessageFeedback: Demo user ratings of agent replies
+ * - UnansweredQuestion: Clustered user questions that got the fallback reply
  * - AuditLog: Admin activity tracking
  */
 
@@ -123,12 +129,126 @@ const Agent = sequelize.define('Agent', {
     type: DataTypes.UUID,
     allowNull: false
   },
+  // Conversation settings (null falls back to the platform defaults)
+  greeting_message: {
+    type: DataTypes.TEXT
+  },
+  fallback_message_html: {
+    type: DataTypes.TEXT
+  },
+  error_message: {
+    type: DataTypes.TEXT
+  },
+  min_confidence: {
+    type: DataTypes.FLOAT,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  match_strategy: {
+    type: DataTypes.ENUM('lexical', 'bm25', 'vector'),
+    defaultValue: 'lexical'
+  },
+  // curated: Q&A only; live: connector only; curated_then_live: connector below threshold
+  answering_policy: {
+    type: DataTypes.ENUM('curated', 'live', 'curated_then_live'),
+    defaultValue: 'curated'
+  },
+  // Answer served when a question variant matches (see answerSelectionService)
+  variant_selection: {
+    type: DataTypes.ENUM('random', 'canonical', 'round_robin', 'seeded'),
+    defaultValue: 'random'
+  },
+  // Streaming cadence: characters typed per second and pause before typing
+  typing_speed_cps: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  thinking_delay_ms: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  // Paraphrase providers generating Q&A variants, in order (see
+  // paraphraseProviderService); null uses the built-in techniques
+  paraphrase_providers: {
+    type: DataTypes.JSONB
+  },
   created_by: {
     type: DataTypes.UUID,
     allowNull: false
   }
 });
 
+// Agent Connector Model (live endpoint for Agentforce/Copilot/Custom agents)
+const AgentConnector = sequelize.define('AgentConnector', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agent_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  adapter: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'http'
+  },
+  endpoint_url: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isUrl: { require_tld: false }
+    }
+  },
+  auth_type: {
+    type: DataTypes.ENUM('none', 'bearer', 'api_key', 'basic'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  api_key_header: {
+    type: DataTypes.STRING,
+    defaultValue: 'x-api-key'
+  },
+  // Encrypted with encryptionService; never returned by the API
+  credentials_encrypted: {
+    type: DataTypes.TEXT
+  },
+  request_headers: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  response_text_path: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'reply'
+  },
+  response_html_path: {
+    type: DataTypes.STRING
+  },
+  timeout_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10000
+  },
+  max_retries: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
 // Question Model
 const Question = sequelize.define('Question', {
   id: {
@@ -148,12 +268,54 @@ const Question = sequelize.define('Question', {
     type: DataTypes.ENUM('Draft', 'Final'),
     defaultValue: 'Draft'
   },
+  // Pinned as a suggested starter question in the agent's chat, in starter_position order
+  is_starter: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  starter_position: {
+    type: DataTypes.INTEGER
+  },
+  // Vector embedding used by the vector matcher, and the model that produced it
+  embedding: {
+    type: DataTypes.JSONB
+  },
+  embedding_model: {
+    type: DataTypes.STRING
+  },
   created_by: {
     type: DataTypes.UUID,
     allowNull: false
   }
 });
 
+// Related Question Model (curated "you might also ask" link between two
+// questions of the same agent, offered after the first one is answered)
+const RelatedQuestion = sequelize.define('RelatedQuestion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  question_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  related_question_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['question_id', 'related_question_id'] }
+  ]
+});
+
 // Answer Model
 const Answer = sequelize.define('Answer', {
   id: {
@@ -201,6 +363,47 @@ const QuestionVariant = sequelize.define('QuestionVariant', {
   is_approved: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Confidence of the paraphrasing technique that generated the variant
+  // (null for variants added by hand)
+  confidence: {
+    type: DataTypes.FLOAT
+  },
+  // Similarity to the original when generated (see variantQualityService)
+  similarity: {
+    type: DataTypes.FLOAT
+  },
+  // Paraphrase provider that generated the variant
+  provider: {
+    type: DataTypes.STRING
+  },
+  // Written by an admin ('manual') or by a paraphrase provider ('generated')
+  source: {
+    type: DataTypes.ENUM('generated', 'manual'),
+    defaultValue: 'generated'
+  },
+  // Locked variants are kept when the Q&A is edited and variants regenerate
+  is_locked: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Last approval or rejection
+  reviewed_by: {
+    type: DataTypes.UUID
+  },
+  reviewed_at: {
+    type: DataTypes.DATE
+  },
+  // Set when the variant is replaced or deleted after chat replies matched
+  // it; archived variants are never matched but stay in history and reports
+  archived_at: {
+    type: DataTypes.DATE
+  },
+  embedding: {
+    type: DataTypes.JSONB
+  },
+  embedding_model: {
+    type: DataTypes.STRING
   }
 });
 
@@ -226,6 +429,105 @@ const AnswerVariant = sequelize.define('AnswerVariant', {
   is_approved: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Confidence of the paraphrasing technique that generated the variant
+  confidence: {
+    type: DataTypes.FLOAT
+  },
+  // Similarity to the original when generated (see variantQualityService)
+  similarity: {
+    type: DataTypes.FLOAT
+  },
+  // Paraphrase provider that generated the variant
+  provider: {
+    type: DataTypes.STRING
+  },
+  // Written by an admin ('manual') or by a paraphrase provider ('generated')
+  source: {
+    type: DataTypes.ENUM('generated', 'manual'),
+    defaultValue: 'generated'
+  },
+  // Locked variants are kept when the Q&A is edited and variants regenerate
+  is_locked: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Last approval or rejection
+  reviewed_by: {
+    type: DataTypes.UUID
+  },
+  reviewed_at: {
+    type: DataTypes.DATE
+  },
+  // Set when the variant is replaced or deleted after chat replies served
+  // it; archived variants are never served but stay in history and reports
+  archived_at: {
+    type: DataTypes.DATE
+  }
+});
+
+// Flow Node Model (a step in a multi-turn conversation flow). A node with a
+// question_id is the entry of a flow: when that question matches, its answer
+// is served with the node's choices. Other nodes are follow-up answers.
+const FlowNode = sequelize.define('FlowNode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agent_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  question_id: {
+    type: DataTypes.UUID,
+    unique: true
+  },
+  // Admin-facing label
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Reply shown on reaching the node (entry nodes default to the question's answer)
+  message_text: {
+    type: DataTypes.TEXT
+  },
+  message_html: {
+    type: DataTypes.TEXT
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false
+  }
+});
+
+// Flow Choice Model (quick-reply button on a flow node)
+const FlowChoice = sequelize.define('FlowChoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  node_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Other ways users may phrase this choice
+  synonyms: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  next_node_id: {
+    type: DataTypes.UUID
   }
 });
 
@@ -254,6 +556,28 @@ const ChatSession = sequelize.define('ChatSession', {
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Why the session ended: by the user, replaced by a new or resumed session, or idle
+  end_reason: {
+    type: DataTypes.ENUM('user', 'replaced', 'expired')
+  },
+  // Last message or resume; idle sessions expire (see sessionReaperService)
+  last_activity_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  // Seed for "seeded" answer variant selection; reuse it to replay a session
+  variant_seed: {
+    type: DataTypes.INTEGER
+  },
+  // Times each answer was served this session: { [answerId]: count }
+  variant_state: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Flow node whose choices the user is currently answering
+  current_flow_node_id: {
+    type: DataTypes.UUID
   }
 });
 
@@ -285,10 +609,166 @@ const ChatMessage = sequelize.define('ChatMessage', {
   answer_id: {
     type: DataTypes.UUID
   },
+  // Answer variant served instead of the original answer, if any
+  answer_variant_id: {
+    type: DataTypes.UUID
+  },
+  // What produced an agent reply
+  response_source: {
+    type: DataTypes.ENUM('curated', 'live', 'fallback', 'error', 'greeting', 'flow')
+  },
+  // Match diagnostics for curated replies. For fallbacks, match_score is
+  // the best near miss that didn't clear the agent's threshold.
+  match_score: {
+    type: DataTypes.FLOAT
+  },
+  // Whether the original question or one of its variants matched
+  match_target: {
+    type: DataTypes.ENUM('original', 'variant')
+  },
+  matched_question_variant_id: {
+    type: DataTypes.UUID
+  },
+  // The matched variant's text at the time, kept if the variant is reworded or deleted
+  matched_question_variant_text: {
+    type: DataTypes.TEXT
+  },
+  matcher_strategy: {
+    type: DataTypes.STRING
+  },
+  // Time taken to produce the reply
+  processing_ms: {
+    type: DataTypes.INTEGER
+  },
+  // Flow node whose choices were offered with this reply
+  flow_node_id: {
+    type: DataTypes.UUID
+  },
+  // Original reply this message is an alternative phrasing of ("give me another answer")
+  parent_message_id: {
+    type: DataTypes.UUID
+  },
   timestamp: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  indexes: [
+    // History pages walk a session's messages by (timestamp, id)
+    { fields: ['session_id', 'timestamp', 'id'] }
+  ]
+});
+
+// Message Feedback Model (thumbs up/down on agent replies, one per user per message)
+const MessageFeedback = sequelize.define('MessageFeedback', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  rating: {
+    type: DataTypes.ENUM('up', 'down'),
+    allowNull: false
+  },
+  comment: {
+    type: DataTypes.TEXT
+  },
+  // Copied from the rated message so reports don't need to join chat history
+  agent_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  question_id: {
+    type: DataTypes.UUID
+  },
+  answer_id: {
+    type: DataTypes.UUID
+  },
+  answer_variant_id: {
+    type: DataTypes.UUID
+  },
+  // The rated variant's text, kept if the variant is reworded or deleted
+  answer_variant_text: {
+    type: DataTypes.TEXT
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['message_id', 'user_id'] },
+    { fields: ['agent_id'] }
+  ]
+});
+
+// Unanswered Question Model (admin inbox of questions the agent couldn't answer)
+const UnansweredQuestion = sequelize.define('UnansweredQuestion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agent_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Sorted stemmed terms shared by every phrasing in the cluster
+  cluster_key: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  sample_text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Distinct phrasings seen: [{ text, count }]
+  phrasings: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  occurrence_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  first_seen_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  status: {
+    type: DataTypes.ENUM('Open', 'Converted', 'Attached', 'Dismissed'),
+    defaultValue: 'Open'
+  },
+  // Question created from (Converted) or extended by (Attached) this item
+  resolved_question_id: {
+    type: DataTypes.UUID
+  },
+  resolved_by: {
+    type: DataTypes.UUID
+  },
+  resolved_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  indexes: [
+    { fields: ['agent_id', 'status'] },
+    // One cluster per question that still absorbs occurrences
+    {
+      name: 'unanswered_question_active_cluster_key',
+      unique: true,
+      fields: ['agent_id', 'cluster_key'],
+      where: { status: ['Open', 'Dismissed'] }
+    }
+  ]
 });
 
 // Audit Log Model
@@ -344,11 +824,36 @@ User.hasMany(AuditLog, { foreignKey: 'user_id', as: 'audit_logs' });
 Domain.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Domain.hasMany(Agent, { foreignKey: 'domain_id', as: 'agents' });
 
+/**
+ * Declare a reference column that keeps its value when the referenced row
+ * is deleted: the association is created without a foreign key, and one
+ * left by an earlier sync (ON DELETE SET NULL) is dropped after syncing.
+ * @param {Object} model - Model holding the column
+ * @param {Array<string>} columns - Reference columns
+ */
+const keepReferencesOnDelete = (model, columns) => {
+  model.addHook('afterSync', async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    const references = await queryInterface.getForeignKeyReferencesForTable(model.getTableName());
+
+    for (const reference of references.filter(ref => columns.includes(ref.columnName))) {
+      await queryInterface.removeConstraint(model.getTableName(), reference.constraintName);
+    }
+  });
+};
+
 // Agent relationships
 Agent.belongsTo(Domain, { foreignKey: 'domain_id', as: 'domain' });
 Agent.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Agent.hasMany(Question, { foreignKey: 'agent_id', as: 'questions' });
 Agent.hasMany(ChatSession, { foreignKey: 'agent_id', as: 'chat_sessions' });
+Agent.hasOne(AgentConnector, { foreignKey: 'agent_id', as: 'connector', onDelete: 'CASCADE' });
+Agent.hasMany(FlowNode, { foreignKey: 'agent_id', as: 'flow_nodes', onDelete: 'CASCADE' });
+Agent.hasMany(MessageFeedback, { foreignKey: 'agent_id', as: 'feedback' });
+Agent.hasMany(UnansweredQuestion, { foreignKey: 'agent_id', as: 'unanswered_questions', onDelete: 'CASCADE' });
+
+// Agent Connector relationships
+AgentConnector.belongsTo(Agent, { foreignKey: 'agent_id', as: 'agent' });
 
 // Question relationships
 Question.belongsTo(Agent, { foreignKey: 'agent_id', as: 'agent' });
@@ -356,6 +861,13 @@ Question.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Question.hasOne(Answer, { foreignKey: 'question_id', as: 'answer' });
 Question.hasMany(QuestionVariant, { foreignKey: 'question_id', as: 'variants' });
 Question.hasMany(ChatMessage, { foreignKey: 'question_id', as: 'chat_messages' });
+Question.hasOne(FlowNode, { foreignKey: 'question_id', as: 'flow_node', onDelete: 'CASCADE' });
+Question.hasMany(RelatedQuestion, { foreignKey: 'question_id', as: 'related_links', onDelete: 'CASCADE' });
+Question.hasMany(RelatedQuestion, { foreignKey: 'related_question_id', as: 'related_from', onDelete: 'CASCADE' });
+
+// Related Question relationships
+RelatedQuestion.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+RelatedQuestion.belongsTo(Question, { foreignKey: 'related_question_id', as: 'related_question' });
 
 // Answer relationships
 Answer.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
@@ -365,19 +877,49 @@ Answer.hasMany(ChatMessage, { foreignKey: 'answer_id', as: 'chat_messages' });
 
 // Question Variant relationships
 QuestionVariant.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+QuestionVariant.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
 
 // Answer Variant relationships
 AnswerVariant.belongsTo(Answer, { foreignKey: 'answer_id', as: 'answer' });
+AnswerVariant.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+// Flow relationships
+FlowNode.belongsTo(Agent, { foreignKey: 'agent_id', as: 'agent' });
+FlowNode.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+FlowNode.hasMany(FlowChoice, { foreignKey: 'node_id', as: 'choices', onDelete: 'CASCADE' });
+FlowChoice.belongsTo(FlowNode, { foreignKey: 'node_id', as: 'node' });
+FlowChoice.belongsTo(FlowNode, { foreignKey: 'next_node_id', as: 'next_node' });
 
 // Chat Session relationships
 ChatSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 ChatSession.belongsTo(Agent, { foreignKey: 'agent_id', as: 'agent' });
 ChatSession.hasMany(ChatMessage, { foreignKey: 'session_id', as: 'messages' });
+ChatSession.belongsTo(FlowNode, { foreignKey: 'current_flow_node_id', as: 'current_flow_node' });
 
 // Chat Message relationships
 ChatMessage.belongsTo(ChatSession, { foreignKey: 'session_id', as: 'session' });
 ChatMessage.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
 ChatMessage.belongsTo(Answer, { foreignKey: 'answer_id', as: 'answer' });
+// A reply keeps the variants it was matched and served with, even once deleted
+ChatMessage.belongsTo(AnswerVariant, { foreignKey: 'answer_variant_id', as: 'answer_variant', constraints: false });
+ChatMessage.belongsTo(QuestionVariant, { foreignKey: 'matched_question_variant_id', as: 'matched_question_variant', constraints: false });
+keepReferencesOnDelete(ChatMessage, ['answer_variant_id', 'matched_question_variant_id']);
+ChatMessage.belongsTo(FlowNode, { foreignKey: 'flow_node_id', as: 'flow_node' });
+ChatMessage.belongsTo(ChatMessage, { foreignKey: 'parent_message_id', as: 'parent_message' });
+ChatMessage.hasMany(ChatMessage, { foreignKey: 'parent_message_id', as: 'alternatives' });
+ChatMessage.hasMany(MessageFeedback, { foreignKey: 'message_id', as: 'feedback', onDelete: 'CASCADE' });
+
+// Message Feedback relationships
+MessageFeedback.belongsTo(ChatMessage, { foreignKey: 'message_id', as: 'message' });
+MessageFeedback.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+MessageFeedback.belongsTo(Question, { foreignKey: 'question_id', as: 'question' });
+// Ratings stay filed under the variant they rated, even once it is deleted
+MessageFeedback.belongsTo(AnswerVariant, { foreignKey: 'answer_variant_id', as: 'answer_variant', constraints: false });
+keepReferencesOnDelete(MessageFeedback, ['answer_variant_id']);
+
+// Unanswered Question relationships
+UnansweredQuestion.belongsTo(Agent, { foreignKey: 'agent_id', as: 'agent' });
+UnansweredQuestion.belongsTo(Question, { foreignKey: 'resolved_question_id', as: 'resolved_question' });
 
 // Audit Log relationships
 AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -387,11 +929,17 @@ module.exports = {
   User,
   Domain,
   Agent,
+  AgentConnector,
   Question,
   Answer,
   QuestionVariant,
   AnswerVariant,
+  RelatedQuestion,
+  FlowNode,
+  FlowChoice,
   ChatSession,
   ChatMessage,
+  MessageFeedback,
+  UnansweredQuestion,
   AuditLog
 };
\ No newline at end of file
@@ -1,8 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { Op, fn, col } = require('sequelize');
 const { ensureAuthenticated, ensureAdmin, auditLog, captureOldValues } = require('../middleware/auth');
-const { Domain, Agent, Question, Answer, QuestionVariant, AnswerVariant, User } = require('../models');
-const { generateVariants } = require('../services/textVariantService');
+const { Domain, Agent, AgentConnector, Question, Answer, QuestionVariant, AnswerVariant, RelatedQuestion, ChatSession, ChatMessage, MessageFeedback, UnansweredQuestion, FlowNode, FlowChoice, User } = require('../models');
+const { stripHtml } = require('../services/textVariantService');
+const { sanitizeAnswerHtml, htmlToText } = require('../services/htmlService');
+const { DEFAULT_PROVIDER_CHAIN, hasParaphraseProvider, listParaphraseProviders, generateAgentVariants } = require('../services/paraphraseProviderService');
+const { invalidateAgentIndex } = require('../services/searchIndexService');
+const { refreshQuestionEmbeddings } = require('../services/embeddingService');
+const { retireVariants, replaceGeneratedVariants } = require('../services/variantArchiveService');
+const { MATCHER_STRATEGIES } = require('../services/matcherService');
+const { VARIANT_SELECTION_POLICIES } = require('../services/answerSelectionService');
+const { AUTH_TYPES, CONNECTOR_ADAPTERS, sendToAgent, encryptCredentials, serializeConnector } = require('../services/connectorService');
+const { summarizeFeedback } = require('../services/feedbackService');
+const { MAX_RELATED_QUESTIONS } = require('../services/relatedQuestionService');
 const router = express.Router();
 
 /**
@@ -13,6 +24,9 @@ const router = express.Router();
  * - Agent management with metadata
  * - Q&A management with rich text and variants
  * - Publication workflow (Draft/Final status)
+ * - Unanswered questions inbox
+ * - Reply feedback reports
+ * - Match diagnostics and variant effectiveness
  */
 
 // Apply authentication and admin authorization to all admin routes
@@ -211,6 +225,69 @@ router.delete('/domains/:id', captureOldValues(Domain), auditLog('DELETE', 'Doma
 // AGENT MANAGEMENT ROUTES
 // =============================================================================
 
+const ANSWERING_POLICIES = ['curated', 'live', 'curated_then_live'];
+
+/**
+ * Optional numeric agent setting. Null or an empty string resets it to
+ * the platform default; any other value, 0 included, is validated.
+ * @param {string} field - Setting name
+ * @returns {Object} Validation chain
+ */
+const numericSetting = (field) => body(field).optional({ values: 'null' }).if(value => value !== '');
+
+/**
+ * Validation for per-agent conversation settings (shared by create and update)
+ */
+const agentSettingsValidation = [
+  body('greeting_message').optional({ nullable: true }).trim(),
+  body('fallback_message_html').optional({ nullable: true }).trim().customSanitizer(html => sanitizeAnswerHtml(html)),
+  body('error_message').optional({ nullable: true }).trim(),
+  numericSetting('min_confidence').isFloat({ min: 0, max: 1 }).withMessage('Minimum confidence must be between 0 and 1').toFloat(),
+  body('match_strategy').optional().isIn(MATCHER_STRATEGIES).withMessage(`Match strategy must be one of: ${MATCHER_STRATEGIES.join(', ')}`),
+  body('answering_policy').optional().isIn(ANSWERING_POLICIES).withMessage(`Answering policy must be one of: ${ANSWERING_POLICIES.join(', ')}`),
+  body('variant_selection').optional().isIn(VARIANT_SELECTION_POLICIES).withMessage(`Variant selection must be one of: ${VARIANT_SELECTION_POLICIES.join(', ')}`),
+  numericSetting('typing_speed_cps').isInt({ min: 1, max: 1000 }).withMessage('Typing speed must be between 1 and 1000 characters per second').toInt(),
+  numericSetting('thinking_delay_ms').isInt({ min: 0, max: 10000 }).withMessage('Thinking delay must be between 0 and 10000 ms').toInt(),
+  body('paraphrase_providers').optional({ values: 'falsy' }).isArray({ min: 1 }).withMessage('Paraphrase providers must be a non-empty array'),
+  body('paraphrase_providers.*').custom(hasParaphraseProvider).withMessage(() => `Paraphrase providers must be among: ${listParaphraseProviders().join(', ')}`)
+];
+
+const AGENT_SETTING_FIELDS = [
+  'greeting_message', 'fallback_message_html', 'error_message', 'min_confidence',
+  'match_strategy', 'answering_policy', 'variant_selection', 'typing_speed_cps', 'thinking_delay_ms',
+  'paraphrase_providers'
+];
+
+/**
+ * Pick per-agent conversation settings from a request body.
+ * Fields omitted from the body are left untouched; empty strings reset
+ * a setting to the platform default.
+ * @param {Object} requestBody - Request body
+ * @returns {Object} Settings to apply to the agent
+ */
+const pickAgentSettings = (requestBody) => {
+  const settings = {};
+  AGENT_SETTING_FIELDS.forEach(field => {
+    if (requestBody[field] !== undefined) {
+      settings[field] = requestBody[field] === '' ? null : requestBody[field];
+    }
+  });
+  return settings;
+};
+
+/**
+ * @route   GET /admin/paraphrase-providers
+ * @desc    List the paraphrase providers agents can chain
+ * @access  Private (Admin only)
+ */
+router.get('/paraphrase-providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listParaphraseProviders(),
+    default_chain: DEFAULT_PROVIDER_CHAIN
+  });
+});
+
 /**
  * @route   GET /admin/agents
  * @desc    Get all agents with metadata
@@ -262,7 +339,8 @@ router.post('/agents', [
   body('version').trim().isLength({ min: 1 }).withMessage('Version is required'),
   body('developed_by').trim().isLength({ min: 1 }).withMessage('Developed by is required'),
   body('domain_id').isUUID().withMessage('Valid domain ID is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  ...agentSettingsValidation
 ], auditLog('CREATE', 'Agent'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -292,6 +370,7 @@ router.post('/agents', [
       developed_by,
       description,
       domain_id,
+      ...pickAgentSettings(req.body),
       created_by: req.user.id,
       last_updated: new Date()
     });
@@ -330,7 +409,8 @@ router.put('/agents/:id', [
   body('version').trim().isLength({ min: 1 }).withMessage('Version is required'),
   body('developed_by').trim().isLength({ min: 1 }).withMessage('Developed by is required'),
   body('domain_id').isUUID().withMessage('Valid domain ID is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  ...agentSettingsValidation
 ], captureOldValues(Agent), auditLog('UPDATE', 'Agent'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -369,6 +449,7 @@ router.put('/agents/:id', [
       description,
       domain_id,
       status: status || agent.status,
+      ...pickAgentSettings(req.body),
       last_updated: new Date()
     });
 
@@ -413,6 +494,7 @@ router.delete('/agents/:id', captureOldValues(Agent), auditLog('DELETE', 'Agent'
 
     // Delete agent (cascading delete will handle Q&A)
     await agent.destroy();
+    invalidateAgentIndex(agent.id);
 
     res.json({
       success: true,
@@ -454,6 +536,7 @@ router.put('/agents/:id/status', [
     }
 
     await agent.update({ status: req.body.status });
+    invalidateAgentIndex(agent.id);
 
     res.json({
       success: true,
@@ -469,10 +552,305 @@ router.put('/agents/:id/status', [
   }
 });
 
+/**
+ * @route   POST /admin/agents/:id/embeddings/refresh
+ * @desc    Recompute stored embeddings for all of an agent's questions and variants
+ * @access  Private (Admin only)
+ */
+router.post('/agents/:id/embeddings/refresh', auditLog('REFRESH_EMBEDDINGS', 'Agent'), async (req, res) => {
+  try {
+    const agent = await Agent.findByPk(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const questions = await Question.findAll({
+      where: { agent_id: agent.id },
+      attributes: ['id']
+    });
+
+    for (const question of questions) {
+      await refreshQuestionEmbeddings(question.id);
+    }
+    invalidateAgentIndex(agent.id);
+
+    res.json({
+      success: true,
+      message: `Embeddings refreshed for ${questions.length} questions`
+    });
+  } catch (error) {
+    console.error('Error refreshing embeddings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing embeddings'
+    });
+  }
+});
+
+// =============================================================================
+// AGENT CONNECTOR ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /admin/agents/:id/connector
+ * @desc    Get an agent's live connector configuration (credentials omitted)
+ * @access  Private (Admin only)
+ */
+router.get('/agents/:id/connector', async (req, res) => {
+  try {
+    const connector = await AgentConnector.findOne({ where: { agent_id: req.params.id } });
+
+    res.json({
+      success: true,
+      connector: connector ? serializeConnector(connector) : null
+    });
+  } catch (error) {
+    console.error('Error fetching connector:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching connector'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/agents/:id/connector
+ * @desc    Create or update an agent's live connector
+ * @access  Private (Admin only)
+ */
+router.put('/agents/:id/connector', [
+  body('endpoint_url').isURL({ require_tld: false }).withMessage('Valid endpoint URL is required'),
+  body('adapter').optional().isIn(CONNECTOR_ADAPTERS).withMessage(`Adapter must be one of: ${CONNECTOR_ADAPTERS.join(', ')}`),
+  body('auth_type').optional().isIn(AUTH_TYPES).withMessage(`Auth type must be one of: ${AUTH_TYPES.join(', ')}`),
+  body('api_key_header').optional().trim().isLength({ min: 1 }),
+  body('credentials').optional({ nullable: true }).isObject().withMessage('Credentials must be an object'),
+  body('request_headers').optional().isObject().withMessage('Request headers must be an object'),
+  body('response_text_path').optional().trim().isLength({ min: 1 }),
+  body('response_html_path').optional({ nullable: true }).trim(),
+  body('timeout_ms').optional().isInt({ min: 500, max: 120000 }).withMessage('Timeout must be between 500 and 120000 ms').toInt(),
+  body('max_retries').optional().isInt({ min: 0, max: 5 }).withMessage('Max retries must be between 0 and 5').toInt(),
+  body('is_enabled').optional().isBoolean().toBoolean()
+], auditLog('UPSERT', 'AgentConnector'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const agent = await Agent.findByPk(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const { credentials, ...settings } = req.body;
+
+    // Keep plaintext credentials out of the audit log
+    req.body = { ...settings, ...(credentials !== undefined && { credentials: '[redacted]' }) };
+
+    const fields = {};
+    ['adapter', 'endpoint_url', 'auth_type', 'api_key_header', 'request_headers', 'response_text_path',
+      'response_html_path', 'timeout_ms', 'max_retries', 'is_enabled'].forEach(field => {
+      if (settings[field] !== undefined) {
+        fields[field] = settings[field];
+      }
+    });
+
+    // Credentials are only replaced when provided; null clears them
+    if (credentials !== undefined) {
+      fields.credentials_encrypted = encryptCredentials(credentials);
+    }
+
+    let connector = await AgentConnector.findOne({ where: { agent_id: agent.id } });
+    if (connector) {
+      req.oldValues = serializeConnector(connector);
+      await connector.update(fields);
+    } else {
+      connector = await AgentConnector.create({ ...fields, agent_id: agent.id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Connector saved successfully',
+      connector: serializeConnector(connector)
+    });
+  } catch (error) {
+    console.error('Error saving connector:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving connector'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /admin/agents/:id/connector
+ * @desc    Remove an agent's live connector
+ * @access  Private (Admin only)
+ */
+router.delete('/agents/:id/connector', auditLog('DELETE', 'AgentConnector'), async (req, res) => {
+  try {
+    const connector = await AgentConnector.findOne({ where: { agent_id: req.params.id } });
+    if (!connector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connector not found'
+      });
+    }
+
+    req.oldValues = serializeConnector(connector);
+    await connector.destroy();
+
+    res.json({
+      success: true,
+      message: 'Connector deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting connector:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting connector'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/agents/:id/connector/test
+ * @desc    Send a test message through an agent's connector
+ * @access  Private (Admin only)
+ */
+router.post('/agents/:id/connector/test', [
+  body('message').optional().trim().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const connector = await AgentConnector.findOne({ where: { agent_id: req.params.id } });
+    if (!connector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connector not found'
+      });
+    }
+
+    const startedAt = Date.now();
+    const reply = await sendToAgent(connector, {
+      message: req.body.message || 'Hello',
+      sessionId: null,
+      user: req.user
+    });
+
+    res.json({
+      success: true,
+      reply,
+      latency_ms: Date.now() - startedAt
+    });
+  } catch (error) {
+    console.error('Error testing connector:', error);
+    res.status(502).json({
+      success: false,
+      message: `Connector test failed: ${error.message}`
+    });
+  }
+});
+
 // =============================================================================
 // Q&A MANAGEMENT ROUTES
 // =============================================================================
 
+/**
+ * Load a question with its answer, all unarchived variants and curated
+ * related questions
+ * @param {string} questionId - Question ID
+ * @returns {Promise<Object|null>} Question instance
+ */
+const findQuestionDetails = (questionId) => {
+  return Question.findByPk(questionId, {
+    include: [{
+      model: Answer,
+      as: 'answer',
+      include: [{
+        model: AnswerVariant,
+        as: 'variants',
+        where: { archived_at: null },
+        required: false
+      }]
+    }, {
+      model: QuestionVariant,
+      as: 'variants',
+      where: { archived_at: null },
+      required: false
+    }, {
+      model: RelatedQuestion,
+      as: 'related_links',
+      include: [{
+        model: Question,
+        as: 'related_question',
+        attributes: ['id', 'question_text', 'status']
+      }]
+    }],
+    order: [[{ model: RelatedQuestion, as: 'related_links' }, 'position', 'ASC']]
+  });
+};
+
+/**
+ * Generate a question's and its answer's variants with the agent's
+ * paraphrase providers, keeping manual and locked variants
+ * @param {Object} question - Question instance
+ * @param {Object} answer - Its Answer instance
+ */
+const regenerateVariants = async (question, answer) => {
+  const agent = await Agent.findByPk(question.agent_id, { attributes: ['id', 'paraphrase_providers'] });
+
+  const questionVariants = await generateAgentVariants(agent, question.question_text, 'question');
+  await replaceGeneratedVariants(QuestionVariant, { question_id: question.id }, questionVariants, variant => ({
+    variant_text: variant.text
+  }));
+
+  const answerVariants = await generateAgentVariants(agent, answer.answer_text, 'answer', answer.answer_html);
+  await replaceGeneratedVariants(AnswerVariant, { answer_id: answer.id }, answerVariants, variant => ({
+    variant_text: variant.text,
+    variant_html: variant.html
+  }));
+};
+
+/**
+ * Create a question and its answer with generated variants and embeddings.
+ * Callers invalidate the agent's search index.
+ * @param {string} agentId - Agent ID
+ * @param {Object} qa - { question_text, answer_text, answer_html }
+ * @param {string} userId - Creating user's ID
+ * @returns {Promise<Object>} Question instance
+ */
+const createQuestionWithAnswer = async (agentId, { question_text, answer_text, answer_html }, userId) => {
+  // Create question
+  const question = await Question.create({
+    agent_id: agentId,
+    question_text,
+    created_by: userId
+  });
+
+  // Create answer
+  const answer = await Answer.create({
+    question_id: question.id,
+    answer_text,
+    answer_html,
+    created_by: userId
+  });
+
+  await regenerateVariants(question, answer);
+  await refreshQuestionEmbeddings(question.id);
+
+  return question;
+};
+
 /**
  * @route   GET /admin/agents/:agentId/questions
  * @desc    Get all questions and answers for an agent
@@ -487,11 +865,15 @@ router.get('/agents/:agentId/questions', async (req, res) => {
         as: 'answer',
         include: [{
           model: AnswerVariant,
-          as: 'variants'
+          as: 'variants',
+          where: { archived_at: null },
+          required: false
         }]
       }, {
         model: QuestionVariant,
-        as: 'variants'
+        as: 'variants',
+        where: { archived_at: null },
+        required: false
       }],
       order: [['created_at', 'DESC']]
     });
@@ -541,54 +923,11 @@ router.post('/agents/:agentId/questions', [
       });
     }
 
-    // Create question
-    const question = await Question.create({
-      agent_id: agentId,
-      question_text,
-      created_by: req.user.id
-    });
-
-    // Create answer
-    const answer = await Answer.create({
-      question_id: question.id,
-      answer_text,
-      answer_html,
-      created_by: req.user.id
-    });
-
-    // Generate question variants
-    const questionVariants = generateVariants(question_text, 'question');
-    for (const variant of questionVariants) {
-      await QuestionVariant.create({
-        question_id: question.id,
-        variant_text: variant.text
-      });
-    }
-
-    // Generate answer variants
-    const answerVariants = generateVariants(answer_text, 'answer', answer_html);
-    for (const variant of answerVariants) {
-      await AnswerVariant.create({
-        answer_id: answer.id,
-        variant_text: variant.text,
-        variant_html: variant.html
-      });
-    }
+    const question = await createQuestionWithAnswer(agentId, { question_text, answer_text, answer_html }, req.user.id);
+    invalidateAgentIndex(agentId);
 
     // Fetch complete question with all relationships
-    const completeQuestion = await Question.findByPk(question.id, {
-      include: [{
-        model: Answer,
-        as: 'answer',
-        include: [{
-          model: AnswerVariant,
-          as: 'variants'
-        }]
-      }, {
-        model: QuestionVariant,
-        as: 'variants'
-      }]
-    });
+    const completeQuestion = await findQuestionDetails(question.id);
 
     res.status(201).json({
       success: true,
@@ -653,42 +992,14 @@ router.put('/questions/:id', [
       status: status || 'Draft'
     });
 
-    // Delete existing variants
-    await QuestionVariant.destroy({ where: { question_id: question.id } });
-    await AnswerVariant.destroy({ where: { answer_id: question.answer.id } });
-
-    // Generate new variants
-    const questionVariants = generateVariants(question_text, 'question');
-    for (const variant of questionVariants) {
-      await QuestionVariant.create({
-        question_id: question.id,
-        variant_text: variant.text
-      });
-    }
+    // Replace generated variants; manual and locked ones are kept
+    await regenerateVariants(question, question.answer);
 
-    const answerVariants = generateVariants(answer_text, 'answer', answer_html);
-    for (const variant of answerVariants) {
-      await AnswerVariant.create({
-        answer_id: question.answer.id,
-        variant_text: variant.text,
-        variant_html: variant.html
-      });
-    }
+    await refreshQuestionEmbeddings(question.id);
+    invalidateAgentIndex(question.agent_id);
 
     // Fetch updated question with all relationships
-    const updatedQuestion = await Question.findByPk(question.id, {
-      include: [{
-        model: Answer,
-        as: 'answer',
-        include: [{
-          model: AnswerVariant,
-          as: 'variants'
-        }]
-      }, {
-        model: QuestionVariant,
-        as: 'variants'
-      }]
-    });
+    const updatedQuestion = await findQuestionDetails(question.id);
 
     res.json({
       success: true,
@@ -721,6 +1032,7 @@ router.delete('/questions/:id', captureOldValues(Question), auditLog('DELETE', '
     }
 
     await question.destroy();
+    invalidateAgentIndex(question.agent_id);
 
     res.json({
       success: true,
@@ -771,6 +1083,7 @@ router.put('/questions/:id/status', [
     if (question.answer) {
       await question.answer.update({ status });
     }
+    invalidateAgentIndex(question.agent_id);
 
     res.json({
       success: true,
@@ -786,4 +1099,1608 @@ router.put('/questions/:id/status', [
   }
 });
 
+// Starter questions shown as chips in an empty chat
+const MAX_STARTER_QUESTIONS = 6;
+
+/**
+ * Validation for an ordered list of distinct question IDs (body.question_ids)
+ * @param {number} max - Most IDs allowed
+ */
+const questionIdListValidation = (max) => [
+  body('question_ids').isArray({ max }).withMessage(`Question IDs must be an array of at most ${max}`),
+  body('question_ids.*').isUUID().withMessage('Valid question IDs are required'),
+  body('question_ids').custom(ids => new Set(ids).size === ids.length).withMessage('Question IDs must be distinct')
+];
+
+/**
+ * Whether all of the given questions belong to an agent
+ * @param {string} agentId - Agent ID
+ * @param {Array<string>} questionIds - Question IDs
+ * @returns {Promise<boolean>}
+ */
+const allQuestionsBelongToAgent = async (agentId, questionIds) => {
+  if (questionIds.length === 0) return true;
+
+  const count = await Question.count({
+    where: {
+      id: { [Op.in]: questionIds },
+      agent_id: agentId
+    }
+  });
+
+  return count === questionIds.length;
+};
+
+/**
+ * @route   PUT /admin/agents/:id/starter-questions
+ * @desc    Pin an agent's starter questions (question_ids, in display order),
+ *          replacing the current ones. Only Final questions are shown in chat.
+ * @access  Private (Admin only)
+ */
+router.put('/agents/:id/starter-questions', questionIdListValidation(MAX_STARTER_QUESTIONS), auditLog('UPDATE_STARTERS', 'Agent'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const agent = await Agent.findByPk(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const questionIds = req.body.question_ids;
+    if (!await allQuestionsBelongToAgent(agent.id, questionIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'All starter questions must belong to this agent'
+      });
+    }
+
+    await Question.update(
+      { is_starter: false, starter_position: null },
+      { where: { agent_id: agent.id, is_starter: true } }
+    );
+
+    for (const [position, questionId] of questionIds.entries()) {
+      await Question.update(
+        { is_starter: true, starter_position: position },
+        { where: { id: questionId } }
+      );
+    }
+
+    const starterQuestions = await Question.findAll({
+      where: { agent_id: agent.id, is_starter: true },
+      attributes: ['id', 'question_text', 'status', 'starter_position'],
+      order: [['starter_position', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Starter questions updated successfully',
+      starter_questions: starterQuestions
+    });
+  } catch (error) {
+    console.error('Error updating starter questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating starter questions'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/questions/:id/related
+ * @desc    Set a question's curated related questions (question_ids, in
+ *          display order). Replies fill any remaining slots with the most
+ *          similar questions.
+ * @access  Private (Admin only)
+ */
+router.put('/questions/:id/related', questionIdListValidation(MAX_RELATED_QUESTIONS), auditLog('UPDATE_RELATED', 'Question'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findByPk(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const questionIds = req.body.question_ids;
+    if (questionIds.includes(question.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A question cannot be related to itself'
+      });
+    }
+
+    if (!await allQuestionsBelongToAgent(question.agent_id, questionIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Related questions must belong to the same agent'
+      });
+    }
+
+    await RelatedQuestion.destroy({ where: { question_id: question.id } });
+    for (const [position, relatedQuestionId] of questionIds.entries()) {
+      await RelatedQuestion.create({
+        question_id: question.id,
+        related_question_id: relatedQuestionId,
+        position
+      });
+    }
+    invalidateAgentIndex(question.agent_id);
+
+    res.json({
+      success: true,
+      message: 'Related questions updated successfully',
+      question: await findQuestionDetails(question.id)
+    });
+  } catch (error) {
+    console.error('Error updating related questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating related questions'
+    });
+  }
+});
+
+// =============================================================================
+// VARIANT REVIEW ROUTES
+// =============================================================================
+
+const variantReviewValidation = [
+  body('is_approved').optional().isBoolean().withMessage('is_approved must be true or false').toBoolean(),
+  body('is_locked').optional().isBoolean().withMessage('is_locked must be true or false').toBoolean()
+];
+
+/**
+ * Pick review changes from a request body: approval or rejection (recorded
+ * with the reviewer) and locking
+ * @param {Object} requestBody - Request body
+ * @param {string} userId - Reviewing user's ID
+ * @returns {Object} Changes to apply to the variant
+ */
+const pickVariantReview = (requestBody, userId) => {
+  const changes = {};
+  if (requestBody.is_approved !== undefined) {
+    changes.is_approved = requestBody.is_approved;
+    changes.reviewed_by = userId;
+    changes.reviewed_at = new Date();
+  }
+  if (requestBody.is_locked !== undefined) {
+    changes.is_locked = requestBody.is_locked;
+  }
+  return changes;
+};
+
+/**
+ * Load an unarchived question variant with its question's agent
+ * @param {string} variantId - QuestionVariant ID
+ * @returns {Promise<Object|null>} QuestionVariant instance
+ */
+const findQuestionVariant = (variantId) => {
+  return QuestionVariant.findOne({
+    where: { id: variantId, archived_at: null },
+    include: [{
+      model: Question,
+      as: 'question',
+      attributes: ['id', 'agent_id']
+    }]
+  });
+};
+
+/**
+ * Load an unarchived answer variant with its answer's question and agent
+ * @param {string} variantId - AnswerVariant ID
+ * @returns {Promise<Object|null>} AnswerVariant instance
+ */
+const findAnswerVariant = (variantId) => {
+  return AnswerVariant.findOne({
+    where: { id: variantId, archived_at: null },
+    include: [{
+      model: Answer,
+      as: 'answer',
+      attributes: ['id', 'question_id'],
+      include: [{
+        model: Question,
+        as: 'question',
+        attributes: ['id', 'agent_id']
+      }]
+    }]
+  });
+};
+
+/**
+ * Sanitized HTML and text of a hand-written answer variant. The text is
+ * read from the HTML unless given.
+ * @param {string} html - Variant HTML
+ * @param {string} text - Variant text (optional)
+ * @returns {Object} { variant_html, variant_text }
+ */
+const answerVariantContent = (html, text) => {
+  const variantHtml = sanitizeAnswerHtml(html);
+  return {
+    variant_html: variantHtml,
+    variant_text: text || htmlToText(variantHtml)
+  };
+};
+
+/**
+ * @route   POST /admin/questions/:id/variants
+ * @desc    Add a hand-written question variant (kept when variants regenerate)
+ * @access  Private (Admin only)
+ */
+router.post('/questions/:id/variants', [
+  body('variant_text').trim().isLength({ min: 1 }).withMessage('Variant text is required'),
+  ...variantReviewValidation
+], auditLog('CREATE', 'QuestionVariant'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findByPk(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    // Written by an admin, so reviewed on creation
+    const variant = await QuestionVariant.create({
+      question_id: question.id,
+      variant_text: req.body.variant_text,
+      source: 'manual',
+      is_locked: req.body.is_locked ?? false,
+      is_approved: req.body.is_approved ?? true,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date()
+    });
+
+    await refreshQuestionEmbeddings(question.id);
+    invalidateAgentIndex(question.agent_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Question variant created successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error creating question variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating question variant'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/question-variants/:id
+ * @desc    Approve, reject, lock or reword a question variant
+ * @access  Private (Admin only)
+ */
+router.put('/question-variants/:id', [
+  body('variant_text').optional().trim().isLength({ min: 1 }).withMessage('Variant text cannot be empty'),
+  ...variantReviewValidation
+], captureOldValues(QuestionVariant), auditLog('UPDATE', 'QuestionVariant'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const variant = await findQuestionVariant(req.params.id);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question variant not found'
+      });
+    }
+
+    const changes = pickVariantReview(req.body, req.user.id);
+    const reworded = req.body.variant_text !== undefined && req.body.variant_text !== variant.variant_text;
+    if (reworded) {
+      // Reworded by an admin, so no longer replaced when variants regenerate
+      changes.variant_text = req.body.variant_text;
+      changes.source = 'manual';
+    }
+
+    await variant.update(changes);
+
+    if (reworded) {
+      await refreshQuestionEmbeddings(variant.question_id);
+    }
+    invalidateAgentIndex(variant.question.agent_id);
+
+    res.json({
+      success: true,
+      message: 'Question variant updated successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error updating question variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating question variant'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /admin/question-variants/:id
+ * @desc    Delete a question variant. One that chat replies were
+ *          matched with is archived instead, keeping their history.
+ * @access  Private (Admin only)
+ */
+router.delete('/question-variants/:id', captureOldValues(QuestionVariant), auditLog('DELETE', 'QuestionVariant'), async (req, res) => {
+  try {
+    const variant = await findQuestionVariant(req.params.id);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question variant not found'
+      });
+    }
+
+    const archived = await retireVariants(QuestionVariant, [variant]);
+    invalidateAgentIndex(variant.question.agent_id);
+
+    res.json({
+      success: true,
+      message: archived.size > 0
+        ? 'Question variant archived: chat replies were matched with it'
+        : 'Question variant deleted successfully',
+      archived: archived.size > 0
+    });
+  } catch (error) {
+    console.error('Error deleting question variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting question variant'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/questions/:id/answer-variants
+ * @desc    Add a hand-written answer variant (kept when variants regenerate)
+ * @access  Private (Admin only)
+ */
+router.post('/questions/:id/answer-variants', [
+  body('variant_html').trim().isLength({ min: 1 }).withMessage('Variant HTML is required'),
+  body('variant_text').optional({ values: 'falsy' }).trim(),
+  ...variantReviewValidation
+], auditLog('CREATE', 'AnswerVariant'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findByPk(req.params.id, {
+      include: [{
+        model: Answer,
+        as: 'answer'
+      }]
+    });
+
+    if (!question || !question.answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const content = answerVariantContent(req.body.variant_html, req.body.variant_text);
+    if (!content.variant_text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant HTML has no text'
+      });
+    }
+
+    // Written by an admin, so reviewed on creation
+    const variant = await AnswerVariant.create({
+      answer_id: question.answer.id,
+      ...content,
+      source: 'manual',
+      is_locked: req.body.is_locked ?? false,
+      is_approved: req.body.is_approved ?? true,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date()
+    });
+
+    invalidateAgentIndex(question.agent_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Answer variant created successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error creating answer variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating answer variant'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/answer-variants/:id
+ * @desc    Approve, reject, lock or rewrite an answer variant
+ * @access  Private (Admin only)
+ */
+router.put('/answer-variants/:id', [
+  body('variant_html').optional().trim().isLength({ min: 1 }).withMessage('Variant HTML cannot be empty'),
+  body('variant_text').optional({ values: 'falsy' }).trim(),
+  ...variantReviewValidation
+], captureOldValues(AnswerVariant), auditLog('UPDATE', 'AnswerVariant'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const variant = await findAnswerVariant(req.params.id);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer variant not found'
+      });
+    }
+
+    const changes = pickVariantReview(req.body, req.user.id);
+    if (req.body.variant_html !== undefined || req.body.variant_text) {
+      const content = answerVariantContent(req.body.variant_html ?? variant.variant_html, req.body.variant_text);
+      if (!content.variant_text) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variant HTML has no text'
+        });
+      }
+
+      if (content.variant_html !== variant.variant_html || content.variant_text !== variant.variant_text) {
+        // Rewritten by an admin, so no longer replaced when variants regenerate
+        Object.assign(changes, content, { source: 'manual' });
+      }
+    }
+
+    await variant.update(changes);
+    invalidateAgentIndex(variant.answer.question.agent_id);
+
+    res.json({
+      success: true,
+      message: 'Answer variant updated successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error updating answer variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating answer variant'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /admin/answer-variants/:id
+ * @desc    Delete an answer variant. One that chat replies were
+ *          served with is archived instead, keeping their history.
+ * @access  Private (Admin only)
+ */
+router.delete('/answer-variants/:id', captureOldValues(AnswerVariant), auditLog('DELETE', 'AnswerVariant'), async (req, res) => {
+  try {
+    const variant = await findAnswerVariant(req.params.id);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer variant not found'
+      });
+    }
+
+    const archived = await retireVariants(AnswerVariant, [variant]);
+    invalidateAgentIndex(variant.answer.question.agent_id);
+
+    res.json({
+      success: true,
+      message: archived.size > 0
+        ? 'Answer variant archived: chat replies were served with it'
+        : 'Answer variant deleted successfully',
+      archived: archived.size > 0
+    });
+  } catch (error) {
+    console.error('Error deleting answer variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting answer variant'
+    });
+  }
+});
+
+// =============================================================================
+// CONVERSATION FLOW ROUTES
+// =============================================================================
+
+/**
+ * Load a flow node with its question and choices in display order
+ * @param {string} nodeId - FlowNode ID
+ * @returns {Promise<Object|null>} FlowNode instance
+ */
+const findFlowNodeDetails = (nodeId) => {
+  return FlowNode.findByPk(nodeId, {
+    include: [{
+      model: Question,
+      as: 'question',
+      attributes: ['id', 'question_text']
+    }, {
+      model: FlowChoice,
+      as: 'choices'
+    }],
+    order: [[{ model: FlowChoice, as: 'choices' }, 'position', 'ASC']]
+  });
+};
+
+/**
+ * Check that a node's question and a choice's next node belong to the
+ * flow's agent, and that a question starts at most one flow
+ * @param {string} agentId - Agent ID
+ * @param {Object} refs - { question_id, next_node_id, node_id } (node_id: the node being updated)
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const checkFlowReferences = async (agentId, { question_id, next_node_id, node_id = null }) => {
+  if (question_id) {
+    const question = await Question.findOne({ where: { id: question_id, agent_id: agentId } });
+    if (!question) {
+      return 'Question not found for this agent';
+    }
+
+    const entryNode = await FlowNode.findOne({ where: { question_id } });
+    if (entryNode && entryNode.id !== node_id) {
+      return 'This question already starts a conversation flow';
+    }
+  }
+
+  if (next_node_id) {
+    const nextNode = await FlowNode.findOne({ where: { id: next_node_id, agent_id: agentId } });
+    if (!nextNode) {
+      return 'Next node not found for this agent';
+    }
+  }
+
+  return null;
+};
+
+const flowNodeValidation = [
+  body('name').trim().isLength({ min: 1 }).withMessage('Node name is required'),
+  body('question_id').optional({ values: 'falsy' }).isUUID().withMessage('Valid question ID is required'),
+  body('message_html').optional({ values: 'falsy' }).trim(),
+  // Follow-up nodes have no question answer to fall back on
+  body('message_html').if(body('question_id').not().exists({ values: 'falsy' }))
+    .exists({ values: 'falsy' }).withMessage('Message HTML is required for follow-up nodes')
+];
+
+const flowChoiceValidation = [
+  body('label').trim().isLength({ min: 1 }).withMessage('Choice label is required'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be an array'),
+  body('synonyms.*').isString().trim().isLength({ min: 1 }).withMessage('Synonyms must be non-empty strings'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+  body('next_node_id').optional({ values: 'falsy' }).isUUID().withMessage('Valid next node ID is required')
+];
+
+/**
+ * @route   GET /admin/agents/:agentId/flow-nodes
+ * @desc    Get an agent's conversation flow nodes with their choices
+ * @access  Private (Admin only)
+ */
+router.get('/agents/:agentId/flow-nodes', async (req, res) => {
+  try {
+    const nodes = await FlowNode.findAll({
+      where: { agent_id: req.params.agentId },
+      include: [{
+        model: Question,
+        as: 'question',
+        attributes: ['id', 'question_text']
+      }, {
+        model: FlowChoice,
+        as: 'choices'
+      }],
+      order: [
+        ['created_at', 'ASC'],
+        [{ model: FlowChoice, as: 'choices' }, 'position', 'ASC']
+      ]
+    });
+
+    res.json({
+      success: true,
+      nodes
+    });
+  } catch (error) {
+    console.error('Error fetching flow nodes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching flow nodes'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/agents/:agentId/flow-nodes
+ * @desc    Create a flow node. With question_id it is the flow's entry node
+ *          (message_html optional, defaulting to the question's answer);
+ *          without it is a follow-up node reached through a choice.
+ * @access  Private (Admin only)
+ */
+router.post('/agents/:agentId/flow-nodes', flowNodeValidation, auditLog('CREATE', 'FlowNode'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const agentId = req.params.agentId;
+    const { name, question_id, message_html } = req.body;
+
+    // Verify agent exists
+    const agent = await Agent.findByPk(agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const referenceError = await checkFlowReferences(agentId, { question_id });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    const node = await FlowNode.create({
+      agent_id: agentId,
+      question_id: question_id || null,
+      name,
+      message_text: message_html ? stripHtml(message_html) : null,
+      message_html: message_html || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Flow node created successfully',
+      node: await findFlowNodeDetails(node.id)
+    });
+  } catch (error) {
+    console.error('Error creating flow node:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating flow node'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/flow-nodes/:id
+ * @desc    Update a flow node
+ * @access  Private (Admin only)
+ */
+router.put('/flow-nodes/:id', flowNodeValidation, captureOldValues(FlowNode), auditLog('UPDATE', 'FlowNode'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const node = await FlowNode.findByPk(req.params.id);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flow node not found'
+      });
+    }
+
+    const { name, question_id, message_html } = req.body;
+
+    const referenceError = await checkFlowReferences(node.agent_id, { question_id, node_id: node.id });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    await node.update({
+      question_id: question_id || null,
+      name,
+      message_text: message_html ? stripHtml(message_html) : null,
+      message_html: message_html || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Flow node updated successfully',
+      node: await findFlowNodeDetails(node.id)
+    });
+  } catch (error) {
+    console.error('Error updating flow node:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating flow node'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /admin/flow-nodes/:id
+ * @desc    Delete a flow node and its choices. Nodes that choices lead to
+ *          can't be deleted until those choices are changed.
+ * @access  Private (Admin only)
+ */
+router.delete('/flow-nodes/:id', captureOldValues(FlowNode), auditLog('DELETE', 'FlowNode'), async (req, res) => {
+  try {
+    const node = await FlowNode.findByPk(req.params.id);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flow node not found'
+      });
+    }
+
+    const incoming = await FlowChoice.count({ where: { next_node_id: node.id } });
+    if (incoming > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete flow node: ${incoming} choice(s) lead to it`
+      });
+    }
+
+    // Sessions waiting on the node's choices go back to plain matching
+    await ChatSession.update({ current_flow_node_id: null }, { where: { current_flow_node_id: node.id } });
+    await node.destroy();
+
+    res.json({
+      success: true,
+      message: 'Flow node deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting flow node:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting flow node'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/flow-nodes/:id/choices
+ * @desc    Add a quick-reply choice to a flow node. Without next_node_id
+ *          the choice is shown but ends the flow.
+ * @access  Private (Admin only)
+ */
+router.post('/flow-nodes/:id/choices', flowChoiceValidation, auditLog('CREATE', 'FlowChoice'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const node = await FlowNode.findByPk(req.params.id);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flow node not found'
+      });
+    }
+
+    const { label, synonyms, position, next_node_id } = req.body;
+
+    const referenceError = await checkFlowReferences(node.agent_id, { next_node_id });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    const choice = await FlowChoice.create({
+      node_id: node.id,
+      label,
+      synonyms: synonyms || [],
+      // New choices go last unless placed explicitly
+      position: position ?? await FlowChoice.count({ where: { node_id: node.id } }),
+      next_node_id: next_node_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Flow choice created successfully',
+      choice
+    });
+  } catch (error) {
+    console.error('Error creating flow choice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating flow choice'
+    });
+  }
+});
+
+/**
+ * @route   PUT /admin/flow-choices/:id
+ * @desc    Update a flow choice
+ * @access  Private (Admin only)
+ */
+router.put('/flow-choices/:id', flowChoiceValidation, captureOldValues(FlowChoice), auditLog('UPDATE', 'FlowChoice'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const choice = await FlowChoice.findByPk(req.params.id, {
+      include: [{
+        model: FlowNode,
+        as: 'node'
+      }]
+    });
+
+    if (!choice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flow choice not found'
+      });
+    }
+
+    const { label, synonyms, position, next_node_id } = req.body;
+
+    const referenceError = await checkFlowReferences(choice.node.agent_id, { next_node_id });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    await choice.update({
+      label,
+      synonyms: synonyms || [],
+      position: position ?? choice.position,
+      next_node_id: next_node_id || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Flow choice updated successfully',
+      choice
+    });
+  } catch (error) {
+    console.error('Error updating flow choice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating flow choice'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /admin/flow-choices/:id
+ * @desc    Delete a flow choice
+ * @access  Private (Admin only)
+ */
+router.delete('/flow-choices/:id', captureOldValues(FlowChoice), auditLog('DELETE', 'FlowChoice'), async (req, res) => {
+  try {
+    const choice = await FlowChoice.findByPk(req.params.id);
+    if (!choice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flow choice not found'
+      });
+    }
+
+    await choice.destroy();
+
+    res.json({
+      success: true,
+      message: 'Flow choice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting flow choice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting flow choice'
+    });
+  }
+});
+
+// =============================================================================
+// UNANSWERED QUESTIONS INBOX ROUTES
+// =============================================================================
+
+const UNANSWERED_STATUSES = ['Open', 'Converted', 'Attached', 'Dismissed'];
+
+/**
+ * Load an Open inbox item, or send the matching error response
+ * @returns {Promise<Object|null>} UnansweredQuestion instance
+ */
+const findOpenUnansweredQuestion = async (req, res) => {
+  const item = await UnansweredQuestion.findByPk(req.params.id);
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Unanswered question not found'
+    });
+    return null;
+  }
+
+  if (item.status !== 'Open') {
+    res.status(400).json({
+      success: false,
+      message: `Unanswered question is already ${item.status.toLowerCase()}`
+    });
+    return null;
+  }
+
+  return item;
+};
+
+/**
+ * @route   GET /admin/unanswered
+ * @desc    List clustered questions that got the fallback reply, most frequent
+ *          first, with open counts per agent. Query: agent_id, status (default Open)
+ * @access  Private (Admin only)
+ */
+router.get('/unanswered', async (req, res) => {
+  try {
+    const status = req.query.status || 'Open';
+    if (!UNANSWERED_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${UNANSWERED_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = { status };
+    if (req.query.agent_id) {
+      where.agent_id = req.query.agent_id;
+    }
+
+    const items = await UnansweredQuestion.findAll({
+      where,
+      include: [{
+        model: Agent,
+        as: 'agent',
+        attributes: ['id', 'name']
+      }],
+      order: [['occurrence_count', 'DESC'], ['last_seen_at', 'DESC']]
+    });
+
+    // Open clusters and occurrences per agent, for the inbox overview
+    const agentCounts = await UnansweredQuestion.findAll({
+      where: { status: 'Open' },
+      attributes: [
+        'agent_id',
+        [fn('COUNT', col('id')), 'open_count'],
+        [fn('SUM', col('occurrence_count')), 'occurrences']
+      ],
+      group: ['agent_id'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      items,
+      agents: agentCounts.map(row => ({
+        agent_id: row.agent_id,
+        open_count: Number(row.open_count),
+        occurrences: Number(row.occurrences)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching unanswered questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unanswered questions'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/unanswered/:id/convert
+ * @desc    Create a new Q&A pair from an unanswered question (as Draft).
+ *          question_text defaults to the cluster's sample phrasing.
+ * @access  Private (Admin only)
+ */
+router.post('/unanswered/:id/convert', [
+  body('question_text').optional().trim().isLength({ min: 1 }).withMessage('Question text cannot be empty'),
+  body('answer_text').trim().isLength({ min: 1 }).withMessage('Answer text is required'),
+  body('answer_html').trim().isLength({ min: 1 }).withMessage('Answer HTML is required')
+], captureOldValues(UnansweredQuestion), auditLog('CONVERT', 'UnansweredQuestion'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await findOpenUnansweredQuestion(req, res);
+    if (!item) return;
+
+    const { answer_text, answer_html } = req.body;
+    const question_text = req.body.question_text || item.sample_text;
+
+    const question = await createQuestionWithAnswer(item.agent_id, { question_text, answer_text, answer_html }, req.user.id);
+    invalidateAgentIndex(item.agent_id);
+
+    await item.update({
+      status: 'Converted',
+      resolved_question_id: question.id,
+      resolved_by: req.user.id,
+      resolved_at: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Unanswered question converted to a new Q&A pair',
+      item,
+      question: await findQuestionDetails(question.id)
+    });
+  } catch (error) {
+    console.error('Error converting unanswered question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error converting unanswered question'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/unanswered/:id/attach
+ * @desc    Add an unanswered question as a variant of an existing question.
+ *          variant_text defaults to the cluster's sample phrasing.
+ * @access  Private (Admin only)
+ */
+router.post('/unanswered/:id/attach', [
+  body('question_id').isUUID().withMessage('Valid question ID is required'),
+  body('variant_text').optional().trim().isLength({ min: 1 }).withMessage('Variant text cannot be empty')
+], captureOldValues(UnansweredQuestion), auditLog('ATTACH', 'UnansweredQuestion'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await findOpenUnansweredQuestion(req, res);
+    if (!item) return;
+
+    const question = await Question.findOne({
+      where: {
+        id: req.body.question_id,
+        agent_id: item.agent_id
+      }
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found for this agent'
+      });
+    }
+
+    // Chosen by an admin, so kept when variants regenerate
+    await QuestionVariant.create({
+      question_id: question.id,
+      variant_text: req.body.variant_text || item.sample_text,
+      source: 'manual',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date()
+    });
+
+    await refreshQuestionEmbeddings(question.id);
+    invalidateAgentIndex(item.agent_id);
+
+    await item.update({
+      status: 'Attached',
+      resolved_question_id: question.id,
+      resolved_by: req.user.id,
+      resolved_at: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Unanswered question attached as a question variant',
+      item,
+      question: await findQuestionDetails(question.id)
+    });
+  } catch (error) {
+    console.error('Error attaching unanswered question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error attaching unanswered question'
+    });
+  }
+});
+
+/**
+ * @route   POST /admin/unanswered/:id/dismiss
+ * @desc    Dismiss an unanswered question (later occurrences stay hidden)
+ * @access  Private (Admin only)
+ */
+router.post('/unanswered/:id/dismiss', captureOldValues(UnansweredQuestion), auditLog('DISMISS', 'UnansweredQuestion'), async (req, res) => {
+  try {
+    const item = await findOpenUnansweredQuestion(req, res);
+    if (!item) return;
+
+    await item.update({
+      status: 'Dismissed',
+      resolved_by: req.user.id,
+      resolved_at: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Unanswered question dismissed',
+      item
+    });
+  } catch (error) {
+    console.error('Error dismissing unanswered question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing unanswered question'
+    });
+  }
+});
+
+
+// =============================================================================
+// FEEDBACK REPORT ROUTES
+// =============================================================================
+
+/**
+ * Feedback filters shared by the report routes (query: agent_id, question_id)
+ * @param {Object} query - Request query
+ * @returns {Object} MessageFeedback where clause
+ */
+const feedbackFilters = (query) => {
+  const where = {};
+  if (query.agent_id) where.agent_id = query.agent_id;
+  if (query.question_id) where.question_id = query.question_id;
+  return where;
+};
+
+/**
+ * Minimum ratings for a row to be reported (query: min_ratings, default 1)
+ */
+const minRatingsFrom = (query) => Math.max(1, parseInt(query.min_ratings, 10) || 1);
+
+/**
+ * @route   GET /admin/feedback/agents
+ * @desc    Helpfulness rate per agent, least helpful first
+ * @access  Private (Admin only)
+ */
+router.get('/feedback/agents', async (req, res) => {
+  try {
+    const rows = await summarizeFeedback(['agent_id'], {}, { minRatings: minRatingsFrom(req.query) });
+
+    const agents = await Agent.findAll({
+      where: { id: rows.map(row => row.agent_id) },
+      attributes: ['id', 'name']
+    });
+    const agentNames = new Map(agents.map(agent => [agent.id, agent.name]));
+
+    res.json({
+      success: true,
+      agents: rows.map(row => ({
+        ...row,
+        agent_name: agentNames.get(row.agent_id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching agent feedback report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feedback report'
+    });
+  }
+});
+
+/**
+ * @route   GET /admin/feedback/questions
+ * @desc    Helpfulness rate per question, least helpful first.
+ *          Query: agent_id, min_ratings
+ * @access  Private (Admin only)
+ */
+router.get('/feedback/questions', async (req, res) => {
+  try {
+    const where = { ...feedbackFilters(req.query), question_id: { [Op.ne]: null } };
+    const rows = await summarizeFeedback(['question_id'], where, { minRatings: minRatingsFrom(req.query) });
+
+    const questions = await Question.findAll({
+      where: { id: rows.map(row => row.question_id) },
+      attributes: ['id', 'agent_id', 'question_text', 'status']
+    });
+    const questionsById = new Map(questions.map(question => [question.id, question]));
+
+    res.json({
+      success: true,
+      questions: rows.map(row => ({
+        ...row,
+        question: questionsById.get(row.question_id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching question feedback report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feedback report'
+    });
+  }
+});
+
+/**
+ * @route   GET /admin/feedback/answer-variants
+ * @desc    Helpfulness rate per served answer (original answer or answer
+ *          variant), least helpful first. Query: agent_id, question_id, min_ratings
+ * @access  Private (Admin only)
+ */
+router.get('/feedback/answer-variants', async (req, res) => {
+  try {
+    const where = { ...feedbackFilters(req.query), answer_id: { [Op.ne]: null } };
+    const rows = await summarizeFeedback(['question_id', 'answer_id', 'answer_variant_id'], where, {
+      minRatings: minRatingsFrom(req.query)
+    });
+
+    const variantIds = rows.map(row => row.answer_variant_id).filter(Boolean);
+    const variants = await AnswerVariant.findAll({
+      where: { id: variantIds },
+      attributes: ['id', 'variant_text']
+    });
+    const variantTexts = new Map(variants.map(variant => [variant.id, variant.variant_text]));
+
+    // Deleted variants are described by the text recorded with their ratings
+    const deletedIds = variantIds.filter(id => !variantTexts.has(id));
+    if (deletedIds.length > 0) {
+      const ratings = await MessageFeedback.findAll({
+        where: { answer_variant_id: deletedIds, answer_variant_text: { [Op.ne]: null } },
+        attributes: ['answer_variant_id', 'answer_variant_text']
+      });
+      ratings.forEach(rating => variantTexts.set(rating.answer_variant_id, rating.answer_variant_text));
+    }
+
+    const answers = await Answer.findAll({
+      where: { id: [...new Set(rows.map(row => row.answer_id))] },
+      attributes: ['id', 'answer_text']
+    });
+    const answerTexts = new Map(answers.map(answer => [answer.id, answer.answer_text]));
+
+    res.json({
+      success: true,
+      answer_variants: rows.map(row => ({
+        ...row,
+        served: row.answer_variant_id ? 'variant' : 'original',
+        text: row.answer_variant_id
+          ? variantTexts.get(row.answer_variant_id) || null
+          : answerTexts.get(row.answer_id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching answer variant feedback report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feedback report'
+    });
+  }
+});
+
+/**
+ * @route   GET /admin/feedback
+ * @desc    Most recent individual ratings with comments and the rated reply.
+ *          Query: agent_id, question_id, rating (up/down)
+ * @access  Private (Admin only)
+ */
+router.get('/feedback', async (req, res) => {
+  try {
+    const where = feedbackFilters(req.query);
+    if (['up', 'down'].includes(req.query.rating)) {
+      where.rating = req.query.rating;
+    }
+
+    const feedback = await MessageFeedback.findAll({
+      where,
+      include: [{
+        model: ChatMessage,
+        as: 'message',
+        attributes: ['id', 'message_text', 'response_source', 'timestamp']
+      }, {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'email']
+      }, {
+        model: Question,
+        as: 'question',
+        attributes: ['id', 'question_text']
+      }],
+      order: [['updated_at', 'DESC']],
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      feedback
+    });
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feedback'
+    });
+  }
+});
+
+
+// =============================================================================
+// MATCH DIAGNOSTICS ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /admin/messages/:id/diagnostics
+ * @desc    Explain an agent reply: the user message it answered, the matched
+ *          question or question variant, the served answer variant, score,
+ *          matcher strategy and latency
+ * @access  Private (Admin only)
+ */
+router.get('/messages/:id/diagnostics', async (req, res) => {
+  try {
+    const message = await ChatMessage.findOne({
+      where: {
+        id: req.params.id,
+        message_type: 'agent'
+      },
+      include: [{
+        model: ChatSession,
+        as: 'session',
+        attributes: ['id', 'user_id', 'agent_id'],
+        include: [{
+          model: Agent,
+          as: 'agent',
+          attributes: ['id', 'name', 'min_confidence', 'match_strategy', 'answering_policy']
+        }]
+      }, {
+        model: Question,
+        as: 'question',
+        attributes: ['id', 'question_text', 'status']
+      }, {
+        model: QuestionVariant,
+        as: 'matched_question_variant',
+        attributes: ['id', 'variant_text']
+      }, {
+        model: AnswerVariant,
+        as: 'answer_variant',
+        attributes: ['id', 'variant_text']
+      }]
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent message not found'
+      });
+    }
+
+    // The user message this reply answered
+    const userMessage = await ChatMessage.findOne({
+      where: {
+        session_id: message.session_id,
+        message_type: 'user',
+        timestamp: { [Op.lte]: message.timestamp }
+      },
+      order: [['timestamp', 'DESC']],
+      attributes: ['id', 'message_text', 'timestamp']
+    });
+
+    res.json({
+      success: true,
+      diagnostics: {
+        message_id: message.id,
+        user_message: userMessage,
+        reply_text: message.message_text,
+        source: message.response_source,
+        match_score: message.match_score,
+        match_target: message.match_target,
+        matcher_strategy: message.matcher_strategy,
+        processing_ms: message.processing_ms,
+        question: message.question,
+        // Deleted variants are described by what the reply recorded
+        matched_question_variant: message.matched_question_variant || (message.matched_question_variant_id
+          ? { id: message.matched_question_variant_id, variant_text: message.matched_question_variant_text, deleted: true }
+          : null),
+        matched_question_variant_text: message.matched_question_variant_text,
+        answer_id: message.answer_id,
+        answer_variant: message.answer_variant || (message.answer_variant_id
+          ? { id: message.answer_variant_id, variant_text: message.message_text, deleted: true }
+          : null),
+        agent: message.session.agent,
+        timestamp: message.timestamp
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching message diagnostics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching message diagnostics'
+    });
+  }
+});
+
+/**
+ * @route   GET /admin/agents/:id/variant-effectiveness
+ * @desc    How often each question and each of its variants matched in chat,
+ *          with the average match score. Alternative answers from
+ *          regenerating a reply are not matches of their own. Variants
+ *          that never match are candidates for removal. Query: since (ISO date)
+ * @access  Private (Admin only)
+ */
+router.get('/agents/:id/variant-effectiveness', async (req, res) => {
+  try {
+    const agent = await Agent.findByPk(req.params.id, { attributes: ['id', 'name'] });
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    const questions = await Question.findAll({
+      where: { agent_id: agent.id },
+      attributes: ['id', 'question_text', 'status'],
+      include: [{
+        model: QuestionVariant,
+        as: 'variants',
+        attributes: ['id', 'variant_text', 'is_approved', 'provider', 'similarity', 'archived_at']
+      }],
+      order: [['created_at', 'DESC']]
+    });
+
+    // Regenerated replies copy their original's match, so only originals count
+    const where = {
+      message_type: 'agent',
+      response_source: 'curated',
+      parent_message_id: null,
+      question_id: questions.map(question => question.id)
+    };
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'since must be a valid date'
+        });
+      }
+      where.timestamp = { [Op.gte]: since };
+    }
+
+    const rows = await ChatMessage.findAll({
+      where,
+      attributes: [
+        'question_id',
+        'matched_question_variant_id',
+        [fn('COUNT', col('id')), 'matches'],
+        [fn('AVG', col('match_score')), 'avg_score'],
+        [fn('MAX', col('timestamp')), 'last_matched_at']
+      ],
+      group: ['question_id', 'matched_question_variant_id'],
+      raw: true
+    });
+
+    // Keyed by question ID + variant ID ("original" for the question itself)
+    const stats = new Map(rows.map(row => [
+      `${row.question_id}:${row.matched_question_variant_id || 'original'}`,
+      {
+        matches: Number(row.matches),
+        avg_score: row.avg_score === null ? null : Math.round(Number(row.avg_score) * 1000) / 1000,
+        last_matched_at: row.last_matched_at
+      }
+    ]));
+    const statsFor = (questionId, variantId) => stats.get(`${questionId}:${variantId || 'original'}`) || {
+      matches: 0,
+      avg_score: null,
+      last_matched_at: null
+    };
+
+    const report = questions.map((question) => {
+      const original = statsFor(question.id, null);
+      const variants = question.variants.map(variant => ({
+        id: variant.id,
+        variant_text: variant.variant_text,
+        is_approved: variant.is_approved,
+        provider: variant.provider,
+        archived_at: variant.archived_at,
+        ...statsFor(question.id, variant.id)
+      }));
+
+      return {
+        question_id: question.id,
+        question_text: question.question_text,
+        status: question.status,
+        total_matches: original.matches + variants.reduce((sum, variant) => sum + variant.matches, 0),
+        original,
+        variants
+      };
+    });
+
+    res.json({
+      success: true,
+      agent,
+      questions: report
+    });
+  } catch (error) {
+    console.error('Error fetching variant effectiveness:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching variant effectiveness'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,16 @@
 const express = require('express');
 const { Op } = require('sequelize');
 const { ensureAuthenticated, ensureDemoUser } = require('../middleware/auth');
-const { Domain, Agent, Question, Answer, QuestionVariant, AnswerVariant, ChatSession, ChatMessage } = require('../models');
+const { Domain, Agent, Question, Answer, ChatSession, ChatMessage, MessageFeedback } = require('../models');
+const { findActiveSession, decodeHistoryCursor, findHistoryPage, saveUserMessage, replyToMessage, regenerateReply, formatMessage } = require('../services/chatService');
+const { openEventStream, writeEvent, waitForThinkingDelay, streamHtml } = require('../services/streamingService');
+const { publishSessionEvent } = require('../services/chatEventService');
+const { createJoinCode, resolveJoinCode, revokeJoinCode } = require('../services/joinCodeService');
+const { CHAT_SOCKET_PATH } = require('../services/chatSocketService');
+const { generateSeed } = require('../services/randomService');
+const { SESSION_EXPIRED, sessionExpiredMessage } = require('../services/sessionReaperService');
+const { TRANSCRIPT_FORMATS, loadTranscript, renderTranscript } = require('../services/transcriptService');
+const { textToHtml } = require('../services/htmlService');
 const router = express.Router();
 
 /**
@@ -11,12 +20,103 @@ const router = express.Router();
  * - View agents grouped by domain (Final status only)
  * - Chat interface with agents
  * - Session chat history management
+ * - Feedback on agent replies
+ * - Alternative phrasings of agent replies
+ * - Audience join codes for mirroring a session over WebSocket
  * - Question matching and response generation
  */
 
 // Apply authentication to all demo routes
 router.use(ensureAuthenticated);
 
+/**
+ * Whether a chat message request turned on match debugging
+ * (body.debug, honoured for administrators only)
+ */
+const wantsDebug = (req) => req.body.debug === true && req.user.role === 'Administrator';
+
+/**
+ * Quick-reply choice clicked with a chat message (body.choice_id), if any
+ */
+const clickedChoice = (req) => (typeof req.body.choice_id === 'string' ? req.body.choice_id : null);
+
+/**
+ * Response-only fields of an agent reply
+ */
+const replyExtras = (response) => ({
+  suggestions: response.suggestions || [],
+  related: response.related || [],
+  choices: response.choices || [],
+  ...(response.debug && { debug: response.debug })
+});
+
+/**
+ * Reply for a chat session that isn't active: 410 with code
+ * SESSION_EXPIRED when it was closed for inactivity, so the chat can
+ * offer a new session, otherwise 404
+ */
+const sendSessionNotActive = async (req, res, sessionId) => {
+  const expired = await ChatSession.count({
+    where: {
+      id: sessionId,
+      user_id: req.user.id,
+      is_active: false,
+      end_reason: 'expired'
+    }
+  });
+
+  if (expired > 0) {
+    return res.status(410).json({
+      success: false,
+      code: SESSION_EXPIRED,
+      message: sessionExpiredMessage()
+    });
+  }
+
+  return res.status(404).json({
+    success: false,
+    message: 'Chat session not found or not active'
+  });
+};
+
+/**
+ * End a user's active sessions with an agent (a user has one active
+ * session per agent), disconnecting anyone watching them
+ */
+const endActiveSessions = async (userId, agentId) => {
+  const sessions = await ChatSession.findAll({
+    where: {
+      user_id: userId,
+      agent_id: agentId,
+      is_active: true
+    }
+  });
+
+  for (const session of sessions) {
+    await session.update({ is_active: false, ended_at: new Date(), end_reason: 'replaced' });
+    revokeJoinCode(session.id);
+    publishSessionEvent(session.id, { type: 'session_ended' });
+  }
+};
+
+/**
+ * Response for a resumed session: its latest page of history
+ */
+const resumedSessionResponse = async (session, message) => {
+  const history = await findHistoryPage(session.id);
+
+  return {
+    success: true,
+    message,
+    resumed: true,
+    session_id: session.id,
+    variant_seed: session.variant_seed,
+    messages: history.messages.map(msg => formatMessage(msg)),
+    has_more: history.has_more,
+    next_cursor: history.next_cursor
+  };
+};
+
 // =============================================================================
 // AGENT VIEWING ROUTES
 // =============================================================================
@@ -58,7 +158,7 @@ router.get('/domains', async (req, res) => {
 
 /**
  * @route   GET /demo/agents/:id
- * @desc    Get specific agent details
+ * @desc    Get specific agent details, with its pinned starter questions
  * @access  Private (Demo User)
  */
 router.get('/agents/:id', async (req, res) => {
@@ -83,9 +183,27 @@ router.get('/agents/:id', async (req, res) => {
       });
     }
 
+    // Only questions the agent can actually answer are suggested
+    const starterQuestions = await Question.findAll({
+      where: {
+        agent_id: agent.id,
+        is_starter: true,
+        status: 'Final'
+      },
+      include: [{
+        model: Answer,
+        as: 'answer',
+        where: { status: 'Final' },
+        attributes: []
+      }],
+      attributes: ['id', 'question_text'],
+      order: [['starter_position', 'ASC']]
+    });
+
     res.json({
       success: true,
-      agent
+      agent,
+      starter_questions: starterQuestions
     });
   } catch (error) {
     console.error('Error fetching agent:', error);
@@ -102,12 +220,23 @@ router.get('/agents/:id', async (req, res) => {
 
 /**
  * @route   POST /demo/agents/:id/chat/start
- * @desc    Start a new chat session with an agent
+ * @desc    Start a new chat session with an agent, ending the user's active
+ *          one. With resume: true the active session, if any, is resumed
+ *          instead. Pass the variant_seed of an earlier session to replay
+ *          its seeded answer variants exactly.
  * @access  Private (Demo User)
  */
 router.post('/agents/:id/chat/start', async (req, res) => {
   try {
     const agentId = req.params.id;
+    const { variant_seed, resume } = req.body;
+
+    if (variant_seed !== undefined && !(Number.isInteger(variant_seed) && variant_seed >= 0 && variant_seed < 2 ** 31)) {
+      return res.status(400).json({
+        success: false,
+        message: 'variant_seed must be a non-negative 32-bit integer'
+      });
+    }
 
     // Verify agent exists and is final
     const agent = await Agent.findOne({
@@ -124,31 +253,54 @@ router.post('/agents/:id/chat/start', async (req, res) => {
       });
     }
 
-    // End any existing active sessions for this user and agent
-    await ChatSession.update(
-      { is_active: false, ended_at: new Date() },
-      { 
-        where: { 
-          user_id: req.user.id, 
-          agent_id: agentId, 
-          is_active: true 
-        } 
+    if (resume === true) {
+      const activeSession = await ChatSession.findOne({
+        where: {
+          user_id: req.user.id,
+          agent_id: agentId,
+          is_active: true
+        },
+        order: [['started_at', 'DESC']]
+      });
+
+      if (activeSession) {
+        await activeSession.update({ last_activity_at: new Date() });
+        return res.json(await resumedSessionResponse(activeSession, 'Chat session resumed'));
       }
-    );
+    }
+
+    // End any existing active sessions for this user and agent
+    await endActiveSessions(req.user.id, agentId);
 
     // Create new chat session
     const session = await ChatSession.create({
       user_id: req.user.id,
-      agent_id: agentId
+      agent_id: agentId,
+      variant_seed: variant_seed ?? generateSeed()
     });
 
     // Increment agent access count
     await agent.increment('access_count');
 
+    // Open the conversation with the agent's greeting, if it has one
+    const messages = [];
+    if (agent.greeting_message) {
+      const greeting = await ChatMessage.create({
+        session_id: session.id,
+        message_type: 'agent',
+        message_text: agent.greeting_message,
+        message_html: textToHtml(agent.greeting_message),
+        response_source: 'greeting'
+      });
+      messages.push(formatMessage(greeting));
+    }
+
     res.json({
       success: true,
       message: 'Chat session started',
-      session_id: session.id
+      session_id: session.id,
+      variant_seed: session.variant_seed,
+      messages
     });
   } catch (error) {
     console.error('Error starting chat session:', error);
@@ -161,7 +313,10 @@ router.post('/agents/:id/chat/start', async (req, res) => {
 
 /**
  * @route   POST /demo/chat/:sessionId/message
- * @desc    Send a message in a chat session
+ * @desc    Send a message in a chat session. A reply offering quick-reply
+ *          choices returns them in choices; send the clicked one's label
+ *          as message and its ID as choice_id. Administrators can send
+ *          debug: true to get the ranked candidates and threshold decision.
  * @access  Private (Demo User)
  */
 router.post('/chat/:sessionId/message', async (req, res) => {
@@ -177,61 +332,23 @@ router.post('/chat/:sessionId/message', async (req, res) => {
     }
 
     // Verify session exists and belongs to user
-    const session = await ChatSession.findOne({
-      where: {
-        id: sessionId,
-        user_id: req.user.id,
-        is_active: true
-      },
-      include: [{
-        model: Agent,
-        as: 'agent'
-      }]
-    });
+    const session = await findActiveSession(sessionId, req.user.id);
 
     if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat session not found or not active'
-      });
+      return sendSessionNotActive(req, res, sessionId);
     }
 
-    // Save user message
-    const userMessage = await ChatMessage.create({
-      session_id: sessionId,
-      message_type: 'user',
-      message_text: message.trim()
-    });
-
-    // Find matching answer
-    const response = await findMatchingAnswer(session.agent.id, message.trim());
-
-    // Save agent response
-    const agentMessage = await ChatMessage.create({
-      session_id: sessionId,
-      message_type: 'agent',
-      message_text: response.text,
-      message_html: response.html,
-      question_id: response.question_id,
-      answer_id: response.answer_id
+    const userMessage = await saveUserMessage(session, message.trim());
+    const { agentMessage, response } = await replyToMessage(session, message.trim(), req.user, {
+      debug: wantsDebug(req),
+      choiceId: clickedChoice(req)
     });
 
     res.json({
       success: true,
       messages: [
-        {
-          id: userMessage.id,
-          type: 'user',
-          text: userMessage.message_text,
-          timestamp: userMessage.timestamp
-        },
-        {
-          id: agentMessage.id,
-          type: 'agent',
-          text: agentMessage.message_text,
-          html: agentMessage.message_html,
-          timestamp: agentMessage.timestamp
-        }
+        formatMessage(userMessage),
+        formatMessage(agentMessage, replyExtras(response))
       ]
     });
   } catch (error) {
@@ -243,15 +360,100 @@ router.post('/chat/:sessionId/message', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /demo/chat/:sessionId/message/stream
+ * @desc    Send a message and stream the agent reply over Server-Sent Events
+ *          Events: user_message, thinking, token ({ chunk } of reply HTML), done, error
+ * @access  Private (Demo User)
+ */
+router.post('/chat/:sessionId/message/stream', async (req, res) => {
+  const { message } = req.body;
+  const startedAt = Date.now();
+
+  if (!message || message.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message is required'
+    });
+  }
+
+  let session;
+  try {
+    // Verify session exists and belongs to user
+    session = await findActiveSession(req.params.sessionId, req.user.id);
+  } catch (error) {
+    console.error('Error loading chat session:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error processing message'
+    });
+  }
+
+  if (!session) {
+    try {
+      return await sendSessionNotActive(req, res, req.params.sessionId);
+    } catch (error) {
+      console.error('Error loading chat session:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error processing message'
+      });
+    }
+  }
+
+  // Stop typing if the client goes away; the reply is still saved
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  openEventStream(res);
+
+  try {
+    const userMessage = await saveUserMessage(session, message.trim());
+    writeEvent(res, 'user_message', formatMessage(userMessage));
+    writeEvent(res, 'thinking', {});
+
+    const { agentMessage, response } = await replyToMessage(session, message.trim(), req.user, {
+      debug: wantsDebug(req),
+      choiceId: clickedChoice(req)
+    });
+
+    await waitForThinkingDelay(session.agent, startedAt);
+    await streamHtml(res, session.agent, agentMessage.message_html, () => closed);
+
+    if (!closed) {
+      writeEvent(res, 'done', formatMessage(agentMessage, replyExtras(response)));
+    }
+  } catch (error) {
+    console.error('Error streaming chat message:', error);
+    if (!closed) {
+      writeEvent(res, 'error', { message: 'Error processing message' });
+    }
+  }
+
+  res.end();
+});
+
 /**
  * @route   GET /demo/chat/:sessionId/history
- * @desc    Get chat history for a session (last 10 messages)
+ * @desc    Get a page of a session's chat history, newest page first.
+ *          Query: limit (default 20, max 100), before (next_cursor of the
+ *          previous page, to load older messages)
  * @access  Private (Demo User)
  */
 router.get('/chat/:sessionId/history', async (req, res) => {
   try {
     const sessionId = req.params.sessionId;
 
+    const before = req.query.before ? decodeHistoryCursor(req.query.before) : null;
+    if (req.query.before && !before) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid history cursor'
+      });
+    }
+
     // Verify session belongs to user
     const session = await ChatSession.findOne({
       where: {
@@ -267,25 +469,16 @@ router.get('/chat/:sessionId/history', async (req, res) => {
       });
     }
 
-    // Get last 10 messages
-    const messages = await ChatMessage.findAll({
-      where: { session_id: sessionId },
-      order: [['timestamp', 'DESC']],
-      limit: 10
-    });
-
-    // Reverse to show chronological order
-    const chronologicalMessages = messages.reverse().map(msg => ({
-      id: msg.id,
-      type: msg.message_type,
-      text: msg.message_text,
-      html: msg.message_html,
-      timestamp: msg.timestamp
-    }));
+    const history = await findHistoryPage(sessionId, {
+      before,
+      limit: parseInt(req.query.limit, 10) || undefined
+    });
 
     res.json({
       success: true,
-      messages: chronologicalMessages
+      messages: history.messages.map(msg => formatMessage(msg)),
+      has_more: history.has_more,
+      next_cursor: history.next_cursor
     });
   } catch (error) {
     console.error('Error fetching chat history:', error);
@@ -296,6 +489,48 @@ router.get('/chat/:sessionId/history', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /demo/chat/:sessionId/export
+ * @desc    Download a session's full transcript with the agent's metadata.
+ *          Query: format (md, html, pdf or json; default md)
+ * @access  Private (Demo User)
+ */
+router.get('/chat/:sessionId/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+
+    if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+      });
+    }
+
+    const transcript = await loadTranscript(req.params.sessionId, req.user.id);
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    const { body, contentType, filename } = await renderTranscript(transcript, format);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting chat transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting chat transcript'
+    });
+  }
+});
+
 /**
  * @route   POST /demo/chat/:sessionId/end
  * @desc    End a chat session
@@ -324,9 +559,14 @@ router.post('/chat/:sessionId/end', async (req, res) => {
     // End session
     await session.update({
       is_active: false,
-      ended_at: new Date()
+      ended_at: new Date(),
+      end_reason: 'user'
     });
 
+    // Disconnect any audience watching the session
+    revokeJoinCode(session.id);
+    publishSessionEvent(session.id, { type: 'session_ended' });
+
     res.json({
       success: true,
       message: 'Chat session ended'
@@ -341,195 +581,393 @@ router.post('/chat/:sessionId/end', async (req, res) => {
 });
 
 /**
- * @route   GET /demo/chat/sessions
- * @desc    Get user's recent chat sessions
+ * @route   POST /demo/chat/messages/:messageId/regenerate
+ * @desc    "Give me another answer": reply again with a different phrasing of
+ *          the same answer, saved as a sibling linked by parent_message_id.
+ *          Phrasings don't repeat until all of them have been shown.
  * @access  Private (Demo User)
  */
-router.get('/chat/sessions', async (req, res) => {
+router.post('/chat/messages/:messageId/regenerate', async (req, res) => {
   try {
-    const sessions = await ChatSession.findAll({
-      where: { user_id: req.user.id },
+    // Verify the message is an agent reply in one of the user's sessions
+    const message = await ChatMessage.findOne({
+      where: {
+        id: req.params.messageId,
+        message_type: 'agent'
+      },
       include: [{
-        model: Agent,
-        as: 'agent',
-        attributes: ['id', 'name'],
-        include: [{
-          model: Domain,
-          as: 'domain',
-          attributes: ['name']
-        }]
-      }],
-      order: [['started_at', 'DESC']],
-      limit: 20
+        model: ChatSession,
+        as: 'session',
+        attributes: ['id'],
+        where: { user_id: req.user.id }
+      }]
     });
 
-    const sessionList = sessions.map(session => ({
-      id: session.id,
-      agent: {
-        id: session.agent.id,
-        name: session.agent.name,
-        domain: session.agent.domain.name
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent message not found'
+      });
+    }
+
+    // ...that is still active, expiring it here if it has been idle too long
+    const session = await findActiveSession(message.session_id, req.user.id);
+    if (!session) {
+      return await sendSessionNotActive(req, res, message.session_id);
+    }
+
+    if (!message.answer_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only curated answers can be regenerated'
+      });
+    }
+
+    const alternative = await regenerateReply(session, message);
+
+    if (!alternative) {
+      return res.status(400).json({
+        success: false,
+        message: 'This answer has no other phrasings'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: formatMessage(alternative)
+    });
+  } catch (error) {
+    console.error('Error regenerating reply:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating reply'
+    });
+  }
+});
+
+/**
+ * @route   GET /demo/chat/messages/:messageId/alternatives
+ * @desc    Get an agent reply and all its alternative phrasings, oldest first,
+ *          so the chat can flip between them
+ * @access  Private (Demo User)
+ */
+router.get('/chat/messages/:messageId/alternatives', async (req, res) => {
+  try {
+    const message = await ChatMessage.findOne({
+      where: {
+        id: req.params.messageId,
+        message_type: 'agent'
       },
-      started_at: session.started_at,
-      ended_at: session.ended_at,
-      is_active: session.is_active
-    }));
+      include: [{
+        model: ChatSession,
+        as: 'session',
+        where: { user_id: req.user.id },
+        attributes: ['id']
+      }]
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent message not found'
+      });
+    }
+
+    const originalId = message.parent_message_id || message.id;
+    const messages = await ChatMessage.findAll({
+      where: {
+        [Op.or]: [{ id: originalId }, { parent_message_id: originalId }]
+      },
+      order: [['timestamp', 'ASC']]
+    });
 
     res.json({
       success: true,
-      sessions: sessionList
+      original_message_id: originalId,
+      messages: messages.map(msg => formatMessage(msg))
     });
   } catch (error) {
-    console.error('Error fetching chat sessions:', error);
+    console.error('Error fetching reply alternatives:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching chat sessions'
+      message: 'Error fetching reply alternatives'
     });
   }
 });
 
-// =============================================================================
-// HELPER FUNCTIONS
-// =============================================================================
+// Longest accepted feedback comment
+const MAX_FEEDBACK_COMMENT_LENGTH = 2000;
 
 /**
- * Find matching answer for user question
- * @param {string} agentId - Agent ID
- * @param {string} userMessage - User's message
- * @returns {Object} Response object with text, html, and IDs
+ * @route   POST /demo/chat/messages/:messageId/feedback
+ * @desc    Rate an agent reply ("up" or "down") with an optional comment.
+ *          Rating the same message again replaces the earlier rating.
+ * @access  Private (Demo User)
  */
-async function findMatchingAnswer(agentId, userMessage) {
+router.post('/chat/messages/:messageId/feedback', async (req, res) => {
   try {
-    const lowerMessage = userMessage.toLowerCase().trim();
+    const { rating } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : null;
 
-    // Get all final questions and their variants for this agent
-    const questions = await Question.findAll({
-      where: { 
-        agent_id: agentId,
-        status: 'Final'
+    if (!['up', 'down'].includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be "up" or "down"'
+      });
+    }
+
+    if (comment && comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters`
+      });
+    }
+
+    // Verify the message is an agent reply in one of the user's sessions
+    const message = await ChatMessage.findOne({
+      where: {
+        id: req.params.messageId,
+        message_type: 'agent'
       },
       include: [{
-        model: Answer,
-        as: 'answer',
-        where: { status: 'Final' },
-        include: [{
-          model: AnswerVariant,
-          as: 'variants',
-          where: { is_approved: true },
-          required: false
-        }]
-      }, {
-        model: QuestionVariant,
-        as: 'variants',
-        where: { is_approved: true },
-        required: false
+        model: ChatSession,
+        as: 'session',
+        where: { user_id: req.user.id },
+        attributes: ['id', 'agent_id']
       }]
     });
 
-    let bestMatch = null;
-    let bestScore = 0;
-
-    // Check each question and its variants for matches
-    for (const question of questions) {
-      if (!question.answer) continue;
-
-      // Check original question
-      const originalScore = calculateSimilarity(lowerMessage, question.question_text.toLowerCase());
-      if (originalScore > bestScore) {
-        bestMatch = {
-          question_id: question.id,
-          answer_id: question.answer.id,
-          text: question.answer.answer_text,
-          html: question.answer.answer_html,
-          score: originalScore
-        };
-        bestScore = originalScore;
-      }
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent message not found'
+      });
+    }
 
-      // Check question variants
-      for (const variant of question.variants) {
-        const variantScore = calculateSimilarity(lowerMessage, variant.variant_text.toLowerCase());
-        if (variantScore > bestScore) {
-          // Use a random answer variant if available
-          const answerVariants = question.answer.variants;
-          let selectedAnswer = {
-            text: question.answer.answer_text,
-            html: question.answer.answer_html
-          };
-
-          if (answerVariants && answerVariants.length > 0) {
-            const randomVariant = answerVariants[Math.floor(Math.random() * answerVariants.length)];
-            selectedAnswer = {
-              text: randomVariant.variant_text,
-              html: randomVariant.variant_html
-            };
-          }
-
-          bestMatch = {
-            question_id: question.id,
-            answer_id: question.answer.id,
-            text: selectedAnswer.text,
-            html: selectedAnswer.html,
-            score: variantScore
-          };
-          bestScore = variantScore;
-        }
+    const values = {
+      rating,
+      comment: comment || null,
+      agent_id: message.session.agent_id,
+      question_id: message.question_id,
+      answer_id: message.answer_id,
+      answer_variant_id: message.answer_variant_id,
+      answer_variant_text: message.answer_variant_id ? message.message_text : null
+    };
+
+    let feedback = await MessageFeedback.findOne({
+      where: {
+        message_id: message.id,
+        user_id: req.user.id
       }
+    });
+
+    if (feedback) {
+      await feedback.update(values);
+    } else {
+      feedback = await MessageFeedback.create({
+        message_id: message.id,
+        user_id: req.user.id,
+        ...values
+      });
     }
 
-    // If we found a reasonable match (score > 0.3), return it
-    if (bestMatch && bestScore > 0.3) {
-      return bestMatch;
+    res.json({
+      success: true,
+      message: 'Feedback recorded',
+      feedback: {
+        id: feedback.id,
+        message_id: feedback.message_id,
+        rating: feedback.rating,
+        comment: feedback.comment
+      }
+    });
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording feedback'
+    });
+  }
+});
+
+/**
+ * @route   POST /demo/chat/:sessionId/join-code
+ * @desc    Get a short join code that lets an audience screen mirror the
+ *          session read-only over the chat WebSocket (?join_code=<code>)
+ * @access  Private (Demo User)
+ */
+router.post('/chat/:sessionId/join-code', async (req, res) => {
+  try {
+    // Only the session's presenter can share it
+    const session = await findActiveSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return sendSessionNotActive(req, res, req.params.sessionId);
     }
 
-    // Return fallback response
-    return {
-      question_id: null,
-      answer_id: null,
-      text: "I'm sorry, I don't have information about that topic. Could you please rephrase your question or ask about something else?",
-      html: "I'm sorry, I don't have information about that topic. Could you please rephrase your question or ask about something else?",
-      score: 0
-    };
+    const { code, expiresAt } = createJoinCode(session.id);
+
+    res.json({
+      success: true,
+      join_code: code,
+      expires_at: expiresAt,
+      socket_path: CHAT_SOCKET_PATH
+    });
   } catch (error) {
-    console.error('Error finding matching answer:', error);
-    return {
-      question_id: null,
-      answer_id: null,
-      text: "I'm experiencing technical difficulties. Please try again later.",
-      html: "I'm experiencing technical difficulties. Please try again later.",
-      score: 0
-    };
+    console.error('Error creating join code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating join code'
+    });
   }
-}
+});
 
 /**
- * Calculate similarity between two strings using simple word matching
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Similarity score between 0 and 1
+ * @route   GET /demo/join/:code
+ * @desc    Look up the live session behind a join code (audience view)
+ * @access  Private (Demo User)
  */
-function calculateSimilarity(str1, str2) {
-  // Simple word-based similarity calculation
-  const words1 = str1.split(/\s+/).filter(word => word.length > 2);
-  const words2 = str2.split(/\s+/).filter(word => word.length > 2);
+router.get('/join/:code', async (req, res) => {
+  try {
+    const sessionId = resolveJoinCode(req.params.code);
+
+    const session = sessionId && await ChatSession.findOne({
+      where: { id: sessionId, is_active: true },
+      include: [{
+        model: Agent,
+        as: 'agent',
+        attributes: ['id', 'name']
+      }]
+    });
 
-  if (words1.length === 0 || words2.length === 0) {
-    return 0;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join code not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      session: {
+        id: session.id,
+        agent: session.agent,
+        started_at: session.started_at
+      },
+      socket_path: CHAT_SOCKET_PATH
+    });
+  } catch (error) {
+    console.error('Error resolving join code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving join code'
+    });
   }
+});
+
+/**
+ * @route   POST /demo/chat/:sessionId/resume
+ * @desc    Resume one of the user's earlier sessions, making it the active
+ *          session with its agent, and return its latest page of history
+ * @access  Private (Demo User)
+ */
+router.post('/chat/:sessionId/resume', async (req, res) => {
+  try {
+    const session = await ChatSession.findOne({
+      where: {
+        id: req.params.sessionId,
+        user_id: req.user.id
+      },
+      include: [{
+        model: Agent,
+        as: 'agent',
+        attributes: ['id', 'status']
+      }]
+    });
 
-  let matches = 0;
-  const totalWords = Math.max(words1.length, words2.length);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
 
-  for (const word1 of words1) {
-    for (const word2 of words2) {
-      if (word1.includes(word2) || word2.includes(word1)) {
-        matches++;
-        break;
-      }
+    if (session.agent.status !== 'Final') {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found or not available'
+      });
     }
+
+    if (!session.is_active) {
+      await endActiveSessions(req.user.id, session.agent_id);
+    }
+
+    await session.update({
+      is_active: true,
+      ended_at: null,
+      end_reason: null,
+      last_activity_at: new Date()
+    });
+
+    res.json(await resumedSessionResponse(session, 'Chat session resumed'));
+  } catch (error) {
+    console.error('Error resuming chat session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming chat session'
+    });
   }
+});
+
+/**
+ * @route   GET /demo/chat/sessions
+ * @desc    Get user's recent chat sessions
+ * @access  Private (Demo User)
+ */
+router.get('/chat/sessions', async (req, res) => {
+  try {
+    const sessions = await ChatSession.findAll({
+      where: { user_id: req.user.id },
+      include: [{
+        model: Agent,
+        as: 'agent',
+        attributes: ['id', 'name'],
+        include: [{
+          model: Domain,
+          as: 'domain',
+          attributes: ['name']
+        }]
+      }],
+      order: [['started_at', 'DESC']],
+      limit: 20
+    });
+
+    const sessionList = sessions.map(session => ({
+      id: session.id,
+      agent: {
+        id: session.agent.id,
+        name: session.agent.name,
+        domain: session.agent.domain.name
+      },
+      started_at: session.started_at,
+      ended_at: session.ended_at,
+      is_active: session.is_active,
+      end_reason: session.end_reason,
+      variant_seed: session.variant_seed
+    }));
 
-  return matches / totalWords;
-}
+    res.json({
+      success: true,
+      sessions: sessionList
+    });
+  } catch (error) {
+    console.error('Error fetching chat sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chat sessions'
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
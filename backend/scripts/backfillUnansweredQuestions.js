@@ -0,0 +1,113 @@
+const { Op } = require('sequelize');
+const { sequelize, ChatSession, ChatMessage, UnansweredQuestion } = require('../models');
+const { recordUnansweredQuestion } = require('../services/unansweredQuestionService');
+
+/**
+ * Unanswered Questions Backfill Script
+ *
+ * Adds the questions that got a fallback reply before the unanswered
+ * questions inbox existed. Every agent reply sent before the cutoff with
+ * response_source "fallback" (or, for replies older than response_source,
+ * no source and no matched question) is traced back to the user message
+ * it answered, which is recorded in the inbox at the time it was asked.
+ *
+ * The cutoff defaults to the creation of the first inbox entry, i.e. when
+ * the inbox started recording. Run the script once: a second run would
+ * count the same messages again.
+ *
+ * Usage: npm run backfill:unanswered -- [--before 2024-05-01T00:00:00Z] [--dry-run]
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Read the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { before, dryRun }
+ */
+const parseArgs = (args) => {
+  const options = { before: null, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--before') {
+      options.before = new Date(args[++i]);
+      if (Number.isNaN(options.before.getTime())) {
+        throw new Error('--before must be a date, e.g. 2024-05-01T00:00:00Z');
+      }
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * The user message an agent reply answered: the latest one before it
+ * @param {Object} reply - Agent ChatMessage
+ * @returns {Promise<Object|null>} User ChatMessage
+ */
+const findAnsweredMessage = (reply) => {
+  return ChatMessage.findOne({
+    where: {
+      session_id: reply.session_id,
+      message_type: 'user',
+      timestamp: { [Op.lte]: reply.timestamp }
+    },
+    order: [['timestamp', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+const main = async () => {
+  const { before, dryRun } = parseArgs(process.argv.slice(2));
+  const cutoff = before || (await UnansweredQuestion.min('created_at')) || new Date();
+
+  console.log(`Backfilling fallback replies sent before ${new Date(cutoff).toISOString()}${dryRun ? ' (dry run)' : ''}`);
+
+  let recorded = 0;
+  let skipped = 0;
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const replies = await ChatMessage.findAll({
+      where: {
+        message_type: 'agent',
+        parent_message_id: null,
+        timestamp: { [Op.lt]: cutoff },
+        [Op.or]: [
+          { response_source: 'fallback' },
+          { response_source: null, question_id: null }
+        ]
+      },
+      include: [{ model: ChatSession, as: 'session', attributes: ['agent_id'] }],
+      order: [['timestamp', 'ASC'], ['id', 'ASC']],
+      limit: BATCH_SIZE,
+      offset
+    });
+    if (replies.length === 0) break;
+
+    for (const reply of replies) {
+      // Greetings have no user message before them
+      const question = await findAnsweredMessage(reply);
+      if (!question || !reply.session) {
+        skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await recordUnansweredQuestion(reply.session.agent_id, question.message_text, { seenAt: question.timestamp });
+      }
+      recorded++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Would record' : 'Recorded'} ${recorded} unanswered questions (${skipped} replies skipped)`);
+};
+
+main()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,98 @@
+const path = require('path');
+const { calculateSimilarity } = require('../services/textAnalysisService');
+
+/**
+ * Matching Evaluation Script
+ *
+ * Replays the labelled paraphrases in fixtures/matchingParaphrases.json
+ * against their question set and reports the hit rate of the current
+ * calculateSimilarity compared with the original word-inclusion matcher.
+ * A paraphrase is a hit when its expected question scores highest and
+ * clears the default 0.3 threshold.
+ *
+ * Usage: npm run eval:matching
+ * Exits non-zero if the current matcher scores below the original one.
+ */
+
+const MATCH_THRESHOLD = 0.3;
+
+const fixture = require(path.join(__dirname, 'fixtures', 'matchingParaphrases.json'));
+
+/**
+ * The original matcher: raw substring inclusion between words longer than 2 characters
+ */
+const legacySimilarity = (str1, str2) => {
+  const words1 = str1.split(/\s+/).filter(word => word.length > 2);
+  const words2 = str2.split(/\s+/).filter(word => word.length > 2);
+
+  if (words1.length === 0 || words2.length === 0) {
+    return 0;
+  }
+
+  let matches = 0;
+  const totalWords = Math.max(words1.length, words2.length);
+
+  for (const word1 of words1) {
+    for (const word2 of words2) {
+      if (word1.includes(word2) || word2.includes(word1)) {
+        matches++;
+        break;
+      }
+    }
+  }
+
+  return matches / totalWords;
+};
+
+/**
+ * Evaluate a similarity function over the fixture
+ * @param {Function} similarity - (message, questionText) => score
+ * @returns {Object} { hits, total, misses }
+ */
+const evaluate = (similarity) => {
+  const misses = [];
+
+  for (const paraphrase of fixture.paraphrases) {
+    const message = paraphrase.text.toLowerCase().trim();
+    let best = { id: null, score: 0 };
+
+    for (const question of fixture.questions) {
+      const score = similarity(message, question.text.toLowerCase());
+      if (score > best.score) {
+        best = { id: question.id, score };
+      }
+    }
+
+    if (best.id !== paraphrase.expected || best.score <= MATCH_THRESHOLD) {
+      misses.push({ ...paraphrase, matched: best.id, score: Number(best.score.toFixed(2)) });
+    }
+  }
+
+  return {
+    hits: fixture.paraphrases.length - misses.length,
+    total: fixture.paraphrases.length,
+    misses
+  };
+};
+
+const formatRate = ({ hits, total }) => `${hits}/${total} (${((hits / total) * 100).toFixed(1)}%)`;
+
+const legacy = evaluate(legacySimilarity);
+const current = evaluate(calculateSimilarity);
+
+console.log('📊 Matching evaluation');
+console.log(`   Original matcher: ${formatRate(legacy)}`);
+console.log(`   Current matcher:  ${formatRate(current)}`);
+
+if (current.misses.length > 0) {
+  console.log('');
+  console.log('Current matcher misses:');
+  current.misses.forEach(miss => {
+    console.log(`   - "${miss.text}" → expected ${miss.expected}, got ${miss.matched || 'none'} (${miss.score})`);
+  });
+}
+
+if (current.hits < legacy.hits) {
+  console.error('❌ Current matcher regressed against the original matcher');
+  process.exit(1);
+}
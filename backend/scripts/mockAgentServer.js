@@ -0,0 +1,77 @@
+const express = require('express');
+require('dotenv').config();
+
+/**
+ * Mock External Agent Server
+ *
+ * A stand-in for Agentforce/Copilot/custom agent endpoints, for local
+ * development of agent connectors. Point a connector at one of:
+ *
+ *   POST http://localhost:4010/chat    Replies immediately
+ *   POST http://localhost:4010/slow    Replies after MOCK_AGENT_SLOW_MS (exercise timeouts)
+ *   POST http://localhost:4010/flaky   Fails every other request with 503 (exercise retries)
+ *
+ * Replies use the connector defaults: { reply, html }. When
+ * MOCK_AGENT_TOKEN is set, requests must send "Authorization: Bearer <token>".
+ *
+ * Usage: npm run mock:agent
+ */
+
+const PORT = process.env.MOCK_AGENT_PORT || 4010;
+const SLOW_MS = Number(process.env.MOCK_AGENT_SLOW_MS) || 15000;
+
+const app = express();
+app.use(express.json());
+
+// Optional bearer token check
+app.use((req, res, next) => {
+  const token = process.env.MOCK_AGENT_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+/**
+ * Build a canned reply for a message
+ */
+const buildReply = (message) => {
+  const text = String(message || '').trim();
+  const lower = text.toLowerCase();
+
+  if (/\b(hi|hello|hey)\b/.test(lower)) {
+    return {
+      reply: 'Hello! I am the mock agent. Ask me anything.',
+      html: '<p>Hello! I am the <strong>mock agent</strong>. Ask me anything.</p>'
+    };
+  }
+
+  return {
+    reply: `You asked: "${text}". This is a live reply from the mock agent.`,
+    html: `<p>You asked: <em>${text.replace(/[&<>"']/g, '')}</em></p><p>This is a live reply from the mock agent.</p>`
+  };
+};
+
+app.post('/chat', (req, res) => {
+  res.json(buildReply(req.body.message));
+});
+
+app.post('/slow', (req, res) => {
+  setTimeout(() => res.json(buildReply(req.body.message)), SLOW_MS);
+});
+
+let flakyCount = 0;
+app.post('/flaky', (req, res) => {
+  flakyCount++;
+  if (flakyCount % 2 === 1) {
+    return res.status(503).json({ error: 'Temporarily unavailable' });
+  }
+  res.json(buildReply(req.body.message));
+});
+
+app.listen(PORT, () => {
+  console.log(`🤖 Mock agent listening on http://localhost:${PORT}`);
+  console.log('   POST /chat   (immediate reply)');
+  console.log(`   POST /slow   (replies after ${SLOW_MS} ms)`);
+  console.log('   POST /flaky  (fails every other request with 503)');
+});
@@ -0,0 +1,88 @@
+const express = require('express');
+require('dotenv').config();
+
+/**
+ * Mock Paraphrase Server
+ *
+ * A stand-in for a local paraphrasing model (the "local_llm" paraphrase
+ * provider), for offline development. It speaks the provider protocol:
+ *
+ *   POST http://localhost:4020/paraphrase
+ *   { texts: [string], type, count, seed, model }
+ *   -> { paraphrases: [[string, ...], ...] }
+ *
+ * Paraphrases come from a few fixed rewrites, so the same text always gets
+ * the same paraphrases. When MOCK_PARAPHRASE_TOKEN is set, requests must
+ * send "Authorization: Bearer <token>".
+ *
+ * Usage: npm run mock:paraphrase
+ */
+
+const PORT = process.env.MOCK_PARAPHRASE_PORT || 4020;
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+// Optional bearer token check
+app.use((req, res, next) => {
+  const token = process.env.MOCK_PARAPHRASE_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+// Rewrites tried in order; each yields one paraphrase when it changes the text
+const REWRITES = [
+  [/\bhow do I\b/i, 'what steps do I take to'],
+  [/\bhow can I\b/i, 'what is the way to'],
+  [/\bwhat is\b/i, 'what\'s'],
+  [/\bcan I\b/i, 'am I able to'],
+  [/\bclick\b/i, 'select'],
+  [/\bopen\b/i, 'go to'],
+  [/\bchange\b/i, 'update'],
+  [/\bfind\b/i, 'look up'],
+  [/\bcontact\b/i, 'reach out to'],
+  [/\bquickly\b/i, 'fast'],
+  [/\bdo not\b/i, 'don\'t'],
+  [/\bcannot\b/i, 'can\'t']
+];
+
+/**
+ * Apply a rewrite, keeping the capital of the replaced word
+ */
+const rewrite = (text, [pattern, replacement]) => {
+  return text.replace(pattern, match =>
+    /^[A-Z]/.test(match) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement);
+};
+
+/**
+ * Paraphrases of one text, at most count
+ */
+const paraphrase = (text, count) => {
+  const results = [];
+  for (const rule of REWRITES) {
+    if (results.length >= count) break;
+    const result = rewrite(text, rule);
+    if (result !== text && !results.includes(result)) {
+      results.push(result);
+    }
+  }
+  return results;
+};
+
+app.post('/paraphrase', (req, res) => {
+  const { texts, count = 5 } = req.body || {};
+  if (!Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+    return res.status(400).json({ error: 'texts must be an array of strings' });
+  }
+
+  res.json({
+    paraphrases: texts.map(text => paraphrase(text, Math.max(1, Math.min(Number(count) || 5, 20))))
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔁 Mock paraphrase model listening on http://localhost:${PORT}`);
+  console.log('   POST /paraphrase  { texts, count } -> { paraphrases }');
+});
@@ -6,6 +6,8 @@ const session = require('express-session');
 const SequelizeStore = require('connect-session-sequelize')(session.Store);
 const rateLimit = require('express-rate-limit');
 const passport = require('./config/passport');
+const { attachChatSocket, CHAT_SOCKET_PATH } = require('./services/chatSocketService');
+const { startSessionReaper } = require('./services/sessionReaperService');
 const { testConnection, sequelize } = require('./config/database');
 require('dotenv').config();
 
@@ -18,6 +20,8 @@ require('dotenv').config();
  * - Session management with PostgreSQL storage
  * - Office 365 authentication
  * - API routes for admin and demo functionality
+ * - WebSocket chat transport (shares the session cookie)
+ * - Background expiry of idle chat sessions
  * - Error handling and logging
  */
 
@@ -43,15 +47,15 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// CORS configuration
+// CORS configuration (also used to check WebSocket origins)
+const allowedOrigins = [
+  process.env.FRONTEND_URL || 'http://localhost:3000',
+  'http://localhost:3000',
+  'https://login.microsoftonline.com'
+];
+
 const corsOptions = {
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      process.env.FRONTEND_URL || 'http://localhost:3000',
-      'http://localhost:3000',
-      'https://login.microsoftonline.com'
-    ];
-    
     // Allow requests with no origin (mobile apps, curl, etc.)
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
@@ -115,7 +119,10 @@ const sessionConfig = {
   name: 'newagentdemo.sid'
 };
 
-app.use(session(sessionConfig));
+// Kept in a variable so WebSocket upgrades can read the same session
+const sessionMiddleware = session(sessionConfig);
+
+app.use(sessionMiddleware);
 
 // =============================================================================
 // PASSPORT CONFIGURATION
@@ -234,7 +241,7 @@ async function initializeServer() {
     console.log('✅ Database models synchronized successfully');
 
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🌐 Server running on port ${PORT}`);
       console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
@@ -248,12 +255,19 @@ async function initializeServer() {
       console.log('   - GET  /api/admin/domains    (Admin: Domain management)');
       console.log('   - GET  /api/admin/agents     (Admin: Agent management)');
       console.log('   - GET  /api/demo/domains     (Demo: View available agents)');
+      console.log(`   - WS   ${CHAT_SOCKET_PATH}     (Demo: Live chat and audience mirror)`);
       console.log('');
       console.log('🔐 Authentication: Office 365 (Azure AD)');
       console.log('👥 User Roles: Administrator, Demo User');
       console.log('');
     });
 
+    // WebSocket chat transport
+    attachChatSocket(server, { sessionMiddleware, allowedOrigins });
+
+    // Close chat sessions left idle
+    startSessionReaper();
+
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,99 @@
+const { sequelize, ChatSession } = require('../models');
+const { createRandom, hashString } = require('./randomService');
+
+/**
+ * Answer Selection Service
+ *
+ * Chooses which answer to serve when a question variant matches: the
+ * canonical answer or one of its approved answer variants. Agents pick a
+ * policy through Agent.variant_selection:
+ *
+ * - random:      a random variant each time (default)
+ * - canonical:   always the canonical answer
+ * - round_robin: cycle through the variants, per session
+ * - seeded:      random, but derived from the session's variant_seed, so
+ *                replaying the same questions with the same seed serves
+ *                exactly the same answers
+ *
+ * Round-robin and seeded selection count how often each answer has been
+ * served in ChatSession.variant_state ({ [answerId]: count }). The count
+ * is incremented in the database, so concurrent replies in a session
+ * never serve the same turn twice. Call selectAnswer only for the answer
+ * that will actually be served.
+ */
+
+const VARIANT_SELECTION_POLICIES = ['random', 'canonical', 'round_robin', 'seeded'];
+const DEFAULT_VARIANT_SELECTION = 'random';
+
+/**
+ * Pick the variant index for the nth serving of an answer in a session
+ * @param {string} policy - round_robin or seeded
+ * @param {Object} session - ChatSession instance
+ * @param {string} answerId - Answer ID
+ * @param {number} served - Times the answer was already served in the session
+ * @param {number} count - Number of variants
+ * @returns {number} Variant index
+ */
+const sessionVariantIndex = (policy, session, answerId, served, count) => {
+  if (policy === 'round_robin') {
+    return served % count;
+  }
+
+  // Sessions created before seeds existed get one derived from their ID
+  const seed = session.variant_seed ?? hashString(session.id);
+  const random = createRandom(`${seed}:${answerId}:${served}`);
+  return Math.floor(random() * count);
+};
+
+/**
+ * Count one more serving of an answer in a session
+ * @param {Object} session - ChatSession instance
+ * @param {string} answerId - Answer ID
+ * @returns {Promise<number>} Times the answer was served before this one
+ */
+const countServing = async (session, answerId) => {
+  const key = sequelize.escape(answerId);
+  const [, [updated]] = await ChatSession.update({
+    variant_state: sequelize.literal(
+      `jsonb_set(COALESCE(variant_state, '{}'::jsonb), ARRAY[${key}], ` +
+      `to_jsonb(COALESCE((variant_state->>${key})::int, 0) + 1))`
+    )
+  }, {
+    where: { id: session.id },
+    returning: ['variant_state']
+  });
+
+  return updated ? updated.variant_state[answerId] - 1 : 0;
+};
+
+/**
+ * Choose the answer to serve for a matched question variant
+ * @param {Object} agent - Agent instance (variant_selection)
+ * @param {Object} answer - Indexed answer { id, text, html, variants }
+ * @param {Object|null} session - ChatSession instance (needed for round_robin and seeded)
+ * @returns {Promise<Object>} { variant_id, text, html } (variant_id null for the canonical answer)
+ */
+const selectAnswer = async (agent, answer, session) => {
+  const canonical = { variant_id: null, text: answer.text, html: answer.html };
+  const variants = answer.variants;
+  const policy = agent.variant_selection || DEFAULT_VARIANT_SELECTION;
+
+  if (variants.length === 0 || policy === 'canonical') {
+    return canonical;
+  }
+
+  let variant;
+  if (policy === 'random' || !session) {
+    variant = variants[Math.floor(Math.random() * variants.length)];
+  } else {
+    const served = await countServing(session, answer.id);
+    variant = variants[sessionVariantIndex(policy, session, answer.id, served, variants.length)];
+  }
+
+  return { variant_id: variant.id, text: variant.text, html: variant.html };
+};
+
+module.exports = {
+  VARIANT_SELECTION_POLICIES,
+  selectAnswer
+};
@@ -0,0 +1,51 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Chat Event Service
+ *
+ * In-process publish/subscribe for chat session activity. Chat logic
+ * publishes an event whenever a session changes, whichever transport
+ * the presenter uses (REST, streaming or WebSocket), and the WebSocket
+ * server relays the events to every client watching that session.
+ *
+ * Events are plain objects:
+ *
+ *   { type: 'message', message }    // a saved message, in API format
+ *   { type: 'session_ended' }
+ *
+ * The bus lives in this process only; running several API instances
+ * behind a load balancer would need a shared bus instead.
+ */
+
+const emitter = new EventEmitter();
+
+// One listener per connected WebSocket client, so no listener cap
+emitter.setMaxListeners(0);
+
+const channelFor = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Publish an event for a chat session
+ * @param {string} sessionId - ChatSession ID
+ * @param {Object} event - Event ({ type, ... })
+ */
+const publishSessionEvent = (sessionId, event) => {
+  emitter.emit(channelFor(sessionId), event);
+};
+
+/**
+ * Listen to a chat session's events
+ * @param {string} sessionId - ChatSession ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToSession = (sessionId, listener) => {
+  const channel = channelFor(sessionId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+module.exports = {
+  publishSessionEvent,
+  subscribeToSession
+};
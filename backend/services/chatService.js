@@ -0,0 +1,620 @@
+const { Op } = require('sequelize');
+const { Agent, AgentConnector, Answer, AnswerVariant, ChatSession, ChatMessage } = require('../models');
+const { getAgentIndex } = require('./searchIndexService');
+const { getMatcher } = require('./matcherService');
+const { stripHtml } = require('./textVariantService');
+const { explainSimilarity } = require('./textAnalysisService');
+const { sendToAgent } = require('./connectorService');
+const { selectAnswer } = require('./answerSelectionService');
+const { publishSessionEvent } = require('./chatEventService');
+const { recordUnansweredQuestion } = require('./unansweredQuestionService');
+const { loadNode, findEntryNode, formatChoices, continueFlow } = require('./flowService');
+const { findRelatedQuestions } = require('./relatedQuestionService');
+const { isSessionIdle, expireSession } = require('./sessionReaperService');
+
+/**
+ * Chat Service
+ *
+ * Conversation logic shared by every chat transport (REST, streaming,
+ * WebSocket):
+ * - Loading a user's active chat session
+ * - Saving user and agent messages (published to the session's watchers)
+ * - Paging through a session's history, newest first
+ * - Alternative phrasings of a curated reply ("give me another answer")
+ * - Answer selection across curated Q&A and live connectors
+ * - Following conversation flows (quick-reply choices) across messages
+ * - Related follow-up questions offered with curated replies
+ * - Collecting unanswered questions for the admin inbox
+ * - Shaping messages for API responses
+ */
+
+// Platform defaults for agents that don't configure their own messages
+const DEFAULT_MIN_CONFIDENCE = 0.3;
+const DEFAULT_FALLBACK_MESSAGE = "I'm sorry, I don't have information about that topic. Could you please rephrase your question or ask about something else?";
+const DEFAULT_ERROR_MESSAGE = "I'm experiencing technical difficulties. Please try again later.";
+
+// Number of ranked candidates considered per chat message
+const MATCH_CANDIDATE_LIMIT = 20;
+
+// "Did you mean" suggestions offered when no answer clears the threshold
+const MAX_SUGGESTIONS = 5;
+const SUGGESTION_MIN_SCORE = 0.1;
+
+// Messages per history page, by default and at most
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Load a user's active chat session with its agent and connector. A
+ * session found idle beyond the timeout is expired instead.
+ * @param {string} sessionId - ChatSession ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<Object|null>} ChatSession instance
+ */
+const findActiveSession = async (sessionId, userId) => {
+  const session = await ChatSession.findOne({
+    where: {
+      id: sessionId,
+      user_id: userId,
+      is_active: true
+    },
+    include: [{
+      model: Agent,
+      as: 'agent',
+      include: [{
+        model: AgentConnector,
+        as: 'connector'
+      }]
+    }]
+  });
+
+  if (session && isSessionIdle(session)) {
+    await expireSession(session);
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Record activity on a session, postponing its idle expiry
+ * @param {Object} session - ChatSession instance
+ * @param {Object} msg - ChatMessage just saved
+ */
+const touchSession = (session, msg) => session.update({ last_activity_at: msg.timestamp });
+
+/**
+ * Encode a message's place in its session's history as an opaque cursor
+ * @param {Object} msg - ChatMessage instance
+ * @returns {string} Cursor
+ */
+const encodeHistoryCursor = (msg) => {
+  const position = { timestamp: new Date(msg.timestamp).toISOString(), id: msg.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decode a history cursor
+ * @param {string} cursor - Cursor from a previous history page
+ * @returns {Object|null} { timestamp, id }, or null when the cursor is invalid
+ */
+const decodeHistoryCursor = (cursor) => {
+  try {
+    const { timestamp, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(timestamp);
+    if (typeof id !== 'string' || Number.isNaN(date.getTime())) return null;
+    return { timestamp: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Load a page of a session's history, walking back from the newest message
+ * @param {string} sessionId - ChatSession ID
+ * @param {Object} options - { before } decoded cursor of the page's newer neighbour; { limit }
+ * @returns {Promise<Object>} { messages (oldest first), has_more, next_cursor }
+ */
+const findHistoryPage = async (sessionId, { before = null, limit = DEFAULT_HISTORY_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(MAX_HISTORY_PAGE_SIZE, Math.max(1, limit));
+  const where = { session_id: sessionId };
+
+  // Messages sharing a timestamp are ordered by ID
+  if (before) {
+    where[Op.or] = [
+      { timestamp: { [Op.lt]: before.timestamp } },
+      { timestamp: before.timestamp, id: { [Op.lt]: before.id } }
+    ];
+  }
+
+  const rows = await ChatMessage.findAll({
+    where,
+    order: [['timestamp', 'DESC'], ['id', 'DESC']],
+    limit: pageSize + 1
+  });
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  return {
+    messages: page.reverse(),
+    has_more: hasMore,
+    // Pass as before to load the next (older) page
+    next_cursor: hasMore ? encodeHistoryCursor(page[0]) : null
+  };
+};
+
+/**
+ * Save a user's message in a session
+ * @param {Object} session - ChatSession instance
+ * @param {string} text - Message text (already trimmed)
+ * @returns {Promise<Object>} ChatMessage instance
+ */
+const saveUserMessage = async (session, text) => {
+  const userMessage = await ChatMessage.create({
+    session_id: session.id,
+    message_type: 'user',
+    message_text: text
+  });
+  await touchSession(session, userMessage);
+
+  publishSessionEvent(session.id, { type: 'message', message: formatMessage(userMessage) });
+
+  return userMessage;
+};
+
+/**
+ * Answer a user's message and save the agent's reply
+ * @param {Object} session - ChatSession instance with agent and connector loaded
+ * @param {string} text - User's message text
+ * @param {Object} user - Current user
+ * @param {Object} options - { debug } include match debugging in response.debug;
+ *                           { choiceId } quick-reply choice the user clicked
+ * @returns {Promise<Object>} { agentMessage, response }
+ */
+const replyToMessage = async (session, text, user, { debug = false, choiceId = null } = {}) => {
+  const startedAt = Date.now();
+
+  // Find matching answer (curated and/or live, per the agent's policy)
+  const response = await findMatchingAnswer(session.agent, text, {
+    session,
+    user,
+    debug,
+    choiceId
+  });
+
+  const agentMessage = await ChatMessage.create({
+    session_id: session.id,
+    message_type: 'agent',
+    message_text: response.text,
+    message_html: response.html,
+    question_id: response.question_id,
+    answer_id: response.answer_id,
+    answer_variant_id: response.answer_variant_id || null,
+    response_source: response.source,
+    // Match diagnostics, for auditing why this reply was chosen
+    match_score: response.score ?? null,
+    match_target: response.match_target || null,
+    matched_question_variant_id: response.question_variant_id || null,
+    matched_question_variant_text: response.question_variant_text || null,
+    matcher_strategy: response.matcher_strategy || null,
+    processing_ms: Date.now() - startedAt,
+    flow_node_id: response.flow_node_id || null
+  });
+  await touchSession(session, agentMessage);
+
+  if (response.source === 'fallback') {
+    // Recorded once the reply is on its way, so the inbox never delays it
+    setImmediate(() => recordUnansweredQuestion(session.agent_id, text));
+  }
+
+  // The session waits on the reply's choices, if any; otherwise the flow ends
+  const currentFlowNodeId = response.choices && response.choices.length > 0 ? response.flow_node_id : null;
+  if (currentFlowNodeId !== (session.current_flow_node_id || null)) {
+    await session.update({ current_flow_node_id: currentFlowNodeId });
+  }
+
+  publishSessionEvent(session.id, {
+    type: 'message',
+    message: formatMessage(agentMessage, {
+      suggestions: response.suggestions || [],
+      related: response.related || [],
+      choices: response.choices || []
+    })
+  });
+
+  return { agentMessage, response };
+};
+
+/**
+ * Serve another phrasing of a curated reply, saved as a sibling message
+ *
+ * The phrasings of a reply are its canonical answer and the answer's
+ * approved variants. Phrasings already shown for the reply (the original
+ * message and its earlier alternatives) are not repeated until all of
+ * them have been shown; then the cycle starts over.
+ * @param {Object} session - ChatSession instance
+ * @param {Object} message - Agent ChatMessage (an original reply or one of its alternatives)
+ * @returns {Promise<Object|null>} New ChatMessage, or null when the answer has no other phrasing
+ */
+const regenerateReply = async (session, message) => {
+  const startedAt = Date.now();
+  const original = message.parent_message_id ? await ChatMessage.findByPk(message.parent_message_id) : message;
+
+  const answer = await Answer.findByPk(original.answer_id, {
+    include: [{
+      model: AnswerVariant,
+      as: 'variants',
+      where: { is_approved: true, archived_at: null },
+      required: false
+    }],
+    order: [
+      [{ model: AnswerVariant, as: 'variants' }, 'created_at', 'ASC'],
+      [{ model: AnswerVariant, as: 'variants' }, 'id', 'ASC']
+    ]
+  });
+
+  const phrasings = answer ? [
+    { variant_id: null, text: answer.answer_text, html: answer.answer_html },
+    ...answer.variants.map(variant => ({ variant_id: variant.id, text: variant.variant_text, html: variant.variant_html }))
+  ] : [];
+
+  if (phrasings.length < 2) {
+    return null;
+  }
+
+  const shownMessages = [original, ...await ChatMessage.findAll({
+    where: { parent_message_id: original.id },
+    order: [['timestamp', 'ASC']]
+  })];
+
+  // Phrasings shown in the current cycle, and the one on screen now
+  const keyOf = (variantId) => variantId || 'canonical';
+  const cycle = shownMessages.slice(shownMessages.length - (shownMessages.length % phrasings.length));
+  const shown = new Set(cycle.map(msg => keyOf(msg.answer_variant_id)));
+  const current = keyOf(shownMessages[shownMessages.length - 1].answer_variant_id);
+
+  const next = phrasings.find(phrasing => !shown.has(keyOf(phrasing.variant_id)) && keyOf(phrasing.variant_id) !== current)
+    || phrasings.find(phrasing => keyOf(phrasing.variant_id) !== current);
+
+  const alternative = await ChatMessage.create({
+    session_id: session.id,
+    message_type: 'agent',
+    message_text: next.text,
+    message_html: next.html,
+    question_id: original.question_id,
+    answer_id: original.answer_id,
+    answer_variant_id: next.variant_id,
+    response_source: original.response_source,
+    match_score: original.match_score,
+    match_target: original.match_target,
+    matched_question_variant_id: original.matched_question_variant_id,
+    matched_question_variant_text: original.matched_question_variant_text,
+    matcher_strategy: original.matcher_strategy,
+    processing_ms: Date.now() - startedAt,
+    parent_message_id: original.id
+  });
+  await touchSession(session, alternative);
+
+  publishSessionEvent(session.id, { type: 'message', message: formatMessage(alternative) });
+
+  return alternative;
+};
+
+/**
+ * Shape a ChatMessage for API responses
+ * @param {Object} msg - ChatMessage instance
+ * @param {Object} extras - Additional response-only fields
+ * @returns {Object} Message in API format
+ */
+const formatMessage = (msg, extras = {}) => {
+  return {
+    id: msg.id,
+    type: msg.message_type,
+    text: msg.message_text,
+    html: msg.message_html,
+    source: msg.response_source,
+    parent_message_id: msg.parent_message_id || null,
+    timestamp: msg.timestamp,
+    ...extras
+  };
+};
+
+/**
+ * Find matching answer for user question
+ *
+ * Delegates according to the agent's answering policy:
+ * - curated:           curated Q&A only
+ * - live:              the agent's live connector only
+ * - curated_then_live: curated Q&A, then the live connector when no
+ *                      curated answer clears the threshold (falling back
+ *                      to the curated fallback if the connector fails)
+ *
+ * While the session is in a conversation flow, a reply picking one of the
+ * current node's choices continues the flow instead (curated policies
+ * only). A message that matches nothing re-offers the node's choices.
+ * @param {Object} agent - Agent instance with its connector loaded
+ * @param {string} userMessage - User's message
+ * @param {Object} context - { session, user } forwarded to live connectors;
+ *                           { debug } adds a match explanation as response.debug;
+ *                           { choiceId } quick-reply choice the user clicked
+ * @returns {Object} Response object with text, html, IDs and source
+ */
+const findMatchingAnswer = async (agent, userMessage, { session, user, debug = false, choiceId = null } = {}) => {
+  const policy = agent.answering_policy || 'curated';
+  const connector = agent.connector && agent.connector.is_enabled ? agent.connector : null;
+
+  // Filled in along the way when debugging
+  const trace = debug ? { policy } : null;
+  const withTrace = (response, decision) => {
+    if (!trace) return response;
+    if (decision) trace.decision = decision;
+    return { ...response, debug: trace };
+  };
+
+  if (policy === 'live') {
+    if (!connector) {
+      console.error(`Agent ${agent.id} answers live but has no enabled connector`);
+      return withTrace(buildErrorResponse(agent), 'no_connector');
+    }
+
+    try {
+      return withTrace(await getLiveAnswer(connector, userMessage, session, user), 'live');
+    } catch (error) {
+      console.error('Error getting live agent answer:', error.message);
+      return withTrace(buildErrorResponse(agent), 'live_failed');
+    }
+  }
+
+  const flowNodeId = session ? session.current_flow_node_id : null;
+
+  if (flowNodeId) {
+    try {
+      const flowResponse = await continueFlow(session, userMessage, choiceId);
+      if (flowResponse) {
+        return withTrace(flowResponse, 'flow');
+      }
+    } catch (error) {
+      console.error('Error continuing conversation flow:', error);
+    }
+  }
+
+  const curated = await findCuratedAnswer(agent, userMessage, { session, trace });
+
+  if (policy === 'curated_then_live' && curated.source === 'fallback' && connector) {
+    try {
+      return withTrace(await getLiveAnswer(connector, userMessage, session, user), 'live');
+    } catch (error) {
+      console.error('Error getting live agent answer, using curated fallback:', error.message);
+      return withTrace(await reofferFlowChoices(curated, flowNodeId), 'live_failed');
+    }
+  }
+
+  return withTrace(await reofferFlowChoices(curated, flowNodeId));
+};
+
+/**
+ * Offer the current flow node's choices again with a fallback reply, so
+ * the user can still pick one after an unrelated or unclear message
+ * @param {Object} response - Curated response
+ * @param {string|null} flowNodeId - Session's current flow node
+ * @returns {Promise<Object>} The response, with the node's choices when re-offered
+ */
+const reofferFlowChoices = async (response, flowNodeId) => {
+  if (response.source !== 'fallback' || !flowNodeId) {
+    return response;
+  }
+
+  const node = await loadNode(flowNodeId);
+  if (!node || node.choices.length === 0) {
+    return response;
+  }
+
+  return { ...response, flow_node_id: node.id, choices: formatChoices(node) };
+};
+
+/**
+ * Find the best curated Q&A answer for a user question
+ *
+ * Candidates are ranked over the agent's cached search index by the
+ * matcher selected in Agent.match_strategy (see matcherService).
+ * @param {Object} agent - Agent instance (supplies strategy, threshold and fallback messages)
+ * @param {string} userMessage - User's message
+ * @param {Object} options - { session } for per-session answer variant selection;
+ *                           { trace } when given, filled with the ranked
+ *                           candidates and the threshold decision
+ * @returns {Object} Response object with text, html, IDs and source
+ */
+const findCuratedAnswer = async (agent, userMessage, { session = null, trace = null } = {}) => {
+  const minConfidence = agent.min_confidence ?? DEFAULT_MIN_CONFIDENCE;
+
+  try {
+    const lowerMessage = userMessage.toLowerCase().trim();
+
+    const index = await getAgentIndex(agent.id);
+    const matcher = getMatcher(agent.match_strategy);
+    const candidates = await matcher.rank(index, lowerMessage, { limit: MATCH_CANDIDATE_LIMIT });
+
+    if (trace) {
+      Object.assign(trace, {
+        matcher_strategy: matcher.name,
+        threshold: minConfidence,
+        candidates: candidates.map(candidate => explainCandidate(index, lowerMessage, matcher, candidate))
+      });
+    }
+
+    let bestDocument = null;
+    let bestScore = 0;
+    const questionScores = new Map();
+
+    // Check each candidate (original questions and variants alike)
+    for (const { document, score } of candidates) {
+      const questionId = document.question_id;
+
+      // Track each question's best score for "did you mean" suggestions
+      if (score > (questionScores.get(questionId) || 0)) {
+        questionScores.set(questionId, score);
+      }
+
+      if (score > bestScore) {
+        bestDocument = document;
+        bestScore = score;
+      }
+    }
+
+    if (trace) {
+      trace.best_score = bestScore;
+      trace.decision = !bestDocument ? 'no_candidates' : bestScore > minConfidence ? 'answered' : 'below_threshold';
+    }
+
+    // If the match clears the agent's confidence threshold, return it
+    if (bestDocument && bestScore > minConfidence) {
+      const question = index.questions.get(bestDocument.question_id);
+
+      // A question that starts a conversation flow offers the entry node's
+      // choices, with the node's own message when it has one
+      const entryNode = await findEntryNode(question.id);
+
+      // Otherwise a question variant match is answered per the agent's
+      // variant selection policy (which counts the serving)
+      let selectedAnswer;
+      if (entryNode && entryNode.message_html) {
+        selectedAnswer = { variant_id: null, text: entryNode.message_text, html: entryNode.message_html };
+      } else if (bestDocument.variant_id) {
+        selectedAnswer = await selectAnswer(agent, question.answer, session);
+      } else {
+        selectedAnswer = { variant_id: null, text: question.answer.text, html: question.answer.html };
+      }
+
+      return {
+        question_id: question.id,
+        question_variant_id: bestDocument.variant_id || null,
+        question_variant_text: bestDocument.variant_id ? bestDocument.text : null,
+        match_target: bestDocument.variant_id ? 'variant' : 'original',
+        matcher_strategy: matcher.name,
+        answer_id: question.answer.id,
+        answer_variant_id: selectedAnswer.variant_id,
+        text: selectedAnswer.text,
+        html: selectedAnswer.html,
+        score: bestScore,
+        source: 'curated',
+        related: findRelatedQuestions(index, question.id),
+        flow_node_id: entryNode ? entryNode.id : null,
+        choices: entryNode ? formatChoices(entryNode) : []
+      };
+    }
+
+    // Return fallback response with the closest near-miss questions
+    const suggestions = [...questionScores.entries()]
+      .filter(([, score]) => score >= SUGGESTION_MIN_SCORE)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([questionId, score]) => ({
+        question_id: questionId,
+        question_text: index.questions.get(questionId).question_text,
+        score: Math.round(score * 100) / 100
+      }));
+
+    const fallbackHtml = agent.fallback_message_html || DEFAULT_FALLBACK_MESSAGE;
+
+    // The score is the best near miss, kept for diagnostics
+    return {
+      question_id: null,
+      answer_id: null,
+      text: stripHtml(fallbackHtml),
+      html: fallbackHtml,
+      score: bestScore,
+      matcher_strategy: matcher.name,
+      source: 'fallback',
+      suggestions
+    };
+  } catch (error) {
+    console.error('Error finding matching answer:', error);
+    if (trace) {
+      trace.decision = 'error';
+    }
+    return buildErrorResponse(agent);
+  }
+};
+
+/**
+ * Describe one ranked candidate for match debugging
+ * @param {Object} index - Agent search index
+ * @param {string} query - Normalized user message
+ * @param {Object} matcher - Matcher that ranked the candidate
+ * @param {Object} candidate - { document, score, matchedTerms }
+ * @returns {Object} Candidate explanation
+ */
+const explainCandidate = (index, query, matcher, { document, score, matchedTerms }) => {
+  const explanation = {
+    question_id: document.question_id,
+    question_text: index.questions.get(document.question_id).question_text,
+    target: document.variant_id ? 'variant' : 'original',
+    question_variant_id: document.variant_id || null,
+    text: document.text,
+    score: Math.round(score * 1000) / 1000,
+    matched_terms: matchedTerms
+  };
+
+  // The lexical matcher scores word by word, so show each word's best match
+  if (matcher.name === 'lexical') {
+    explanation.word_matches = explainSimilarity(query, document.text.toLowerCase()).words;
+  }
+
+  return explanation;
+};
+
+/**
+ * Get a reply from a live agent connector
+ * @param {Object} connector - AgentConnector instance
+ * @param {string} userMessage - User's message
+ * @param {Object} session - ChatSession instance
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} Response object with text and html (no curated IDs)
+ * @throws {Error} When the connector fails after its retries
+ */
+const getLiveAnswer = async (connector, userMessage, session, user) => {
+  const reply = await sendToAgent(connector, {
+    message: userMessage,
+    sessionId: session ? session.id : null,
+    user
+  });
+
+  return {
+    question_id: null,
+    answer_id: null,
+    text: reply.text,
+    html: reply.html,
+    score: null,
+    source: 'live'
+  };
+};
+
+/**
+ * Build the agent's "technical difficulties" response
+ * @param {Object} agent - Agent instance
+ * @returns {Object} Response object
+ */
+const buildErrorResponse = (agent) => {
+  const errorMessage = agent.error_message || DEFAULT_ERROR_MESSAGE;
+
+  return {
+    question_id: null,
+    answer_id: null,
+    text: errorMessage,
+    html: errorMessage,
+    score: 0,
+    source: 'error'
+  };
+};
+
+module.exports = {
+  findActiveSession,
+  decodeHistoryCursor,
+  findHistoryPage,
+  saveUserMessage,
+  replyToMessage,
+  regenerateReply,
+  findMatchingAnswer,
+  formatMessage
+};
@@ -0,0 +1,295 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { User, Agent, ChatSession } = require('../models');
+const { findActiveSession, findHistoryPage, saveUserMessage, replyToMessage, formatMessage } = require('./chatService');
+const { subscribeToSession } = require('./chatEventService');
+const { resolveJoinCode } = require('./joinCodeService');
+const { waitForThinkingDelay, typeHtml } = require('./streamingService');
+
+/**
+ * Chat Socket Service
+ *
+ * WebSocket transport for chat sessions, served at CHAT_SOCKET_PATH on
+ * the API's HTTP server. Connections authenticate with the same
+ * express-session cookie as the REST API and join one chat session:
+ *
+ *   ?session_id=<id>    Presenter: the session's owner; may send messages
+ *   ?join_code=<code>   Audience: any signed-in user; read-only mirror
+ *
+ * Client -> server frames (JSON):
+ *   { type: 'message', text, choice_id, debug }  Presenter only (choice_id:
+ *                                     clicked quick reply; debug: administrators)
+ *   { type: 'ping' }
+ *
+ * Server -> client frames (JSON):
+ *   { type: 'ready', role, session_id, agent, messages, has_more, next_cursor }
+ *                                 Latest messages; older pages come from the
+ *                                 REST history endpoint (before=next_cursor)
+ *   { type: 'message', message }  User or agent message (same shape as REST,
+ *                                 with the reply's suggestions and choices)
+ *   { type: 'thinking' }          The agent is working on a reply
+ *   { type: 'token', chunk }      Reply HTML, typed at the agent's cadence
+ *   { type: 'debug', message_id, debug }  Match explanation (presenter only)
+ *   { type: 'session_ended', reason }  reason 'expired' when closed for inactivity
+ *   { type: 'error', message }
+ *   { type: 'pong' }
+ *
+ * Every client watching a session receives its messages, whichever
+ * transport the presenter used to send them (see chatEventService).
+ */
+
+const CHAT_SOCKET_PATH = '/api/demo/chat/ws';
+
+// Dead connections are dropped when they miss a heartbeat ping
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Largest accepted client frame
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Messages sent to a client when it joins
+const HISTORY_LIMIT = 10;
+
+/**
+ * Resolve the signed-in user for an upgrade request from its session cookie
+ * @param {Object} req - HTTP upgrade request
+ * @param {Function} sessionMiddleware - The app's express-session middleware
+ * @returns {Promise<Object|null>} Active User instance, or null
+ */
+const authenticateUpgrade = (req, sessionMiddleware) => {
+  return new Promise((resolve, reject) => {
+    sessionMiddleware(req, {}, async (error) => {
+      if (error) return reject(error);
+
+      try {
+        const userId = req.session && req.session.passport && req.session.passport.user;
+        if (!userId) return resolve(null);
+
+        const user = await User.findByPk(userId);
+        resolve(user && user.is_active ? user : null);
+      } catch (lookupError) {
+        reject(lookupError);
+      }
+    });
+  });
+};
+
+/**
+ * Work out which session a connection joins, and in which role
+ * @param {Object} user - Signed-in user
+ * @param {URLSearchParams} params - Upgrade request query
+ * @returns {Promise<Object|null>} { role, session }, or null when not allowed
+ */
+const resolveSubscription = async (user, params) => {
+  const sessionId = params.get('session_id');
+  if (sessionId) {
+    const session = await findActiveSession(sessionId, user.id);
+    return session ? { role: 'presenter', session } : null;
+  }
+
+  const joinedSessionId = resolveJoinCode(params.get('join_code'));
+  if (joinedSessionId) {
+    const session = await ChatSession.findOne({
+      where: { id: joinedSessionId, is_active: true },
+      include: [{ model: Agent, as: 'agent' }]
+    });
+    return session ? { role: 'audience', session } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Refuse an upgrade request with a plain HTTP response
+ */
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Serve one WebSocket connection
+ * @param {Object} ws - WebSocket
+ * @param {Object} user - Signed-in user
+ * @param {Object} subscription - { role, session }
+ */
+const handleConnection = (ws, user, { role, session }) => {
+  const agent = session.agent;
+  const isClosed = () => ws.readyState !== WebSocket.OPEN;
+  let lastUserMessageAt = Date.now();
+
+  const send = (frame) => {
+    if (!isClosed()) {
+      ws.send(JSON.stringify(frame));
+    }
+  };
+
+  // Deliver session events one at a time so typing never interleaves
+  const deliverEvent = async (event) => {
+    if (event.type === 'message' && event.message.type === 'user') {
+      lastUserMessageAt = Date.now();
+      send(event);
+      send({ type: 'thinking' });
+      return;
+    }
+
+    if (event.type === 'message') {
+      await waitForThinkingDelay(agent, lastUserMessageAt);
+      await typeHtml(agent, event.message.html, chunk => send({ type: 'token', chunk }), isClosed);
+      send(event);
+      return;
+    }
+
+    send(event);
+    if (event.type === 'session_ended') {
+      ws.close(1000, 'Session ended');
+    }
+  };
+
+  const sendReady = async () => {
+    const history = await findHistoryPage(session.id, { limit: HISTORY_LIMIT });
+
+    send({
+      type: 'ready',
+      role,
+      session_id: session.id,
+      agent: { id: agent.id, name: agent.name },
+      messages: history.messages.map(msg => formatMessage(msg)),
+      has_more: history.has_more,
+      next_cursor: history.next_cursor
+    });
+  };
+
+  // Subscribe before loading history so nothing sent in between is lost
+  // (a message can then arrive twice; clients de-duplicate by message ID)
+  let queue = sendReady();
+  const unsubscribe = subscribeToSession(session.id, (event) => {
+    queue = queue
+      .then(() => deliverEvent(event))
+      .catch(error => console.error('Error delivering chat event:', error));
+  });
+
+  queue = queue.catch((error) => {
+    console.error('Error loading chat history for socket:', error);
+    send({ type: 'error', message: 'Error loading chat history' });
+  });
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('close', unsubscribe);
+
+  ws.on('message', async (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      frame = null;
+    }
+
+    if (!frame || typeof frame !== 'object') {
+      return send({ type: 'error', message: 'Invalid message format' });
+    }
+
+    if (frame.type === 'ping') {
+      return send({ type: 'pong' });
+    }
+
+    if (frame.type !== 'message') {
+      return send({ type: 'error', message: `Unknown message type "${frame.type}"` });
+    }
+
+    if (role !== 'presenter') {
+      return send({ type: 'error', message: 'Audience connections are read-only' });
+    }
+
+    const text = typeof frame.text === 'string' ? frame.text.trim() : '';
+    if (text.length === 0) {
+      return send({ type: 'error', message: 'Message is required' });
+    }
+
+    try {
+      // The session may have been ended since the socket connected
+      const activeSession = await findActiveSession(session.id, user.id);
+      if (!activeSession) {
+        return send({ type: 'error', message: 'Chat session not found or not active' });
+      }
+
+      // Both messages reach this client through the session subscription
+      await saveUserMessage(activeSession, text);
+      const { agentMessage, response } = await replyToMessage(activeSession, text, user, {
+        debug: frame.debug === true && user.role === 'Administrator',
+        choiceId: typeof frame.choice_id === 'string' ? frame.choice_id : null
+      });
+
+      // Queued so the explanation follows the typed reply
+      if (response.debug) {
+        queue = queue.then(() => send({ type: 'debug', message_id: agentMessage.id, debug: response.debug }));
+      }
+    } catch (error) {
+      console.error('Error processing socket chat message:', error);
+      send({ type: 'error', message: 'Error processing message' });
+    }
+  });
+};
+
+/**
+ * Attach the chat WebSocket endpoint to the API's HTTP server
+ * @param {Object} server - HTTP server returned by app.listen()
+ * @param {Object} options - { sessionMiddleware, allowedOrigins }
+ * @returns {Object} WebSocketServer
+ */
+const attachChatSocket = (server, { sessionMiddleware, allowedOrigins }) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== CHAT_SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    // Browsers send cookies cross-site on upgrades, so check the origin
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin)) {
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    try {
+      const user = await authenticateUpgrade(req, sessionMiddleware);
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      const subscription = await resolveSubscription(user, searchParams);
+      if (!subscription) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, user, subscription));
+    } catch (error) {
+      console.error('Error upgrading chat socket:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  CHAT_SOCKET_PATH,
+  attachChatSocket
+};
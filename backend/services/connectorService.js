@@ -0,0 +1,177 @@
+const axios = require('axios');
+const { encryptValue, decryptValue } = require('./encryptionService');
+const { textToHtml, sanitizeAnswerHtml } = require('./htmlService');
+
+/**
+ * Connector Service
+ *
+ * Forwards chat messages to live external agents (Agentforce, Copilot,
+ * custom bots) described by an AgentConnector record. Each connector
+ * names an adapter; the built-in "http" adapter POSTs
+ *
+ *   { message, session_id, user: { id, name } }
+ *
+ * to the connector's endpoint and reads the reply from the JSON response
+ * at response_text_path (and optionally response_html_path), using dot
+ * notation such as "data.reply". Requests time out after timeout_ms and
+ * are retried with exponential backoff on network errors, timeouts, 429
+ * and 5xx. Reply HTML from the agent is sanitized like answer HTML.
+ */
+
+// Base delay for retry backoff (doubles on each attempt)
+const RETRY_BASE_DELAY_MS = 250;
+
+const AUTH_TYPES = ['none', 'bearer', 'api_key', 'basic'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a value from an object by dot path ("data.reply")
+ * @param {Object} source - Object to read
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value, or undefined when the path is missing
+ */
+const getByPath = (source, path) => {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+/**
+ * Build authentication headers from a connector's decrypted credentials
+ * @param {Object} connector - AgentConnector instance
+ * @returns {Object} Headers
+ */
+const buildAuthHeaders = (connector) => {
+  if (connector.auth_type === 'none' || !connector.credentials_encrypted) {
+    return {};
+  }
+
+  const credentials = decryptValue(connector.credentials_encrypted);
+
+  switch (connector.auth_type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${credentials.token}` };
+
+    case 'api_key':
+      return { [connector.api_key_header || 'x-api-key']: credentials.api_key };
+
+    case 'basic': {
+      const encoded = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+      return { Authorization: `Basic ${encoded}` };
+    }
+
+    default:
+      return {};
+  }
+};
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the adapter
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx; false
+ *   for anything else, such as a reply without text or a bad configuration
+ */
+const isRetryable = (error) => {
+  if (!axios.isAxiosError(error) || error.code === axios.AxiosError.ERR_CANCELED) {
+    return false;
+  }
+  if (!error.response) {
+    // Sent but unanswered: connection failure or timeout
+    return Boolean(error.request);
+  }
+  return error.response.status === 429 || error.response.status >= 500;
+};
+
+/**
+ * HTTP adapter: JSON POST to the connector endpoint
+ */
+const httpAdapter = {
+  send: async (connector, { message, sessionId, user }) => {
+    const response = await axios.post(connector.endpoint_url, {
+      message,
+      session_id: sessionId,
+      user: user ? { id: user.id, name: user.name } : null
+    }, {
+      timeout: connector.timeout_ms,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(connector.request_headers || {}),
+        ...buildAuthHeaders(connector)
+      }
+    });
+
+    const text = getByPath(response.data, connector.response_text_path);
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error(`Connector response has no text at "${connector.response_text_path}"`);
+    }
+
+    const html = getByPath(response.data, connector.response_html_path);
+    const safeHtml = typeof html === 'string' ? sanitizeAnswerHtml(html).trim() : '';
+
+    return {
+      text: text.trim(),
+      html: safeHtml || textToHtml(text)
+    };
+  }
+};
+
+const adapters = new Map([['http', httpAdapter]]);
+
+const CONNECTOR_ADAPTERS = [...adapters.keys()];
+
+/**
+ * Send a message to a live agent, retrying transient failures
+ * @param {Object} connector - AgentConnector instance
+ * @param {Object} payload - { message, sessionId, user }
+ * @returns {Promise<Object>} Reply { text, html }
+ */
+const sendToAgent = async (connector, payload) => {
+  const adapter = adapters.get(connector.adapter);
+  if (!adapter) {
+    throw new Error(`Unknown connector adapter "${connector.adapter}"`);
+  }
+
+  const maxRetries = Math.max(0, connector.max_retries || 0);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await adapter.send(connector, payload);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      console.warn(`Connector request failed (attempt ${attempt + 1}), retrying: ${error.message}`);
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+  }
+};
+
+/**
+ * Encrypt credentials for storage
+ * @param {Object} credentials - { token } | { api_key } | { username, password }
+ * @returns {string|null} Encrypted credentials
+ */
+const encryptCredentials = (credentials) => {
+  return credentials ? encryptValue(credentials) : null;
+};
+
+/**
+ * Connector details safe to return from the API (credentials omitted)
+ * @param {Object} connector - AgentConnector instance
+ * @returns {Object} Serialized connector
+ */
+const serializeConnector = (connector) => {
+  const { credentials_encrypted, ...fields } = connector.toJSON();
+  return {
+    ...fields,
+    has_credentials: Boolean(credentials_encrypted)
+  };
+};
+
+module.exports = {
+  AUTH_TYPES,
+  CONNECTOR_ADAPTERS,
+  sendToAgent,
+  encryptCredentials,
+  serializeConnector
+};
@@ -0,0 +1,157 @@
+const { Question, QuestionVariant } = require('../models');
+const { tokenize, stem, normalizeText } = require('./textAnalysisService');
+const { hashString } = require('./randomService');
+
+/**
+ * Embedding Service
+ *
+ * Computes vector embeddings for questions and variants through a
+ * provider abstraction. A provider is an object of the form:
+ *
+ *   {
+ *     name: 'local',
+ *     model: 'local-hash-256',        // stored alongside each embedding
+ *     embed: async (texts) => [[...], ...]
+ *   }
+ *
+ * The built-in "local" provider is a deterministic hashed n-gram
+ * vectorizer, so vector matching works offline and without API keys.
+ * Other providers can be added with registerEmbeddingProvider() and
+ * selected with the EMBEDDING_PROVIDER environment variable.
+ */
+
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * Scale a vector to unit length
+ */
+const normalizeVector = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+/**
+ * Hashed n-gram vector for one text: stemmed words plus character
+ * trigrams (which keep misspellings close to the correct word)
+ * @param {string} text - Raw text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} Unit-length vector
+ */
+const hashedNgramVector = (text, dimensions = LOCAL_DIMENSIONS) => {
+  const vector = new Array(dimensions).fill(0);
+
+  const addFeature = (feature, weight) => {
+    const hash = hashString(feature);
+    // The top bit picks the sign so colliding features tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * weight;
+  };
+
+  for (const token of tokenize(text)) {
+    addFeature(`w:${stem(token)}`, 1);
+  }
+
+  for (const word of normalizeText(text).split(' ').filter(Boolean)) {
+    const padded = `#${word}#`;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      addFeature(`c:${padded.slice(i, i + 3)}`, 0.5);
+    }
+  }
+
+  return normalizeVector(vector);
+};
+
+/**
+ * Built-in offline provider
+ */
+const localProvider = {
+  name: 'local',
+  model: `local-hash-${LOCAL_DIMENSIONS}`,
+  embed: async (texts) => texts.map(text => hashedNgramVector(text))
+};
+
+const providers = new Map([[localProvider.name, localProvider]]);
+
+/**
+ * Register an embedding provider
+ * @param {Object} provider - { name, model, embed(texts) }
+ */
+const registerEmbeddingProvider = (provider) => {
+  if (!provider || !provider.name || !provider.model || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider must define name, model and embed()');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get the configured embedding provider (EMBEDDING_PROVIDER, default "local")
+ * @returns {Object} Provider
+ */
+const getEmbeddingProvider = () => {
+  const name = process.env.EMBEDDING_PROVIDER || localProvider.name;
+  const provider = providers.get(name);
+  if (!provider) {
+    console.warn(`Unknown embedding provider "${name}", falling back to "${localProvider.name}"`);
+    return localProvider;
+  }
+  return provider;
+};
+
+/**
+ * Cosine similarity between two vectors
+ * @returns {number} Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Recompute and store embeddings for a question and its variants.
+ * Failures are logged rather than thrown so that Q&A edits never fail
+ * because of the embedding provider; the vector matcher embeds any
+ * missing text on demand.
+ * @param {string} questionId - Question ID
+ */
+const refreshQuestionEmbeddings = async (questionId) => {
+  try {
+    const question = await Question.findByPk(questionId, {
+      include: [{ model: QuestionVariant, as: 'variants', where: { archived_at: null }, required: false }]
+    });
+    if (!question) return;
+
+    const provider = getEmbeddingProvider();
+    const records = [question, ...question.variants];
+    const texts = records.map(record => record.question_text || record.variant_text);
+    const embeddings = await provider.embed(texts);
+
+    for (let i = 0; i < records.length; i++) {
+      await records[i].update({
+        embedding: embeddings[i],
+        embedding_model: provider.model
+      });
+    }
+  } catch (error) {
+    console.error('Error refreshing question embeddings:', error);
+  }
+};
+
+module.exports = {
+  hashedNgramVector,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  cosineSimilarity,
+  refreshQuestionEmbeddings
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Encryption Service
+ *
+ * Symmetric encryption for secrets stored in the database (such as
+ * external agent connector credentials) using AES-256-GCM. The key is
+ * derived from CREDENTIALS_ENCRYPTION_KEY; values are stored as
+ * "v1:<iv>:<auth tag>:<ciphertext>" in base64.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Derive the 32-byte encryption key from the configured secret
+ * @returns {Buffer} Key
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @returns {string} Encrypted payload
+ */
+const encryptValue = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a payload produced by encryptValue
+ * @param {string} payload - Encrypted payload
+ * @returns {*} Original value
+ */
+const decryptValue = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+module.exports = {
+  encryptValue,
+  decryptValue
+};
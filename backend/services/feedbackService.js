@@ -0,0 +1,49 @@
+const { fn, col, literal } = require('sequelize');
+const { MessageFeedback } = require('../models');
+
+/**
+ * Feedback Service
+ *
+ * Aggregates demo users' thumbs up/down ratings of agent replies into
+ * helpfulness rates (share of "up" ratings) for admin reports.
+ */
+
+/**
+ * Count ratings grouped by one or more MessageFeedback columns
+ * @param {Array<string>} groupBy - Columns to group by (e.g. ['question_id'])
+ * @param {Object} where - MessageFeedback filter
+ * @param {Object} options - { minRatings } groups with fewer ratings are left out
+ * @returns {Promise<Array<Object>>} Rows of the group columns plus
+ *          { up, down, total, helpfulness_rate }, least helpful first
+ */
+const summarizeFeedback = async (groupBy, where = {}, { minRatings = 1 } = {}) => {
+  const rows = await MessageFeedback.findAll({
+    where,
+    attributes: [
+      ...groupBy,
+      [fn('SUM', literal("CASE WHEN rating = 'up' THEN 1 ELSE 0 END")), 'up'],
+      [fn('COUNT', col('id')), 'total']
+    ],
+    group: groupBy,
+    raw: true
+  });
+
+  return rows
+    .map((row) => {
+      const up = Number(row.up);
+      const total = Number(row.total);
+      return {
+        ...row,
+        up,
+        down: total - up,
+        total,
+        helpfulness_rate: total > 0 ? Math.round((up / total) * 1000) / 1000 : null
+      };
+    })
+    .filter(row => row.total >= minRatings)
+    .sort((a, b) => a.helpfulness_rate - b.helpfulness_rate || b.total - a.total);
+};
+
+module.exports = {
+  summarizeFeedback
+};
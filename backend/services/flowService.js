@@ -0,0 +1,234 @@
+const { FlowNode, FlowChoice } = require('../models');
+const { normalizeText, explainSimilarity } = require('./textAnalysisService');
+
+/**
+ * Flow Service
+ *
+ * Multi-turn conversation flows. A flow starts at an entry node attached
+ * to a question: when the question matches, its answer is served with
+ * the node's choices (quick-reply buttons) and the chat session remembers
+ * the node. The user's next message is first resolved against those
+ * choices, understanding:
+ *
+ * - the button itself (choice_id sent by the client)
+ * - ordinals: "2", "the second one", "option 3", "last"
+ * - yes/no replies, for choices labelled like "Yes" / "No"
+ * - the label or one of its synonyms, allowing for rephrasing and typos
+ *
+ * A resolved choice moves the session to its next node and serves that
+ * node's message (source "flow"); the flow ends at a node without
+ * choices. Messages that don't resolve are matched as usual.
+ */
+
+// Minimum share of a reply's words found in a choice label to pick it
+const CHOICE_MIN_COVERAGE = 0.6;
+
+// Yes/no and ordinals are only read from short replies
+const MAX_SHORT_REPLY_WORDS = 5;
+
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5,
+  sixth: 6, '6th': 6
+};
+
+const CARDINALS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+// Words around an ordinal that don't change its meaning ("the second one please")
+const FILLER_WORDS = new Set(['the', 'one', 'option', 'number', 'choice', 'please', 'i', 'pick', 'choose', 'want', 'id', 'like', 'take', 'go', 'with']);
+
+const YES_WORDS = new Set(['yes', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'correct', 'right', 'absolutely', 'definitely']);
+const NO_WORDS = new Set(['no', 'nope', 'nah', 'negative']);
+
+// Words that make "not ..." a no ("not really", "not now"); "not sure" and
+// "not yet, tell me more" are left to the other readings
+const NEGATED_WORDS = new Set(['really', 'now', 'today', 'interested', 'thanks']);
+
+/**
+ * Load a flow node with its choices in display order
+ * @param {string} nodeId - FlowNode ID
+ * @returns {Promise<Object|null>} FlowNode instance
+ */
+const loadNode = (nodeId) => {
+  return FlowNode.findByPk(nodeId, {
+    include: [{ model: FlowChoice, as: 'choices' }],
+    order: [[{ model: FlowChoice, as: 'choices' }, 'position', 'ASC']]
+  });
+};
+
+/**
+ * Load the flow entry node for a question, if it has one
+ * @param {string} questionId - Question ID
+ * @returns {Promise<Object|null>} FlowNode instance
+ */
+const findEntryNode = (questionId) => {
+  return FlowNode.findOne({
+    where: { question_id: questionId },
+    include: [{ model: FlowChoice, as: 'choices' }],
+    order: [[{ model: FlowChoice, as: 'choices' }, 'position', 'ASC']]
+  });
+};
+
+/**
+ * Choices as offered to the chat client
+ * @param {Object} node - FlowNode instance with choices
+ * @returns {Array<Object>} [{ id, label }]
+ */
+const formatChoices = (node) => node.choices.map(choice => ({ id: choice.id, label: choice.label }));
+
+/**
+ * Read an ordinal reply ("2", "the second one", "last") as a 1-based position
+ * @param {Array<string>} words - Normalized words of the reply
+ * @param {number} count - Number of choices
+ * @returns {number|null} Position, or null when the reply isn't an ordinal
+ */
+const parseOrdinal = (words, count) => {
+  // Everything but the ordinal must be filler ("what is the first step" isn't a pick)
+  const remaining = words.filter(word => !FILLER_WORDS.has(word));
+  if (remaining.length === 0 && words.includes('one')) return 1;
+  if (remaining.length !== 1) return null;
+
+  const [word] = remaining;
+  if (word === 'last') return count;
+  if (/^\d+$/.test(word)) return Number(word);
+  return ORDINALS[word] || CARDINALS[word] || null;
+};
+
+/**
+ * Whether words start with a no ("no thanks", "not now")
+ * @param {Array<string>} words - Normalized words
+ * @returns {boolean}
+ */
+const startsWithNo = ([first, second]) => NO_WORDS.has(first) || (first === 'not' && NEGATED_WORDS.has(second));
+
+/**
+ * Whether a reply reads as a yes or a no ("yep sure", "no thanks")
+ * @param {Array<string>} words - Normalized words of the reply
+ * @returns {string|null} 'yes', 'no' or null
+ */
+const yesNoOfReply = (words) => {
+  if (words.length === 0 || words.length > 3) return null;
+  if (words.every(word => YES_WORDS.has(word))) return 'yes';
+  if (startsWithNo(words)) return 'no';
+  return null;
+};
+
+/**
+ * Whether a choice label starts with a yes or a no ("Yes, show me", "Not now")
+ * @param {string} label - Choice label
+ * @returns {string|null} 'yes', 'no' or null
+ */
+const yesNoOfLabel = (label) => {
+  const words = normalizeText(label).split(' ');
+  if (YES_WORDS.has(words[0])) return 'yes';
+  if (startsWithNo(words)) return 'no';
+  return null;
+};
+
+/**
+ * Share of a reply's words (fillers aside) matched by a phrase, with the
+ * same stemming and typo tolerance as question matching
+ * @param {Array<string>} words - Normalized words of the reply
+ * @param {string} phrase - Choice label or synonym
+ * @returns {number} Coverage between 0 and 1
+ */
+const coverageOf = (words, phrase) => {
+  const meaningful = words.filter(word => !FILLER_WORDS.has(word));
+  const { words: pairs } = explainSimilarity(meaningful.join(' '), phrase);
+  if (pairs.length === 0) return 0;
+  return pairs.reduce((sum, pair) => sum + pair.credit, 0) / pairs.length;
+};
+
+/**
+ * Resolve a user's reply to one of a node's choices
+ * @param {Object} node - FlowNode instance with choices
+ * @param {string} text - User's message
+ * @param {string} choiceId - Choice ID sent by a quick-reply button (optional)
+ * @returns {Object|null} FlowChoice instance
+ */
+const resolveChoice = (node, text, choiceId = null) => {
+  const choices = node.choices;
+  if (choices.length === 0) return null;
+
+  if (choiceId) {
+    const clicked = choices.find(choice => choice.id === choiceId);
+    if (clicked) return clicked;
+  }
+
+  const normalized = normalizeText(text);
+  const words = normalized.split(' ').filter(Boolean);
+
+  // Exact label or synonym
+  const exact = choices.find(choice =>
+    [choice.label, ...(choice.synonyms || [])].some(phrase => normalizeText(phrase) === normalized));
+  if (exact) return exact;
+
+  if (words.length <= MAX_SHORT_REPLY_WORDS) {
+    const position = parseOrdinal(words, choices.length);
+    if (position && position >= 1 && position <= choices.length) {
+      return choices[position - 1];
+    }
+
+    const answer = yesNoOfReply(words);
+    if (answer) {
+      const matching = choices.find(choice => yesNoOfLabel(choice.label) === answer);
+      if (matching) return matching;
+    }
+  }
+
+  // The label or synonym covering most of the reply, if it is clearly the best
+  const scored = choices
+    .map(choice => ({
+      choice,
+      score: Math.max(...[choice.label, ...(choice.synonyms || [])].map(phrase => coverageOf(words, phrase)))
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scored;
+  if (best.score >= CHOICE_MIN_COVERAGE && (!runnerUp || best.score > runnerUp.score)) {
+    return best.choice;
+  }
+
+  return null;
+};
+
+/**
+ * Continue a session's active flow with the user's reply
+ * @param {Object} session - ChatSession instance (current_flow_node_id)
+ * @param {string} text - User's message
+ * @param {string} choiceId - Choice ID sent by a quick-reply button (optional)
+ * @returns {Promise<Object|null>} Flow response, or null when the reply doesn't pick a choice
+ */
+const continueFlow = async (session, text, choiceId = null) => {
+  const node = await loadNode(session.current_flow_node_id);
+  if (!node) return null;
+
+  const choice = resolveChoice(node, text, choiceId);
+  if (!choice || !choice.next_node_id) return null;
+
+  const next = await loadNode(choice.next_node_id);
+  if (!next) return null;
+
+  return {
+    question_id: null,
+    answer_id: null,
+    text: next.message_text || '',
+    html: next.message_html || '',
+    score: null,
+    source: 'flow',
+    flow_node_id: next.id,
+    choice_id: choice.id,
+    choices: formatChoices(next)
+  };
+};
+
+module.exports = {
+  loadNode,
+  findEntryNode,
+  formatChoices,
+  resolveChoice,
+  continueFlow
+};
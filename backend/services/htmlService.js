@@ -0,0 +1,299 @@
+const { parseDocument } = require('htmlparser2');
+const renderDom = require('dom-serializer').default;
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * HTML Service
+ *
+ * Helpers for turning plain text into safe HTML for chat messages, for
+ * reading message HTML back as formatted blocks (for exports that aren't
+ * HTML, such as Markdown and PDF transcripts), and for rewriting the text
+ * of answer HTML without touching its markup (for answer variants).
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+/**
+ * Convert plain text to HTML, keeping paragraphs and line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+const textToHtml = (text) => {
+  return String(text ?? '')
+    .trim()
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode the HTML entities found in chat messages
+ * @param {string} text - HTML text
+ * @returns {string} Plain text
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+};
+
+// Tags whose content is never shown
+const HIDDEN_TAGS = new Set(['script', 'style', 'head', 'title']);
+
+/**
+ * Read message HTML as a list of formatted blocks
+ *
+ * Understands the formatting the rich text editor produces: paragraphs,
+ * headings, line breaks, nested lists, bold, italic, inline code, code
+ * blocks and links. Other tags are ignored and their text kept.
+ * @param {string} html - Message HTML
+ * @returns {Array<Object>} Blocks: { type: 'paragraph' | 'heading' | 'list_item' | 'code',
+ *   runs: [{ text, bold, italic, code, link }], level (headings),
+ *   ordered, number, depth (list items) }
+ */
+const htmlToBlocks = (html) => {
+  const blocks = [];
+  const lists = [];
+  const style = { bold: 0, italic: 0, code: 0, links: [], hidden: 0, pre: 0 };
+  let current = null;
+
+  const closeBlock = () => {
+    if (current) {
+      // Whitespace around a block's text is layout, not content
+      const runs = current.runs;
+      if (current.type !== 'code' && runs.length > 0) {
+        runs[0].text = runs[0].text.replace(/^\s+/, '');
+        runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+      }
+      current.runs = runs.filter(run => run.text.length > 0);
+      if (current.runs.length > 0) {
+        blocks.push(current);
+      }
+    }
+    current = null;
+  };
+
+  const openBlock = (type, extras = {}) => {
+    closeBlock();
+    current = { type, runs: [], ...extras };
+  };
+
+  const addText = (text) => {
+    if (!current) {
+      // Stray whitespace between blocks doesn't start a paragraph
+      if (!text.trim()) return;
+      current = { type: 'paragraph', runs: [] };
+    }
+
+    const run = {
+      text,
+      bold: style.bold > 0,
+      italic: style.italic > 0,
+      code: style.code > 0,
+      link: style.links[style.links.length - 1] || null
+    };
+
+    const last = current.runs[current.runs.length - 1];
+    if (last && ['bold', 'italic', 'code', 'link'].every(key => last[key] === run[key])) {
+      last.text += text;
+    } else {
+      current.runs.push(run);
+    }
+  };
+
+  for (const token of String(html ?? '').split(/(<[^>]*>)/)) {
+    if (!token) continue;
+
+    const tag = token.match(/^<\s*(\/)?\s*([a-z][a-z0-9]*)([^>]*)>$/i);
+    if (!tag) {
+      // Comments, doctypes and the like
+      if (token.startsWith('<')) continue;
+      if (style.hidden > 0) continue;
+
+      const text = decodeEntities(style.pre > 0 ? token : token.replace(/\s+/g, ' '));
+      addText(text);
+      continue;
+    }
+
+    const closing = Boolean(tag[1]);
+    const name = tag[2].toLowerCase();
+    const attributes = tag[3];
+    const step = closing ? -1 : 1;
+
+    if (HIDDEN_TAGS.has(name)) {
+      style.hidden = Math.max(0, style.hidden + step);
+      continue;
+    }
+
+    switch (name) {
+      case 'p':
+      case 'div':
+      case 'blockquote':
+      case 'tr':
+        closing ? closeBlock() : openBlock('paragraph');
+        break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        closing ? closeBlock() : openBlock('heading', { level: Number(name[1]) });
+        break;
+      case 'pre':
+        style.pre = Math.max(0, style.pre + step);
+        closing ? closeBlock() : openBlock('code');
+        break;
+      case 'ul':
+      case 'ol':
+        closeBlock();
+        closing ? lists.pop() : lists.push({ ordered: name === 'ol', count: 0 });
+        break;
+      case 'li': {
+        if (closing) {
+          closeBlock();
+          break;
+        }
+        const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+        list.count += 1;
+        openBlock('list_item', { ordered: list.ordered, number: list.count, depth: Math.max(1, lists.length) });
+        break;
+      }
+      case 'td':
+      case 'th':
+        // Keep a row's cells apart
+        if (!closing && current) addText(' ');
+        break;
+      case 'br':
+        addText('\n');
+        break;
+      case 'strong':
+      case 'b':
+        style.bold = Math.max(0, style.bold + step);
+        break;
+      case 'em':
+      case 'i':
+        style.italic = Math.max(0, style.italic + step);
+        break;
+      case 'code':
+        // Code blocks are already monospace
+        if (style.pre === 0) style.code = Math.max(0, style.code + step);
+        break;
+      case 'a': {
+        if (closing) {
+          style.links.pop();
+          break;
+        }
+        const href = attributes.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        style.links.push(href ? decodeEntities(href[1] ?? href[2] ?? href[3]) : null);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  closeBlock();
+  return blocks;
+};
+
+// Markup allowed in answers: the rich text editor's formatting, tables and images
+const ANSWER_HTML_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img'],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    img: ['src', 'alt', 'title', 'width', 'height']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel']
+};
+
+// Tags whose text is taken literally and never rewritten
+const VERBATIM_TAGS = new Set(['code', 'pre', 'kbd', 'samp', 'script', 'style']);
+
+/**
+ * Remove markup that isn't allowed in answers (scripts, event handlers,
+ * unsafe links)
+ * @param {string} html - Answer HTML
+ * @returns {string} Sanitized HTML
+ */
+const sanitizeAnswerHtml = (html) => sanitizeHtml(String(html ?? ''), ANSWER_HTML_OPTIONS);
+
+/**
+ * Rewrite the text of an HTML document, keeping its markup
+ *
+ * The document is parsed into a tree and each text node outside code is
+ * passed through the transform; tags, attributes, links, lists and tables
+ * are left as they are. Whitespace around a node's text is kept so words
+ * don't run into neighbouring tags.
+ * @param {string} html - HTML document
+ * @param {Function} transform - (text) => rewritten text
+ * @returns {string} Sanitized HTML
+ */
+const mapHtmlText = (html, transform) => {
+  const document = parseDocument(String(html ?? ''));
+
+  const visit = (node) => {
+    if (node.type === 'text') {
+      const [, leading, core, trailing] = node.data.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (core) {
+        node.data = `${leading}${transform(core)}${trailing}`;
+      }
+      return;
+    }
+
+    // Script and style nodes have their own types, so check the tag name
+    if (VERBATIM_TAGS.has(node.name)) return;
+
+    (node.children || []).forEach(visit);
+  };
+
+  visit(document);
+  return sanitizeAnswerHtml(renderDom(document, { encodeEntities: 'utf8' }));
+};
+
+/**
+ * Read the visible text of HTML, one line per block
+ * @param {string} html - HTML document
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => {
+  return htmlToBlocks(html)
+    .map(block => block.runs.map(run => run.text).join(''))
+    .join('\n');
+};
+
+module.exports = {
+  escapeHtml,
+  textToHtml,
+  decodeEntities,
+  htmlToBlocks,
+  sanitizeAnswerHtml,
+  mapHtmlText,
+  htmlToText
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+/**
+ * Join Code Service
+ *
+ * Short codes that let an audience screen (e.g. a projector) follow a
+ * presenter's live chat session read-only. A session has at most one
+ * code at a time; asking again returns the existing code. Codes expire
+ * after JOIN_CODE_TTL_SECONDS and are revoked when the session ends.
+ */
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes read well off a screen
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_TTL_SECONDS = 4 * 60 * 60;
+
+// Holds "code:<code>" -> session ID and "session:<id>" -> code
+const joinCodes = new NodeCache({
+  stdTTL: JOIN_CODE_TTL_SECONDS,
+  checkperiod: 10 * 60
+});
+
+/**
+ * Normalize a code as typed by a user ("abc-123" -> "ABC123")
+ * @param {string} code - Code as entered
+ * @returns {string} Normalized code
+ */
+const normalizeJoinCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const randomCode = () => {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Get or create the join code for a chat session
+ * @param {string} sessionId - ChatSession ID
+ * @returns {Object} { code, expiresAt }
+ */
+const createJoinCode = (sessionId) => {
+  let code = joinCodes.get(`session:${sessionId}`);
+
+  if (!code) {
+    do {
+      code = randomCode();
+    } while (joinCodes.has(`code:${code}`));
+
+    joinCodes.set(`code:${code}`, sessionId);
+    joinCodes.set(`session:${sessionId}`, code);
+  }
+
+  return {
+    code,
+    expiresAt: new Date(joinCodes.getTtl(`code:${code}`))
+  };
+};
+
+/**
+ * Look up the chat session for a join code
+ * @param {string} code - Code as entered
+ * @returns {string|null} ChatSession ID, or null for unknown/expired codes
+ */
+const resolveJoinCode = (code) => {
+  return joinCodes.get(`code:${normalizeJoinCode(code)}`) || null;
+};
+
+/**
+ * Revoke a chat session's join code
+ * @param {string} sessionId - ChatSession ID
+ */
+const revokeJoinCode = (sessionId) => {
+  const code = joinCodes.take(`session:${sessionId}`);
+  if (code) {
+    joinCodes.del(`code:${code}`);
+  }
+};
+
+module.exports = {
+  createJoinCode,
+  resolveJoinCode,
+  revokeJoinCode
+};
@@ -0,0 +1,116 @@
+const { searchIndex, analyzeTerms } = require('./searchIndexService');
+const { calculateSimilarity } = require('./textAnalysisService');
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddingService');
+
+/**
+ * Matcher Service
+ *
+ * Strategies for ranking an agent's questions and variants against a
+ * chat message. Every matcher implements the same interface:
+ *
+ *   {
+ *     name: 'lexical',
+ *     rank: async (index, query, { limit }) => [
+ *       { document, score, matchedTerms }   // score between 0 and 1, best first
+ *     ]
+ *   }
+ *
+ * where index is the agent's search index (see searchIndexService) and
+ * document is one of its entries (an original question or a variant).
+ * Agents pick a strategy through Agent.match_strategy.
+ */
+
+const DEFAULT_MATCHER = 'lexical';
+
+// Candidates retrieved from the BM25 index before lexical re-scoring
+const LEXICAL_CANDIDATE_LIMIT = 20;
+
+/**
+ * Lexical matcher (default): BM25 retrieves candidates, calculateSimilarity
+ * scores them with stemming and typo tolerance
+ */
+const lexicalMatcher = {
+  name: 'lexical',
+  rank: async (index, query, { limit = LEXICAL_CANDIDATE_LIMIT } = {}) => {
+    const candidates = searchIndex(index, query, { limit: Math.max(limit, LEXICAL_CANDIDATE_LIMIT) });
+
+    return candidates
+      .map(({ document, matchedTerms }) => ({
+        document,
+        score: calculateSimilarity(query, document.text.toLowerCase()),
+        matchedTerms
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+};
+
+/**
+ * BM25 matcher: the normalized BM25 score is the confidence
+ */
+const bm25Matcher = {
+  name: 'bm25',
+  rank: async (index, query, { limit = LEXICAL_CANDIDATE_LIMIT } = {}) => {
+    return searchIndex(index, query, { limit }).map(({ document, normalizedScore, matchedTerms }) => ({
+      document,
+      score: normalizedScore,
+      matchedTerms
+    }));
+  }
+};
+
+/**
+ * Vector matcher: cosine similarity between the message embedding and the
+ * stored question/variant embeddings. Documents whose stored embedding is
+ * missing or came from another model are embedded on demand and kept on
+ * the cached index.
+ */
+const vectorMatcher = {
+  name: 'vector',
+  rank: async (index, query, { limit = LEXICAL_CANDIDATE_LIMIT } = {}) => {
+    if (index.documents.length === 0) {
+      return [];
+    }
+
+    const provider = getEmbeddingProvider();
+
+    const stale = index.documents.filter(doc => !doc.embedding || doc.embedding_model !== provider.model);
+    if (stale.length > 0) {
+      const embeddings = await provider.embed(stale.map(doc => doc.text));
+      stale.forEach((doc, i) => {
+        doc.embedding = embeddings[i];
+        doc.embedding_model = provider.model;
+      });
+    }
+
+    const [queryEmbedding] = await provider.embed([query]);
+    const queryTerms = new Set(analyzeTerms(query));
+
+    return index.documents
+      .map(document => ({
+        document,
+        score: Math.max(0, cosineSimilarity(queryEmbedding, document.embedding)),
+        matchedTerms: [...new Set(analyzeTerms(document.text))].filter(term => queryTerms.has(term))
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+};
+
+const matchers = new Map([lexicalMatcher, bm25Matcher, vectorMatcher].map(matcher => [matcher.name, matcher]));
+
+const MATCHER_STRATEGIES = [...matchers.keys()];
+
+/**
+ * Get a matcher by strategy name, defaulting to the lexical matcher
+ * @param {string} strategy - Strategy name (Agent.match_strategy)
+ * @returns {Object} Matcher
+ */
+const getMatcher = (strategy) => matchers.get(strategy) || matchers.get(DEFAULT_MATCHER);
+
+module.exports = {
+  DEFAULT_MATCHER,
+  MATCHER_STRATEGIES,
+  getMatcher
+};
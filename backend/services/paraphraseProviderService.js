@@ -0,0 +1,307 @@
+const fs = require('fs');
+const axios = require('axios');
+const { generateVariants, baselineText, stripHtml } = require('./textVariantService');
+const { filterVariants } = require('./variantQualityService');
+const { mapHtmlText, htmlToText } = require('./htmlService');
+
+/**
+ * Paraphrase Provider Service
+ *
+ * Generates question and answer variants through a chain of providers.
+ * A provider is an object of the form:
+ *
+ *   {
+ *     name: 'builtin',
+ *     generate: async (text, { type, html, seed, count }) => [
+ *       { text, html, technique, confidence }
+ *     ]
+ *   }
+ *
+ * where html is the answer HTML (null for questions). Built-in providers:
+ *
+ * - builtin      the paraphrasing techniques of textVariantService
+ * - domain_rules phrase rules from the JSON file PARAPHRASE_RULES_FILE:
+ *                [{ "phrases": ["sign in", "log in"] }, ...], each phrase
+ *                of a group standing in for the others
+ * - local_llm    a local model behind PARAPHRASE_LLM_URL (see
+ *                scripts/mockParaphraseServer.js for an offline stub)
+ * - remote_api   a hosted paraphrase API at PARAPHRASE_API_URL,
+ *                authenticated with PARAPHRASE_API_KEY
+ *
+ * More can be added with registerParaphraseProvider(). Each agent picks
+ * its chain (Agent.paraphrase_providers, default ["builtin"]): providers
+ * run in order until enough variants pass the quality gate, and a
+ * provider that fails is skipped. Every variant records its provider.
+ */
+
+const DEFAULT_PROVIDER_CHAIN = ['builtin'];
+
+// Variants kept per question or answer
+const MAX_VARIANTS = 12;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Confidence given to variants from providers that don't report one
+const DOMAIN_RULE_CONFIDENCE = 0.9;
+const HTTP_PROVIDER_CONFIDENCE = 0.8;
+
+/**
+ * Rewrite a variant's text: the text nodes of the answer HTML, or the
+ * plain text of a question
+ * @param {string} text - Original text
+ * @param {string} html - Answer HTML (optional)
+ * @param {Function} transform - (text) => rewritten text
+ * @returns {Object} { text, html }
+ */
+const rewriteText = (text, html, transform) => {
+  if (html) {
+    const variantHtml = mapHtmlText(html, transform);
+    return { text: htmlToText(variantHtml), html: variantHtml };
+  }
+
+  const variantText = transform(stripHtml(text));
+  return { text: variantText, html: variantText };
+};
+
+/**
+ * Built-in provider: textVariantService's paraphrasing techniques
+ */
+const builtinProvider = {
+  name: 'builtin',
+  generate: async (text, { type, html, seed }) => {
+    return generateVariants(text, type, html, seed === undefined ? {} : { seed });
+  }
+};
+
+/**
+ * Create a provider from phrase rules: every phrase of a group found in
+ * the text is swapped for each of the group's other phrases in turn
+ * @param {Object} options - { name, rules: [{ phrases: [string] }] or a function returning them }
+ * @returns {Object} Provider
+ */
+const createDomainRulesProvider = ({ name, rules }) => ({
+  name,
+  generate: async (text, { html, count }) => {
+    const groups = typeof rules === 'function' ? rules() : rules;
+    const plain = html ? htmlToText(html) : stripHtml(text);
+    const variants = [];
+
+    for (const { phrases = [] } of groups) {
+      for (const phrase of phrases) {
+        const source = `\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`;
+        if (!new RegExp(source, 'i').test(plain)) continue;
+        const pattern = new RegExp(source, 'gi');
+
+        for (const replacement of phrases.filter(other => other !== phrase)) {
+          if (variants.length >= count) return variants;
+
+          const variant = rewriteText(text, html, nodeText => nodeText.replace(pattern, match =>
+            /^[A-Z]/.test(match) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement));
+
+          variants.push({
+            ...variant,
+            technique: `rule:${phrase}->${replacement}`,
+            confidence: DOMAIN_RULE_CONFIDENCE
+          });
+        }
+      }
+    }
+
+    return variants;
+  }
+});
+
+/**
+ * Read the domain rules file (PARAPHRASE_RULES_FILE); no file, no rules
+ * @returns {Array<Object>} Rule groups
+ */
+const readRulesFile = () => {
+  const path = process.env.PARAPHRASE_RULES_FILE;
+  if (!path) return [];
+
+  const rules = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Paraphrase rules file ${path} must contain an array of { phrases } groups`);
+  }
+  return rules;
+};
+
+/**
+ * Create a provider that asks an HTTP service for paraphrases. The
+ * service receives
+ *
+ *   { texts: [string], type, count, seed, model }
+ *
+ * (the text nodes of an answer's HTML, or the question) and replies with
+ *
+ *   { paraphrases: [[string, ...], ...] }
+ *
+ * holding up to count paraphrases per text. Variant n uses the nth
+ * paraphrase of every text, keeping the text as it was where one is
+ * missing, so answer markup is preserved.
+ * @param {Object} options - { name, config: () => { url, apiKey, model, timeoutMs } }
+ * @returns {Object} Provider
+ */
+const createHttpParaphraseProvider = ({ name, config }) => ({
+  name,
+  generate: async (text, { type, html, seed, count }) => {
+    const { url, apiKey, model, timeoutMs } = config();
+    if (!url) {
+      throw new Error(`Paraphrase provider "${name}" has no URL configured`);
+    }
+
+    const texts = [];
+    if (html) {
+      mapHtmlText(html, nodeText => {
+        texts.push(nodeText);
+        return nodeText;
+      });
+    } else {
+      texts.push(stripHtml(text));
+    }
+
+    const response = await axios.post(url, { texts, type, count, seed, model }, {
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      }
+    });
+
+    const paraphrases = response.data && response.data.paraphrases;
+    if (!Array.isArray(paraphrases)) {
+      throw new Error(`Paraphrase provider "${name}" response has no paraphrases`);
+    }
+
+    const variantCount = Math.min(count, Math.max(0, ...paraphrases.map(list => (Array.isArray(list) ? list.length : 0))));
+    const variants = [];
+
+    for (let n = 0; n < variantCount; n++) {
+      // Text nodes are visited in the same order as when they were collected
+      let position = 0;
+      const variant = rewriteText(text, html, nodeText => {
+        const candidate = (paraphrases[position++] || [])[n];
+        return typeof candidate === 'string' && candidate.trim() ? candidate.trim() : nodeText;
+      });
+
+      variants.push({
+        ...variant,
+        technique: model || name,
+        confidence: HTTP_PROVIDER_CONFIDENCE
+      });
+    }
+
+    return variants;
+  }
+});
+
+/**
+ * Timeout for paraphrase requests (PARAPHRASE_TIMEOUT_MS)
+ * @returns {number} Milliseconds
+ */
+const getTimeoutMs = () => Number(process.env.PARAPHRASE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+const providers = new Map([
+  builtinProvider,
+  createDomainRulesProvider({ name: 'domain_rules', rules: readRulesFile }),
+  createHttpParaphraseProvider({
+    name: 'local_llm',
+    config: () => ({
+      url: process.env.PARAPHRASE_LLM_URL || 'http://localhost:4020/paraphrase',
+      model: process.env.PARAPHRASE_LLM_MODEL || null,
+      timeoutMs: getTimeoutMs()
+    })
+  }),
+  createHttpParaphraseProvider({
+    name: 'remote_api',
+    config: () => ({
+      url: process.env.PARAPHRASE_API_URL,
+      apiKey: process.env.PARAPHRASE_API_KEY,
+      model: process.env.PARAPHRASE_API_MODEL || null,
+      timeoutMs: getTimeoutMs()
+    })
+  })
+].map(provider => [provider.name, provider]));
+
+/**
+ * Register a paraphrase provider
+ * @param {Object} provider - { name, generate(text, { type, html, seed, count }) }
+ */
+const registerParaphraseProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('Paraphrase provider must define name and generate()');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Whether a paraphrase provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+const hasParaphraseProvider = (name) => providers.has(name);
+
+/**
+ * Names of the registered paraphrase providers
+ * @returns {Array<string>}
+ */
+const listParaphraseProviders = () => [...providers.keys()];
+
+/**
+ * Generate variants through a provider chain
+ * @param {Array<string>} chain - Provider names, in order (default ["builtin"])
+ * @param {string} originalText - The original text to paraphrase
+ * @param {string} type - Either 'question' or 'answer'
+ * @param {string} htmlContent - HTML version for answers (optional)
+ * @param {Object} options - { seed }
+ * @returns {Promise<Array>} Variants that passed the quality gate, each with its provider
+ */
+const generateVariantsWithProviders = async (chain, originalText, type = 'question', htmlContent = null, { seed } = {}) => {
+  const baseline = baselineText(originalText, htmlContent);
+  const candidates = [];
+  let kept = [];
+
+  for (const name of chain && chain.length > 0 ? chain : DEFAULT_PROVIDER_CHAIN) {
+    const provider = providers.get(name);
+    if (!provider) {
+      console.warn(`Unknown paraphrase provider "${name}", skipping`);
+      continue;
+    }
+
+    try {
+      const variants = await provider.generate(originalText, { type, html: htmlContent, seed, count: MAX_VARIANTS });
+      candidates.push(...variants.map(variant => ({ ...variant, provider: name })));
+    } catch (error) {
+      console.error(`Paraphrase provider "${name}" failed, skipping:`, error.message);
+      continue;
+    }
+
+    kept = filterVariants(baseline, candidates);
+    if (kept.length >= MAX_VARIANTS) break;
+  }
+
+  return kept.slice(0, MAX_VARIANTS);
+};
+
+/**
+ * Generate variants with an agent's provider chain
+ * @param {Object} agent - Agent instance (paraphrase_providers)
+ * @param {string} originalText - The original text to paraphrase
+ * @param {string} type - Either 'question' or 'answer'
+ * @param {string} htmlContent - HTML version for answers (optional)
+ * @returns {Promise<Array>} Variants
+ */
+const generateAgentVariants = (agent, originalText, type = 'question', htmlContent = null) => {
+  return generateVariantsWithProviders(agent && agent.paraphrase_providers, originalText, type, htmlContent);
+};
+
+module.exports = {
+  DEFAULT_PROVIDER_CHAIN,
+  createDomainRulesProvider,
+  createHttpParaphraseProvider,
+  registerParaphraseProvider,
+  hasParaphraseProvider,
+  listParaphraseProviders,
+  generateVariantsWithProviders,
+  generateAgentVariants
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Random Service
+ *
+ * Seeded pseudo-random numbers for behaviour that must be reproducible,
+ * such as replaying a rehearsed demo exactly. The same seed always gives
+ * the same sequence.
+ */
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a), e.g. to derive a seed
+ * @param {string} value - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Numeric seed, or a string to hash into one
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+const createRandom = (seed) => {
+  let state = (typeof seed === 'number' ? seed : hashString(seed)) >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * A fresh seed for a new session
+ * @returns {number} Integer seed (fits a signed 32-bit column)
+ */
+const generateSeed = () => crypto.randomInt(0, 2 ** 31 - 1);
+
+module.exports = {
+  hashString,
+  createRandom,
+  generateSeed
+};
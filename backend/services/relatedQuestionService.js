@@ -0,0 +1,60 @@
+const { searchIndex } = require('./searchIndexService');
+
+/**
+ * Related Question Service
+ *
+ * "You might also ask" follow-ups offered with curated replies. The
+ * answered question's curated related questions (RelatedQuestion links)
+ * come first; any remaining slots are filled with its most similar
+ * questions in the agent's search index. Only indexed questions (Final,
+ * with a Final answer) are ever offered.
+ */
+
+// Related questions offered with a reply
+const MAX_RELATED_QUESTIONS = 3;
+
+// Minimum normalized BM25 score for a computed related question
+const RELATED_MIN_SCORE = 0.2;
+
+// Index documents searched for similar questions (variants share a question)
+const RELATED_SEARCH_LIMIT = 20;
+
+/**
+ * Find the questions to offer after answering a question
+ * @param {Object} index - Agent search index
+ * @param {string} questionId - Answered question ID
+ * @param {Object} options - { limit }
+ * @returns {Array<Object>} [{ question_id, question_text }]
+ */
+const findRelatedQuestions = (index, questionId, { limit = MAX_RELATED_QUESTIONS } = {}) => {
+  const question = index.questions.get(questionId);
+  if (!question) {
+    return [];
+  }
+
+  const relatedIds = question.related_ids
+    .filter(id => id !== questionId && index.questions.has(id))
+    .slice(0, limit);
+
+  if (relatedIds.length < limit) {
+    const similar = searchIndex(index, question.question_text, { limit: RELATED_SEARCH_LIMIT });
+
+    for (const { document, normalizedScore } of similar) {
+      if (relatedIds.length >= limit || normalizedScore < RELATED_MIN_SCORE) break;
+
+      if (document.question_id !== questionId && !relatedIds.includes(document.question_id)) {
+        relatedIds.push(document.question_id);
+      }
+    }
+  }
+
+  return relatedIds.map(id => ({
+    question_id: id,
+    question_text: index.questions.get(id).question_text
+  }));
+};
+
+module.exports = {
+  MAX_RELATED_QUESTIONS,
+  findRelatedQuestions
+};
@@ -0,0 +1,299 @@
+const NodeCache = require('node-cache');
+const { Question, Answer, QuestionVariant, AnswerVariant, RelatedQuestion } = require('../models');
+const { tokenize, stem, editDistance, allowedTypos } = require('./textAnalysisService');
+
+/**
+ * Search Index Service
+ *
+ * Maintains a per-agent inverted index over the agent's Final questions
+ * and their approved, unarchived variants, scored with Okapi BM25. Indexes
+ * are built lazily on the first chat message and cached in memory so that
+ * matching no longer reloads every Q&A pair from the database per message.
+ *
+ * Admin routes call invalidateAgentIndex() whenever an agent's Q&A
+ * changes; the next lookup rebuilds the index from the database.
+ */
+
+// BM25 tuning parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of index terms reached through typo tolerance rather than an exact stem
+const FUZZY_TERM_WEIGHT = 0.8;
+
+// Cached indexes expire after an hour as a safety net against missed invalidations
+const indexCache = new NodeCache({
+  stdTTL: 60 * 60,
+  checkperiod: 10 * 60,
+  useClones: false
+});
+
+// In-flight builds, so concurrent messages share a single database load
+const pendingBuilds = new Map();
+
+// Bumped on every invalidation so stale in-flight builds are not cached
+const generations = new Map();
+
+/**
+ * Index terms for a piece of text: stemmed, stopword-free tokens
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Terms
+ */
+const analyzeTerms = (text) => tokenize(text).map(stem);
+
+/**
+ * Find index terms within typo distance of a query term that is not indexed
+ * @param {Object} index - Search index
+ * @param {string} term - Query term
+ * @returns {Array<string>} Close index terms
+ */
+const findFuzzyTerms = (index, term) => {
+  const allowance = allowedTypos(term.length);
+  if (allowance === 0) {
+    return [];
+  }
+
+  return [...index.postings.keys()].filter(candidate =>
+    editDistance(term, candidate, allowance) <= allowance
+  );
+};
+
+/**
+ * Build an inverted index from questions loaded with their answers and variants
+ * @param {Array} questions - Question instances (or plain objects) with answer and variants
+ * @returns {Object} Index with documents, postings and corpus statistics
+ */
+const buildIndex = (questions) => {
+  const documents = [];
+  const postings = new Map();
+  const questionMap = new Map();
+
+  const addDocument = (question, record, variantId, text) => {
+    const tokens = analyzeTerms(text);
+    const termFreqs = new Map();
+    tokens.forEach(token => termFreqs.set(token, (termFreqs.get(token) || 0) + 1));
+
+    const docIndex = documents.length;
+    documents.push({
+      question_id: question.id,
+      variant_id: variantId,
+      text,
+      length: tokens.length,
+      embedding: record.embedding || null,
+      embedding_model: record.embedding_model || null
+    });
+
+    termFreqs.forEach((tf, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push({ docIndex, tf });
+    });
+  };
+
+  for (const question of questions) {
+    if (!question.answer) continue;
+
+    questionMap.set(question.id, {
+      id: question.id,
+      question_text: question.question_text,
+      // Curated related questions, in display order
+      related_ids: [...(question.related_links || [])]
+        .sort((a, b) => a.position - b.position)
+        .map(link => link.related_question_id),
+      answer: {
+        id: question.answer.id,
+        text: question.answer.answer_text,
+        html: question.answer.answer_html,
+        variants: (question.answer.variants || []).map(variant => ({
+          id: variant.id,
+          text: variant.variant_text,
+          html: variant.variant_html
+        }))
+      }
+    });
+
+    addDocument(question, question, null, question.question_text);
+    for (const variant of question.variants || []) {
+      addDocument(question, variant, variant.id, variant.variant_text);
+    }
+  }
+
+  const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+
+  return {
+    documents,
+    postings,
+    questions: questionMap,
+    docCount: documents.length,
+    avgLength: documents.length > 0 ? totalLength / documents.length : 0,
+    builtAt: new Date()
+  };
+};
+
+/**
+ * Inverse document frequency (BM25+ style, always positive)
+ * @param {Object} index - Search index
+ * @param {string} term - Token
+ * @returns {number} IDF weight
+ */
+const inverseDocumentFrequency = (index, term) => {
+  const docFreq = index.postings.has(term) ? index.postings.get(term).length : 0;
+  return Math.log(1 + (index.docCount - docFreq + 0.5) / (docFreq + 0.5));
+};
+
+/**
+ * Score documents in the index against a query using BM25
+ * @param {Object} index - Search index built by buildIndex
+ * @param {string} query - User's message
+ * @param {Object} options - { limit }
+ * @returns {Array} Ranked results: { document, score, normalizedScore, matchedTerms }
+ */
+const searchIndex = (index, query, { limit = 20 } = {}) => {
+  const queryTerms = [...new Set(analyzeTerms(query))];
+  if (queryTerms.length === 0 || index.docCount === 0) {
+    return [];
+  }
+
+  const scores = new Map();
+  let maxPossibleScore = 0;
+
+  for (const term of queryTerms) {
+    // Score a document would earn from one occurrence at average length
+    maxPossibleScore += inverseDocumentFrequency(index, term);
+
+    // Unknown terms fall back to near spellings present in the index
+    const indexTerms = index.postings.has(term)
+      ? [{ indexTerm: term, weight: 1 }]
+      : findFuzzyTerms(index, term).map(indexTerm => ({ indexTerm, weight: FUZZY_TERM_WEIGHT }));
+
+    const termScores = new Map();
+    for (const { indexTerm, weight } of indexTerms) {
+      const idf = inverseDocumentFrequency(index, indexTerm);
+
+      for (const { docIndex, tf } of index.postings.get(indexTerm)) {
+        const doc = index.documents[docIndex];
+        const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (index.avgLength || 1));
+        const termScore = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+
+        // A query term counts once per document, via its best spelling
+        termScores.set(docIndex, Math.max(termScores.get(docIndex) || 0, termScore));
+      }
+    }
+
+    termScores.forEach((termScore, docIndex) => {
+      if (!scores.has(docIndex)) {
+        scores.set(docIndex, { score: 0, matchedTerms: [] });
+      }
+      const entry = scores.get(docIndex);
+      entry.score += termScore;
+      entry.matchedTerms.push(term);
+    });
+  }
+
+  return [...scores.entries()]
+    .map(([docIndex, { score, matchedTerms }]) => ({
+      document: index.documents[docIndex],
+      score,
+      normalizedScore: maxPossibleScore > 0 ? Math.min(1, score / maxPossibleScore) : 0,
+      matchedTerms
+    }))
+    .sort((a, b) => b.score - a.score || a.document.text.localeCompare(b.document.text))
+    .slice(0, limit);
+};
+
+/**
+ * Load an agent's Final Q&A from the database and build its index
+ * @param {string} agentId - Agent ID
+ * @returns {Object} Search index
+ */
+const loadAgentIndex = async (agentId) => {
+  const questions = await Question.findAll({
+    where: {
+      agent_id: agentId,
+      status: 'Final'
+    },
+    include: [{
+      model: Answer,
+      as: 'answer',
+      where: { status: 'Final' },
+      include: [{
+        model: AnswerVariant,
+        as: 'variants',
+        where: { is_approved: true, archived_at: null },
+        required: false
+      }]
+    }, {
+      model: QuestionVariant,
+      as: 'variants',
+      where: { is_approved: true, archived_at: null },
+      required: false
+    }, {
+      model: RelatedQuestion,
+      as: 'related_links',
+      attributes: ['related_question_id', 'position']
+    }],
+    // Stable variant order, which round-robin answer selection relies on
+    order: [
+      ['created_at', 'ASC'],
+      [{ model: Answer, as: 'answer' }, { model: AnswerVariant, as: 'variants' }, 'created_at', 'ASC'],
+      [{ model: Answer, as: 'answer' }, { model: AnswerVariant, as: 'variants' }, 'id', 'ASC']
+    ]
+  });
+
+  return buildIndex(questions);
+};
+
+/**
+ * Get the cached index for an agent, building it on first use
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} Search index
+ */
+const getAgentIndex = async (agentId) => {
+  const cached = indexCache.get(agentId);
+  if (cached) {
+    return cached;
+  }
+
+  if (pendingBuilds.has(agentId)) {
+    return pendingBuilds.get(agentId);
+  }
+
+  const generation = generations.get(agentId) || 0;
+  const build = loadAgentIndex(agentId)
+    .then(index => {
+      // Only cache if no invalidation happened while we were loading
+      if ((generations.get(agentId) || 0) === generation) {
+        indexCache.set(agentId, index);
+      }
+      return index;
+    })
+    .finally(() => {
+      if (pendingBuilds.get(agentId) === build) {
+        pendingBuilds.delete(agentId);
+      }
+    });
+
+  pendingBuilds.set(agentId, build);
+  return build;
+};
+
+/**
+ * Drop an agent's cached index so the next lookup rebuilds it
+ * @param {string} agentId - Agent ID
+ */
+const invalidateAgentIndex = (agentId) => {
+  if (!agentId) return;
+
+  generations.set(agentId, (generations.get(agentId) || 0) + 1);
+  pendingBuilds.delete(agentId);
+  indexCache.del(agentId);
+};
+
+module.exports = {
+  analyzeTerms,
+  buildIndex,
+  searchIndex,
+  getAgentIndex,
+  invalidateAgentIndex
+};
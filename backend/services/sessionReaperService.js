@@ -0,0 +1,147 @@
+const { Op } = require('sequelize');
+const { ChatSession, ChatMessage } = require('../models');
+const { publishSessionEvent } = require('./chatEventService');
+const { revokeJoinCode } = require('./joinCodeService');
+
+/**
+ * Session Reaper Service
+ *
+ * Closes chat sessions that users leave open. A session with no activity
+ * (messages, or being resumed) for longer than the idle timeout is ended
+ * with end_reason "expired" and ended_at set to its last message (or its
+ * start, when it has none), so session durations reflect the actual
+ * conversation rather than the time it sat open.
+ *
+ * startSessionReaper() sweeps idle sessions on an interval. Chat routes
+ * also check the session they are about to use (see chatService), so a
+ * session expires on time even between sweeps.
+ *
+ * Configuration (minutes):
+ * - CHAT_SESSION_IDLE_TIMEOUT_MINUTES   idle time before expiry (default 30)
+ * - CHAT_SESSION_REAP_INTERVAL_MINUTES  time between sweeps (default 5)
+ */
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+const DEFAULT_REAP_INTERVAL_MINUTES = 5;
+
+// Error code returned to clients using an expired session
+const SESSION_EXPIRED = 'SESSION_EXPIRED';
+
+/**
+ * Read a positive number of minutes from the environment, in milliseconds
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default in minutes
+ * @returns {number} Milliseconds
+ */
+const minutesFromEnv = (name, fallback) => {
+  const minutes = Number(process.env[name]);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : fallback) * 60 * 1000;
+};
+
+const getIdleTimeoutMs = () => minutesFromEnv('CHAT_SESSION_IDLE_TIMEOUT_MINUTES', DEFAULT_IDLE_TIMEOUT_MINUTES);
+
+/**
+ * Message for clients whose session expired
+ * @returns {string}
+ */
+const sessionExpiredMessage = () => {
+  const minutes = Math.round(getIdleTimeoutMs() / 60000);
+  return `This chat session expired after ${minutes} minutes of inactivity. Please start a new session.`;
+};
+
+/**
+ * When a session was last used (sessions created before activity was
+ * tracked count from their start)
+ * @param {Object} session - ChatSession instance
+ * @returns {Date}
+ */
+const lastActivityOf = (session) => new Date(session.last_activity_at || session.started_at);
+
+/**
+ * Whether an active session has been idle beyond the timeout
+ * @param {Object} session - ChatSession instance
+ * @returns {boolean}
+ */
+const isSessionIdle = (session) => Date.now() - lastActivityOf(session).getTime() > getIdleTimeoutMs();
+
+/**
+ * End an idle session and disconnect anyone watching it
+ * @param {Object} session - ChatSession instance
+ */
+const expireSession = async (session) => {
+  // Resuming a session is activity, but the conversation ended with its last message
+  const lastMessageAt = await ChatMessage.max('timestamp', { where: { session_id: session.id } });
+
+  await session.update({
+    is_active: false,
+    ended_at: lastMessageAt || session.started_at,
+    end_reason: 'expired'
+  });
+
+  revokeJoinCode(session.id);
+  publishSessionEvent(session.id, { type: 'session_ended', reason: 'expired' });
+};
+
+/**
+ * Expire every active session idle beyond the timeout
+ * @returns {Promise<number>} Number of sessions expired
+ */
+const reapIdleSessions = async () => {
+  const cutoff = new Date(Date.now() - getIdleTimeoutMs());
+
+  const sessions = await ChatSession.findAll({
+    where: {
+      is_active: true,
+      [Op.or]: [
+        { last_activity_at: { [Op.lt]: cutoff } },
+        { last_activity_at: null, started_at: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+
+  for (const session of sessions) {
+    await expireSession(session);
+  }
+
+  return sessions.length;
+};
+
+/**
+ * Start sweeping idle sessions in the background
+ * @returns {Object} Interval timer (does not keep the process alive)
+ */
+const startSessionReaper = () => {
+  let sweeping = false;
+
+  const sweep = async () => {
+    // A slow sweep is never overlapped by the next one
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+      const expired = await reapIdleSessions();
+      if (expired > 0) {
+        console.log(`🧹 Expired ${expired} idle chat session(s)`);
+      }
+    } catch (error) {
+      console.error('Error expiring idle chat sessions:', error);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  const timer = setInterval(sweep, minutesFromEnv('CHAT_SESSION_REAP_INTERVAL_MINUTES', DEFAULT_REAP_INTERVAL_MINUTES));
+  timer.unref();
+  sweep();
+
+  return timer;
+};
+
+module.exports = {
+  SESSION_EXPIRED,
+  sessionExpiredMessage,
+  isSessionIdle,
+  expireSession,
+  reapIdleSessions,
+  startSessionReaper
+};
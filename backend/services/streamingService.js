@@ -0,0 +1,126 @@
+/**
+ * Streaming Service
+ *
+ * Server-Sent Events helpers for streaming agent replies with a
+ * simulated typing cadence. Replies are split into HTML-safe chunks:
+ * a chunk is either a complete tag, a complete character entity, or a
+ * word with its trailing whitespace, so a client can append chunks to
+ * the rendered reply without ever seeing half a tag or entity. The
+ * typing helpers are shared with the WebSocket transport.
+ */
+
+// Platform defaults for agents that don't configure their own cadence
+const DEFAULT_TYPING_SPEED_CPS = 40;
+const DEFAULT_THINKING_DELAY_MS = 700;
+
+// Long answers are typed faster so a reply never takes longer than this
+const MAX_TYPING_DURATION_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Split HTML into chunks that never break a tag or an entity
+ * @param {string} html - Reply HTML
+ * @returns {Array<string>} Chunks that concatenate back to the input
+ */
+const splitHtmlChunks = (html) => {
+  if (!html) return [];
+  return String(html).match(/<[^>]*>|&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);|[^<&\s]+\s*|\s+|[<&]/g) || [];
+};
+
+/**
+ * Number of characters a chunk shows on screen (tags are invisible)
+ * @param {string} chunk - HTML chunk
+ * @returns {number} Visible characters
+ */
+const visibleLength = (chunk) => {
+  if (chunk.startsWith('<') && chunk.endsWith('>')) return 0;
+  if (chunk.startsWith('&') && chunk.endsWith(';')) return 1;
+  return chunk.length;
+};
+
+/**
+ * Prepare a response for Server-Sent Events
+ * @param {Object} res - Express response
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Azure front ends)
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Write one SSE event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Wait out the agent's "thinking" delay, counting time already spent
+ * @param {Object} agent - Agent instance
+ * @param {number} startedAt - Timestamp (ms) when the user's message arrived
+ */
+const waitForThinkingDelay = async (agent, startedAt) => {
+  const delay = agent.thinking_delay_ms ?? DEFAULT_THINKING_DELAY_MS;
+  const remaining = delay - (Date.now() - startedAt);
+  if (remaining > 0) {
+    await sleep(remaining);
+  }
+};
+
+/**
+ * Emit reply HTML chunk by chunk at the agent's typing speed
+ * @param {Object} agent - Agent instance (typing_speed_cps)
+ * @param {string} html - Reply HTML
+ * @param {Function} onChunk - Called with each chunk
+ * @param {Function} isClosed - Returns true once the receiver has gone away
+ */
+const typeHtml = async (agent, html, onChunk, isClosed) => {
+  const chunks = splitHtmlChunks(html);
+  const totalVisible = chunks.reduce((sum, chunk) => sum + visibleLength(chunk), 0);
+
+  let charsPerSecond = agent.typing_speed_cps || DEFAULT_TYPING_SPEED_CPS;
+  if ((totalVisible / charsPerSecond) * 1000 > MAX_TYPING_DURATION_MS) {
+    charsPerSecond = (totalVisible * 1000) / MAX_TYPING_DURATION_MS;
+  }
+
+  for (const chunk of chunks) {
+    if (isClosed()) return;
+
+    onChunk(chunk);
+
+    const delay = (visibleLength(chunk) / charsPerSecond) * 1000;
+    if (delay > 0) {
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Stream reply HTML as "token" events at the agent's typing speed
+ * @param {Object} res - Express response
+ * @param {Object} agent - Agent instance (typing_speed_cps)
+ * @param {string} html - Reply HTML
+ * @param {Function} isClosed - Returns true once the client has disconnected
+ */
+const streamHtml = (res, agent, html, isClosed) => {
+  return typeHtml(agent, html, chunk => writeEvent(res, 'token', { chunk }), isClosed);
+};
+
+module.exports = {
+  splitHtmlChunks,
+  openEventStream,
+  writeEvent,
+  waitForThinkingDelay,
+  typeHtml,
+  streamHtml
+};
@@ -0,0 +1,355 @@
+/**
+ * Text Analysis Service
+ *
+ * Shared text normalization, tokenization, stemming and similarity used
+ * by the question matching pipeline. Keeping this in one place guarantees
+ * that the search index and incoming chat messages are analyzed identically.
+ */
+
+// Common English words that carry little meaning for matching
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any',
+  'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most',
+  'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'please',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the',
+  'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very',
+  'was', 'we', 'were', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+/**
+ * Normalize text for comparison: lowercase, strip HTML tags and
+ * punctuation, collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text) {
+    return '';
+  }
+
+  return String(text)
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/g, ' ')
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into meaningful tokens (stopwords removed)
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Tokens in original order
+ */
+const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return [];
+  }
+
+  return normalized
+    .split(' ')
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+};
+
+// Porter stemmer suffix rules (steps 2 and 3)
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+/**
+ * Whether the letter at position i acts as a consonant ("y" after a
+ * consonant acts as a vowel)
+ */
+const isConsonant = (word, i) => {
+  const ch = word[i];
+  if ('aeiou'.includes(ch)) return false;
+  if (ch === 'y') return i === 0 ? true : !isConsonant(word, i - 1);
+  return true;
+};
+
+/**
+ * Porter "measure": the number of vowel-consonant sequences in a stem
+ */
+const measure = (stemPart) => {
+  let m = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stemPart.length; i++) {
+    const vowel = !isConsonant(stemPart, i);
+    if (!vowel && previousVowel) m++;
+    previousVowel = vowel;
+  }
+  return m;
+};
+
+const hasVowel = (stemPart) => {
+  for (let i = 0; i < stemPart.length; i++) {
+    if (!isConsonant(stemPart, i)) return true;
+  }
+  return false;
+};
+
+/**
+ * Stem ends consonant-vowel-consonant, where the last consonant is not w, x or y
+ */
+const endsCvc = (stemPart) => {
+  const n = stemPart.length;
+  return n >= 3 &&
+    isConsonant(stemPart, n - 3) &&
+    !isConsonant(stemPart, n - 2) &&
+    isConsonant(stemPart, n - 1) &&
+    !'wxy'.includes(stemPart[n - 1]);
+};
+
+/**
+ * Replace the longest matching suffix when the remaining stem has measure > 0
+ */
+const replaceSuffix = (word, suffixes) => {
+  const suffix = Object.keys(suffixes)
+    .filter(candidate => word.endsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (suffix && measure(word.slice(0, -suffix.length)) > 0) {
+    return word.slice(0, -suffix.length) + suffixes[suffix];
+  }
+  return word;
+};
+
+/**
+ * Porter stemmer (M.F. Porter, 1980) reducing English words to their stem,
+ * e.g. "configuration" and "configure" both become "configur"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a
+  if (/sses$/.test(w)) w = w.slice(0, -2);
+  else if (/ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b
+  let step1bExtra = false;
+  if (/eed$/.test(w)) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const match = w.match(/^(.+?)(ed|ing)$/);
+    if (match && hasVowel(match[1])) {
+      w = match[1];
+      step1bExtra = true;
+    }
+  }
+  if (step1bExtra) {
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (measure(w) === 1 && endsCvc(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c
+  if (/y$/.test(w) && hasVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  // Step 2
+  w = replaceSuffix(w, STEP2_SUFFIXES);
+
+  // Step 3
+  w = replaceSuffix(w, STEP3_SUFFIXES);
+
+  // Step 4
+  const step4 = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/);
+  const step4Ion = w.match(/^(.+?)([st])ion$/);
+  if (step4 && measure(step4[1]) > 1) {
+    w = step4[1];
+  } else if (step4Ion && measure(step4Ion[1] + step4Ion[2]) > 1) {
+    w = step4Ion[1] + step4Ion[2];
+  }
+
+  // Step 5
+  const step5 = w.match(/^(.+?)e$/);
+  if (step5) {
+    const m = measure(step5[1]);
+    if (m > 1 || (m === 1 && !endsCvc(step5[1]))) {
+      w = step5[1];
+    }
+  }
+  if (/ll$/.test(w) && measure(w) > 1) {
+    w = w.slice(0, -1);
+  }
+
+  return firstY ? 'y' + w.slice(1) : w;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), abandoning early once maxDistance is exceeded
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Edit distance, or maxDistance + 1 when further apart
+ */
+const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Number of typos tolerated for a word of the given length
+ */
+const allowedTypos = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Credit for matching two words: 1 for the same stem, 0.9 when one stem
+ * extends the other, 0.8 when within the typo allowance, otherwise 0
+ */
+const wordMatchScore = (word1, word2) => {
+  if (word1.stem === word2.stem) {
+    return 1;
+  }
+
+  const [shorter, longer] = word1.stem.length <= word2.stem.length
+    ? [word1.stem, word2.stem]
+    : [word2.stem, word1.stem];
+  if (shorter.length >= 4 && longer.startsWith(shorter)) {
+    return 0.9;
+  }
+
+  const allowance = allowedTypos(Math.min(word1.text.length, word2.text.length));
+  if (allowance > 0 && editDistance(word1.text, word2.text, allowance) <= allowance) {
+    return 0.8;
+  }
+
+  return 0;
+};
+
+/**
+ * Unique tokens of a string with their stems
+ */
+const analyzeWords = (text) => {
+  return [...new Set(tokenize(text))].map(token => ({ text: token, stem: stem(token) }));
+};
+
+/**
+ * Pair each word of the first string with its best match in the second
+ * @returns {Object} { pairs: [{ word, matched_word, credit }], totalWords }
+ */
+const matchWords = (str1, str2) => {
+  const words1 = analyzeWords(str1);
+  const words2 = analyzeWords(str2);
+
+  const pairs = words1.map((word1) => {
+    let best = { word: word1.text, matched_word: null, credit: 0 };
+    for (const word2 of words2) {
+      const credit = wordMatchScore(word1, word2);
+      if (credit > best.credit) {
+        best = { word: word1.text, matched_word: word2.text, credit };
+        if (credit === 1) break;
+      }
+    }
+    return best;
+  });
+
+  return {
+    pairs,
+    totalWords: words2.length > 0 ? Math.max(words1.length, words2.length) : 0
+  };
+};
+
+/**
+ * Calculate similarity between two strings
+ *
+ * Words are normalized (punctuation stripped, stopwords dropped) and
+ * stemmed; each word of the first string earns the credit of its best
+ * match in the second string. The result is deterministic.
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Similarity score between 0 and 1
+ */
+const calculateSimilarity = (str1, str2) => explainSimilarity(str1, str2).score;
+
+/**
+ * Explain a calculateSimilarity score word by word (for match debugging)
+ * @param {string} str1 - First string (the user's message)
+ * @param {string} str2 - Second string (a question or variant)
+ * @returns {Object} { score, words: [{ word, matched_word, credit }] }
+ */
+const explainSimilarity = (str1, str2) => {
+  const { pairs, totalWords } = matchWords(str1, str2);
+  const credit = pairs.reduce((sum, pair) => sum + pair.credit, 0);
+
+  return {
+    score: totalWords > 0 ? credit / totalWords : 0,
+    words: pairs
+  };
+};
+
+module.exports = {
+  STOPWORDS,
+  normalizeText,
+  tokenize,
+  stem,
+  editDistance,
+  allowedTypos,
+  calculateSimilarity,
+  explainSimilarity
+};
@@ -1,9 +1,29 @@
+const { createRandom, hashString } = require('./randomService');
+const { mapHtmlText, htmlToText } = require('./htmlService');
+const { filterVariants } = require('./variantQualityService');
+
 /**
  * Text Variant Generation Service
  * 
  * This service generates paraphrased variants of questions and answers
  * while preserving HTML formatting and context. It provides multiple
  * paraphrasing techniques to create diverse variants.
+ *
+ * Techniques rewrite plain text. Answer HTML is parsed into a tree and
+ * only its text nodes are rewritten, so lists, links, bold and tables
+ * survive; variant HTML is sanitized, and variant text is read back from
+ * it.
+ *
+ * Generated variants pass a quality gate (see variantQualityService) that
+ * drops duplicates, garbled text and variants that drift from the
+ * original's meaning.
+ *
+ * Generation is deterministic: every random choice comes from a PRNG
+ * seeded from the input text (or an explicit seed), so identical input
+ * always yields identical variants. Each technique draws from its own
+ * stream, so adding a technique doesn't change the others' output, and
+ * makes its choices once per text, so every part of an answer is
+ * paraphrased alike.
  */
 
 /**
@@ -11,29 +31,20 @@
  * @param {string} originalText - The original text to paraphrase
  * @param {string} type - Either 'question' or 'answer'
  * @param {string} htmlContent - HTML version for answers (optional)
+ * @param {Object} options - { seed } number or string (defaults to a hash of the text)
  * @returns {Array} Array of variant objects
  */
-const generateVariants = (originalText, type = 'question', htmlContent = null) => {
+const generateVariants = (originalText, type = 'question', htmlContent = null, { seed = hashString(originalText) } = {}) => {
   const variants = [];
   
   try {
-    // Generate 10+ variants using different paraphrasing techniques
-    const techniques = [
-      'synonymReplacement',
-      'sentenceRestructuring', 
-      'formalInformal',
-      'activePassive',
-      'questionStyle',
-      'expandContract',
-      'orderChange',
-      'emphasisShift',
-      'perspectiveChange',
-      'contextualVariation'
-    ];
+    // One variant per registered paraphrasing technique
+    const techniques = [...TECHNIQUES.keys()];
 
     techniques.forEach((technique, index) => {
-      const variant = applyParaphraseTechnique(originalText, technique, type, htmlContent);
-      if (variant && variant !== originalText) {
+      const random = createRandom(`${seed}:${technique}`);
+      const variant = applyParaphraseTechnique(originalText, technique, type, htmlContent, random);
+      if (variant) {
         variants.push({
           id: index + 1,
           text: variant.text,
@@ -45,10 +56,10 @@ const generateVariants = (originalText, type = 'question', htmlContent = null) =
     });
 
     // Add some additional creative variants
-    const creativeVariants = generateCreativeVariants(originalText, type, htmlContent);
+    const creativeVariants = generateCreativeVariants(originalText, type, htmlContent, seed);
     variants.push(...creativeVariants);
 
-    return variants.slice(0, 12); // Return up to 12 variants
+    return filterVariants(baselineText(originalText, htmlContent), variants).slice(0, 12); // Return up to 12 variants
   } catch (error) {
     console.error('Error generating variants:', error);
     return [];
@@ -57,55 +68,117 @@ const generateVariants = (originalText, type = 'question', htmlContent = null) =
 
 /**
  * Applies specific paraphrasing technique to text
+ *
+ * The technique makes its random choices once (which words to replace,
+ * which style to switch to), then rewrites every text node of answer
+ * HTML the same way, so a variant reads consistently.
  * @param {string} text - Original text
  * @param {string} technique - Paraphrasing technique to apply
  * @param {string} type - Content type (question/answer)
- * @param {string} htmlContent - HTML content for answers
- * @returns {Object} Paraphrased variant
+ * @param {string} htmlContent - HTML content for answers; when given, its
+ *                               text nodes are paraphrased and the text is
+ *                               read back from the result
+ * @param {Function} random - Seeded generator for the technique's choices
+ *                            (defaults to one seeded from the text)
+ * @returns {Object} Paraphrased variant { text, html, confidence }, with
+ *                   the lowest confidence of any rewritten text node
  */
-const applyParaphraseTechnique = (text, technique, type, htmlContent) => {
-  const cleanText = stripHtml(text);
-  
-  switch (technique) {
-    case 'synonymReplacement':
-      return synonymReplacement(cleanText, type, htmlContent);
-    
-    case 'sentenceRestructuring':
-      return sentenceRestructuring(cleanText, type, htmlContent);
-    
-    case 'formalInformal':
-      return formalInformalSwitch(cleanText, type, htmlContent);
-    
-    case 'activePassive':
-      return activePassiveSwitch(cleanText, type, htmlContent);
-    
-    case 'questionStyle':
-      return questionStyleVariation(cleanText, type, htmlContent);
-    
-    case 'expandContract':
-      return expandContract(cleanText, type, htmlContent);
-    
-    case 'orderChange':
-      return changeOrder(cleanText, type, htmlContent);
-    
-    case 'emphasisShift':
-      return shiftEmphasis(cleanText, type, htmlContent);
-    
-    case 'perspectiveChange':
-      return changePerspective(cleanText, type, htmlContent);
-    
-    case 'contextualVariation':
-      return contextualVariation(cleanText, type, htmlContent);
-    
-    default:
-      return { text: cleanText, html: htmlContent };
+const applyParaphraseTechnique = (text, technique, type, htmlContent, random = createRandom(`${text}:${technique}`)) => {
+  const createParaphrase = TECHNIQUES.get(technique);
+
+  if (!createParaphrase) {
+    return { text: stripHtml(text), html: htmlContent };
   }
+
+  const paraphrase = createParaphrase(type, random);
+
+  if (htmlContent) {
+    let confidence = null;
+    const html = mapHtmlText(htmlContent, nodeText => {
+      const result = paraphrase(nodeText);
+      confidence = confidence === null ? result.confidence : Math.min(confidence, result.confidence);
+      return result.text;
+    });
+
+    return { text: htmlToText(html), html, confidence };
+  }
+
+  const result = paraphrase(stripHtml(text));
+  return { text: result.text, html: result.text, confidence: result.confidence };
+};
+
+// Subjects that follow an auxiliary "do" ("how do I")
+const SUBJECT_PRONOUNS = 'I|you|we|they|he|she';
+const OBJECT_PRONOUNS = 'me|you|us|him|her|them';
+
+// Determiners starting an object the passive rewrite moves ("my password")
+const OBJECT_DETERMINERS = 'the|a|an|my|your|our|their|this|that|these|those';
+
+// Where an object ends: punctuation, the end of the text or a preposition
+const CLAUSE_END = '(?=\\s*(?:[.,;:!?]|$)|\\s+(?:with|to|in|on|from|for|at|by|using|via|offline|online|later|again|now)\\b)';
+
+// Past participles of the verbs the passive rewrite knows
+const PAST_PARTICIPLES = {
+  reset: 'reset',
+  change: 'changed',
+  update: 'updated',
+  use: 'used',
+  open: 'opened',
+  download: 'downloaded',
+  export: 'exported',
+  import: 'imported',
+  create: 'created',
+  delete: 'deleted',
+  save: 'saved',
+  send: 'sent',
+  receive: 'received',
+  find: 'found',
+  lock: 'locked',
+  unlock: 'unlocked',
+  sync: 'synced',
+  store: 'stored',
+  enable: 'enabled',
+  disable: 'disabled',
+  install: 'installed',
+  access: 'accessed',
+  cancel: 'canceled',
+  verify: 'verified'
+};
+
+// Pronouns each perspective shift replaces, with their replacements, and
+// the pronouns of other persons that rule it out
+const PERSPECTIVE_SHIFTS = [
+  {
+    pronouns: [['I', 'you'], ['me', 'you'], ['my', 'your'], ['mine', 'yours'], ['myself', 'yourself']],
+    others: /\b(?:you|your|yours|yourself|one|one's|oneself)\b/i
+  },
+  {
+    pronouns: [['you', 'one'], ['your', "one's"], ['yours', "one's"], ['yourself', 'oneself']],
+    others: /\b(?:I|me|my|mine|myself|one|one's|oneself)\b/i
+  }
+];
+
+// Words after which "to" is part of the phrase ("want to", "able to"),
+// including rewrites made before it ("endeavor to"), and words before
+// which it is a preposition ("to the", "to me")
+const TO_COMPLEMENTS = 'want|wants|need|needs|have|has|had|how|able|going|like|likes|try|tries|trying|endeavor|commence|ought|used|about|due|according|next|close|up|back|from|way|order|prior|is|are|was|were|be';
+const TO_OBJECTS = 'the|a|an|my|your|his|her|its|our|their|this|that|these|those|me|you|him|them|us|it|\\d+';
+
+/**
+ * Replace whole words of a text from a map, keeping their case
+ * @param {string} text - Plain text
+ * @param {Array<Array<string>>} entries - [word (a regular expression source), replacement] pairs, applied in order
+ * @returns {string}
+ */
+const replaceWords = (text, entries) => {
+  return entries.reduce((result, [original, replacement]) =>
+    result.replace(new RegExp(`\\b${original}\\b`, 'gi'), match => matchCase(match, replacement)), text);
 };
 
 /**
  * Synonym replacement technique
  */
-const synonymReplacement = (text, type, htmlContent) => {
+const synonymReplacement = (type, random) => {
   const synonymMap = {
     // Common words
     'how': 'in what way',
@@ -113,12 +186,13 @@ const synonymReplacement = (text, type, htmlContent) => {
     'why': 'for what reason',
     'when': 'at what time',
     'where': 'in which location',
-    'can': 'is it possible to',
     'will': 'shall',
     'would': 'could',
-    'should': 'ought to',
+    // Not where a subject follows ("should I" is not "ought to I")
+    [`should(?!\\s+(?:${SUBJECT_PRONOUNS})\\b)`]: 'ought to',
     'help': 'assist',
-    'show': 'display',
+    // "display" takes no indirect object ("show me how")
+    [`show(?!\\s+(?:${OBJECT_PRONOUNS})\\b)`]: 'display',
     'explain': 'describe',
     'tell': 'inform',
     'find': 'locate',
@@ -140,55 +214,48 @@ const synonymReplacement = (text, type, htmlContent) => {
     'manage': 'handle'
   };
 
-  let result = text;
-  
-  Object.entries(synonymMap).forEach(([original, synonym]) => {
-    const regex = new RegExp(`\\b${original}\\b`, 'gi');
-    if (Math.random() > 0.7) { // 30% chance to replace each word
-      result = result.replace(regex, synonym);
-    }
-  });
+  // 30% chance to replace each word
+  const replaced = Object.entries(synonymMap).filter(() => random() > 0.7);
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
+  return (text) => ({
+    text: replaceWords(text, replaced),
     confidence: 0.9
-  };
+  });
 };
 
 /**
  * Sentence restructuring technique
  */
-const sentenceRestructuring = (text, type, htmlContent) => {
+const sentenceRestructuring = (type) => (text) => {
   let result = text;
 
   if (type === 'question') {
     // Convert different question formats
     if (text.toLowerCase().startsWith('how do i')) {
       result = text.replace(/^how do i/i, 'What is the process to');
-    } else if (text.toLowerCase().startsWith('what is')) {
-      result = text.replace(/^what is/i, 'Could you explain what');
+    } else if (/^what is .+/i.test(text)) {
+      // The verb moves to the end of the clause: "what the process is"
+      result = text.replace(/^what is (.+?)(\?*)$/i, (match, subject, mark) => `Could you explain what ${subject} is${mark}`);
     } else if (text.toLowerCase().startsWith('can i')) {
       result = text.replace(/^can i/i, 'Is it possible for me to');
     } else if (text.toLowerCase().startsWith('where')) {
       result = text.replace(/^where/i, 'In what location');
     }
   } else {
-    // For answers, restructure sentences
-    const sentences = result.split('. ');
-    if (sentences.length > 1) {
-      // Reverse order of some sentences
-      const restructured = [...sentences];
-      if (restructured.length >= 2) {
-        [restructured[0], restructured[1]] = [restructured[1], restructured[0]];
-      }
-      result = restructured.join('. ');
+    // For answers, swap the first two sentences. Only text made of whole
+    // sentences is reordered; an HTML text node can be part of a sentence
+    // that continues around a link or bold word.
+    const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
+    const complete = sentences.join('') === text && sentences.every(sentence => /^\s*[A-Z]/.test(sentence));
+    if (complete && sentences.length > 1) {
+      const restructured = sentences.map(sentence => sentence.trim());
+      [restructured[0], restructured[1]] = [restructured[1], restructured[0]];
+      result = restructured.join(' ');
     }
   }
 
   return {
     text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
     confidence: 0.8
   };
 };
@@ -196,7 +263,7 @@ const sentenceRestructuring = (text, type, htmlContent) => {
 /**
  * Formal/informal style switching
  */
-const formalInformalSwitch = (text, type, htmlContent) => {
+const formalInformalSwitch = (type, random) => {
   const formalToInformal = {
     'utilize': 'use',
     'commence': 'start',
@@ -209,69 +276,77 @@ const formalInformalSwitch = (text, type, htmlContent) => {
     'in order to': 'to'
   };
 
+  // "do" only as a main verb ("do it", not "how do I" or "do not"), "to"
+  // only where it could start a purpose clause (not "want to", "go to the")
   const informalToFormal = {
     'use': 'utilize',
     'start': 'commence',
     'end': 'terminate', 
-    'help': 'facilitate',
     'try': 'endeavor',
-    'do': 'accomplish',
+    [`do(?!\\s+(?:${SUBJECT_PRONOUNS}|not)\\b)`]: 'accomplish',
     'then': 'subsequently',
     'before': 'prior to',
-    'to': 'in order to'
+    [`(?<!\\b(?:${TO_COMPLEMENTS})\\s+)to(?!\\s+(?:${TO_OBJECTS})\\b)`]: 'in order to'
   };
 
-  let result = text;
-  const mapToUse = Math.random() > 0.5 ? formalToInformal : informalToFormal;
-
-  Object.entries(mapToUse).forEach(([original, replacement]) => {
-    const regex = new RegExp(`\\b${original}\\b`, 'gi');
-    result = result.replace(regex, replacement);
-  });
+  // One style for the whole text
+  const mapToUse = random() > 0.5 ? formalToInformal : informalToFormal;
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
+  return (text) => ({
+    text: replaceWords(text, Object.entries(mapToUse)),
     confidence: 0.85
-  };
+  });
 };
 
 /**
  * Active/passive voice switching
+ *
+ * Only verbs with a known past participle and a short object ending the
+ * clause ("reset my password.", "use the app offline") are rewritten, so
+ * "You can reset your password" becomes "Your password can be reset" and
+ * anything else is left as it is.
  */
-const activePassiveSwitch = (text, type, htmlContent) => {
-  let result = text;
+const activePassiveSwitch = () => {
+  const verbs = Object.keys(PAST_PARTICIPLES).join('|');
+  const object = `(${OBJECT_DETERMINERS}) (\\w+)${CLAUSE_END}`;
 
-  // Simple active to passive conversions
   const activeToPassive = [
-    { pattern: /I (can|will|should) (\w+)/gi, replacement: 'The $2 process can be' },
-    { pattern: /You (can|will|should) (\w+)/gi, replacement: 'The $2 action can be performed' },
-    { pattern: /The system (\w+s)/gi, replacement: 'It is $1 by the system' }
-  ];
-
-  activeToPassive.forEach(({ pattern, replacement }) => {
-    if (Math.random() > 0.6) {
-      result = result.replace(pattern, replacement);
+    // "You can reset your password" -> "Your password can be reset"
+    {
+      pattern: new RegExp(`\\b(?:${SUBJECT_PRONOUNS}) (can|will|should|must) (${verbs}) ${object}`, 'gi'),
+      replace: (match, modal, verb, determiner, noun) =>
+        `${matchCase(match, determiner)} ${noun} ${modal.toLowerCase()} be ${PAST_PARTICIPLES[verb.toLowerCase()]}`
+    },
+    // "How can I reset my password?" -> "How can my password be reset?"
+    {
+      pattern: new RegExp(`\\b(can|will|should|must) (?:${SUBJECT_PRONOUNS}) (${verbs}) ${object}`, 'gi'),
+      replace: (match, modal, verb, determiner, noun) =>
+        `${modal} ${determiner.toLowerCase()} ${noun} be ${PAST_PARTICIPLES[verb.toLowerCase()]}`
+    },
+    // "How do I reset my password?" -> "How is my password reset?"
+    {
+      pattern: new RegExp(`\\b(?:do|does) (?:${SUBJECT_PRONOUNS}) (${verbs}) ${object}`, 'gi'),
+      replace: (match, verb, determiner, noun) =>
+        `${matchCase(match, beFor(noun))} ${determiner.toLowerCase()} ${noun} ${PAST_PARTICIPLES[verb.toLowerCase()]}`
+    },
+    // "The system syncs your changes" -> "Your changes are synced by the system"
+    {
+      pattern: new RegExp(`\\bthe system (${verbs})(?:s|es) ${object}`, 'gi'),
+      replace: (match, verb, determiner, noun) =>
+        `${matchCase(match, determiner)} ${noun} ${beFor(noun)} ${PAST_PARTICIPLES[verb.toLowerCase()]} by the system`
     }
-  });
+  ];
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
+  return (text) => ({
+    text: activeToPassive.reduce((result, { pattern, replace }) => result.replace(pattern, replace), text),
     confidence: 0.7
-  };
+  });
 };
 
 /**
  * Question style variation
  */
-const questionStyleVariation = (text, type, htmlContent) => {
-  if (type !== 'question') {
-    return { text, html: htmlContent };
-  }
-
-  let result = text;
-
+const questionStyleVariation = (type, random) => {
   // Add different question starters
   const questionStarters = [
     'Could you please explain',
@@ -280,23 +355,24 @@ const questionStyleVariation = (text, type, htmlContent) => {
     'I need information about',
     'Please tell me'
   ];
+  const starter = questionStarters[Math.floor(random() * questionStarters.length)];
 
-  if (!text.match(/^(how|what|when|where|why|can|could|would|should)/i)) {
-    const starter = questionStarters[Math.floor(Math.random() * questionStarters.length)];
-    result = `${starter} ${text.toLowerCase()}`;
-  }
+  return (text) => {
+    if (type !== 'question' || text.match(/^(how|what|when|where|why|can|could|would|should)/i)) {
+      return { text, confidence: 0.8 };
+    }
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
-    confidence: 0.8
+    return {
+      text: `${starter} ${text.toLowerCase()}`,
+      confidence: 0.8
+    };
   };
 };
 
 /**
  * Expand contractions or contract phrases
  */
-const expandContract = (text, type, htmlContent) => {
+const expandContract = (type, random) => {
   const contractions = {
     "can't": "cannot",
     "won't": "will not",
@@ -317,25 +393,27 @@ const expandContract = (text, type, htmlContent) => {
     Object.entries(contractions).map(([key, value]) => [value, key])
   );
 
-  let result = text;
-  const mapToUse = Math.random() > 0.5 ? contractions : expansions;
+  const mapToUse = random() > 0.5 ? contractions : expansions;
 
-  Object.entries(mapToUse).forEach(([original, replacement]) => {
-    const regex = new RegExp(original.replace(/'/g, "\\'"), 'gi');
-    result = result.replace(regex, replacement);
-  });
+  return (text) => {
+    let result = text;
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
-    confidence: 0.9
+    Object.entries(mapToUse).forEach(([original, replacement]) => {
+      const regex = new RegExp(original.replace(/'/g, "\\'"), 'gi');
+      result = result.replace(regex, match => matchCase(match, replacement));
+    });
+
+    return {
+      text: result,
+      confidence: 0.9
+    };
   };
 };
 
 /**
  * Change word/phrase order
  */
-const changeOrder = (text, type, htmlContent) => {
+const changeOrder = (type) => (text) => {
   let result = text;
 
   // For questions, try different orderings
@@ -354,7 +432,6 @@ const changeOrder = (text, type, htmlContent) => {
 
   return {
     text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
     confidence: 0.6
   };
 };
@@ -362,92 +439,68 @@ const changeOrder = (text, type, htmlContent) => {
 /**
  * Shift emphasis in text
  */
-const shiftEmphasis = (text, type, htmlContent) => {
-  let result = text;
-  let htmlResult = htmlContent;
-
+const shiftEmphasis = (type, random) => {
   // Add emphasis words
   const emphasisWords = ['particularly', 'specifically', 'especially', 'exactly', 'precisely'];
-  const emphasis = emphasisWords[Math.floor(Math.random() * emphasisWords.length)];
+  const emphasis = emphasisWords[Math.floor(random() * emphasisWords.length)];
 
-  if (type === 'question') {
-    result = text.replace(/how/gi, `how ${emphasis}`);
-    result = result.replace(/what/gi, `what ${emphasis}`);
-  }
+  return (text) => {
+    let result = text;
 
-  // For HTML content, preserve formatting and add emphasis
-  if (htmlResult) {
-    htmlResult = htmlResult.replace(text, result);
-  }
+    // The first question word only, and never inside "show" or "whatever"
+    if (type === 'question') {
+      result = text.replace(/\b(?:how|what)\b/i, match => `${match} ${emphasis}`);
+    }
 
-  return {
-    text: result,
-    html: htmlResult || result,
-    confidence: 0.7
+    return {
+      text: result,
+      confidence: 0.7
+    };
   };
 };
 
 /**
- * Change perspective (1st person, 2nd person, 3rd person)
+ * Change perspective: first person to a generic "you", or "you" to a
+ * generic "one"
+ *
+ * A shift replaces every pronoun of its person, so a question never ends
+ * up half in one person and half in another ("How do I reset your
+ * password?"). Questions with pronouns of another person ("Can you show
+ * me"), where "you" is not generic, and answers, which address the
+ * reader on purpose, are left as they are.
  */
-const changePerspective = (text, type, htmlContent) => {
-  let result = text;
-
-  const perspectiveMap = {
-    'I': 'you',
-    'me': 'you',
-    'my': 'your',
-    'mine': 'yours',
-    'you': 'one',
-    'your': 'one\'s',
-    'yours': 'one\'s'
-  };
+const changePerspective = (type, random) => {
+  const shift = PERSPECTIVE_SHIFTS[Math.floor(random() * PERSPECTIVE_SHIFTS.length)];
 
-  Object.entries(perspectiveMap).forEach(([original, replacement]) => {
-    const regex = new RegExp(`\\b${original}\\b`, 'gi');
-    if (Math.random() > 0.7) {
-      result = result.replace(regex, replacement);
-    }
-  });
-
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
+  return (text) => ({
+    text: type === 'question' && !shift.others.test(text) ? replaceWords(text, shift.pronouns) : text,
     confidence: 0.6
-  };
+  });
 };
 
 /**
  * Contextual variation - add context or remove it
  */
-const contextualVariation = (text, type, htmlContent) => {
-  let result = text;
+const contextualVariation = (type, random) => {
+  const contexts = [
+    'In this system,',
+    'For this application,',
+    'When using this platform,',
+    'In the context of this demo,'
+  ];
 
-  if (type === 'question') {
-    const contexts = [
-      'In this system,',
-      'For this application,',
-      'When using this platform,',
-      'In the context of this demo,'
-    ];
-    
-    if (Math.random() > 0.5) {
-      const context = contexts[Math.floor(Math.random() * contexts.length)];
-      result = `${context} ${text.toLowerCase()}`;
-    }
-  }
+  const context = random() > 0.5 ? contexts[Math.floor(random() * contexts.length)] : null;
 
-  return {
-    text: result,
-    html: htmlContent ? htmlContent.replace(text, result) : result,
+  return (text) => ({
+    text: type === 'question' && context ? `${context} ${text.toLowerCase()}` : text,
     confidence: 0.8
-  };
+  });
 };
 
 /**
  * Generate creative variants using combination techniques
  */
-const generateCreativeVariants = (originalText, type, htmlContent) => {
+const generateCreativeVariants = (originalText, type, htmlContent, seed) => {
   const variants = [];
   
   // Combine multiple techniques
@@ -460,25 +513,46 @@ const generateCreativeVariants = (originalText, type, htmlContent) => {
 
   combinations.forEach((combination, index) => {
     let result = { text: originalText, html: htmlContent };
+    const random = createRandom(`${seed}:${combination.join('+')}`);
     
+    // Answers chain through their HTML; questions through plain text
     combination.forEach(technique => {
-      result = applyParaphraseTechnique(result.text, technique, type, result.html);
+      result = applyParaphraseTechnique(result.text, technique, type, htmlContent && result.html, random);
     });
 
-    if (result.text !== originalText) {
-      variants.push({
-        id: `creative_${index + 1}`,
-        text: result.text,
-        html: result.html || result.text,
-        technique: `combined_${combination.join('_')}`,
-        confidence: 0.7
-      });
-    }
+    variants.push({
+      id: `creative_${index + 1}`,
+      text: result.text,
+      html: result.html || result.text,
+      technique: `combined_${combination.join('_')}`,
+      confidence: 0.7
+    });
   });
 
   return variants;
 };
 
+/**
+ * The original as variants are compared with it: text read from the
+ * sanitized HTML for answers, like variant text
+ */
+const baselineText = (originalText, htmlContent) => {
+  return htmlContent ? htmlToText(mapHtmlText(htmlContent, nodeText => nodeText)) : stripHtml(originalText);
+};
+
+/**
+ * Capitalize a replacement like the word it replaces ("Find" -> "Locate");
+ * "I" is always capitalized, so it says nothing about its replacement
+ */
+const matchCase = (match, replacement) => {
+  return /^[A-Z]/.test(match) && match !== 'I' ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+};
+
+/**
+ * "is" or "are" for a noun, by whether it looks plural
+ */
+const beFor = (noun) => (/[^s]s$/i.test(noun) ? 'are' : 'is');
+
 /**
  * Strip HTML tags from text
  */
@@ -486,21 +560,41 @@ const stripHtml = (html) => {
   return html.replace(/<[^>]*>/g, '').trim();
 };
 
+// Paraphrasing techniques by name: (type, random) => (text) => { text, confidence }
+const TECHNIQUES = new Map(Object.entries({
+  synonymReplacement,
+  sentenceRestructuring,
+  formalInformal: formalInformalSwitch,
+  activePassive: activePassiveSwitch,
+  questionStyle: questionStyleVariation,
+  expandContract,
+  orderChange: changeOrder,
+  emphasisShift: shiftEmphasis,
+  perspectiveChange: changePerspective,
+  contextualVariation
+}));
+
 /**
- * Preserve HTML formatting while changing text content
+ * Register a paraphrasing technique, used by generateVariants from then on
+ * @param {string} name - Technique name (recorded on variants)
+ * @param {Function} technique - (type, random) => (text) => { text, confidence }:
+ *                               called once per question or answer to make
+ *                               its random choices (random is a seeded
+ *                               generator to use instead of Math.random),
+ *                               it returns the rewrite applied to each of
+ *                               the answer's text nodes
  */
-const preserveHtmlFormatting = (originalHtml, originalText, newText) => {
-  if (!originalHtml || originalHtml === originalText) {
-    return newText;
+const registerParaphraseTechnique = (name, technique) => {
+  if (!name || typeof technique !== 'function') {
+    throw new Error('Paraphrase technique must have a name and be a function');
   }
-
-  // Simple approach: replace text content while preserving tags
-  return originalHtml.replace(originalText, newText);
+  TECHNIQUES.set(name, technique);
 };
 
 module.exports = {
   generateVariants,
   applyParaphraseTechnique,
-  stripHtml,
-  preserveHtmlFormatting
+  registerParaphraseTechnique,
+  baselineText,
+  stripHtml
 };
\ No newline at end of file
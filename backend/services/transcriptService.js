@@ -0,0 +1,510 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const { Agent, Domain, User, ChatSession, ChatMessage } = require('../models');
+const { escapeHtml, textToHtml, htmlToBlocks, sanitizeAnswerHtml } = require('./htmlService');
+
+/**
+ * Transcript Service
+ *
+ * Renders a chat session's full transcript, e.g. to send to a prospect
+ * after a demo. Every format carries the agent's metadata and domain,
+ * the session times and each message with its timestamp; agent replies
+ * keep their rich formatting (message_html):
+ *
+ * - md:   Markdown, with reply HTML converted to Markdown
+ * - html: a standalone page embedding the sanitized reply HTML (scripts
+ *         also blocked by its Content-Security-Policy)
+ * - pdf:  generated in-process with pdfkit, in the embedded DejaVu fonts;
+ *         characters they lack (e.g. Chinese, Japanese) print as "?"
+ * - json: the transcript data
+ *
+ * Links are kept only when they are http, https or mailto links.
+ *
+ * Alternative phrasings from "give me another answer" are included and
+ * marked as such.
+ */
+
+/**
+ * Load a user's chat session as transcript data
+ * @param {string} sessionId - ChatSession ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<Object|null>} Transcript, or null when the session isn't the user's
+ */
+const loadTranscript = async (sessionId, userId) => {
+  const session = await ChatSession.findOne({
+    where: {
+      id: sessionId,
+      user_id: userId
+    },
+    include: [{
+      model: Agent,
+      as: 'agent',
+      attributes: ['id', 'name', 'environment', 'version', 'developed_by', 'description'],
+      include: [{
+        model: Domain,
+        as: 'domain',
+        attributes: ['id', 'name']
+      }]
+    }, {
+      model: User,
+      as: 'user',
+      attributes: ['name']
+    }]
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  const messages = await ChatMessage.findAll({
+    where: { session_id: session.id },
+    order: [['timestamp', 'ASC'], ['id', 'ASC']]
+  });
+
+  const agent = session.agent;
+
+  return {
+    session: {
+      id: session.id,
+      started_at: session.started_at,
+      ended_at: session.ended_at,
+      is_active: session.is_active,
+      presenter: session.user ? session.user.name : null
+    },
+    agent: {
+      id: agent.id,
+      name: agent.name,
+      environment: agent.environment,
+      version: agent.version,
+      developed_by: agent.developed_by,
+      description: agent.description,
+      domain: agent.domain ? agent.domain.name : null
+    },
+    exported_at: new Date(),
+    messages: messages.map(msg => ({
+      id: msg.id,
+      type: msg.message_type,
+      sender: msg.message_type === 'user' ? 'You' : agent.name,
+      text: msg.message_text,
+      html: msg.message_html,
+      source: msg.response_source,
+      is_alternative: Boolean(msg.parent_message_id),
+      parent_message_id: msg.parent_message_id || null,
+      timestamp: msg.timestamp
+    }))
+  };
+};
+
+/**
+ * Format a date for transcripts (UTC, minute precision)
+ * @param {Date|string|null} date - Date
+ * @returns {string} e.g. "2024-03-01 14:05 UTC"
+ */
+const formatTime = (date) => {
+  if (!date) return '';
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+/**
+ * Transcript header facts, shared by every rendered format
+ * @param {Object} transcript - Transcript data
+ * @returns {Array<Array<string>>} [label, value] pairs
+ */
+const describeTranscript = ({ session, agent, exported_at: exportedAt }) => {
+  return [
+    ['Agent', `${agent.name} (${agent.environment}, version ${agent.version})`],
+    ['Domain', agent.domain],
+    ['Developed by', agent.developed_by],
+    ['Presented by', session.presenter],
+    ['Started', formatTime(session.started_at)],
+    ['Ended', session.ended_at ? formatTime(session.ended_at) : 'In progress'],
+    ['Exported', formatTime(exportedAt)]
+  ].filter(([, value]) => value);
+};
+
+/**
+ * A link target that is safe to keep in a transcript
+ * @param {string|null} href - Link target
+ * @returns {string|null} The target, or null for other schemes and relative links
+ */
+const safeLink = (href) => (href && /^(?:https?|mailto):/i.test(href.trim()) ? href.trim() : null);
+
+/**
+ * Heading line of a message
+ * @param {Object} message - Transcript message
+ * @returns {string}
+ */
+const messageHeading = (message) => {
+  const label = message.is_alternative ? `${message.sender} (alternative answer)` : message.sender;
+  return `${label} · ${formatTime(message.timestamp)}`;
+};
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+/**
+ * Escape characters that Markdown would read as formatting
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+/**
+ * Render a formatted run as Markdown, keeping surrounding spaces outside the markers
+ * @param {Object} run - { text, bold, italic, code, link }
+ * @returns {string}
+ */
+const runToMarkdown = (run) => {
+  const [, leading, body, trailing] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!body) return run.text;
+
+  let markdown = run.code ? `\`${body.replace(/`/g, "'")}\`` : escapeMarkdown(body).replace(/\n/g, '  \n');
+  if (run.italic) markdown = `_${markdown}_`;
+  if (run.bold) markdown = `**${markdown}**`;
+  if (safeLink(run.link)) {
+    // Characters that would end the link target early
+    const href = safeLink(run.link).replace(/[()\s]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    markdown = `[${markdown}](${href})`;
+  }
+
+  return `${leading}${markdown}${trailing}`;
+};
+
+/**
+ * Convert message HTML to Markdown
+ * @param {string} html - Message HTML
+ * @returns {string}
+ */
+const htmlToMarkdown = (html) => {
+  const lines = [];
+  let previousType = null;
+
+  for (const block of htmlToBlocks(html)) {
+    const text = block.runs.map(runToMarkdown).join('');
+
+    // Consecutive list items stay together; other blocks are separated
+    if (previousType && !(block.type === 'list_item' && previousType === 'list_item')) {
+      lines.push('');
+    }
+
+    if (block.type === 'heading') {
+      lines.push(`${'#'.repeat(Math.min(6, block.level + 3))} ${text}`);
+    } else if (block.type === 'list_item') {
+      const marker = block.ordered ? `${block.number}.` : '-';
+      lines.push(`${'   '.repeat(block.depth - 1)}${marker} ${text}`);
+    } else if (block.type === 'code') {
+      lines.push('```', block.runs.map(run => run.text).join(''), '```');
+    } else {
+      lines.push(text);
+    }
+
+    previousType = block.type;
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Render a transcript as Markdown
+ * @param {Object} transcript - Transcript data
+ * @returns {string}
+ */
+const renderMarkdown = (transcript) => {
+  const lines = [`# Chat transcript: ${escapeMarkdown(transcript.agent.name)}`, ''];
+
+  for (const [label, value] of describeTranscript(transcript)) {
+    lines.push(`- **${label}:** ${escapeMarkdown(value)}`);
+  }
+
+  if (transcript.agent.description) {
+    lines.push('', `> ${escapeMarkdown(transcript.agent.description).replace(/\n/g, '\n> ')}`);
+  }
+
+  lines.push('', '---');
+
+  for (const message of transcript.messages) {
+    const body = message.type === 'agent' && message.html
+      ? htmlToMarkdown(message.html)
+      : escapeMarkdown(message.text).replace(/\n/g, '  \n');
+
+    lines.push('', `### ${escapeMarkdown(messageHeading(message))}`, '', body);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+const HTML_STYLES = `
+  body { font-family: Inter, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { color: #1e40af; font-size: 1.6em; margin-bottom: 0.4em; }
+  dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 16px; font-size: 0.9em; }
+  dl.meta dt { font-weight: 600; color: #4b5563; }
+  dl.meta dd { margin: 0; }
+  .description { color: #4b5563; border-left: 3px solid #bfdbfe; padding-left: 12px; }
+  .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+  .message.user { background: #eff6ff; margin-left: 15%; }
+  .message.agent { background: #ffffff; border: 1px solid #dbeafe; margin-right: 15%; }
+  .message.alternative { border-style: dashed; }
+  .message-header { font-size: 0.8em; color: #6b7280; margin-bottom: 4px; }
+  .message-body > :first-child { margin-top: 0; }
+  .message-body > :last-child { margin-bottom: 0; }
+  pre { background: #f3f4f6; padding: 8px; border-radius: 4px; overflow-x: auto; }
+`;
+
+/**
+ * Render a transcript as a standalone HTML page
+ *
+ * Agent replies are embedded sanitized, keeping their formatting; the
+ * page's Content-Security-Policy also stops any script from running.
+ * @param {Object} transcript - Transcript data
+ * @returns {string}
+ */
+const renderHtml = (transcript) => {
+  const title = `Chat transcript: ${transcript.agent.name}`;
+
+  const meta = describeTranscript(transcript)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+
+  const messages = transcript.messages.map((message) => {
+    const classes = ['message', message.type, message.is_alternative ? 'alternative' : null].filter(Boolean).join(' ');
+    const body = message.type === 'agent' && message.html ? sanitizeAnswerHtml(message.html) : textToHtml(message.text);
+
+    return `<section class="${classes}">
+  <div class="message-header">${escapeHtml(messageHeading(message))}</div>
+  <div class="message-body">${body}</div>
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data: https:">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl class="meta">${meta}</dl>
+${transcript.agent.description ? `<div class="description">${textToHtml(transcript.agent.description)}</div>` : ''}
+<hr>
+${messages}
+</body>
+</html>
+`;
+};
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+const PDF_COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  primary: '#1e40af',
+  link: '#2563eb'
+};
+
+// Unicode fonts embedded in every PDF (the standard PDF fonts only cover Latin-1)
+const PDF_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONT_FILES = {
+  regular: 'DejaVuSans.ttf',
+  bold: 'DejaVuSans-Bold.ttf',
+  italic: 'DejaVuSans-Oblique.ttf',
+  boldItalic: 'DejaVuSans-BoldOblique.ttf',
+  code: 'DejaVuSansMono.ttf'
+};
+
+// Font files and their glyph tables, read on first use
+let pdfFonts = null;
+
+/**
+ * Load the PDF fonts
+ * @returns {Object} { [name]: { data, glyphs } }
+ */
+const loadPdfFonts = () => {
+  if (!pdfFonts) {
+    pdfFonts = Object.fromEntries(Object.entries(PDF_FONT_FILES).map(([name, file]) => {
+      const data = fs.readFileSync(path.join(PDF_FONT_DIR, file));
+      return [name, { data, glyphs: fontkit.create(data) }];
+    }));
+  }
+  return pdfFonts;
+};
+
+/**
+ * Replace characters a PDF font has no glyph for with "?"
+ * @param {string} font - PDF font name
+ * @param {string} text - Text to write
+ * @returns {string}
+ */
+const pdfText = (font, text) => {
+  const { glyphs } = loadPdfFonts()[font];
+  return String(text).replace(/[^\x00-\x7f]/gu, ch => (glyphs.hasGlyphForCodePoint(ch.codePointAt(0)) ? ch : '?'));
+};
+
+/**
+ * PDF font for a formatted run
+ * @param {Object} run - { bold, italic, code }
+ * @returns {string} Font name
+ */
+const pdfFontFor = (run) => {
+  if (run.code) return 'code';
+  if (run.bold && run.italic) return 'boldItalic';
+  if (run.bold) return 'bold';
+  if (run.italic) return 'italic';
+  return 'regular';
+};
+
+/**
+ * Write text in a PDF font
+ * @param {Object} doc - PDFDocument
+ * @param {string} font - PDF font name
+ * @param {string} text - Text to write
+ * @param {Object} options - pdfkit text options
+ * @returns {Object} doc
+ */
+const writePdfText = (doc, font, text, options) => doc.font(font).text(pdfText(font, text), options);
+
+/**
+ * Write formatted runs as one paragraph
+ * @param {Object} doc - PDFDocument
+ * @param {Array<Object>} runs - Formatted runs
+ * @param {Object} options - pdfkit text options (indent, fontSize)
+ */
+const writePdfRuns = (doc, runs, { fontSize = 10.5, ...options } = {}) => {
+  runs.forEach((run, i) => {
+    const link = safeLink(run.link);
+
+    doc
+      .fontSize(fontSize)
+      .fillColor(link ? PDF_COLORS.link : PDF_COLORS.text);
+    writePdfText(doc, pdfFontFor(run), run.text, {
+      ...options,
+      link,
+      underline: Boolean(link),
+      continued: i < runs.length - 1
+    });
+  });
+};
+
+/**
+ * Write message HTML with its formatting
+ * @param {Object} doc - PDFDocument
+ * @param {string} html - Message HTML
+ */
+const writePdfHtml = (doc, html) => {
+  for (const block of htmlToBlocks(html)) {
+    if (block.type === 'heading') {
+      writePdfRuns(doc, block.runs.map(run => ({ ...run, bold: true })), { fontSize: Math.max(11, 16 - block.level) });
+    } else if (block.type === 'list_item') {
+      const marker = block.ordered ? `${block.number}. ` : '• ';
+      const [first, ...rest] = block.runs;
+      writePdfRuns(doc, [{ ...first, text: marker + first.text }, ...rest], { indent: 14 * block.depth });
+    } else if (block.type === 'code') {
+      writePdfRuns(doc, block.runs.map(run => ({ ...run, code: true })), { fontSize: 9.5 });
+    } else {
+      writePdfRuns(doc, block.runs);
+    }
+    doc.moveDown(0.4);
+  }
+};
+
+/**
+ * Render a transcript as a PDF
+ * @param {Object} transcript - Transcript data
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (transcript) => {
+  return new Promise((resolve, reject) => {
+    const title = `Chat transcript: ${transcript.agent.name}`;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: title,
+        Author: transcript.agent.developed_by || '',
+        CreationDate: new Date(transcript.exported_at)
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const [name, { data }] of Object.entries(loadPdfFonts())) {
+      doc.registerFont(name, data);
+    }
+
+    writePdfText(doc.fontSize(18).fillColor(PDF_COLORS.primary), 'bold', title);
+    doc.moveDown(0.5);
+
+    for (const [label, value] of describeTranscript(transcript)) {
+      writePdfText(doc.fontSize(10).fillColor(PDF_COLORS.muted), 'bold', `${label}: `, { continued: true });
+      writePdfText(doc.fillColor(PDF_COLORS.text), 'regular', value);
+    }
+
+    if (transcript.agent.description) {
+      doc.moveDown(0.5);
+      writePdfText(doc.fontSize(10).fillColor(PDF_COLORS.muted), 'italic', transcript.agent.description);
+    }
+
+    for (const message of transcript.messages) {
+      doc.moveDown(1);
+      writePdfText(doc.fontSize(9).fillColor(PDF_COLORS.muted), 'bold', messageHeading(message));
+      doc.moveDown(0.2);
+
+      if (message.type === 'agent' && message.html) {
+        writePdfHtml(doc, message.html);
+      } else {
+        writePdfText(doc.fontSize(10.5).fillColor(PDF_COLORS.text), 'regular', message.text);
+      }
+    }
+
+    doc.end();
+  });
+};
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+const TRANSCRIPT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', render: renderHtml },
+  pdf: { contentType: 'application/pdf', render: renderPdf },
+  json: { contentType: 'application/json; charset=utf-8', render: transcript => JSON.stringify(transcript, null, 2) }
+};
+
+/**
+ * Render a transcript in one of TRANSCRIPT_FORMATS
+ * @param {Object} transcript - Transcript data
+ * @param {string} format - md, html, pdf or json
+ * @returns {Promise<Object>} { body (string or Buffer), contentType, filename }
+ */
+const renderTranscript = async (transcript, format) => {
+  const { contentType, render } = TRANSCRIPT_FORMATS[format];
+  const slug = transcript.agent.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'agent';
+  const date = new Date(transcript.session.started_at).toISOString().slice(0, 10);
+
+  return {
+    body: await render(transcript),
+    contentType,
+    filename: `transcript-${slug}-${date}.${format}`
+  };
+};
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  loadTranscript,
+  renderTranscript
+};
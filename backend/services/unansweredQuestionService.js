@@ -0,0 +1,180 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, UnansweredQuestion } = require('../models');
+const { normalizeText, tokenize, stem, calculateSimilarity } = require('./textAnalysisService');
+
+/**
+ * Unanswered Question Service
+ *
+ * Collects user questions that received an agent's fallback reply into
+ * an admin inbox, clustering near-identical phrasings. Questions with the
+ * same cluster key (their sorted set of stemmed terms, so word order,
+ * inflection, punctuation and stopwords don't matter) share a cluster,
+ * found with an indexed lookup. A question without one joins the most
+ * similar cluster scoring at least CLUSTER_SIMILARITY with the matcher's
+ * word similarity, which tolerates typos ("pasword") and a word more or
+ * less in any order.
+ *
+ * Open and Dismissed clusters absorb new occurrences (dismissed ones stay
+ * hidden). Converted and Attached clusters do not: if the question still
+ * falls back after being resolved, a new Open cluster surfaces it again.
+ * A unique index allows one Open or Dismissed cluster per agent and key,
+ * so concurrent occurrences of a new question end up in the same cluster,
+ * and occurrences are added with the cluster's row locked, so none are
+ * lost.
+ */
+
+// Cluster statuses that absorb new occurrences
+const ACTIVE_STATUSES = ['Open', 'Dismissed'];
+
+// Distinct phrasings kept per cluster (the most frequent win)
+const MAX_PHRASINGS = 10;
+
+// Similarity (both ways) at which a question joins a cluster with another key
+const CLUSTER_SIMILARITY = 0.8;
+
+// Most recently seen clusters compared with a question without an exact key
+const NEAR_DUPLICATE_CANDIDATES = 500;
+
+/**
+ * Cluster key for a question: its unique stemmed terms, sorted
+ * @param {string} text - User's question
+ * @returns {string} Cluster key
+ */
+const clusterKeyFor = (text) => {
+  const terms = [...new Set(tokenize(text).map(token => stem(token)))].sort();
+  // Questions made only of stopwords fall back to their normalized text
+  return terms.length > 0 ? terms.join(' ') : normalizeText(text);
+};
+
+/**
+ * Count a phrasing in a cluster's phrasing list
+ * @param {Array<Object>} phrasings - [{ text, count }]
+ * @param {string} text - Phrasing to add
+ * @returns {Array<Object>} Updated list, most frequent first
+ */
+const addPhrasing = (phrasings, text) => {
+  const normalized = normalizeText(text);
+  const existing = phrasings.find(phrasing => normalizeText(phrasing.text) === normalized);
+
+  const updated = existing
+    ? phrasings.map(phrasing => (phrasing === existing ? { ...phrasing, count: phrasing.count + 1 } : phrasing))
+    : [...phrasings, { text, count: 1 }];
+
+  return updated
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_PHRASINGS);
+};
+
+/**
+ * Similarity of two questions, scored both ways so that neither an extra
+ * nor a missing word goes unnoticed
+ * @param {string} a - Question
+ * @param {string} b - Question
+ * @returns {number} Similarity between 0 and 1
+ */
+const questionSimilarity = (a, b) => Math.min(calculateSimilarity(a, b), calculateSimilarity(b, a));
+
+/**
+ * Find the cluster that absorbs a question: the one with its cluster key,
+ * or else the most similar one above CLUSTER_SIMILARITY
+ * @param {string} agentId - Agent ID
+ * @param {string} text - User's question
+ * @returns {Promise<Object|null>} UnansweredQuestion instance
+ */
+const findCluster = async (agentId, text) => {
+  const active = { agent_id: agentId, status: { [Op.in]: ACTIVE_STATUSES } };
+
+  const exact = await UnansweredQuestion.findOne({
+    where: { ...active, cluster_key: clusterKeyFor(text) }
+  });
+  if (exact) return exact;
+
+  // Stopword-only questions have no words to compare
+  if (tokenize(text).length === 0) return null;
+
+  const candidates = await UnansweredQuestion.findAll({
+    where: active,
+    attributes: ['id', 'sample_text'],
+    order: [['last_seen_at', 'DESC']],
+    limit: NEAR_DUPLICATE_CANDIDATES
+  });
+
+  let best = null;
+  for (const candidate of candidates) {
+    const similarity = questionSimilarity(text, candidate.sample_text);
+    if (similarity >= CLUSTER_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { candidate, similarity };
+    }
+  }
+
+  return best ? best.candidate : null;
+};
+
+/**
+ * Count another occurrence in a cluster. The cluster's row is locked
+ * while its phrasings are updated and its count is incremented in the
+ * database, so concurrent occurrences are never lost.
+ * @param {string} clusterId - UnansweredQuestion ID
+ * @param {string} text - User's question
+ * @param {Date} seenAt - When it was asked
+ * @returns {Promise<boolean>} False when the cluster no longer absorbs
+ *   occurrences (it was resolved in the meantime)
+ */
+const addOccurrence = (clusterId, text, seenAt) => {
+  return sequelize.transaction(async (transaction) => {
+    const cluster = await UnansweredQuestion.findOne({
+      where: { id: clusterId, status: { [Op.in]: ACTIVE_STATUSES } },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!cluster) return false;
+
+    await cluster.increment('occurrence_count', { transaction });
+    await cluster.update({
+      phrasings: addPhrasing(cluster.phrasings || [], text),
+      first_seen_at: cluster.first_seen_at && cluster.first_seen_at < seenAt ? cluster.first_seen_at : seenAt,
+      last_seen_at: cluster.last_seen_at && cluster.last_seen_at > seenAt ? cluster.last_seen_at : seenAt
+    }, { transaction });
+    return true;
+  });
+};
+
+/**
+ * Record a user question that got the fallback reply. Failures are
+ * logged rather than thrown so that they never break a chat reply.
+ * @param {string} agentId - Agent ID
+ * @param {string} text - User's question
+ * @param {Object} options - { seenAt: when it was asked (default now) }
+ */
+const recordUnansweredQuestion = async (agentId, text, { seenAt = new Date() } = {}) => {
+  try {
+    const cluster = await findCluster(agentId, text);
+    if (cluster && await addOccurrence(cluster.id, text, seenAt)) {
+      return;
+    }
+
+    try {
+      await UnansweredQuestion.create({
+        agent_id: agentId,
+        cluster_key: clusterKeyFor(text),
+        sample_text: text,
+        phrasings: [{ text, count: 1 }],
+        first_seen_at: seenAt,
+        last_seen_at: seenAt
+      });
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) throw error;
+
+      // Another occurrence created the cluster first
+      await addOccurrence((await findCluster(agentId, text)).id, text, seenAt);
+    }
+  } catch (error) {
+    console.error('Error recording unanswered question:', error);
+  }
+};
+
+module.exports = {
+  CLUSTER_SIMILARITY,
+  clusterKeyFor,
+  recordUnansweredQuestion
+};
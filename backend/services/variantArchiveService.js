@@ -0,0 +1,87 @@
+const { QuestionVariant, ChatMessage } = require('../models');
+const { normalizeText } = require('./textAnalysisService');
+
+/**
+ * Variant Archive Service
+ *
+ * Replaces and removes stored question and answer variants without
+ * rewriting chat history. A variant that chat replies were matched or
+ * served with is archived (archived_at) rather than deleted: it is no
+ * longer matched or served, but replies, diagnostics and feedback reports
+ * keep pointing at it. Variants no reply used are deleted.
+ */
+
+/**
+ * Take variants out of service: archive the ones chat replies used and
+ * delete the others
+ * @param {Object} Model - QuestionVariant or AnswerVariant
+ * @param {Array<Object>} variants - Variant instances
+ * @returns {Promise<Set<string>>} IDs of the archived variants
+ */
+const retireVariants = async (Model, variants) => {
+  const ids = variants.map(variant => variant.id);
+  if (ids.length === 0) return new Set();
+
+  // Ratings copy their message's answer variant, so messages cover feedback too
+  const column = Model === QuestionVariant ? 'matched_question_variant_id' : 'answer_variant_id';
+  const references = await ChatMessage.findAll({
+    where: { [column]: ids },
+    attributes: [column],
+    group: [column],
+    raw: true
+  });
+  const archived = new Set(references.map(reference => reference[column]));
+
+  if (archived.size > 0) {
+    await Model.update({ archived_at: new Date() }, { where: { id: [...archived] } });
+  }
+  const unused = ids.filter(id => !archived.has(id));
+  if (unused.length > 0) {
+    await Model.destroy({ where: { id: unused } });
+  }
+
+  return archived;
+};
+
+/**
+ * Replace the unlocked generated variants of a question or answer. Manual
+ * and locked variants are kept, and new variants repeating them are
+ * skipped. A new variant repeating one an admin rejected stays rejected.
+ * Replaced variants are retired (see retireVariants).
+ * @param {Object} Model - QuestionVariant or AnswerVariant
+ * @param {Object} owner - { question_id } or { answer_id }
+ * @param {Array<Object>} variants - Generated variants
+ * @param {Function} toFields - (variant) => text fields of the record
+ */
+const replaceGeneratedVariants = async (Model, owner, variants, toFields) => {
+  const existing = await Model.findAll({ where: { ...owner, archived_at: null } });
+  const replaced = existing.filter(variant => variant.source === 'generated' && !variant.is_locked);
+  const kept = new Set(existing.filter(variant => !replaced.includes(variant)).map(variant => normalizeText(variant.variant_text)));
+  const rejected = new Map(replaced
+    .filter(variant => !variant.is_approved)
+    .map(variant => [normalizeText(variant.variant_text), variant]));
+
+  await retireVariants(Model, replaced);
+
+  for (const variant of variants) {
+    const key = normalizeText(variant.text);
+    if (kept.has(key)) continue;
+
+    const rejection = rejected.get(key);
+    await Model.create({
+      ...owner,
+      ...toFields(variant),
+      confidence: variant.confidence,
+      similarity: variant.similarity,
+      provider: variant.provider,
+      is_approved: !rejection,
+      reviewed_by: rejection ? rejection.reviewed_by : null,
+      reviewed_at: rejection ? rejection.reviewed_at : null
+    });
+  }
+};
+
+module.exports = {
+  retireVariants,
+  replaceGeneratedVariants
+};
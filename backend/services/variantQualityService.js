@@ -0,0 +1,211 @@
+const { normalizeText, tokenize, editDistance, calculateSimilarity } = require('./textAnalysisService');
+
+/**
+ * Variant Quality Service
+ *
+ * Scores generated variants against the original text and keeps only the
+ * ones worth storing. A variant is rejected when it:
+ *
+ * - duplicates the original or an earlier variant, exactly or nearly
+ *   (differing only in case, punctuation or a few characters, or a
+ *   sentence with its words reshuffled)
+ * - breaks capitalization: a sentence starting in lowercase, a lowercase
+ *   "i", or a capitalized name or acronym ("API") written in lowercase
+ * - breaks grammar in ways the techniques are known to: a pronoun that
+ *   disagrees with its verb ("you is", "do one"), follows "to" ("possible
+ *   to I") or follows a question word without an auxiliary ("how
+ *   accomplish I"), or a verb given an indirect object it doesn't take
+ *   ("display me how")
+ * - mixes up who it is about: some pronouns of one person swapped for
+ *   another's while others are kept ("How do I reset your password?" for
+ *   "How do I reset my password?"), which changes the meaning even though
+ *   the words still match
+ * - repeats words: the same word twice in a row, or an inserted word used
+ *   more than once ("in order to" for every "to")
+ * - leaves replacement tokens such as "$2" behind
+ * - drifts in meaning: its similarity to the original (the matcher's word
+ *   similarity) is below MIN_SIMILARITY
+ *
+ * Kept variants carry their similarity score.
+ */
+
+// Minimum similarity to the original for a variant to keep its meaning
+const MIN_SIMILARITY = 0.4;
+
+// Share of characters that may differ between near duplicates
+const NEAR_DUPLICATE_RATIO = 0.05;
+
+// Replacement patterns that weren't filled in ("The $2 process")
+const DANGLING_TOKEN = /\$(?:\d+|&|<\w*>)/;
+
+// Pronoun and verb combinations no paraphrase should produce
+const GRAMMAR_ERRORS = [
+  /\b(?:I|you|we|they) (?:is|was|has|does)\b/i,
+  /\b(?:he|she|it|one) (?:are|were|have|do)\b/i,
+  /\b(?:you|we|they|he|she|it|one) am\b|\bam (?:you|we|they|he|she|one)\b/i,
+  /\b(?:do|are|were|have) one\b/i,
+  /\bto (?:I|we|they|he|she)\b/i,
+  /\b(?:display|describe|explain|utilize|locate|obtain)\s+(?:me|us|him|her|them)\s+(?:how|what|where|when|why|which|the|a|an|my|your)\b/i,
+  /\b(?:how|what|when|where|why|which) (?!(?:do|does|did|can|could|will|would|shall|should|may|might|must|am|is|are|was|were|have|has|had)\b)\w+ (?:I|we|they|he|she)\b/i
+];
+
+/**
+ * Whether two texts are the same once case and punctuation are ignored,
+ * differ by only a few characters, or are one sentence with the same
+ * words in another order
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @param {string} text - Variant text, before normalizing
+ * @returns {boolean}
+ */
+const isNearDuplicate = (a, b, text) => {
+  const allowance = Math.floor(Math.max(a.length, b.length) * NEAR_DUPLICATE_RATIO);
+  if (editDistance(a, b, allowance) <= allowance) return true;
+
+  const sentences = text.split(/[.!?]+\s+|\n/).filter(sentence => sentence.trim());
+  const sortedWords = (normalized) => normalized.split(' ').sort().join(' ');
+  return sentences.length <= 1 && sortedWords(a) === sortedWords(b);
+};
+
+// Personal pronouns by person
+const PRONOUNS_BY_PERSON = [
+  /\b(?:I|me|my|mine|myself)\b/gi,
+  /\b(?:you|your|yours|yourself)\b/gi,
+  /\b(?:one|one's|oneself)\b/gi
+];
+
+/**
+ * Whether a variant swapped some pronouns of a person for another's while
+ * keeping others: a person gained pronouns while another lost some but
+ * not all of its own
+ * @param {string} text - Variant text
+ * @param {string} original - Original text
+ * @returns {boolean}
+ */
+const mixesPerspective = (text, original) => {
+  const changes = PRONOUNS_BY_PERSON.map(pattern => ({
+    before: (original.match(pattern) || []).length,
+    after: (text.match(pattern) || []).length
+  }));
+
+  const gained = changes.some(({ before, after }) => after > before);
+  const partlyLost = changes.some(({ before, after }) => after < before && after > 0);
+  return gained && partlyLost;
+};
+
+/**
+ * Number of sentences starting with a lowercase letter
+ * @param {string} text - Plain text
+ * @returns {number}
+ */
+const lowercaseSentenceStarts = (text) => (text.match(/(?:^|[.!?]\s+|\n)\s*[a-z]/g) || []).length;
+
+/**
+ * Number of lowercase "i" pronouns
+ * @param {string} text - Plain text
+ * @returns {number}
+ */
+const lowercasePronouns = (text) => (text.match(/\bi\b/g) || []).length;
+
+/**
+ * Capitalized words and acronyms of the original that the variant writes
+ * in lowercase (the first word of a sentence may change case)
+ * @param {string} text - Variant text
+ * @param {string} original - Original text
+ * @returns {boolean}
+ */
+const losesCapitals = (text, original) => {
+  const names = (original.match(/(?<=[^.!?\s][ \t]+)[A-Z][\w-]*/g) || [])
+    .filter(word => word !== 'I');
+
+  return names.some(name =>
+    new RegExp(`\\b${name}\\b`, 'i').test(text) && !new RegExp(`\\b${name}\\b`).test(text));
+};
+
+/**
+ * Count each word of a text
+ * @param {string} text - Plain text
+ * @returns {Map<string, number>} Word counts
+ */
+const countWords = (text) => {
+  const counts = new Map();
+  for (const word of normalizeText(text).split(' ').filter(Boolean)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Why a variant reads badly compared with its original, if it does
+ * @param {string} text - Variant text
+ * @param {string} original - Original text
+ * @returns {string|null} 'dangling_token', 'capitalization', 'grammar',
+ *   'perspective', 'repeated_words' or null
+ */
+const findDefect = (text, original) => {
+  if (DANGLING_TOKEN.test(text) && !DANGLING_TOKEN.test(original)) {
+    return 'dangling_token';
+  }
+
+  if (lowercaseSentenceStarts(text) > lowercaseSentenceStarts(original) ||
+      lowercasePronouns(text) > lowercasePronouns(original) ||
+      losesCapitals(text, original)) {
+    return 'capitalization';
+  }
+
+  if (GRAMMAR_ERRORS.some(pattern => pattern.test(text) && !pattern.test(original))) {
+    return 'grammar';
+  }
+
+  if (mixesPerspective(text, original)) {
+    return 'perspective';
+  }
+
+  if (/\b(\w+)\s+\1\b/i.test(text) && !/\b(\w+)\s+\1\b/i.test(original)) {
+    return 'repeated_words';
+  }
+
+  const originalCounts = countWords(original);
+  for (const [word, count] of countWords(text)) {
+    if (count > 1 && !originalCounts.has(word)) {
+      return 'repeated_words';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Score variants against their original and drop the ones not worth keeping
+ * @param {string} original - Original plain text
+ * @param {Array<Object>} variants - Generated variants ({ text, ... }), best first
+ * @param {Object} options - { minSimilarity }
+ * @returns {Array<Object>} Kept variants, in order, with a similarity score
+ */
+const filterVariants = (original, variants, { minSimilarity = MIN_SIMILARITY } = {}) => {
+  const seen = [normalizeText(original)];
+  const kept = [];
+
+  for (const variant of variants) {
+    const normalized = normalizeText(variant.text);
+    if (!normalized || seen.some(text => isNearDuplicate(normalized, text, variant.text))) continue;
+    if (findDefect(variant.text, original)) continue;
+
+    // Both directions, so neither an added nor a dropped word goes unnoticed
+    const similarity = tokenize(variant.text).length > 0
+      ? Math.min(calculateSimilarity(original, variant.text), calculateSimilarity(variant.text, original))
+      : 0;
+    if (similarity < minSimilarity) continue;
+
+    seen.push(normalized);
+    kept.push({ ...variant, similarity: Math.round(similarity * 1000) / 1000 });
+  }
+
+  return kept;
+};
+
+module.exports = {
+  MIN_SIMILARITY,
+  findDefect,
+  filterVariants
+};
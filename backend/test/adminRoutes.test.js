@@ -0,0 +1,352 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Agent, AnswerVariant, AuditLog, ChatMessage, Domain, Question, QuestionVariant, UnansweredQuestion } = require('../models');
+const adminRoutes = require('../routes/admin');
+const { registerParaphraseProvider } = require('../services/paraphraseProviderService');
+const { serveRouter } = require('./helpers/routeApp');
+
+const ADMIN = { id: 'admin-1', role: 'Administrator' };
+
+/**
+ * Serve the admin router with audit logging kept in memory
+ */
+const serveAdmin = async (t) => {
+  t.mock.method(AuditLog, 'create', async (fields) => fields);
+  const app = await serveRouter(adminRoutes, ADMIN);
+  t.after(app.close);
+  return app;
+};
+
+/**
+ * In-memory unanswered question row
+ */
+const unansweredRow = (fields) => ({
+  id: 'unanswered-1',
+  agent_id: 'agent-1',
+  sample_text: 'Can I export invoices?',
+  status: 'Open',
+  ...fields,
+  toJSON() {
+    return { ...this };
+  },
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+// =============================================================================
+// AGENT SETTINGS
+// =============================================================================
+
+const DOMAIN_ID = '00000000-0000-4000-8000-0000000000d1';
+
+/**
+ * Stub an agent that keeps its updates, and its domain
+ */
+const stubAgent = (t) => {
+  const agent = {
+    id: 'agent-1',
+    toJSON() {
+      return { id: this.id };
+    },
+    update: t.mock.fn(async function (changes) {
+      Object.assign(this, changes);
+    })
+  };
+  t.mock.method(Agent, 'findByPk', async () => agent);
+  t.mock.method(Domain, 'findByPk', async () => ({ id: DOMAIN_ID }));
+  return agent;
+};
+
+const agentBody = (settings) => ({
+  name: 'Helpdesk',
+  environment: 'Custom',
+  version: '1.0',
+  developed_by: 'IT',
+  domain_id: DOMAIN_ID,
+  ...settings
+});
+
+test('PUT /agents/:id sanitizes the fallback message HTML', async (t) => {
+  const agent = stubAgent(t);
+  const app = await serveAdmin(t);
+
+  const { status } = await app.request('PUT', '/agents/agent-1', agentBody({
+    fallback_message_html: '<p onclick="steal()">See the <a href="javascript:steal()">help</a> <a href="https://help.example.com">center</a>.</p><script>steal()</script>'
+  }));
+
+  assert.equal(status, 200);
+  assert.equal(agent.fallback_message_html, '<p>See the <a>help</a> <a href="https://help.example.com">center</a>.</p>');
+});
+
+test('PUT /agents/:id validates numeric settings of 0 and resets empty ones', async (t) => {
+  const agent = stubAgent(t);
+  const app = await serveAdmin(t);
+
+  const zeroSpeed = await app.request('PUT', '/agents/agent-1', agentBody({ typing_speed_cps: 0 }));
+  assert.equal(zeroSpeed.status, 400);
+  assert.equal(zeroSpeed.body.errors[0].path, 'typing_speed_cps');
+  assert.equal(agent.update.mock.callCount(), 0);
+
+  const zeroDelay = await app.request('PUT', '/agents/agent-1', agentBody({ thinking_delay_ms: 0, min_confidence: 0 }));
+  assert.equal(zeroDelay.status, 200);
+  assert.equal(agent.thinking_delay_ms, 0);
+  assert.equal(agent.min_confidence, 0);
+
+  const reset = await app.request('PUT', '/agents/agent-1', agentBody({ typing_speed_cps: '', thinking_delay_ms: null }));
+  assert.equal(reset.status, 200);
+  assert.equal(agent.typing_speed_cps, null);
+  assert.equal(agent.thinking_delay_ms, null);
+});
+
+// =============================================================================
+// UNANSWERED QUESTIONS
+// =============================================================================
+
+test('GET /unanswered lists clusters with open counts per agent', async (t) => {
+  const findAll = t.mock.method(UnansweredQuestion, 'findAll', async (options) => (
+    options.group
+      ? [{ agent_id: 'agent-1', open_count: '2', occurrences: '7' }]
+      : [unansweredRow({ occurrence_count: 5 })]
+  ));
+  const app = await serveAdmin(t);
+
+  const { status, body } = await app.request('GET', '/unanswered?agent_id=agent-1');
+
+  assert.equal(status, 200);
+  assert.equal(body.items.length, 1);
+  assert.deepEqual(body.agents, [{ agent_id: 'agent-1', open_count: 2, occurrences: 7 }]);
+  assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { status: 'Open', agent_id: 'agent-1' });
+});
+
+test('GET /unanswered rejects an unknown status', async (t) => {
+  const app = await serveAdmin(t);
+
+  const { status, body } = await app.request('GET', '/unanswered?status=Archived');
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('POST /unanswered/:id/dismiss dismisses an open cluster once', async (t) => {
+  const row = unansweredRow();
+  t.mock.method(UnansweredQuestion, 'findByPk', async () => row);
+  const app = await serveAdmin(t);
+
+  const first = await app.request('POST', '/unanswered/unanswered-1/dismiss');
+  assert.equal(first.status, 200);
+  assert.equal(row.status, 'Dismissed');
+  assert.equal(row.resolved_by, 'admin-1');
+
+  const second = await app.request('POST', '/unanswered/unanswered-1/dismiss');
+  assert.equal(second.status, 400);
+  assert.match(second.body.message, /already dismissed/);
+});
+
+// =============================================================================
+// MATCH DIAGNOSTICS
+// =============================================================================
+
+test('GET /agents/:id/variant-effectiveness counts matches per question and variant', async (t) => {
+  t.mock.method(Agent, 'findByPk', async () => ({ id: 'agent-1', name: 'Helpdesk' }));
+  t.mock.method(Question, 'findAll', async () => [{
+    id: 'q1',
+    question_text: 'How do I reset my password?',
+    status: 'Final',
+    variants: [
+      { id: 'v1', variant_text: 'I forgot my password', is_approved: true },
+      { id: 'v2', variant_text: 'Password reset please', is_approved: true }
+    ]
+  }]);
+  const findAll = t.mock.method(ChatMessage, 'findAll', async () => [
+    { question_id: 'q1', matched_question_variant_id: null, matches: '3', avg_score: '0.91234', last_matched_at: null },
+    { question_id: 'q1', matched_question_variant_id: 'v1', matches: '2', avg_score: '0.7', last_matched_at: null }
+  ]);
+  const app = await serveAdmin(t);
+
+  const { status, body } = await app.request('GET', '/agents/agent-1/variant-effectiveness');
+
+  assert.equal(status, 200);
+  const [report] = body.questions;
+  assert.equal(report.total_matches, 5);
+  assert.deepEqual(report.original, { matches: 3, avg_score: 0.912, last_matched_at: null });
+  assert.deepEqual(report.variants.map(variant => variant.matches), [2, 0]);
+  const { where } = findAll.mock.calls[0].arguments[0];
+  assert.equal(where.response_source, 'curated');
+  // Regenerated alternatives repeat their original's match
+  assert.equal(where.parent_message_id, null);
+
+  const invalid = await app.request('GET', '/agents/agent-1/variant-effectiveness?since=yesterday');
+  assert.equal(invalid.status, 400);
+});
+
+// =============================================================================
+// STARTER AND RELATED QUESTIONS
+// =============================================================================
+
+const QUESTION_IDS = [
+  '00000000-0000-4000-8000-000000000001',
+  '00000000-0000-4000-8000-000000000002'
+];
+
+test('PUT /agents/:id/starter-questions pins questions in the given order', async (t) => {
+  t.mock.method(Agent, 'findByPk', async () => ({ id: 'agent-1' }));
+  t.mock.method(Question, 'count', async () => QUESTION_IDS.length);
+  const update = t.mock.method(Question, 'update', async () => [1]);
+  t.mock.method(Question, 'findAll', async () => []);
+  const app = await serveAdmin(t);
+
+  const { status } = await app.request('PUT', '/agents/agent-1/starter-questions', { question_ids: [...QUESTION_IDS].reverse() });
+
+  assert.equal(status, 200);
+  const pins = update.mock.calls.slice(1).map(call => [call.arguments[1].where.id, call.arguments[0].starter_position]);
+  assert.deepEqual(pins, [[QUESTION_IDS[1], 0], [QUESTION_IDS[0], 1]]);
+});
+
+test('PUT /agents/:id/starter-questions rejects duplicates and other agents\' questions', async (t) => {
+  t.mock.method(Agent, 'findByPk', async () => ({ id: 'agent-1' }));
+  t.mock.method(Question, 'count', async () => 1);
+  const app = await serveAdmin(t);
+
+  const duplicate = await app.request('PUT', '/agents/agent-1/starter-questions', { question_ids: [QUESTION_IDS[0], QUESTION_IDS[0]] });
+  assert.equal(duplicate.status, 400);
+
+  const foreign = await app.request('PUT', '/agents/agent-1/starter-questions', { question_ids: QUESTION_IDS });
+  assert.equal(foreign.status, 400);
+  assert.match(foreign.body.message, /belong to this agent/);
+});
+
+// =============================================================================
+// VARIANT REVIEW
+// =============================================================================
+
+/**
+ * In-memory variant row
+ */
+const variantRow = (fields) => ({
+  source: 'generated',
+  is_locked: false,
+  is_approved: true,
+  ...fields,
+  toJSON() {
+    return { ...this };
+  },
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+test('PUT /questions/:id replaces only unlocked generated variants and keeps rejections', async (t) => {
+  registerParaphraseProvider({
+    name: 'test_review',
+    generate: async (text, { html }) => (html ? [] : [
+      'How can I reset my password?',
+      'I forgot my password, what now?',
+      'Password reset steps?'
+    ].map(variant => ({ text: variant, html: variant, technique: 'fixed', confidence: 0.9 })))
+  });
+  const question = {
+    id: 'q1',
+    agent_id: 'agent-1',
+    question_text: 'How do I reset my password?',
+    variants: [],
+    answer: {
+      id: 'a1',
+      async update(changes) {
+        Object.assign(this, changes);
+      }
+    },
+    toJSON() {
+      return { id: 'q1' };
+    },
+    async update(changes) {
+      Object.assign(this, changes);
+    }
+  };
+  t.mock.method(Question, 'findByPk', async () => question);
+  t.mock.method(Agent, 'findByPk', async () => ({ id: 'agent-1', paraphrase_providers: ['test_review'] }));
+  t.mock.method(QuestionVariant, 'findAll', async () => [
+    variantRow({ id: 'stale', variant_text: 'Reset password how?' }),
+    variantRow({ id: 'rejected', variant_text: 'Password reset steps?', is_approved: false, reviewed_by: 'admin-2' }),
+    variantRow({ id: 'locked', variant_text: 'I forgot my password, what now?', is_locked: true }),
+    variantRow({ id: 'manual', variant_text: 'Locked out of my account', source: 'manual' })
+  ]);
+  t.mock.method(AnswerVariant, 'findAll', async () => []);
+  t.mock.method(AnswerVariant, 'destroy', async () => 0);
+  // A reply was matched with the stale variant, so it is archived
+  t.mock.method(ChatMessage, 'findAll', async () => [{ matched_question_variant_id: 'stale' }]);
+  const archive = t.mock.method(QuestionVariant, 'update', async () => [1]);
+  const destroy = t.mock.method(QuestionVariant, 'destroy', async () => 1);
+  const create = t.mock.method(QuestionVariant, 'create', async (fields) => fields);
+  const app = await serveAdmin(t);
+
+  const { status } = await app.request('PUT', '/questions/q1', {
+    question_text: 'How do I reset my password?',
+    answer_text: 'Use the reset link.',
+    answer_html: '<p>Use the reset link.</p>'
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(archive.mock.calls[0].arguments[1].where.id, ['stale']);
+  assert.deepEqual(destroy.mock.calls[0].arguments[0].where.id, ['rejected']);
+  const created = create.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(created.map(fields => [fields.variant_text, fields.is_approved]), [
+    ['How can I reset my password?', true],
+    ['Password reset steps?', false]
+  ]);
+  assert.equal(created[1].reviewed_by, 'admin-2');
+});
+
+test('POST /questions/:id/variants adds an approved manual variant', async (t) => {
+  t.mock.method(Question, 'findByPk', async () => ({ id: 'q1', agent_id: 'agent-1', variants: [] }));
+  const create = t.mock.method(QuestionVariant, 'create', async (fields) => fields);
+  const app = await serveAdmin(t);
+
+  const { status, body } = await app.request('POST', '/questions/q1/variants', { variant_text: ' Locked out ' });
+
+  assert.equal(status, 201);
+  assert.equal(body.variant.variant_text, 'Locked out');
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.source, 'manual');
+  assert.equal(fields.is_approved, true);
+  assert.equal(fields.reviewed_by, 'admin-1');
+});
+
+test('PUT /question-variants/:id records the review and makes reworded variants manual', async (t) => {
+  const variant = variantRow({ id: 'v1', question_id: 'q1', variant_text: 'Reset pasword?', question: { id: 'q1', agent_id: 'agent-1' } });
+  t.mock.method(QuestionVariant, 'findOne', async () => variant);
+  t.mock.method(Question, 'findByPk', async () => null);
+  const app = await serveAdmin(t);
+
+  const rejected = await app.request('PUT', '/question-variants/v1', { is_approved: false, is_locked: true });
+  assert.equal(rejected.status, 200);
+  assert.equal(variant.is_approved, false);
+  assert.equal(variant.is_locked, true);
+  assert.equal(variant.reviewed_by, 'admin-1');
+  assert.equal(variant.source, 'generated');
+
+  await app.request('PUT', '/question-variants/v1', { variant_text: 'Reset password?' });
+  assert.equal(variant.variant_text, 'Reset password?');
+  assert.equal(variant.source, 'manual');
+
+  const invalid = await app.request('PUT', '/question-variants/v1', { is_locked: 'maybe' });
+  assert.equal(invalid.status, 400);
+});
+
+test('POST /questions/:id/answer-variants sanitizes the HTML and reads the text from it', async (t) => {
+  t.mock.method(Question, 'findByPk', async () => ({ id: 'q1', agent_id: 'agent-1', answer: { id: 'a1' } }));
+  const create = t.mock.method(AnswerVariant, 'create', async (fields) => fields);
+  const app = await serveAdmin(t);
+
+  const { status } = await app.request('POST', '/questions/q1/answer-variants', {
+    variant_html: '<p onclick="steal()">Use the <b>reset</b> link</p><script>steal()</script>'
+  });
+
+  assert.equal(status, 201);
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.variant_html, '<p>Use the <b>reset</b> link</p>');
+  assert.equal(fields.variant_text, 'Use the reset link');
+  assert.equal(fields.source, 'manual');
+});
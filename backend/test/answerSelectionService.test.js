@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatSession } = require('../models');
+const { selectAnswer } = require('../services/answerSelectionService');
+
+const answer = {
+  id: 'answer-1',
+  text: 'Canonical',
+  html: '<p>Canonical</p>',
+  variants: ['A', 'B', 'C'].map(name => ({ id: `variant-${name}`, text: name, html: `<p>${name}</p>` }))
+};
+
+const session = { id: 'session-1', variant_seed: 42 };
+
+/**
+ * Stub the atomic serving counter, as if the answer was served `served` times before
+ */
+const stubCounter = (t, served) => t.mock.method(ChatSession, 'update', async () => [1, [{
+  variant_state: { [answer.id]: served + 1 }
+}]]);
+
+test('selectAnswer serves the canonical answer without variants or under the canonical policy', async (t) => {
+  const update = stubCounter(t, 0);
+
+  assert.equal((await selectAnswer({ variant_selection: 'canonical' }, answer, session)).variant_id, null);
+  assert.equal((await selectAnswer({ variant_selection: 'round_robin' }, { ...answer, variants: [] }, session)).variant_id, null);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('selectAnswer cycles variants from the count incremented in the database', async (t) => {
+  const update = stubCounter(t, 4);
+
+  const selected = await selectAnswer({ variant_selection: 'round_robin' }, answer, session);
+
+  assert.equal(selected.variant_id, 'variant-B');
+  const [values, options] = update.mock.calls[0].arguments;
+  assert.match(values.variant_state.val, /jsonb_set\(.*'answer-1'.*\+ 1\)/);
+  assert.deepEqual(options.where, { id: 'session-1' });
+});
+
+test('selectAnswer replays seeded choices for the same seed and turn', async (t) => {
+  stubCounter(t, 2);
+
+  const first = await selectAnswer({ variant_selection: 'seeded' }, answer, session);
+  const again = await selectAnswer({ variant_selection: 'seeded' }, answer, { ...session });
+  assert.equal(first.variant_id, again.variant_id);
+});
+
+test('selectAnswer picks at random without a session', async (t) => {
+  const update = stubCounter(t, 0);
+
+  const selected = await selectAnswer({ variant_selection: 'seeded' }, answer, null);
+  assert.ok(answer.variants.some(variant => variant.id === selected.variant_id));
+  assert.equal(update.mock.callCount(), 0);
+});
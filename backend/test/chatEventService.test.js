@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { publishSessionEvent, subscribeToSession } = require('../services/chatEventService');
+
+test('subscribeToSession receives only its own session events', () => {
+  const received = [];
+  const unsubscribe = subscribeToSession('session-a', event => received.push(event));
+
+  publishSessionEvent('session-a', { type: 'message', message: { id: 'm1' } });
+  publishSessionEvent('session-b', { type: 'message', message: { id: 'm2' } });
+  unsubscribe();
+  publishSessionEvent('session-a', { type: 'session_ended' });
+
+  assert.deepEqual(received, [{ type: 'message', message: { id: 'm1' } }]);
+});
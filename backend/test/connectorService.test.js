@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { sendToAgent, encryptCredentials, serializeConnector } = require('../services/connectorService');
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+
+const connector = (fields = {}) => ({
+  adapter: 'http',
+  endpoint_url: 'http://agent.test/chat',
+  auth_type: 'none',
+  timeout_ms: 1000,
+  max_retries: 2,
+  response_text_path: 'reply',
+  ...fields
+});
+
+const httpError = (status) => new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', {}, {}, { status, data: {} });
+const networkError = () => new axios.AxiosError('connect ECONNREFUSED', 'ECONNREFUSED', {}, {});
+const timeoutError = () => new axios.AxiosError('timeout of 1000ms exceeded', 'ECONNABORTED', {}, {});
+
+/**
+ * Stub axios.post with a sequence of outcomes (Error instances are thrown)
+ */
+const stubPost = (t, outcomes) => {
+  t.mock.method(console, 'warn', () => {});
+  let call = 0;
+  return t.mock.method(axios, 'post', async () => {
+    const outcome = outcomes[Math.min(call++, outcomes.length - 1)];
+    if (outcome instanceof Error) throw outcome;
+    return { data: outcome };
+  });
+};
+
+test('sendToAgent reads the reply at the configured path', async (t) => {
+  const post = stubPost(t, [{ data: { reply: ' Hello there ' } }]);
+  const reply = await sendToAgent(connector({ response_text_path: 'data.reply' }), { message: 'Hi', sessionId: 's1' });
+
+  assert.equal(reply.text, 'Hello there');
+  assert.equal(reply.html, '<p>Hello there</p>');
+  assert.equal(post.mock.callCount(), 1);
+  assert.equal(post.mock.calls[0].arguments[1].session_id, 's1');
+});
+
+test('sendToAgent retries network errors and 5xx, then succeeds', async (t) => {
+  const post = stubPost(t, [networkError(), httpError(503), { reply: 'Recovered' }]);
+  const reply = await sendToAgent(connector(), { message: 'Hi' });
+
+  assert.equal(reply.text, 'Recovered');
+  assert.equal(post.mock.callCount(), 3);
+});
+
+test('sendToAgent sanitizes the agent HTML', async (t) => {
+  stubPost(t, [{ reply: 'Hi', html: '<p onclick="steal()">Hi <a href="javascript:steal()">there</a></p><script>steal()</script>' }]);
+  const reply = await sendToAgent(connector({ response_html_path: 'html' }), { message: 'Hi' });
+  assert.equal(reply.html, '<p>Hi <a>there</a></p>');
+});
+
+test('sendToAgent falls back to the text when the HTML sanitizes to nothing', async (t) => {
+  stubPost(t, [{ reply: 'Hi', html: '<script>steal()</script>' }]);
+  const reply = await sendToAgent(connector({ response_html_path: 'html' }), { message: 'Hi' });
+  assert.equal(reply.html, '<p>Hi</p>');
+});
+
+test('sendToAgent retries timeouts', async (t) => {
+  const post = stubPost(t, [timeoutError(), { reply: 'Ok' }]);
+  await sendToAgent(connector(), { message: 'Hi' });
+  assert.equal(post.mock.callCount(), 2);
+});
+
+test('sendToAgent retries 429', async (t) => {
+  const post = stubPost(t, [httpError(429), { reply: 'Ok' }]);
+  await sendToAgent(connector(), { message: 'Hi' });
+  assert.equal(post.mock.callCount(), 2);
+});
+
+test('sendToAgent gives up after max_retries', async (t) => {
+  const post = stubPost(t, [httpError(500)]);
+  await assert.rejects(sendToAgent(connector({ max_retries: 1 }), { message: 'Hi' }), /500/);
+  assert.equal(post.mock.callCount(), 2);
+});
+
+test('sendToAgent does not retry client errors', async (t) => {
+  const post = stubPost(t, [httpError(401)]);
+  await assert.rejects(sendToAgent(connector(), { message: 'Hi' }), /401/);
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('sendToAgent does not retry replies without text', async (t) => {
+  const post = stubPost(t, [{ answer: 'wrong path' }]);
+  await assert.rejects(sendToAgent(connector(), { message: 'Hi' }), /no text at "reply"/);
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('sendToAgent does not retry errors raised before the request is sent', async (t) => {
+  const post = stubPost(t, [new axios.AxiosError('Invalid URL', 'ERR_INVALID_URL', {})]);
+  await assert.rejects(sendToAgent(connector(), { message: 'Hi' }), /Invalid URL/);
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('sendToAgent rejects unknown adapters', async () => {
+  await assert.rejects(sendToAgent(connector({ adapter: 'carrier-pigeon' }), { message: 'Hi' }), /Unknown connector adapter/);
+});
+
+test('sendToAgent sends the connector credentials', async (t) => {
+  const cases = [
+    ['bearer', { token: 'abc' }, { Authorization: 'Bearer abc' }],
+    ['api_key', { api_key: 'k1' }, { 'x-api-key': 'k1' }],
+    ['basic', { username: 'sam', password: 'pw' }, { Authorization: `Basic ${Buffer.from('sam:pw').toString('base64')}` }]
+  ];
+  const post = stubPost(t, [{ reply: 'Ok' }]);
+
+  for (const [authType, credentials, expected] of cases) {
+    await sendToAgent(connector({ auth_type: authType, credentials_encrypted: encryptCredentials(credentials) }), { message: 'Hi' });
+    const { headers } = post.mock.calls[post.mock.callCount() - 1].arguments[2];
+    for (const [name, value] of Object.entries(expected)) {
+      assert.equal(headers[name], value);
+    }
+  }
+});
+
+test('serializeConnector leaves the credentials out', () => {
+  const stored = connector({ credentials_encrypted: encryptCredentials({ token: 'secret' }) });
+  const serialized = serializeConnector({ toJSON: () => stored });
+
+  assert.equal(serialized.has_credentials, true);
+  assert.equal(serialized.credentials_encrypted, undefined);
+  assert.ok(!JSON.stringify(serialized).includes('secret'));
+});
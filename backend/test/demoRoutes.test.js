@@ -0,0 +1,607 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Agent, Answer, Question, ChatSession, ChatMessage, FlowNode, MessageFeedback, UnansweredQuestion } = require('../models');
+const demoRoutes = require('../routes/demo');
+const { subscribeToSession } = require('../services/chatEventService');
+const { serveRouter } = require('./helpers/routeApp');
+
+const USER = { id: 'user-1', role: 'Demo User' };
+
+const question = (id, text) => ({
+  id,
+  question_text: text,
+  answer: { id: `${id}-answer`, answer_text: `Answer ${id}`, answer_html: `<p>Answer ${id}</p>`, variants: [] },
+  variants: []
+});
+
+/**
+ * In-memory active chat session that keeps its updates
+ */
+const activeSession = (fields) => ({
+  id: 'session-1',
+  is_active: true,
+  last_activity_at: new Date(),
+  ...fields,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+/**
+ * Stub a chat session of an agent with the given Q&A, saving messages in memory
+ */
+const stubChat = (t, agent, questions) => {
+  t.mock.method(ChatSession, 'findOne', async () => activeSession({ agent_id: agent.id, agent }));
+  t.mock.method(Question, 'findAll', async () => questions);
+  t.mock.method(FlowNode, 'findOne', async () => null);
+  t.mock.method(UnansweredQuestion, 'findOne', async () => null);
+  t.mock.method(UnansweredQuestion, 'findAll', async () => []);
+  t.mock.method(UnansweredQuestion, 'create', async (fields) => fields);
+  return t.mock.method(ChatMessage, 'create', async (fields) => ({ id: `message-${fields.message_type}`, timestamp: new Date(), ...fields }));
+};
+
+test('POST /chat/:sessionId/message suggests near-miss questions when nothing matches', async (t) => {
+  stubChat(t, { id: 'agent-suggestions' }, [
+    question('password', 'How do I reset my password?'),
+    question('email', 'How do I change my email address?'),
+    question('invoice', 'Where can I download my invoice?')
+  ]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, body } = await app.request('POST', '/chat/session-1/message', { message: 'password email rules for teams' });
+
+  assert.equal(status, 200);
+  const reply = body.messages[1];
+  assert.match(reply.text, /don't have information/);
+  assert.deepEqual(reply.suggestions.map(suggestion => suggestion.question_id).sort(), ['email', 'password']);
+  assert.ok(reply.suggestions.every(suggestion => suggestion.score > 0 && suggestion.score <= 0.3));
+});
+
+test('POST /chat/:sessionId/message sends no suggestions with a match', async (t) => {
+  stubChat(t, { id: 'agent-match' }, [question('password', 'How do I reset my password?')]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/chat/session-1/message', { message: 'How do I reset my password?' });
+
+  assert.equal(body.messages[1].html, '<p>Answer password</p>');
+  assert.deepEqual(body.messages[1].suggestions, []);
+});
+
+test('POST /agents/:id/chat/start opens the session with the agent greeting', async (t) => {
+  const agent = { id: 'agent-greeting', greeting_message: 'Hi! Ask me about <passwords> & more.', increment: async () => {} };
+  t.mock.method(Agent, 'findOne', async () => agent);
+  t.mock.method(ChatSession, 'findAll', async () => []);
+  t.mock.method(ChatSession, 'create', async (fields) => ({ id: 'session-1', ...fields }));
+  const create = t.mock.method(ChatMessage, 'create', async (fields) => ({ id: 'greeting', timestamp: new Date(), ...fields }));
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/agents/agent-greeting/chat/start');
+
+  assert.equal(body.session_id, 'session-1');
+  assert.equal(body.messages.length, 1);
+  assert.equal(body.messages[0].text, 'Hi! Ask me about <passwords> & more.');
+  // The greeting is plain text, so it is escaped rather than read as markup
+  assert.equal(body.messages[0].html, '<p>Hi! Ask me about &lt;passwords&gt; &amp; more.</p>');
+  assert.equal(create.mock.calls[0].arguments[0].message_type, 'agent');
+
+  agent.greeting_message = null;
+  const { body: silent } = await app.request('POST', '/agents/agent-greeting/chat/start');
+  assert.deepEqual(silent.messages, []);
+});
+
+test('POST /chat/:sessionId/message uses the agent threshold and fallback message', async (t) => {
+  stubChat(t, {
+    id: 'agent-strict',
+    min_confidence: 0.9,
+    fallback_message_html: '<p>Try the <a href="https://help.example.com">help center</a>.</p>'
+  }, [question('password', 'How do I reset my password?')]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/chat/session-1/message', { message: 'reset password for my team' });
+
+  assert.equal(body.messages[1].html, '<p>Try the <a href="https://help.example.com">help center</a>.</p>');
+  assert.equal(body.messages[1].text, 'Try the help center.');
+});
+
+test('POST /chat/:sessionId/message replies with the agent error message when matching fails', async (t) => {
+  stubChat(t, { id: 'agent-broken', error_message: 'Our assistant is resting.' }, []);
+  t.mock.method(Question, 'findAll', async () => { throw new Error('database down'); });
+  t.mock.method(console, 'error', () => {});
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/chat/session-1/message', { message: 'reset password' });
+
+  assert.equal(body.messages[1].text, 'Our assistant is resting.');
+});
+
+const connector = {
+  is_enabled: true,
+  adapter: 'http',
+  endpoint_url: 'http://agent.test/chat',
+  auth_type: 'none',
+  timeout_ms: 1000,
+  max_retries: 0,
+  response_text_path: 'reply'
+};
+
+/**
+ * Send one chat message to an agent and return the saved reply fields
+ */
+const replyOf = async (t, agent, message) => {
+  const create = stubChat(t, agent, [question('password', 'How do I reset my password?')]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/chat/session-1/message', { message });
+  assert.equal(body.messages[1].source, create.mock.calls[1].arguments[0].response_source);
+  return create.mock.calls[1].arguments[0];
+};
+
+test('curated agents answer from Q&A and record the source', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { reply: 'Live' } }));
+  const agent = { id: 'agent-curated', answering_policy: 'curated', connector };
+
+  assert.equal((await replyOf(t, agent, 'How do I reset my password?')).response_source, 'curated');
+  assert.equal((await replyOf(t, agent, 'order a pizza')).response_source, 'fallback');
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('live agents answer through their connector', async (t) => {
+  t.mock.method(axios, 'post', async () => ({ data: { reply: 'Live answer' } }));
+  const saved = await replyOf(t, { id: 'agent-live', answering_policy: 'live', connector }, 'How do I reset my password?');
+
+  assert.equal(saved.message_text, 'Live answer');
+  assert.equal(saved.response_source, 'live');
+  assert.equal(saved.question_id, null);
+});
+
+test('live agents without a working connector reply with their error message', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const agent = { id: 'agent-offline', answering_policy: 'live', error_message: 'Offline.' };
+  assert.equal((await replyOf(t, agent, 'Hi')).response_source, 'error');
+
+  t.mock.method(axios, 'post', async () => { throw new Error('socket hang up'); });
+  const saved = await replyOf(t, { ...agent, connector }, 'Hi');
+  assert.equal(saved.message_text, 'Offline.');
+});
+
+test('curated_then_live agents go live only when Q&A has no answer', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { reply: 'Live answer' } }));
+  const agent = { id: 'agent-hybrid', answering_policy: 'curated_then_live', connector };
+
+  assert.equal((await replyOf(t, agent, 'How do I reset my password?')).response_source, 'curated');
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal((await replyOf(t, agent, 'order a pizza')).response_source, 'live');
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('curated_then_live agents keep the curated fallback when the connector fails', async (t) => {
+  t.mock.method(axios, 'post', async () => { throw new Error('socket hang up'); });
+  t.mock.method(console, 'error', () => {});
+
+  const saved = await replyOf(t, { id: 'agent-hybrid-down', answering_policy: 'curated_then_live', connector }, 'order a pizza');
+  assert.equal(saved.response_source, 'fallback');
+});
+
+test('POST /chat/:sessionId/message/stream streams the reply as SSE events', async (t) => {
+  stubChat(t, { id: 'agent-stream', typing_speed_cps: 100000, thinking_delay_ms: 0 }, [
+    question('password', 'How do I reset my password?')
+  ]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, headers, body } = await app.request('POST', '/chat/session-1/message/stream', { message: 'How do I reset my password?' });
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/event-stream/);
+  const events = body.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+  assert.deepEqual([...new Set(events.map(event => event.event))], ['user_message', 'thinking', 'token', 'done']);
+  const streamed = events.filter(event => event.event === 'token').map(event => event.data.chunk).join('');
+  assert.equal(streamed, '<p>Answer password</p>');
+  assert.equal(events.at(-1).data.html, '<p>Answer password</p>');
+});
+
+test('POST /chat/:sessionId/message/stream rejects an empty message before streaming', async (t) => {
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, body } = await app.request('POST', '/chat/session-1/message/stream', { message: ' ' });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('POST /chat/:sessionId/message publishes both messages to session watchers', async (t) => {
+  stubChat(t, { id: 'agent-mirror' }, [question('password', 'How do I reset my password?')]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+  const events = [];
+  t.after(subscribeToSession('session-1', event => events.push(event)));
+
+  await app.request('POST', '/chat/session-1/message', { message: 'How do I reset my password?' });
+
+  assert.deepEqual(events.map(event => event.message.type), ['user', 'agent']);
+  assert.equal(events[1].message.html, '<p>Answer password</p>');
+});
+
+test('POST /chat/:sessionId/join-code shares a code that GET /join/:code resolves', async (t) => {
+  t.mock.method(ChatSession, 'findOne', async () => ({ id: 'session-join', agent: { id: 'agent-1', name: 'Helpdesk' } }));
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const shared = await app.request('POST', '/chat/session-join/join-code');
+  assert.equal(shared.status, 200);
+  assert.equal(shared.body.socket_path, '/api/demo/chat/ws');
+
+  const joined = await app.request('GET', `/join/${shared.body.join_code.toLowerCase()}`);
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.session.id, 'session-join');
+  assert.equal(joined.body.session.agent.name, 'Helpdesk');
+
+  const unknown = await app.request('GET', '/join/ZZZZZZ');
+  assert.equal(unknown.status, 404);
+});
+
+test('POST /chat/:sessionId/message files fallback questions in the unanswered inbox', async (t) => {
+  stubChat(t, { id: 'agent-inbox' }, [question('password', 'How do I reset my password?')]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  await app.request('POST', '/chat/session-1/message', { message: 'How do I reset my password?' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(UnansweredQuestion.create.mock.callCount(), 0);
+
+  await app.request('POST', '/chat/session-1/message', { message: 'Can I export invoices?' });
+  // The question is filed after the reply has been sent
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(UnansweredQuestion.create.mock.callCount(), 1);
+  assert.equal(UnansweredQuestion.create.mock.calls[0].arguments[0].agent_id, 'agent-inbox');
+  assert.equal(UnansweredQuestion.create.mock.calls[0].arguments[0].sample_text, 'Can I export invoices?');
+});
+
+test('POST /chat/messages/:messageId/feedback records and then replaces a rating', async (t) => {
+  t.mock.method(ChatMessage, 'findOne', async () => ({
+    id: 'message-agent',
+    session: { id: 'session-1', agent_id: 'agent-1' },
+    question_id: 'q1',
+    answer_id: 'a1',
+    answer_variant_id: 'av1'
+  }));
+  const saved = [];
+  t.mock.method(MessageFeedback, 'findOne', async () => saved[0] || null);
+  const create = t.mock.method(MessageFeedback, 'create', async (fields) => {
+    const feedback = { id: 'feedback-1', ...fields, async update(changes) { Object.assign(this, changes); } };
+    saved.push(feedback);
+    return feedback;
+  });
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const first = await app.request('POST', '/chat/messages/message-agent/feedback', { rating: 'down', comment: ' Wrong steps ' });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.feedback, { id: 'feedback-1', message_id: 'message-agent', rating: 'down', comment: 'Wrong steps' });
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.agent_id, 'agent-1');
+  assert.equal(fields.answer_variant_id, 'av1');
+
+  const second = await app.request('POST', '/chat/messages/message-agent/feedback', { rating: 'up' });
+  assert.equal(second.body.feedback.rating, 'up');
+  assert.equal(second.body.feedback.comment, null);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('POST /chat/messages/:messageId/feedback validates the rating and the message', async (t) => {
+  t.mock.method(ChatMessage, 'findOne', async () => null);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const invalid = await app.request('POST', '/chat/messages/message-agent/feedback', { rating: 'meh' });
+  assert.equal(invalid.status, 400);
+
+  const missing = await app.request('POST', '/chat/messages/other-message/feedback', { rating: 'up' });
+  assert.equal(missing.status, 404);
+});
+
+test('POST /chat/:sessionId/message stores match diagnostics on the reply', async (t) => {
+  const withVariant = question('password', 'How do I reset my password?');
+  withVariant.variants = [{ id: 'variant-forgot', variant_text: 'I forgot my password' }];
+  const create = stubChat(t, { id: 'agent-diagnostics' }, [withVariant]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  await app.request('POST', '/chat/session-1/message', { message: 'I forgot my password' });
+  await app.request('POST', '/chat/session-1/message', { message: 'password rules for teams and email' });
+
+  const [matched, fallback] = create.mock.calls
+    .map(call => call.arguments[0])
+    .filter(fields => fields.message_type === 'agent');
+  assert.equal(matched.match_target, 'variant');
+  assert.equal(matched.matched_question_variant_id, 'variant-forgot');
+  assert.equal(matched.matcher_strategy, 'lexical');
+  assert.ok(matched.match_score > 0.3);
+  assert.ok(matched.processing_ms >= 0);
+  assert.equal(fallback.response_source, 'fallback');
+  assert.equal(fallback.match_target, null);
+  assert.ok(fallback.match_score > 0 && fallback.match_score < 0.3);
+});
+
+test('POST /chat/:sessionId/message explains the match to administrators only', async (t) => {
+  stubChat(t, { id: 'agent-debug' }, [
+    question('password', 'How do I reset my password?'),
+    question('email', 'How do I change my email address?')
+  ]);
+  const admin = await serveRouter(demoRoutes, { id: 'admin-1', role: 'Administrator' });
+  const demo = await serveRouter(demoRoutes, USER);
+  t.after(admin.close);
+  t.after(demo.close);
+
+  const { body } = await admin.request('POST', '/chat/session-1/message', { message: 'reset my password', debug: true });
+  const { debug } = body.messages[1];
+  assert.equal(debug.matcher_strategy, 'lexical');
+  assert.equal(debug.candidates[0].question_id, 'password');
+  assert.equal(debug.decision, 'answered');
+  assert.deepEqual(debug.candidates[0].word_matches.map(word => word.matched_word), ['reset', 'password']);
+
+  const plain = await demo.request('POST', '/chat/session-1/message', { message: 'reset my password', debug: true });
+  assert.equal(plain.body.messages[1].debug, undefined);
+});
+
+test('POST /agents/:id/chat/start returns the session seed and replays a given one', async (t) => {
+  t.mock.method(Agent, 'findOne', async () => ({ id: 'agent-seed', increment: async () => {} }));
+  t.mock.method(ChatSession, 'findAll', async () => []);
+  t.mock.method(ChatSession, 'create', async (fields) => ({ id: 'session-1', ...fields }));
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const fresh = await app.request('POST', '/agents/agent-seed/chat/start', {});
+  assert.ok(Number.isInteger(fresh.body.variant_seed));
+
+  const replay = await app.request('POST', '/agents/agent-seed/chat/start', { variant_seed: 1234 });
+  assert.equal(replay.body.variant_seed, 1234);
+
+  const invalid = await app.request('POST', '/agents/agent-seed/chat/start', { variant_seed: -1 });
+  assert.equal(invalid.status, 400);
+});
+
+test('POST /chat/messages/:messageId/regenerate cycles through unseen phrasings', async (t) => {
+  const original = { id: 'reply-1', answer_id: 'answer-1', answer_variant_id: null, response_source: 'curated', session: activeSession() };
+  const alternatives = [];
+  t.mock.method(ChatMessage, 'findOne', async () => original);
+  t.mock.method(ChatMessage, 'findAll', async () => alternatives);
+  t.mock.method(ChatMessage, 'create', async (fields) => {
+    const alternative = { id: `reply-1-alt-${alternatives.length + 1}`, timestamp: new Date(), ...fields };
+    alternatives.push(alternative);
+    return alternative;
+  });
+  t.mock.method(Answer, 'findByPk', async () => ({
+    answer_text: 'Canonical',
+    answer_html: '<p>Canonical</p>',
+    variants: ['A', 'B'].map(name => ({ id: `variant-${name}`, variant_text: name, variant_html: `<p>${name}</p>` }))
+  }));
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const served = [];
+  for (let i = 0; i < 4; i++) {
+    const { status, body } = await app.request('POST', '/chat/messages/reply-1/regenerate');
+    assert.equal(status, 200);
+    assert.equal(body.message.parent_message_id, 'reply-1');
+    served.push(body.message.text);
+  }
+
+  // Every phrasing once, then the cycle starts over
+  assert.deepEqual(served, ['A', 'B', 'Canonical', 'A']);
+});
+
+test('POST /chat/messages/:messageId/regenerate refuses replies without other phrasings', async (t) => {
+  const reply = { id: 'reply-1', answer_id: 'answer-1', session: activeSession() };
+  t.mock.method(ChatMessage, 'findOne', async () => reply);
+  t.mock.method(Answer, 'findByPk', async () => ({ answer_text: 'Canonical', answer_html: '<p>Canonical</p>', variants: [] }));
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const single = await app.request('POST', '/chat/messages/reply-1/regenerate');
+  assert.equal(single.status, 400);
+
+  reply.answer_id = null;
+  const live = await app.request('POST', '/chat/messages/reply-1/regenerate');
+  assert.equal(live.status, 400);
+  assert.match(live.body.message, /Only curated answers/);
+});
+
+test('POST /chat/:sessionId/message follows a conversation flow through its choices', async (t) => {
+  const agent = { id: 'agent-flow' };
+  const session = activeSession({ agent_id: agent.id, agent, current_flow_node_id: null });
+  const nodes = {
+    entry: {
+      id: 'entry',
+      message_text: 'Which plan are you on?',
+      message_html: '<p>Which plan are you on?</p>',
+      choices: [
+        { id: 'choice-basic', label: 'Basic plan', synonyms: [], next_node_id: 'basic' },
+        { id: 'choice-premium', label: 'Premium plan', synonyms: [], next_node_id: 'premium' }
+      ]
+    },
+    basic: { id: 'basic', message_text: 'Basic upgrades are in Billing.', message_html: '<p>Basic upgrades are in Billing.</p>', choices: [] },
+    premium: { id: 'premium', message_text: 'Premium is already the top plan.', message_html: '<p>Premium is already the top plan.</p>', choices: [] }
+  };
+  stubChat(t, agent, [question('upgrade', 'How do I upgrade my plan?')]);
+  t.mock.method(ChatSession, 'findOne', async () => session);
+  t.mock.method(FlowNode, 'findOne', async () => nodes.entry);
+  t.mock.method(FlowNode, 'findByPk', async (id) => nodes[id] || null);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const entry = await app.request('POST', '/chat/session-1/message', { message: 'How do I upgrade my plan?' });
+  assert.equal(entry.body.messages[1].text, 'Which plan are you on?');
+  assert.deepEqual(entry.body.messages[1].choices, [
+    { id: 'choice-basic', label: 'Basic plan' },
+    { id: 'choice-premium', label: 'Premium plan' }
+  ]);
+  assert.equal(session.current_flow_node_id, 'entry');
+
+  const unclear = await app.request('POST', '/chat/session-1/message', { message: 'something else entirely' });
+  assert.equal(unclear.body.messages[1].source, 'fallback');
+  assert.equal(unclear.body.messages[1].choices.length, 2);
+
+  const picked = await app.request('POST', '/chat/session-1/message', { message: 'the second one' });
+  assert.equal(picked.body.messages[1].source, 'flow');
+  assert.equal(picked.body.messages[1].text, 'Premium is already the top plan.');
+  assert.equal(session.current_flow_node_id, null);
+});
+
+test('POST /chat/:sessionId/message offers related questions with a curated reply', async (t) => {
+  stubChat(t, { id: 'agent-related' }, [
+    question('reset', 'How do I reset my password?'),
+    question('change', 'How do I change my password?'),
+    question('weather', 'What is the weather like today?')
+  ]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/chat/session-1/message', { message: 'How do I reset my password?' });
+
+  assert.deepEqual(body.messages[1].related, [{ question_id: 'change', question_text: 'How do I change my password?' }]);
+});
+
+test('GET /agents/:id includes the pinned starter questions', async (t) => {
+  t.mock.method(Agent, 'findOne', async () => ({ id: 'agent-1', name: 'Helpdesk' }));
+  const findAll = t.mock.method(Question, 'findAll', async () => [{ id: 'q1', question_text: 'How do I reset my password?' }]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('GET', '/agents/agent-1');
+
+  assert.deepEqual(body.starter_questions, [{ id: 'q1', question_text: 'How do I reset my password?' }]);
+  assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { agent_id: 'agent-1', is_starter: true, status: 'Final' });
+});
+
+/**
+ * Stub a session's history, answering ChatMessage.findAll the way the
+ * paging query asks (newest first, before a cursor position, limited)
+ */
+const stubHistory = (t, messages) => {
+  const byNewest = [...messages].sort((a, b) => b.timestamp - a.timestamp || b.id.localeCompare(a.id));
+  t.mock.method(ChatMessage, 'findAll', async ({ where, limit }) => {
+    const [older, sameTime] = where[Op.or] || [];
+    const rows = older
+      ? byNewest.filter(msg => msg.timestamp < older.timestamp[Op.lt] ||
+        (msg.timestamp.getTime() === sameTime.timestamp.getTime() && msg.id < sameTime.id[Op.lt]))
+      : byNewest;
+    return rows.slice(0, limit);
+  });
+};
+
+test('GET /chat/:sessionId/history pages back through messages with a cursor', async (t) => {
+  // Messages 3 and 4 share a timestamp
+  const times = [1, 2, 3, 3, 4];
+  const messages = times.map((time, i) => ({ id: `message-${i}`, message_type: 'user', message_text: `Message ${i}`, timestamp: new Date(time * 1000) }));
+  t.mock.method(ChatSession, 'findOne', async () => ({ id: 'session-1' }));
+  stubHistory(t, messages);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const { status, body } = await app.request('GET', `/chat/session-1/history?limit=2${cursor ? `&before=${cursor}` : ''}`);
+    assert.equal(status, 200);
+    seen.unshift(...body.messages.map(msg => msg.text));
+    cursor = body.has_more ? body.next_cursor : null;
+  } while (cursor);
+
+  assert.deepEqual(seen, messages.map(msg => msg.message_text));
+
+  const invalid = await app.request('GET', '/chat/session-1/history?before=not-a-cursor');
+  assert.equal(invalid.status, 400);
+});
+
+test('POST /chat/:sessionId/resume reactivates the session and ends the current one', async (t) => {
+  const current = { id: 'session-current', async update(changes) { Object.assign(this, changes); } };
+  const earlier = {
+    id: 'session-earlier',
+    agent_id: 'agent-1',
+    agent: { id: 'agent-1', status: 'Final' },
+    is_active: false,
+    variant_seed: 42,
+    async update(changes) { Object.assign(this, changes); }
+  };
+  t.mock.method(ChatSession, 'findOne', async () => earlier);
+  t.mock.method(ChatSession, 'findAll', async () => [current]);
+  stubHistory(t, [{ id: 'message-1', message_type: 'user', message_text: 'Hello', timestamp: new Date(1000) }]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, body } = await app.request('POST', '/chat/session-earlier/resume');
+
+  assert.equal(status, 200);
+  assert.equal(body.resumed, true);
+  assert.equal(body.variant_seed, 42);
+  assert.deepEqual(body.messages.map(msg => msg.text), ['Hello']);
+  assert.equal(earlier.is_active, true);
+  assert.equal(current.is_active, false);
+});
+
+test('POST /agents/:id/chat/start with resume returns the active session instead of a new one', async (t) => {
+  t.mock.method(Agent, 'findOne', async () => ({ id: 'agent-1', increment: async () => {} }));
+  t.mock.method(ChatSession, 'findOne', async () => activeSession({ id: 'session-active', variant_seed: 7 }));
+  const create = t.mock.method(ChatSession, 'create', async (fields) => ({ id: 'session-new', ...fields }));
+  stubHistory(t, [{ id: 'message-1', message_type: 'user', message_text: 'Hello', timestamp: new Date(1000) }]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { body } = await app.request('POST', '/agents/agent-1/chat/start', { resume: true });
+
+  assert.equal(body.session_id, 'session-active');
+  assert.equal(body.resumed, true);
+  assert.equal(body.messages.length, 1);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('POST /chat/:sessionId/message answers 410 for a session that went idle', async (t) => {
+  const session = activeSession({ agent_id: 'agent-1', agent: { id: 'agent-1' }, last_activity_at: new Date(Date.now() - 60 * 60 * 1000) });
+  t.mock.method(ChatSession, 'findOne', async () => session);
+  t.mock.method(ChatSession, 'count', async ({ where }) => (where.end_reason === session.end_reason ? 1 : 0));
+  t.mock.method(ChatMessage, 'max', async () => null);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, body } = await app.request('POST', '/chat/session-1/message', { message: 'Hello?' });
+
+  assert.equal(status, 410);
+  assert.equal(body.code, 'SESSION_EXPIRED');
+  assert.equal(session.end_reason, 'expired');
+});
+
+test('GET /chat/:sessionId/export downloads the transcript as an attachment', async (t) => {
+  t.mock.method(ChatSession, 'findOne', async () => ({
+    id: 'session-1',
+    started_at: new Date('2024-03-01T14:05:00Z'),
+    agent: { id: 'agent-1', name: 'Help Desk', environment: 'Production', version: '1.0' },
+    user: { name: 'Dana' }
+  }));
+  t.mock.method(ChatMessage, 'findAll', async () => [
+    { id: 'm1', message_type: 'user', message_text: 'Hello', timestamp: new Date('2024-03-01T14:06:00Z') }
+  ]);
+  const app = await serveRouter(demoRoutes, USER);
+  t.after(app.close);
+
+  const { status, headers, body } = await app.request('GET', '/chat/session-1/export?format=md');
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-disposition'), 'attachment; filename="transcript-help-desk-2024-03-01.md"');
+  assert.match(body, /Hello/);
+
+  const unknown = await app.request('GET', '/chat/session-1/export?format=docx');
+  assert.equal(unknown.status, 400);
+});
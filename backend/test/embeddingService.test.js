@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Question } = require('../models');
+const {
+  hashedNgramVector,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  cosineSimilarity,
+  refreshQuestionEmbeddings
+} = require('../services/embeddingService');
+
+test('hashedNgramVector is deterministic and unit length', () => {
+  const vector = hashedNgramVector('How do I reset my password?');
+
+  assert.equal(vector.length, 256);
+  assert.deepEqual(vector, hashedNgramVector('How do I reset my password?'));
+  assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+});
+
+test('hashedNgramVector keeps related wording and typos close', () => {
+  const original = hashedNgramVector('How do I reset my password?');
+
+  assert.ok(cosineSimilarity(original, hashedNgramVector('resetting passwords')) >
+    cosineSimilarity(original, hashedNgramVector('download an invoice')));
+  assert.ok(cosineSimilarity(original, hashedNgramVector('reset my pasword')) > 0.5);
+});
+
+test('cosineSimilarity handles identical, mismatched and missing vectors', () => {
+  assert.ok(Math.abs(cosineSimilarity([1, 2], [2, 4]) - 1) < 1e-9);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(cosineSimilarity(null, [1]), 0);
+});
+
+test('getEmbeddingProvider picks EMBEDDING_PROVIDER and falls back to local', (t) => {
+  const provider = { name: 'test-provider', model: 'test-1', embed: async (texts) => texts.map(() => [1]) };
+  registerEmbeddingProvider(provider);
+  t.after(() => { delete process.env.EMBEDDING_PROVIDER; });
+
+  process.env.EMBEDDING_PROVIDER = 'test-provider';
+  assert.equal(getEmbeddingProvider(), provider);
+
+  process.env.EMBEDDING_PROVIDER = 'missing';
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(getEmbeddingProvider().name, 'local');
+
+  assert.throws(() => registerEmbeddingProvider({ name: 'incomplete' }), /must define/);
+});
+
+test('refreshQuestionEmbeddings stores an embedding for a question and each variant', async (t) => {
+  const record = (fields) => ({ ...fields, update: t.mock.fn(async () => {}) });
+  const question = record({ question_text: 'How do I reset my password?' });
+  question.variants = [record({ variant_text: 'I forgot my password' })];
+  t.mock.method(Question, 'findByPk', async () => question);
+
+  await refreshQuestionEmbeddings('question-1');
+
+  for (const stored of [question, question.variants[0]]) {
+    const [{ embedding, embedding_model: model }] = stored.update.mock.calls[0].arguments;
+    assert.equal(model, 'local-hash-256');
+    assert.deepEqual(embedding, hashedNgramVector(stored.question_text || stored.variant_text));
+  }
+});
+
+test('refreshQuestionEmbeddings logs failures instead of throwing', async (t) => {
+  t.mock.method(Question, 'findByPk', async () => { throw new Error('database down'); });
+  const error = t.mock.method(console, 'error', () => {});
+
+  await refreshQuestionEmbeddings('question-1');
+  assert.equal(error.mock.callCount(), 1);
+});
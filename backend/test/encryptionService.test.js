@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptValue, decryptValue } = require('../services/encryptionService');
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+
+test('encryptValue round-trips through decryptValue', () => {
+  const value = { username: 'sam', password: 'pässwörd' };
+  const payload = encryptValue(value);
+
+  assert.match(payload, /^v1:/);
+  assert.ok(!payload.includes('sam'));
+  assert.deepEqual(decryptValue(payload), value);
+  assert.notEqual(encryptValue(value), payload);
+});
+
+test('decryptValue rejects tampered or foreign payloads', () => {
+  const [version, iv, tag, ciphertext] = encryptValue({ token: 'abc' }).split(':');
+  const tampered = Buffer.from(ciphertext, 'base64');
+  tampered[0] ^= 1;
+
+  assert.throws(() => decryptValue([version, iv, tag, tampered.toString('base64')].join(':')));
+  assert.throws(() => decryptValue('plain text'), /Unrecognized/);
+});
+
+test('encryption needs CREDENTIALS_ENCRYPTION_KEY', (t) => {
+  t.after(() => { process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key'; });
+  delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  assert.throws(() => encryptValue('x'), /CREDENTIALS_ENCRYPTION_KEY/);
+});
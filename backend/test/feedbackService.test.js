@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageFeedback } = require('../models');
+const { summarizeFeedback } = require('../services/feedbackService');
+
+test('summarizeFeedback computes helpfulness rates, least helpful first', async (t) => {
+  const findAll = t.mock.method(MessageFeedback, 'findAll', async () => [
+    { question_id: 'q1', up: '3', total: '4' },
+    { question_id: 'q2', up: '1', total: '3' },
+    { question_id: 'q3', up: '0', total: '1' }
+  ]);
+
+  const rows = await summarizeFeedback(['question_id'], { agent_id: 'agent-1' }, { minRatings: 2 });
+
+  assert.deepEqual(rows, [
+    { question_id: 'q2', up: 1, down: 2, total: 3, helpfulness_rate: 0.333 },
+    { question_id: 'q1', up: 3, down: 1, total: 4, helpfulness_rate: 0.75 }
+  ]);
+  const options = findAll.mock.calls[0].arguments[0];
+  assert.deepEqual(options.group, ['question_id']);
+  assert.deepEqual(options.where, { agent_id: 'agent-1' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveChoice } = require('../services/flowService');
+
+const node = (...labels) => ({
+  choices: labels.map((label, i) => ({
+    id: `choice-${i + 1}`,
+    label: typeof label === 'string' ? label : label.label,
+    synonyms: typeof label === 'string' ? [] : label.synonyms
+  }))
+});
+
+const resolvedId = (flowNode, text, choiceId) => {
+  const choice = resolveChoice(flowNode, text, choiceId);
+  return choice ? choice.id : null;
+};
+
+const yesNo = node('Yes, show me', 'No thanks');
+const plans = node('Basic plan', 'Premium plan', { label: 'Enterprise plan', synonyms: ['business'] });
+
+test('resolveChoice prefers the clicked button', () => {
+  assert.equal(resolvedId(plans, 'anything', 'choice-2'), 'choice-2');
+  assert.equal(resolvedId(plans, 'basic plan', 'unknown'), 'choice-1');
+});
+
+test('resolveChoice reads exact labels and synonyms', () => {
+  assert.equal(resolvedId(plans, 'premium plan'), 'choice-2');
+  assert.equal(resolvedId(plans, 'Business'), 'choice-3');
+});
+
+test('resolveChoice reads ordinals', () => {
+  assert.equal(resolvedId(plans, '2'), 'choice-2');
+  assert.equal(resolvedId(plans, 'the third one please'), 'choice-3');
+  assert.equal(resolvedId(plans, 'last'), 'choice-3');
+  assert.equal(resolvedId(plans, 'one'), 'choice-1');
+  assert.equal(resolvedId(plans, '7'), null);
+  assert.equal(resolvedId(plans, 'what is the first step'), null);
+});
+
+test('resolveChoice reads yes and no replies', () => {
+  assert.equal(resolvedId(yesNo, 'yep sure'), 'choice-1');
+  assert.equal(resolvedId(yesNo, 'nope'), 'choice-2');
+  assert.equal(resolvedId(yesNo, 'no thanks'), 'choice-2');
+});
+
+test('resolveChoice reads "not" as a no only in set phrases', () => {
+  assert.equal(resolvedId(yesNo, 'not really'), 'choice-2');
+  assert.equal(resolvedId(yesNo, 'not now'), 'choice-2');
+  assert.equal(resolvedId(yesNo, 'not sure'), null);
+  assert.equal(resolvedId(yesNo, 'not yet, tell me more'), null);
+  assert.equal(resolvedId(node('Sure', 'Not now'), 'nah'), 'choice-2');
+});
+
+test('resolveChoice does not read "please" as a yes', () => {
+  assert.equal(resolvedId(yesNo, 'please'), null);
+  assert.equal(resolvedId(yesNo, 'yes please'), 'choice-1');
+});
+
+test('resolveChoice matches rephrased labels with typos', () => {
+  assert.equal(resolvedId(plans, 'the premum one'), 'choice-2');
+});
+
+test('resolveChoice leaves unrelated replies unresolved', () => {
+  assert.equal(resolvedId(plans, 'how do I reset my password'), null);
+  assert.equal(resolvedId(node(), 'yes'), null);
+});
@@ -0,0 +1,39 @@
+const express = require('express');
+
+/**
+ * Serve an Express router on a random local port as a signed-in user,
+ * so route tests can call it over HTTP
+ * @param {Object} router - Express router
+ * @param {Object} user - req.user for every request
+ * @returns {Promise<Object>} { request(method, path, body), close() }
+ */
+const serveRouter = async (router, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    req.isAuthenticated = () => Boolean(user);
+    next();
+  });
+  app.use(router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: async (method, path, body) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const isJson = (response.headers.get('content-type') || '').includes('application/json');
+      return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { serveRouter };
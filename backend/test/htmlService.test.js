@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeHtml,
+  textToHtml,
+  decodeEntities,
+  htmlToBlocks,
+  sanitizeAnswerHtml,
+  mapHtmlText,
+  htmlToText
+} = require('../services/htmlService');
+
+test('escapeHtml escapes markup characters', () => {
+  assert.equal(escapeHtml('<b>"Tom" & \'Jerry\'</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('textToHtml wraps paragraphs and escapes markup', () => {
+  const html = textToHtml('First <line>\n\nSecond');
+  assert.ok(html.includes('&lt;line&gt;'));
+  assert.equal((html.match(/<p>/g) || []).length, 2);
+  assert.equal(textToHtml('One\ntwo'), '<p>One<br>two</p>');
+});
+
+test('decodeEntities reverses escapeHtml and decodes numeric entities', () => {
+  const text = '<b>"Tom" & \'Jerry\'</b>';
+  assert.equal(decodeEntities(escapeHtml(text)), text);
+  assert.equal(decodeEntities('caf&#233; &#x2014; ok'), 'caf\u00e9 \u2014 ok');
+});
+
+test('htmlToBlocks reads paragraphs, headings, lists and inline formatting', () => {
+  const blocks = htmlToBlocks('<h2>Steps</h2><ol><li>Open <b>Settings</b></li><li>Click <a href="https://example.com">here</a></li></ol><p>Run <code>npm i</code></p>');
+
+  assert.deepEqual(blocks.map(block => block.type), ['heading', 'list_item', 'list_item', 'paragraph']);
+  assert.equal(blocks[0].level, 2);
+  assert.deepEqual(blocks[1].runs.map(run => [run.text, Boolean(run.bold)]), [['Open ', false], ['Settings', true]]);
+  assert.equal(blocks[2].number, 2);
+  assert.equal(blocks[2].runs[1].link, 'https://example.com');
+  assert.ok(blocks[3].runs[1].code);
+});
+
+test('htmlToBlocks drops hidden content', () => {
+  const blocks = htmlToBlocks('<p>Shown</p><script>hidden()</script>');
+  assert.deepEqual(blocks.map(block => block.runs.map(run => run.text).join('')), ['Shown']);
+});
+
+test('sanitizeAnswerHtml removes scripts, handlers and unsafe links', () => {
+  const html = sanitizeAnswerHtml(
+    '<p onclick="steal()">Hi <a href="javascript:alert(1)">x</a> <a href="https://example.com">y</a></p>' +
+    '<script>steal()</script><iframe src="https://example.com"></iframe><img src="data:image/png;base64,AA">'
+  );
+
+  assert.ok(!/onclick|javascript:|<script|<iframe|data:/.test(html));
+  assert.ok(html.includes('<a href="https://example.com">y</a>'));
+});
+
+test('sanitizeAnswerHtml keeps formatting, images and mail links', () => {
+  const html = '<p><strong>Bold</strong> <a href="mailto:help@example.com">mail</a></p><img src="https://example.com/a.png" alt="A" />';
+  assert.equal(sanitizeAnswerHtml(html), html);
+});
+
+test('mapHtmlText rewrites text nodes and preserves markup', () => {
+  const html = mapHtmlText('<p>Hello <b>world</b> &amp; <a href="https://example.com">friends</a></p>', text => text.toUpperCase());
+  assert.equal(html, '<p>HELLO <b>WORLD</b> &amp; <a href="https://example.com">FRIENDS</a></p>');
+});
+
+test('mapHtmlText leaves code untouched and keeps whitespace around text', () => {
+  const seen = [];
+  const html = mapHtmlText('<p> Run <code>npm install</code> now </p><pre>keep  me</pre>', text => {
+    seen.push(text);
+    return text.toUpperCase();
+  });
+
+  assert.deepEqual(seen, ['Run', 'now']);
+  assert.equal(html, '<p> RUN <code>npm install</code> NOW </p><pre>keep  me</pre>');
+});
+
+test('mapHtmlText output is sanitized', () => {
+  const html = mapHtmlText('<p>Hi</p><script>alert(1)</script>', text => text);
+  assert.equal(html, '<p>Hi</p>');
+});
+
+test('htmlToText puts blocks on their own lines', () => {
+  assert.equal(htmlToText('<p>One</p><ul><li>a</li><li>b</li></ul>'), 'One\na\nb');
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJoinCode, resolveJoinCode, revokeJoinCode } = require('../services/joinCodeService');
+
+test('createJoinCode issues a readable code that resolves to the session', () => {
+  const { code, expiresAt } = createJoinCode('session-1');
+
+  assert.match(code, /^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{6}$/);
+  assert.ok(expiresAt > new Date());
+  assert.equal(resolveJoinCode(code), 'session-1');
+  revokeJoinCode('session-1');
+});
+
+test('createJoinCode returns the existing code for a session', () => {
+  const first = createJoinCode('session-2');
+  assert.equal(createJoinCode('session-2').code, first.code);
+  assert.notEqual(createJoinCode('session-3').code, first.code);
+  revokeJoinCode('session-2');
+  revokeJoinCode('session-3');
+});
+
+test('resolveJoinCode accepts codes as typed', () => {
+  const { code } = createJoinCode('session-4');
+  const typed = `${code.slice(0, 3).toLowerCase()}-${code.slice(3)}`;
+
+  assert.equal(resolveJoinCode(typed), 'session-4');
+  assert.equal(resolveJoinCode('ZZZZZZ'), null);
+  assert.equal(resolveJoinCode(undefined), null);
+  revokeJoinCode('session-4');
+});
+
+test('revokeJoinCode invalidates the code', () => {
+  const { code } = createJoinCode('session-5');
+  revokeJoinCode('session-5');
+
+  assert.equal(resolveJoinCode(code), null);
+  assert.notEqual(createJoinCode('session-5').code, undefined);
+  revokeJoinCode('session-5');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex } = require('../services/searchIndexService');
+const { DEFAULT_MATCHER, MATCHER_STRATEGIES, getMatcher } = require('../services/matcherService');
+
+const question = (id, text, variants = []) => ({
+  id,
+  question_text: text,
+  answer: { id: `${id}-answer`, answer_text: `Answer ${id}`, answer_html: `<p>Answer ${id}</p>`, variants: [] },
+  variants: variants.map((variantText, i) => ({ id: `${id}-v${i}`, variant_text: variantText }))
+});
+
+const buildTestIndex = () => buildIndex([
+  question('password', 'How do I reset my password?', ['I forgot my password']),
+  question('invoice', 'Where can I download my invoice?'),
+  question('refund', 'How long does a refund take?')
+]);
+
+test('getMatcher defaults to the lexical matcher', () => {
+  assert.deepEqual(MATCHER_STRATEGIES, ['lexical', 'bm25', 'vector']);
+  assert.equal(getMatcher('unknown').name, DEFAULT_MATCHER);
+  assert.equal(getMatcher(null).name, 'lexical');
+});
+
+for (const strategy of MATCHER_STRATEGIES) {
+  test(`${strategy} matcher ranks the matching question first with a score between 0 and 1`, async () => {
+    const results = await getMatcher(strategy).rank(buildTestIndex(), 'reset my password', { limit: 3 });
+
+    assert.ok(results.length > 0 && results.length <= 3);
+    assert.equal(results[0].document.question_id, 'password');
+    assert.ok(results.every(result => result.score > 0 && result.score <= 1));
+    assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+  });
+}
+
+test('vector matcher embeds documents once and keeps the embeddings on the index', async () => {
+  const index = buildTestIndex();
+  const matcher = getMatcher('vector');
+
+  await matcher.rank(index, 'refund');
+  const embedding = index.documents[0].embedding;
+  assert.equal(index.documents[0].embedding_model, 'local-hash-256');
+
+  await matcher.rank(index, 'invoice');
+  assert.equal(index.documents[0].embedding, embedding);
+});
+
+test('vector matcher tolerates typos the lexical index misses', async () => {
+  const [best] = await getMatcher('vector').rank(buildTestIndex(), 'refnud tkae long');
+  assert.equal(best.document.question_id, 'refund');
+});
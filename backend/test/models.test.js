@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, ChatMessage, MessageFeedback } = require('../models');
+
+test('ChatMessage references variants without a foreign key', () => {
+  assert.equal(ChatMessage.rawAttributes.answer_variant_id.references, undefined);
+  assert.equal(ChatMessage.rawAttributes.matched_question_variant_id.references, undefined);
+  assert.ok(ChatMessage.rawAttributes.matched_question_variant_text);
+});
+
+test('syncing ChatMessage drops foreign keys left on its variant references', async (t) => {
+  const queryInterface = sequelize.getQueryInterface();
+  t.mock.method(queryInterface, 'getForeignKeyReferencesForTable', async () => [
+    { constraintName: 'chat_message_answer_variant_id_fkey', columnName: 'answer_variant_id' },
+    { constraintName: 'chat_message_matched_question_variant_id_fkey', columnName: 'matched_question_variant_id' },
+    { constraintName: 'chat_message_session_id_fkey', columnName: 'session_id' }
+  ]);
+  const removeConstraint = t.mock.method(queryInterface, 'removeConstraint', async () => {});
+
+  await ChatMessage.runHooks('afterSync', {});
+
+  assert.deepEqual(removeConstraint.mock.calls.map(call => call.arguments[1]), [
+    'chat_message_answer_variant_id_fkey',
+    'chat_message_matched_question_variant_id_fkey'
+  ]);
+});
+
+test('MessageFeedback references the rated variant without a foreign key', async (t) => {
+  assert.equal(MessageFeedback.rawAttributes.answer_variant_id.references, undefined);
+  assert.ok(MessageFeedback.rawAttributes.answer_variant_text);
+
+  const queryInterface = sequelize.getQueryInterface();
+  t.mock.method(queryInterface, 'getForeignKeyReferencesForTable', async () => [
+    { constraintName: 'message_feedback_answer_variant_id_fkey', columnName: 'answer_variant_id' },
+    { constraintName: 'message_feedback_message_id_fkey', columnName: 'message_id' }
+  ]);
+  const removeConstraint = t.mock.method(queryInterface, 'removeConstraint', async () => {});
+
+  await MessageFeedback.runHooks('afterSync', {});
+
+  assert.deepEqual(removeConstraint.mock.calls.map(call => call.arguments[1]), ['message_feedback_answer_variant_id_fkey']);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const {
+  createDomainRulesProvider,
+  createHttpParaphraseProvider,
+  registerParaphraseProvider,
+  hasParaphraseProvider,
+  listParaphraseProviders,
+  generateVariantsWithProviders,
+  generateAgentVariants
+} = require('../services/paraphraseProviderService');
+const { generateVariants } = require('../services/textVariantService');
+
+const QUESTION = 'How do I sign in to the customer portal?';
+
+/**
+ * A provider that returns fixed variants
+ */
+const fixedProvider = (name, texts) => ({
+  name,
+  generate: async () => texts.map(text => ({ text, html: text, technique: name, confidence: 0.9 }))
+});
+
+test('registerParaphraseProvider adds a provider that can be looked up', () => {
+  assert.deepEqual(listParaphraseProviders().slice(0, 4), ['builtin', 'domain_rules', 'local_llm', 'remote_api']);
+  assert.equal(hasParaphraseProvider('test_registered'), false);
+
+  registerParaphraseProvider(fixedProvider('test_registered', []));
+
+  assert.equal(hasParaphraseProvider('test_registered'), true);
+  assert.ok(listParaphraseProviders().includes('test_registered'));
+  assert.throws(() => registerParaphraseProvider({ name: 'no_generate' }), /name and generate/);
+});
+
+test('generateVariantsWithProviders records each variant\'s provider', async () => {
+  registerParaphraseProvider(fixedProvider('test_fixed', ['How can I log in to the customer portal?']));
+
+  const variants = await generateVariantsWithProviders(['test_fixed'], QUESTION);
+
+  assert.equal(variants.length, 1);
+  assert.equal(variants[0].provider, 'test_fixed');
+  assert.ok(variants[0].similarity > 0);
+});
+
+test('an unknown provider in an agent chain is skipped with a warning', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const variants = await generateAgentVariants({ paraphrase_providers: ['no_such_provider', 'builtin'] }, QUESTION);
+
+  assert.match(warn.mock.calls[0].arguments[0], /Unknown paraphrase provider "no_such_provider"/);
+  assert.deepEqual(variants.map(variant => variant.text), generateVariants(QUESTION).map(variant => variant.text));
+  assert.ok(variants.every(variant => variant.provider === 'builtin'));
+});
+
+test('a provider that throws is skipped and the chain falls back to builtin', async (t) => {
+  registerParaphraseProvider({
+    name: 'test_failing',
+    generate: async () => {
+      throw new Error('model offline');
+    }
+  });
+  const logged = t.mock.method(console, 'error', () => {});
+
+  const variants = await generateAgentVariants({ paraphrase_providers: ['test_failing', 'builtin'] }, QUESTION);
+
+  assert.match(logged.mock.calls[0].arguments[0], /"test_failing" failed/);
+  assert.ok(variants.length > 0);
+  assert.ok(variants.every(variant => variant.provider === 'builtin'));
+});
+
+test('agents without a chain use the builtin provider', async () => {
+  const variants = await generateAgentVariants({ paraphrase_providers: null }, QUESTION);
+  assert.ok(variants.length > 0 && variants.every(variant => variant.provider === 'builtin'));
+});
+
+test('createDomainRulesProvider swaps each phrase of a group for the others', async () => {
+  const provider = createDomainRulesProvider({ name: 'rules', rules: [{ phrases: ['sign in', 'log in', 'log on'] }] });
+
+  const variants = await provider.generate('<p>Sign in to the <b>portal</b>.</p>', { html: '<p>Sign in to the <b>portal</b>.</p>', count: 5 });
+
+  assert.deepEqual(variants.map(variant => variant.html), [
+    '<p>Log in to the <b>portal</b>.</p>',
+    '<p>Log on to the <b>portal</b>.</p>'
+  ]);
+});
+
+test('createHttpParaphraseProvider rewrites each text node with the service\'s paraphrases', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({
+    data: { paraphrases: [['Log in via', 'Use'], ['the portal']] }
+  }));
+  const provider = createHttpParaphraseProvider({
+    name: 'http',
+    config: () => ({ url: 'http://paraphrase.test', apiKey: 'secret', timeoutMs: 1000 })
+  });
+
+  const variants = await provider.generate('Sign in to the portal', { type: 'answer', html: '<p>Sign in to <b>the site</b></p>', count: 3 });
+
+  const [url, body, options] = post.mock.calls[0].arguments;
+  assert.equal(url, 'http://paraphrase.test');
+  assert.deepEqual(body.texts, ['Sign in to', 'the site']);
+  assert.equal(options.headers.Authorization, 'Bearer secret');
+  assert.deepEqual(variants.map(variant => variant.html), [
+    '<p>Log in via <b>the portal</b></p>',
+    '<p>Use <b>the site</b></p>'
+  ]);
+});
+
+test('createHttpParaphraseProvider fails without a configured URL', async () => {
+  const provider = createHttpParaphraseProvider({ name: 'unconfigured', config: () => ({}) });
+  await assert.rejects(provider.generate(QUESTION, { count: 3 }), /no URL configured/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashString, createRandom, generateSeed } = require('../services/randomService');
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('hashString is a stable unsigned 32-bit hash', () => {
+  assert.equal(hashString('abc'), hashString('abc'));
+  assert.notEqual(hashString('abc'), hashString('abd'));
+  assert.ok(Number.isInteger(hashString('abc')) && hashString('abc') >= 0 && hashString('abc') < 2 ** 32);
+});
+
+test('createRandom repeats the same sequence for the same seed', () => {
+  assert.deepEqual(draw(createRandom(42), 5), draw(createRandom(42), 5));
+  assert.deepEqual(draw(createRandom('demo'), 5), draw(createRandom(hashString('demo')), 5));
+  assert.notDeepEqual(draw(createRandom(42), 5), draw(createRandom(43), 5));
+});
+
+test('createRandom returns numbers in [0, 1)', () => {
+  for (const value of draw(createRandom(7), 1000)) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('generateSeed fits a signed 32-bit column', () => {
+  const seed = generateSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 31);
+});
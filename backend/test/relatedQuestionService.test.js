@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex } = require('../services/searchIndexService');
+const { findRelatedQuestions } = require('../services/relatedQuestionService');
+
+const question = (id, text, relatedIds = []) => ({
+  id,
+  question_text: text,
+  answer: { id: `${id}-answer`, answer_text: `Answer ${id}`, answer_html: `<p>Answer ${id}</p>`, variants: [] },
+  variants: [],
+  related_links: relatedIds.map((relatedId, position) => ({ related_question_id: relatedId, position }))
+});
+
+const index = buildIndex([
+  question('reset', 'How do I reset my password?', ['billing']),
+  question('change', 'How do I change my password?'),
+  question('expire', 'When does my password expire?'),
+  question('billing', 'Where can I see my billing history?'),
+  question('weather', 'What is the weather like today?')
+]);
+
+test('findRelatedQuestions puts curated links first, then similar questions', () => {
+  const related = findRelatedQuestions(index, 'reset');
+
+  assert.equal(related.length, 3);
+  assert.equal(related[0].question_id, 'billing');
+  assert.deepEqual(related.slice(1).map(item => item.question_id).sort(), ['change', 'expire']);
+});
+
+test('findRelatedQuestions never offers the question itself or dissimilar ones', () => {
+  const related = findRelatedQuestions(index, 'change', { limit: 5 });
+  const ids = related.map(item => item.question_id);
+
+  assert.ok(!ids.includes('change'));
+  assert.ok(!ids.includes('weather'));
+  assert.deepEqual(findRelatedQuestions(index, 'unknown'), []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Question } = require('../models');
+const { stem } = require('../services/textAnalysisService');
+const { analyzeTerms, buildIndex, searchIndex, getAgentIndex, invalidateAgentIndex } = require('../services/searchIndexService');
+
+const question = (id, text, variants = []) => ({
+  id,
+  question_text: text,
+  answer: { id: `${id}-answer`, answer_text: `Answer ${id}`, answer_html: `<p>Answer ${id}</p>`, variants: [] },
+  variants: variants.map((variantText, i) => ({ id: `${id}-v${i}`, variant_text: variantText }))
+});
+
+const index = buildIndex([
+  question('password', 'How do I reset my password?', ['I forgot my password']),
+  question('invoice', 'Where can I download my invoice?'),
+  question('refund', 'How long does a refund take?'),
+  { id: 'unanswered', question_text: 'Why is the sky blue?', answer: null }
+]);
+
+test('analyzeTerms stems meaningful words', () => {
+  assert.deepEqual(analyzeTerms('Resetting passwords'), analyzeTerms('reset password'));
+  assert.deepEqual(analyzeTerms('How do I reset my password?'), ['how', stem('reset'), stem('password')]);
+});
+
+test('buildIndex indexes answered questions and their variants', () => {
+  assert.equal(index.docCount, 4);
+  assert.equal(index.questions.size, 3);
+  assert.ok(!index.questions.has('unanswered'));
+  assert.equal(index.questions.get('password').answer.html, '<p>Answer password</p>');
+});
+
+test('searchIndex ranks the best matching question first', () => {
+  const [best] = searchIndex(index, 'reset password');
+  assert.equal(best.document.question_id, 'password');
+  assert.equal(best.document.variant_id, null);
+  assert.deepEqual(best.matchedTerms, [stem('reset'), stem('password')]);
+  assert.ok(best.normalizedScore > 0.5);
+});
+
+test('searchIndex matches variants', () => {
+  const [best] = searchIndex(index, 'forgot password');
+  assert.equal(best.document.variant_id, 'password-v0');
+});
+
+test('searchIndex matches inflected words', () => {
+  const [best] = searchIndex(index, 'resetting passwords');
+  assert.equal(best.document.question_id, 'password');
+});
+
+test('searchIndex tolerates typos', () => {
+  const [best] = searchIndex(index, 'dowload invoice');
+  assert.equal(best.document.question_id, 'invoice');
+  assert.ok(best.matchedTerms.includes(stem('dowload')));
+});
+
+test('searchIndex returns nothing for stopword-only or unknown queries', () => {
+  assert.deepEqual(searchIndex(index, 'is it the one'), []);
+  assert.deepEqual(searchIndex(index, 'xylophone'), []);
+  assert.deepEqual(searchIndex(buildIndex([]), 'reset password'), []);
+});
+
+test('searchIndex honours the limit', () => {
+  assert.equal(searchIndex(index, 'how password invoice refund', { limit: 2 }).length, 2);
+});
+
+test('getAgentIndex builds an agent index once and rebuilds it after invalidation', async (t) => {
+  const findAll = t.mock.method(Question, 'findAll', async () => [question('password', 'How do I reset my password?')]);
+
+  const [first, concurrent] = await Promise.all([getAgentIndex('agent-1'), getAgentIndex('agent-1')]);
+  assert.equal(first, concurrent);
+  assert.equal(await getAgentIndex('agent-1'), first);
+  assert.equal(findAll.mock.callCount(), 1);
+  assert.equal(findAll.mock.calls[0].arguments[0].where.agent_id, 'agent-1');
+
+  invalidateAgentIndex('agent-1');
+  assert.notEqual(await getAgentIndex('agent-1'), first);
+  assert.equal(findAll.mock.callCount(), 2);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatSession, ChatMessage } = require('../models');
+const { subscribeToSession } = require('../services/chatEventService');
+const { sessionExpiredMessage, isSessionIdle, expireSession, reapIdleSessions } = require('../services/sessionReaperService');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * In-memory chat session last used the given number of minutes ago
+ */
+const sessionIdleFor = (minutes, fields = {}) => ({
+  id: 'session-1',
+  is_active: true,
+  started_at: new Date(Date.now() - (minutes + 60) * MINUTE),
+  last_activity_at: new Date(Date.now() - minutes * MINUTE),
+  ...fields,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+test('isSessionIdle uses the configured idle timeout', (t) => {
+  process.env.CHAT_SESSION_IDLE_TIMEOUT_MINUTES = '10';
+  t.after(() => delete process.env.CHAT_SESSION_IDLE_TIMEOUT_MINUTES);
+
+  assert.equal(isSessionIdle(sessionIdleFor(5)), false);
+  assert.equal(isSessionIdle(sessionIdleFor(11)), true);
+  assert.match(sessionExpiredMessage(), /after 10 minutes/);
+});
+
+test('isSessionIdle counts from the start of sessions without recorded activity', () => {
+  assert.equal(isSessionIdle(sessionIdleFor(0, { last_activity_at: null, started_at: new Date(Date.now() - 31 * MINUTE) })), true);
+  assert.equal(isSessionIdle(sessionIdleFor(0, { last_activity_at: null, started_at: new Date() })), false);
+});
+
+test('expireSession ends the session at its last message and tells watchers', async (t) => {
+  // Resumed long after the last message
+  const session = sessionIdleFor(45, { id: 'session-expire' });
+  const lastMessageAt = new Date(Date.now() - 120 * MINUTE);
+  const max = t.mock.method(ChatMessage, 'max', async () => lastMessageAt);
+  const events = [];
+  t.after(subscribeToSession('session-expire', event => events.push(event)));
+
+  await expireSession(session);
+
+  assert.deepEqual(max.mock.calls[0].arguments, ['timestamp', { where: { session_id: 'session-expire' } }]);
+  assert.equal(session.is_active, false);
+  assert.equal(session.end_reason, 'expired');
+  assert.equal(session.ended_at, lastMessageAt);
+  assert.deepEqual(events, [{ type: 'session_ended', reason: 'expired' }]);
+});
+
+test('expireSession ends a session without messages at its start', async (t) => {
+  t.mock.method(ChatMessage, 'max', async () => null);
+  const session = sessionIdleFor(45);
+
+  await expireSession(session);
+
+  assert.equal(session.ended_at, session.started_at);
+});
+
+test('reapIdleSessions expires every idle active session', async (t) => {
+  const idle = [sessionIdleFor(40, { id: 'idle-1' }), sessionIdleFor(90, { id: 'idle-2' })];
+  t.mock.method(ChatSession, 'findAll', async () => idle);
+  t.mock.method(ChatMessage, 'max', async () => null);
+
+  assert.equal(await reapIdleSessions(), 2);
+  assert.ok(idle.every(session => session.end_reason === 'expired'));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitHtmlChunks, writeEvent, streamHtml } = require('../services/streamingService');
+
+/**
+ * Minimal response double that records everything written to it
+ */
+const recordingResponse = () => {
+  const writes = [];
+  return { writes, write: (data) => writes.push(data) };
+};
+
+test('splitHtmlChunks never breaks a tag or an entity', () => {
+  const html = '<p>Fish &amp; chips <a href="/menu">here</a></p>';
+  const chunks = splitHtmlChunks(html);
+
+  assert.equal(chunks.join(''), html);
+  assert.ok(chunks.includes('<a href="/menu">'));
+  assert.ok(chunks.includes('&amp;'));
+  assert.ok(chunks.every(chunk => !/^<[^>]*$/.test(chunk)));
+});
+
+test('splitHtmlChunks keeps stray markup characters and empty input', () => {
+  assert.deepEqual(splitHtmlChunks(''), []);
+  assert.equal(splitHtmlChunks('a < b & c').join(''), 'a < b & c');
+});
+
+test('writeEvent writes a named SSE event with a JSON payload', () => {
+  const res = recordingResponse();
+  writeEvent(res, 'token', { chunk: '<p>' });
+
+  assert.deepEqual(res.writes, ['event: token\ndata: {"chunk":"<p>"}\n\n']);
+});
+
+test('streamHtml sends every chunk as a token event', async () => {
+  const res = recordingResponse();
+  await streamHtml(res, { typing_speed_cps: 100000 }, '<p>Hello there</p>', () => false);
+
+  const chunks = res.writes.map(write => JSON.parse(write.split('data: ')[1]).chunk);
+  assert.equal(chunks.join(''), '<p>Hello there</p>');
+});
+
+test('streamHtml stops once the client has disconnected', async () => {
+  const res = recordingResponse();
+  await streamHtml(res, { typing_speed_cps: 100000 }, '<p>Hello there</p>', () => res.writes.length >= 2);
+
+  assert.equal(res.writes.length, 2);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeText,
+  tokenize,
+  stem,
+  editDistance,
+  allowedTypos,
+  calculateSimilarity,
+  explainSimilarity
+} = require('../services/textAnalysisService');
+
+test('normalizeText lowercases and strips markup and punctuation', () => {
+  assert.equal(normalizeText('How do I <b>Reset</b> my PASSWORD?!'), 'how do i reset my password');
+  assert.equal(normalizeText("What's new &amp; next"), 'whats new next');
+  assert.equal(normalizeText(null), '');
+});
+
+test('tokenize drops stopwords and single letters', () => {
+  assert.deepEqual(tokenize('How do I reset my password?'), ['how', 'reset', 'password']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('stem reduces inflections to a shared stem', () => {
+  assert.equal(stem('resetting'), stem('reset'));
+  assert.equal(stem('passwords'), stem('password'));
+  assert.equal(stem('connected'), stem('connecting'));
+});
+
+test('editDistance counts edits and stops past the maximum', () => {
+  assert.equal(editDistance('password', 'password'), 0);
+  assert.equal(editDistance('password', 'pasword'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('kitten', 'sitting', 1), 2);
+});
+
+test('allowedTypos grows with word length', () => {
+  assert.equal(allowedTypos(3), 0);
+  assert.equal(allowedTypos(6), 1);
+  assert.equal(allowedTypos(10), 2);
+});
+
+test('calculateSimilarity credits matched words, typos at a discount', () => {
+  assert.equal(calculateSimilarity('reset password', 'Reset my password'), 1);
+  assert.equal(calculateSimilarity('reset password', 'How do I reset my password?'), 2 / 3);
+  assert.equal(calculateSimilarity('order pizza', 'reset password'), 0);
+  assert.equal(calculateSimilarity('resetting passwords', 'reset password'), 1);
+
+  const typo = calculateSimilarity('reset pasword', 'How do I reset my password?');
+  assert.ok(typo > 0.5 && typo < 2 / 3);
+});
+
+test('explainSimilarity reports the best match of each word', () => {
+  const { score, words } = explainSimilarity('reset pasword', 'How do I reset my password?');
+
+  assert.ok(score > 0.5 && score < 1);
+  assert.equal(score, calculateSimilarity('reset pasword', 'How do I reset my password?'));
+  assert.deepEqual(words.map(word => word.matched_word), ['reset', 'password']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('../services/randomService');
+const { generateVariants, applyParaphraseTechnique, registerParaphraseTechnique } = require('../services/textVariantService');
+
+const QUESTION = 'How can I reset my password if I forgot it?';
+
+const texts = (variants) => variants.map(variant => variant.text);
+
+test('generateVariants yields the same variants for the same text', () => {
+  assert.deepEqual(texts(generateVariants(QUESTION)), texts(generateVariants(QUESTION)));
+  assert.ok(generateVariants(QUESTION).length > 0);
+});
+
+test('generateVariants follows the seed option', () => {
+  const seeded = texts(generateVariants(QUESTION, 'question', null, { seed: 7 }));
+
+  assert.deepEqual(texts(generateVariants(QUESTION, 'question', null, { seed: 7 })), seeded);
+  assert.deepEqual(texts(generateVariants(QUESTION, 'question', null, { seed: 'rehearsal' })), texts(generateVariants(QUESTION, 'question', null, { seed: 'rehearsal' })));
+  const differs = [1, 2, 3, 4, 5].some(seed => (
+    JSON.stringify(texts(generateVariants(QUESTION, 'question', null, { seed }))) !== JSON.stringify(seeded)
+  ));
+  assert.ok(differs);
+});
+
+test('applyParaphraseTechnique is deterministic with or without a generator', () => {
+  const first = applyParaphraseTechnique(QUESTION, 'synonymReplacement', 'question', null);
+  const again = applyParaphraseTechnique(QUESTION, 'synonymReplacement', 'question', null);
+  assert.deepEqual(first, again);
+
+  assert.deepEqual(
+    applyParaphraseTechnique(QUESTION, 'synonymReplacement', 'question', null, createRandom(1)),
+    applyParaphraseTechnique(QUESTION, 'synonymReplacement', 'question', null, createRandom(1))
+  );
+});
+
+test('generateVariants paraphrases answer text while keeping its markup', () => {
+  const html = '<p>To reset your password, open the <a href="https://example.com/settings">settings page</a> and click <strong>Forgot password</strong>. ' +
+    'You will receive an email with a link that is valid for one hour.</p><pre>npm run reset</pre>';
+  const text = 'To reset your password, open the settings page and click Forgot password. You will receive an email with a link that is valid for one hour.';
+  const variants = generateVariants(text, 'answer', html);
+
+  assert.ok(variants.length > 0);
+  for (const variant of variants) {
+    assert.ok(variant.html.includes('<a href="https://example.com/settings">'), variant.html);
+    assert.ok(variant.html.includes('<strong>Forgot password</strong>'), variant.html);
+    assert.ok(variant.html.includes('<pre>npm run reset</pre>'), variant.html);
+    assert.ok(!variant.html.includes('<script'));
+  }
+});
+
+const LIST_HTML = '<ul><li>Do not use the old portal.</li><li>Use the new portal.</li><li>Do not use email.</li></ul>';
+
+test('applyParaphraseTechnique makes a technique\'s choices once for all text nodes', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const variant = applyParaphraseTechnique(LIST_HTML, 'expandContract', 'answer', LIST_HTML, createRandom(`seed-${seed}`));
+    const contracted = (variant.html.match(/Don't/g) || []).length;
+
+    // Every item contracted or none: never a mix of styles
+    assert.ok(contracted === 0 || contracted === 2, variant.html);
+  }
+});
+
+test('applyParaphraseTechnique gives answer HTML the lowest confidence of its text nodes', () => {
+  let calls = 0;
+  registerParaphraseTechnique('test_confidence', () => {
+    calls++;
+    return (text) => ({ text, confidence: text.startsWith('Use') ? 0.3 : 0.9 });
+  });
+
+  const variant = applyParaphraseTechnique(LIST_HTML, 'test_confidence', 'answer', LIST_HTML);
+
+  assert.equal(calls, 1);
+  assert.equal(variant.confidence, 0.3);
+});
+
+test('applyParaphraseTechnique rewrites questions as plain text', () => {
+  const variant = applyParaphraseTechnique('<b>How do I reset it?</b>', 'sentenceRestructuring', 'question', null);
+  assert.equal(variant.text, 'What is the process to reset it?');
+  assert.equal(variant.html, variant.text);
+});
+
+test('formalInformal keeps auxiliary "do", "help" and phrasal "to" as they are', () => {
+  // Always the informal to formal direction
+  const formal = (text) => applyParaphraseTechnique(text, 'formalInformal', 'question', null, () => 0).text;
+
+  assert.equal(formal('How do I reset my password?'), 'How do I reset my password?');
+  assert.equal(formal('Do not use it, help me try to do it.'), 'Do not utilize it, help me endeavor to accomplish it.');
+  assert.equal(formal('I want to go to the portal to reset it.'), 'I want to go to the portal in order to reset it.');
+});
+
+test('activePassive rewrites only clauses it can put in the passive', () => {
+  const passive = (text, type = 'question') => applyParaphraseTechnique(text, 'activePassive', type, null).text;
+
+  assert.equal(passive('How do I reset my password?'), 'How is my password reset?');
+  assert.equal(passive('Where can I download my invoices?'), 'Where can my invoices be downloaded?');
+  assert.equal(passive('You will receive an email with a link.', 'answer'), 'An email will be received with a link.');
+  // Unknown verbs and longer objects are left alone
+  assert.equal(passive('You can perform the reset.', 'answer'), 'You can perform the reset.');
+  assert.equal(passive('You can change your email address.', 'answer'), 'You can change your email address.');
+});
+
+test('emphasisShift and synonymReplacement leave words containing "how" and "show me" intact', () => {
+  for (let seed = 0; seed < 10; seed++) {
+    const question = 'However I sign in, can you show me how to export invoices?';
+    const emphasized = applyParaphraseTechnique(question, 'emphasisShift', 'question', null, createRandom(seed)).text;
+    const synonyms = applyParaphraseTechnique(question, 'synonymReplacement', 'question', null, createRandom(seed)).text;
+
+    assert.match(emphasized, /^However I sign in, can you show me how \w+ to/);
+    assert.match(synonyms, /show me/);
+  }
+});
+
+test('perspectiveChange shifts every pronoun of a person in questions only', () => {
+  const shifted = new Set();
+  for (let seed = 0; seed < 10; seed++) {
+    shifted.add(applyParaphraseTechnique('How do I reset my password?', 'perspectiveChange', 'question', null, createRandom(seed)).text);
+    const answer = applyParaphraseTechnique('Open your settings.', 'perspectiveChange', 'answer', null, createRandom(seed)).text;
+    assert.equal(answer, 'Open your settings.');
+  }
+
+  assert.deepEqual([...shifted].sort(), ['How do I reset my password?', 'How do you reset your password?']);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatSession, ChatMessage } = require('../models');
+const { loadTranscript, renderTranscript } = require('../services/transcriptService');
+
+const transcript = {
+  session: {
+    id: 'session-1',
+    started_at: new Date('2024-03-01T14:05:00Z'),
+    ended_at: null,
+    is_active: true,
+    presenter: 'Dana'
+  },
+  agent: {
+    id: 'agent-1',
+    name: 'Help Desk',
+    environment: 'Production',
+    version: '1.2',
+    developed_by: 'IT',
+    description: 'Answers IT questions',
+    domain: 'Support'
+  },
+  exported_at: new Date('2024-03-01T15:00:00Z'),
+  messages: [
+    { id: 'm1', type: 'user', sender: 'You', text: 'How do I reset *my* password?', html: null, is_alternative: false, timestamp: new Date('2024-03-01T14:06:00Z') },
+    {
+      id: 'm2',
+      type: 'agent',
+      sender: 'Help Desk',
+      text: 'Open Settings',
+      html: '<ol><li>Open <strong>Settings</strong></li></ol><script>alert(1)</script>',
+      is_alternative: false,
+      timestamp: new Date('2024-03-01T14:06:01Z')
+    },
+    { id: 'm3', type: 'agent', sender: 'Help Desk', text: 'Go to Settings', html: '<p>Go to Settings</p>', is_alternative: true, timestamp: new Date('2024-03-01T14:07:00Z') }
+  ]
+};
+
+test('renderTranscript writes Markdown with the agent details and formatted replies', async () => {
+  const { body, contentType, filename } = await renderTranscript(transcript, 'md');
+
+  assert.match(contentType, /text\/markdown/);
+  assert.equal(filename, 'transcript-help-desk-2024-03-01.md');
+  assert.match(body, /Help Desk \(Production, version 1\.2\)/);
+  assert.match(body, /Presented by.*Dana/);
+  assert.match(body, /reset \\\*my\\\* password/);
+  assert.match(body, /1\. Open \*\*Settings\*\*/);
+  assert.match(body, /alternative answer/);
+  assert.ok(!body.includes('alert(1)'));
+});
+
+test('renderTranscript writes a standalone HTML page that blocks scripts', async () => {
+  const { body, contentType } = await renderTranscript(transcript, 'html');
+
+  assert.match(contentType, /text\/html/);
+  assert.match(body, /<meta http-equiv="Content-Security-Policy" content="default-src 'none'/);
+  assert.ok(body.includes('<strong>Settings</strong>'));
+});
+
+test('renderTranscript writes JSON and PDF', async () => {
+  const json = await renderTranscript(transcript, 'json');
+  assert.equal(JSON.parse(json.body).messages.length, 3);
+
+  const pdf = await renderTranscript(transcript, 'pdf');
+  assert.ok(Buffer.isBuffer(pdf.body));
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('loadTranscript returns null for sessions of other users', async (t) => {
+  const findOne = t.mock.method(ChatSession, 'findOne', async () => null);
+  const findAll = t.mock.method(ChatMessage, 'findAll', async () => []);
+
+  assert.equal(await loadTranscript('session-1', 'user-2'), null);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0].where, { id: 'session-1', user_id: 'user-2' });
+  assert.equal(findAll.mock.callCount(), 0);
+});
+
+/**
+ * Transcript whose agent reply has the given HTML
+ */
+const transcriptWith = (html, text = 'Reply') => ({
+  session: { id: 'session-1', started_at: new Date('2024-03-01T14:00:00Z'), ended_at: null, presenter: 'Sam' },
+  agent: { id: 'agent-1', name: 'Helpdesk', environment: 'Production', version: '1.0', domain: 'IT' },
+  exported_at: new Date('2024-03-01T15:00:00Z'),
+  messages: [
+    { id: 'm1', type: 'user', sender: 'You', text: 'Как сбросить пароль? 密码', html: null, timestamp: new Date('2024-03-01T14:01:00Z') },
+    { id: 'm2', type: 'agent', sender: 'Helpdesk', text, html, timestamp: new Date('2024-03-01T14:02:00Z') }
+  ]
+});
+
+test('renderTranscript keeps only http, https and mailto links in Markdown', async () => {
+  const { body } = await renderTranscript(transcriptWith(
+    '<p><a href="https://example.com/reset">Reset</a>, <a href="mailto:it@example.com">mail</a>, ' +
+    '<a href="javascript:alert(1)">run</a> or <a href="/relative">open</a></p>'
+  ), 'md');
+
+  assert.match(body, /\[Reset\]\(https:\/\/example\.com\/reset\)/);
+  assert.match(body, /\[mail\]\(mailto:it@example\.com\)/);
+  assert.match(body, / run or open/);
+  assert.doesNotMatch(body, /javascript|\/relative/);
+});
+
+test('renderTranscript sanitizes reply HTML in the HTML export', async () => {
+  const { body } = await renderTranscript(transcriptWith(
+    '<p onclick="steal()">Hi <img src=x onerror="steal()"><a href="javascript:steal()">link</a></p><script>steal()</script>'
+  ), 'html');
+
+  assert.match(body, /Hi/);
+  assert.doesNotMatch(body, /steal/);
+});
+
+test('renderTranscript renders a PDF with non-Latin text in the embedded fonts', async () => {
+  const { body, contentType, filename } = await renderTranscript(
+    transcriptWith('<p><strong>Нажмите</strong> «Сбросить» → <code>reset()</code> 完成</p>'), 'pdf');
+
+  assert.equal(contentType, 'application/pdf');
+  assert.equal(filename, 'transcript-helpdesk-2024-03-01.pdf');
+  assert.equal(body.subarray(0, 5).toString(), '%PDF-');
+  assert.match(body.toString('latin1'), /DejaVuSans/);
+  assert.doesNotMatch(body.toString('latin1'), /\/BaseFont \/Helvetica/);
+});
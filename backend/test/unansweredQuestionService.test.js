@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, UnansweredQuestion } = require('../models');
+const { clusterKeyFor, recordUnansweredQuestion } = require('../services/unansweredQuestionService');
+
+const TRANSACTION = { LOCK: { UPDATE: 'UPDATE' } };
+
+const fakeCluster = (t, fields = {}) => ({
+  id: 'cluster-1',
+  cluster_key: clusterKeyFor('How do I export data?'),
+  sample_text: 'How do I export data?',
+  phrasings: [{ text: 'How do I export data?', count: 1 }],
+  first_seen_at: new Date('2024-01-02'),
+  last_seen_at: new Date('2024-01-03'),
+  increment: t.mock.fn(async () => {}),
+  update: t.mock.fn(async () => {}),
+  ...fields
+});
+
+/**
+ * Stub an inbox holding the given active clusters: lookups by key, by ID
+ * (the locked read) and of the candidates for near duplicates
+ */
+const stubInbox = (t, clusters) => {
+  t.mock.method(sequelize, 'transaction', async (work) => work(TRANSACTION));
+  t.mock.method(UnansweredQuestion, 'findOne', async ({ where }) => clusters.find(cluster => (
+    where.id ? cluster.id === where.id : cluster.cluster_key === where.cluster_key
+  )) || null);
+  t.mock.method(UnansweredQuestion, 'findAll', async () => clusters);
+  return t.mock.method(UnansweredQuestion, 'create', async (fields) => fields);
+};
+
+test('clusterKeyFor ignores word order, inflection, punctuation and stopwords', () => {
+  assert.equal(clusterKeyFor('How do I export my data?'), clusterKeyFor('data exporting, how?'));
+  assert.notEqual(clusterKeyFor('How do I export my data?'), clusterKeyFor('How do I import my data?'));
+  assert.equal(clusterKeyFor('Is it?'), 'is it');
+});
+
+test('recordUnansweredQuestion creates a cluster for a new question', async (t) => {
+  const create = stubInbox(t, []);
+
+  await recordUnansweredQuestion('agent-1', 'How do I export data?');
+
+  const lookup = UnansweredQuestion.findOne.mock.calls[0].arguments[0];
+  assert.equal(lookup.where.cluster_key, clusterKeyFor('How do I export data?'));
+  assert.equal(create.mock.callCount(), 1);
+  assert.deepEqual(create.mock.calls[0].arguments[0].phrasings, [{ text: 'How do I export data?', count: 1 }]);
+});
+
+test('recordUnansweredQuestion counts an occurrence with the cluster row locked', async (t) => {
+  const cluster = fakeCluster(t);
+  const create = stubInbox(t, [cluster]);
+
+  await recordUnansweredQuestion('agent-1', 'Export data how?', { seenAt: new Date('2024-01-01') });
+
+  assert.equal(create.mock.callCount(), 0);
+  const locked = UnansweredQuestion.findOne.mock.calls[1].arguments[0];
+  assert.equal(locked.where.id, 'cluster-1');
+  assert.equal(locked.lock, 'UPDATE');
+  assert.equal(locked.transaction, TRANSACTION);
+  assert.deepEqual(cluster.increment.mock.calls[0].arguments, ['occurrence_count', { transaction: TRANSACTION }]);
+
+  const [fields, options] = cluster.update.mock.calls[0].arguments;
+  assert.equal(options.transaction, TRANSACTION);
+  assert.deepEqual(fields.phrasings.map(phrasing => phrasing.text), ['How do I export data?', 'Export data how?']);
+  assert.deepEqual(fields.first_seen_at, new Date('2024-01-01'));
+  assert.deepEqual(fields.last_seen_at, new Date('2024-01-03'));
+});
+
+test('recordUnansweredQuestion adds typos and reordered phrasings to the nearest cluster', async (t) => {
+  const password = fakeCluster(t, {
+    id: 'cluster-password',
+    cluster_key: clusterKeyFor('How do I reset my password?'),
+    sample_text: 'How do I reset my password?'
+  });
+  const invoices = fakeCluster(t, {
+    id: 'cluster-invoices',
+    cluster_key: clusterKeyFor('Can I export monthly invoices in CSV format?'),
+    sample_text: 'Can I export monthly invoices in CSV format?'
+  });
+  const create = stubInbox(t, [password, invoices]);
+
+  await recordUnansweredQuestion('agent-1', 'How do I reset my pasword?');
+  await recordUnansweredQuestion('agent-1', 'Monthly invoices, export in CSV format?');
+
+  assert.notEqual(clusterKeyFor('How do I reset my pasword?'), password.cluster_key);
+  assert.notEqual(clusterKeyFor('Monthly invoices, export in CSV format?'), invoices.cluster_key);
+  assert.equal(password.increment.mock.callCount(), 1);
+  assert.equal(invoices.increment.mock.callCount(), 1);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('recordUnansweredQuestion keeps questions below the similarity threshold apart', async (t) => {
+  const cluster = fakeCluster(t, {
+    cluster_key: clusterKeyFor('How do I export my invoices to CSV?'),
+    sample_text: 'How do I export my invoices to CSV?'
+  });
+  const create = stubInbox(t, [cluster]);
+
+  await recordUnansweredQuestion('agent-1', 'How do I import my invoices from CSV?');
+
+  assert.equal(cluster.increment.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('recordUnansweredQuestion joins a cluster created concurrently', async (t) => {
+  const cluster = fakeCluster(t);
+  const clusters = [];
+  stubInbox(t, clusters);
+  t.mock.method(UnansweredQuestion, 'create', async () => {
+    clusters.push(cluster);
+    throw new UniqueConstraintError({ message: 'duplicate key' });
+  });
+
+  await recordUnansweredQuestion('agent-1', 'How do I export data?');
+
+  assert.equal(cluster.increment.mock.callCount(), 1);
+});
+
+test('recordUnansweredQuestion opens a new cluster when the matched one was resolved meanwhile', async (t) => {
+  const cluster = fakeCluster(t);
+  const create = stubInbox(t, [cluster]);
+  // The locked read finds it Converted
+  t.mock.method(UnansweredQuestion, 'findOne', async ({ where }) => (where.id ? null : cluster));
+
+  await recordUnansweredQuestion('agent-1', 'How do I export data?');
+
+  assert.equal(cluster.increment.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('recordUnansweredQuestion logs failures instead of throwing', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  t.mock.method(UnansweredQuestion, 'findOne', async () => {
+    throw new Error('database down');
+  });
+
+  await recordUnansweredQuestion('agent-1', 'How do I export data?');
+  assert.equal(logged.mock.callCount(), 1);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuestionVariant, AnswerVariant, ChatMessage } = require('../models');
+const { retireVariants, replaceGeneratedVariants } = require('../services/variantArchiveService');
+
+/**
+ * Stub the database calls of a variant model, replies referencing the
+ * given variant IDs
+ */
+const stubVariants = (t, Model, { existing = [], referencedIds = [], column }) => {
+  const findReferences = t.mock.method(ChatMessage, 'findAll', async ({ where }) =>
+    where[column].filter(id => referencedIds.includes(id)).map(id => ({ [column]: id })));
+
+  return {
+    findReferences,
+    findAll: t.mock.method(Model, 'findAll', async () => existing),
+    update: t.mock.method(Model, 'update', async () => [0]),
+    destroy: t.mock.method(Model, 'destroy', async () => 0),
+    create: t.mock.method(Model, 'create', async (fields) => fields)
+  };
+};
+
+const variant = (id, fields = {}) => ({
+  id,
+  variant_text: `Variant ${id}`,
+  source: 'generated',
+  is_locked: false,
+  is_approved: true,
+  ...fields
+});
+
+test('retireVariants archives variants replies used and deletes the rest', async (t) => {
+  const stubs = stubVariants(t, QuestionVariant, { referencedIds: ['a'], column: 'matched_question_variant_id' });
+
+  const archived = await retireVariants(QuestionVariant, [variant('a'), variant('b')]);
+
+  assert.deepEqual([...archived], ['a']);
+  assert.deepEqual(stubs.update.mock.calls[0].arguments[1].where, { id: ['a'] });
+  assert.ok(stubs.update.mock.calls[0].arguments[0].archived_at instanceof Date);
+  assert.deepEqual(stubs.destroy.mock.calls[0].arguments[0].where, { id: ['b'] });
+});
+
+test('retireVariants looks up answer variants by the served variant', async (t) => {
+  const stubs = stubVariants(t, AnswerVariant, { referencedIds: ['a'], column: 'answer_variant_id' });
+
+  await retireVariants(AnswerVariant, [variant('a')]);
+
+  assert.ok(stubs.findReferences.mock.calls[0].arguments[0].where.answer_variant_id);
+  assert.equal(stubs.destroy.mock.callCount(), 0);
+});
+
+test('retireVariants does nothing without variants', async (t) => {
+  const stubs = stubVariants(t, QuestionVariant, { column: 'matched_question_variant_id' });
+  assert.equal((await retireVariants(QuestionVariant, [])).size, 0);
+  assert.equal(stubs.findReferences.mock.callCount(), 0);
+});
+
+test('replaceGeneratedVariants retires unlocked generated variants and keeps curated ones', async (t) => {
+  const stubs = stubVariants(t, QuestionVariant, {
+    column: 'matched_question_variant_id',
+    referencedIds: ['served'],
+    existing: [
+      variant('served'),
+      variant('unused'),
+      variant('locked', { is_locked: true, variant_text: 'Locked one' }),
+      variant('manual', { source: 'manual', variant_text: 'Manual one' })
+    ]
+  });
+
+  await replaceGeneratedVariants(QuestionVariant, { question_id: 'q1' }, [
+    { text: 'Manual one!', confidence: 0.9, provider: 'builtin' },
+    { text: 'Fresh one', confidence: 0.8, similarity: 0.75, provider: 'builtin' }
+  ], generated => ({ variant_text: generated.text }));
+
+  assert.deepEqual(stubs.findAll.mock.calls[0].arguments[0].where, { question_id: 'q1', archived_at: null });
+  assert.deepEqual(stubs.update.mock.calls[0].arguments[1].where, { id: ['served'] });
+  assert.deepEqual(stubs.destroy.mock.calls[0].arguments[0].where, { id: ['unused'] });
+  assert.deepEqual(stubs.create.mock.calls.map(call => call.arguments[0].variant_text), ['Fresh one']);
+  assert.equal(stubs.create.mock.calls[0].arguments[0].similarity, 0.75);
+});
+
+test('replaceGeneratedVariants keeps a repeated rejection rejected', async (t) => {
+  const reviewedAt = new Date('2024-01-01');
+  const stubs = stubVariants(t, QuestionVariant, {
+    column: 'matched_question_variant_id',
+    existing: [variant('rejected', { is_approved: false, variant_text: 'Bad one', reviewed_by: 'admin', reviewed_at: reviewedAt })]
+  });
+
+  await replaceGeneratedVariants(QuestionVariant, { question_id: 'q1' }, [
+    { text: 'bad one', confidence: 0.5, provider: 'builtin' }
+  ], generated => ({ variant_text: generated.text }));
+
+  const [fields] = stubs.create.mock.calls[0].arguments;
+  assert.equal(fields.is_approved, false);
+  assert.equal(fields.reviewed_by, 'admin');
+  assert.equal(fields.reviewed_at, reviewedAt);
+});
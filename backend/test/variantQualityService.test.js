@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_SIMILARITY, findDefect, filterVariants } = require('../services/variantQualityService');
+const { generateVariants, applyParaphraseTechnique, baselineText } = require('../services/textVariantService');
+const { createRandom } = require('../services/randomService');
+
+const ORIGINAL = 'How do I reset my password?';
+
+const keptTexts = (original, texts, options) =>
+  filterVariants(original, texts.map(text => ({ text })), options).map(variant => variant.text);
+
+test('filterVariants drops exact and near duplicates', () => {
+  assert.deepEqual(keptTexts(ORIGINAL, [
+    'how do i reset my password',
+    'How do I reset my password!!',
+    'How do I reset my passwords?',
+    'How can I reset my password?',
+    'How can I reset my password'
+  ]), ['How can I reset my password?']);
+});
+
+test('filterVariants drops a sentence with its words reshuffled', () => {
+  assert.deepEqual(keptTexts(ORIGINAL, ['How I do reset my password?']), []);
+});
+
+test('filterVariants drops variants that drift in meaning', () => {
+  assert.deepEqual(keptTexts(ORIGINAL, ['Where is my invoice?']), []);
+  assert.ok(MIN_SIMILARITY > 0 && MIN_SIMILARITY < 1);
+});
+
+test('filterVariants keeps order and adds a similarity score', () => {
+  const kept = filterVariants(ORIGINAL, [
+    { text: 'How can I reset my password?', technique: 'a' },
+    { text: 'What is the way to reset my password?', technique: 'b' }
+  ]);
+
+  assert.deepEqual(kept.map(variant => variant.technique), ['a', 'b']);
+  for (const variant of kept) {
+    assert.ok(variant.similarity >= MIN_SIMILARITY && variant.similarity <= 1);
+  }
+});
+
+test('findDefect reports capitalization mistakes', () => {
+  assert.equal(findDefect('how can I reset my password?', ORIGINAL), 'capitalization');
+  assert.equal(findDefect('How can i reset my password?', ORIGINAL), 'capitalization');
+  assert.equal(findDefect('How do I reset my api key?', 'How do I reset my API key?'), 'capitalization');
+});
+
+test('findDefect reports grammar mistakes', () => {
+  assert.equal(findDefect('It is possible to I reset my password?', ORIGINAL), 'grammar');
+  assert.equal(findDefect('You is able to reset the password.', 'You can reset the password.'), 'grammar');
+  assert.equal(findDefect('How accomplish I reset my password?', ORIGINAL), 'grammar');
+  assert.equal(findDefect('Can you display me how to export invoices?', 'Can you show me how to export invoices?'), 'grammar');
+  assert.equal(findDefect('How do one reset a password?', 'How do you reset a password?'), 'grammar');
+});
+
+test('findDefect reports pronouns swapped for another person\'s while others are kept', () => {
+  assert.equal(findDefect('How do I reset your password?', ORIGINAL), 'perspective');
+  assert.equal(findDefect('How can one change my email address?', 'How can I change my email address?'), 'perspective');
+  assert.equal(findDefect('How do you reset your password?', ORIGINAL), null);
+  assert.equal(findDefect('What is the process to reset my password?', ORIGINAL), null);
+});
+
+test('findDefect reports repeated words and dangling tokens', () => {
+  assert.equal(findDefect('How do I reset reset my password?', ORIGINAL), 'repeated_words');
+  assert.equal(findDefect('Go in order to settings in order to reset it.', 'Go to settings to reset it.'), 'repeated_words');
+  assert.equal(findDefect('The $2 process resets my password.', ORIGINAL), 'dangling_token');
+});
+
+test('findDefect accepts a clean paraphrase', () => {
+  assert.equal(findDefect('How can I reset my password?', ORIGINAL), null);
+  assert.equal(findDefect('What steps do I take to reset my password?', ORIGINAL), null);
+  assert.equal(findDefect('How often do you reset passwords?', 'How often should passwords be reset?'), null);
+});
+
+// Real questions and answers, and what the techniques used to garble them into
+const QUESTIONS = [
+  'How do I reset my password?',
+  'What is the process to reset my password?',
+  'Can you show me how to export invoices?',
+  'How can I change my email address?',
+  'Where can I download my invoice?',
+  'Can I use the app offline?',
+  'However I log in, why does the system lock my account?'
+];
+const ANSWERS = [
+  'You can use the app offline. The system syncs your changes later.',
+  'You will receive an email with a link. Open it to reset your password.',
+  'You should use the export button. Then you can download the file.'
+];
+const GARBLED = [
+  /\$\d/,
+  /action can be performed/,
+  /^Could you explain what(?!.* is\?$)/,
+  /\bdisplay (?:me|us)\b/,
+  /\b(?:show|however) (?:particularly|specifically|especially|exactly|precisely)\b/i,
+  /\bI\b.*\b(?:your|one's)\b|\b(?:your|one's)\b.*\bI\b/
+];
+
+test('generateVariants output passes the gate without garbled variants', () => {
+  const generated = [
+    ...QUESTIONS.map(question => [question, [1, 2, 3, 4, 5].flatMap(seed => generateVariants(question, 'question', null, { seed }))]),
+    ...ANSWERS.map(answer => [answer, [1, 2, 3].flatMap(seed => generateVariants(answer, 'answer', `<p>${answer}</p>`, { seed }))])
+  ];
+
+  for (const [original, variants] of generated) {
+    assert.ok(variants.length > 0, original);
+    for (const variant of variants) {
+      assert.equal(findDefect(variant.text, original), null, variant.text);
+      assert.ok(GARBLED.every(pattern => !pattern.test(variant.text)), variant.text);
+    }
+  }
+});
+
+test('filterVariants drops what the techniques produce for pronouns of mixed persons', () => {
+  const question = 'Can you show me how to export invoices?';
+  const raw = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => ({
+    text: applyParaphraseTechnique(question, 'perspectiveChange', 'question', null, createRandom(seed)).text
+  }));
+
+  // "you" is the assistant here, so no shift applies
+  assert.ok(raw.every(variant => variant.text === question));
+  assert.deepEqual(filterVariants(question, raw), []);
+});
+
+test('filterVariants keeps passive rewrites of real answers', () => {
+  const answer = ANSWERS[0];
+  const html = `<p>${answer}</p>`;
+  const variant = applyParaphraseTechnique(answer, 'activePassive', 'answer', html);
+
+  assert.equal(variant.text, 'The app can be used offline. Your changes are synced by the system later.');
+  assert.equal(filterVariants(baselineText(answer, html), [variant]).length, 1);
+});
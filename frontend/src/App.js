@@ -18,6 +18,8 @@ import AdminDashboard from './pages/Admin/AdminDashboard';
 import DomainManagement from './pages/Admin/DomainManagement';
 import AgentManagement from './pages/Admin/AgentManagement';
 import QAManagement from './pages/Admin/QAManagement';
+import UnansweredQuestions from './pages/Admin/UnansweredQuestions';
+import FlowManagement from './pages/Admin/FlowManagement';
 import DemoAgents from './pages/Demo/DemoAgents';
 import ChatInterface from './pages/Demo/ChatInterface';
 import NotFoundPage from './pages/NotFoundPage';
@@ -111,6 +113,22 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="admin/agents/:agentId/flows"
+                    element={
+                      <ProtectedRoute requiredRole="Administrator">
+                        <FlowManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="admin/unanswered"
+                    element={
+                      <ProtectedRoute requiredRole="Administrator">
+                        <UnansweredQuestions />
+                      </ProtectedRoute>
+                    }
+                  />
                   
                   {/* Demo User Routes - Available to all authenticated users */}
                   <Route path="demo" element={<DemoAgents />} />
@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import DOMPurify from 'dompurify';
+import { FiCheck, FiEdit2, FiLock, FiPlus, FiTrash2, FiUnlock, FiX } from 'react-icons/fi';
+
+import Button from '../Common/Button';
+import RichTextEditor from '../Common/RichTextEditor';
+import { Input } from '../Common/Form';
+import {
+  createQuestionVariant,
+  updateQuestionVariant,
+  deleteQuestionVariant,
+  createAnswerVariant,
+  updateAnswerVariant,
+  deleteAnswerVariant
+} from '../../services/adminApi';
+import { apiErrorMessage } from '../../services/apiErrors';
+
+/**
+ * Variant Review
+ *
+ * The variants of a question or of its answer, for review: each shows
+ * where it came from (generated by a provider, with the technique's
+ * confidence and its similarity to the original, or written by an admin)
+ * and can be approved or rejected, locked against regeneration, reworded
+ * or deleted. Admins can also add their own. Only approved variants are
+ * matched and served.
+ */
+
+// API calls and wording per kind of variant
+const KINDS = {
+  question: {
+    create: createQuestionVariant,
+    update: updateQuestionVariant,
+    remove: deleteQuestionVariant,
+    noun: 'question variant'
+  },
+  answer: {
+    create: createAnswerVariant,
+    update: updateAnswerVariant,
+    remove: deleteAnswerVariant,
+    noun: 'answer variant'
+  }
+};
+
+const Section = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[4]};
+`;
+
+const Title = styled.h4`
+  margin-bottom: ${({ theme }) => theme.spacing[2]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+  color: ${({ theme }) => theme.colors.neutral[700]};
+`;
+
+const Row = styled.div`
+  padding: ${({ theme }) => `${theme.spacing[2]} 0`};
+  border-top: 1px solid ${({ theme }) => theme.colors.neutral[100]};
+  opacity: ${({ $rejected }) => ($rejected ? 0.6 : 1)};
+`;
+
+const Content = styled.div`
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  text-decoration: ${({ $rejected }) => ($rejected ? 'line-through' : 'none')};
+`;
+
+const Footer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[2]};
+  margin-top: ${({ theme }) => theme.spacing[1]};
+`;
+
+const Meta = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[2]};
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const Tag = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  padding: ${({ theme }) => `${theme.spacing[0.5]} ${theme.spacing[2]}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme, $tone }) => theme.colors[$tone][100]};
+  color: ${({ theme, $tone }) => theme.colors[$tone][700]};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[1]};
+`;
+
+const Editor = styled.form`
+  margin-top: ${({ theme }) => theme.spacing[2]};
+`;
+
+/**
+ * Percentage for a 0–1 score
+ * @param {number} score - Score
+ * @returns {string} "87%"
+ */
+const percent = score => `${Math.round(score * 100)}%`;
+
+/**
+ * Text (question) or rich text (answer) editor for a variant
+ */
+function VariantEditor({ kind, initial, submitLabel, onSubmit, onCancel, isSaving }) {
+  const [text, setText] = useState(initial?.variant_text || '');
+  const [html, setHtml] = useState(initial?.variant_html || '');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSubmit(kind === 'question' ? { variant_text: text } : { variant_html: html, variant_text: text });
+  };
+
+  return (
+    <Editor onSubmit={handleSubmit}>
+      {kind === 'question' ? (
+        <Input value={text} onChange={event => setText(event.target.value)} placeholder="Another way to ask..." />
+      ) : (
+        <RichTextEditor
+          value={html}
+          onChange={(nextHtml, nextText) => {
+            setHtml(nextHtml);
+            setText(nextText);
+          }}
+          placeholder="Another way to answer..."
+        />
+      )}
+      <Footer>
+        <Actions>
+          <Button type="submit" $size="sm" disabled={!text.trim() || isSaving}>{submitLabel}</Button>
+          <Button $variant="secondary" $size="sm" onClick={onCancel}>Cancel</Button>
+        </Actions>
+      </Footer>
+    </Editor>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.kind - 'question' or 'answer'
+ * @param {string} props.questionId - The question the variants belong to
+ * @param {Array<Object>} props.variants - Unarchived variants
+ * @param {Function} props.onChanged - Called after a change, to reload the Q&A
+ */
+function VariantReview({ kind, questionId, variants, onChanged }) {
+  const api = KINDS[kind];
+  // null, 'new' or the ID of the variant being reworded
+  const [editing, setEditing] = useState(null);
+
+  const onSuccess = (result) => {
+    toast.success(result.message);
+    setEditing(null);
+    onChanged();
+  };
+
+  const create = useMutation(data => api.create(questionId, data), {
+    onSuccess,
+    onError: error => toast.error(apiErrorMessage(error, `Error creating ${api.noun}`))
+  });
+  const update = useMutation(({ id, data }) => api.update(id, data), {
+    onSuccess,
+    onError: error => toast.error(apiErrorMessage(error, `Error updating ${api.noun}`))
+  });
+  const remove = useMutation(id => api.remove(id), {
+    onSuccess,
+    onError: error => toast.error(apiErrorMessage(error, `Error deleting ${api.noun}`))
+  });
+
+  const isSaving = create.isLoading || update.isLoading || remove.isLoading;
+
+  const handleDelete = (variant) => {
+    if (window.confirm(`Delete this ${api.noun}?`)) {
+      remove.mutate(variant.id);
+    }
+  };
+
+  return (
+    <Section>
+      <Title>{kind === 'question' ? 'Question variants' : 'Answer variants'} ({variants.length})</Title>
+
+      {variants.map(variant => (
+        <Row key={variant.id} $rejected={!variant.is_approved}>
+          {editing === variant.id ? (
+            <VariantEditor
+              kind={kind}
+              initial={variant}
+              submitLabel="Save"
+              onSubmit={data => update.mutate({ id: variant.id, data })}
+              onCancel={() => setEditing(null)}
+              isSaving={isSaving}
+            />
+          ) : (
+            <>
+              {kind === 'question' ? (
+                <Content $rejected={!variant.is_approved}>{variant.variant_text}</Content>
+              ) : (
+                <Content
+                  $rejected={!variant.is_approved}
+                  dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(variant.variant_html) }}
+                />
+              )}
+              <Footer>
+                <Meta>
+                  <Tag $tone={variant.is_approved ? 'success' : 'error'}>
+                    {variant.is_approved ? 'Approved' : 'Rejected'}
+                  </Tag>
+                  {variant.is_locked && <Tag $tone="primary"><FiLock /> Locked</Tag>}
+                  <span>{variant.source === 'manual' ? 'Written by an admin' : `Generated by ${variant.provider || 'built-in techniques'}`}</span>
+                  {variant.confidence != null && <span>Confidence {percent(variant.confidence)}</span>}
+                  {variant.similarity != null && <span>Similarity {percent(variant.similarity)}</span>}
+                </Meta>
+                <Actions>
+                  {variant.is_approved ? (
+                    <Button
+                      $variant="outline"
+                      $size="sm"
+                      disabled={isSaving}
+                      onClick={() => update.mutate({ id: variant.id, data: { is_approved: false } })}
+                    >
+                      <FiX /> Reject
+                    </Button>
+                  ) : (
+                    <Button
+                      $variant="outline"
+                      $size="sm"
+                      disabled={isSaving}
+                      onClick={() => update.mutate({ id: variant.id, data: { is_approved: true } })}
+                    >
+                      <FiCheck /> Approve
+                    </Button>
+                  )}
+                  <Button
+                    $variant="outline"
+                    $size="sm"
+                    disabled={isSaving}
+                    onClick={() => update.mutate({ id: variant.id, data: { is_locked: !variant.is_locked } })}
+                  >
+                    {variant.is_locked ? <><FiUnlock /> Unlock</> : <><FiLock /> Lock</>}
+                  </Button>
+                  <Button $variant="outline" $size="sm" onClick={() => setEditing(variant.id)}>
+                    <FiEdit2 /> Reword
+                  </Button>
+                  <Button $variant="danger" $size="sm" aria-label={`Delete ${api.noun}`} disabled={isSaving} onClick={() => handleDelete(variant)}>
+                    <FiTrash2 />
+                  </Button>
+                </Actions>
+              </Footer>
+            </>
+          )}
+        </Row>
+      ))}
+
+      {editing === 'new' ? (
+        <VariantEditor
+          kind={kind}
+          submitLabel="Add variant"
+          onSubmit={data => create.mutate(data)}
+          onCancel={() => setEditing(null)}
+          isSaving={isSaving}
+        />
+      ) : (
+        <Button $variant="secondary" $size="sm" onClick={() => setEditing('new')}>
+          <FiPlus /> Add {api.noun}
+        </Button>
+      )}
+    </Section>
+  );
+}
+
+export default VariantReview;
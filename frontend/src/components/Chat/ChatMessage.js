@@ -0,0 +1,83 @@
+import React from 'react';
+import styled from 'styled-components';
+import DOMPurify from 'dompurify';
+
+/**
+ * Chat Message
+ *
+ * One message of a chat: the user's text on the right, the agent's reply
+ * (rich HTML, sanitized again before rendering) on the left. Anything
+ * rendered as children (chips, actions) goes under the bubble.
+ */
+
+const Row = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: ${({ $fromUser }) => ($fromUser ? 'flex-end' : 'flex-start')};
+  margin-bottom: ${({ theme }) => theme.spacing[4]};
+`;
+
+const Bubble = styled.div`
+  max-width: 75%;
+  padding: ${({ theme }) => `${theme.spacing[3]} ${theme.spacing[4]}`};
+  border-radius: ${({ theme }) => theme.borderRadius.xl};
+  background: ${({ theme, $fromUser }) => ($fromUser ? theme.colors.primary[500] : theme.colors.neutral.white)};
+  color: ${({ theme, $fromUser }) => ($fromUser ? theme.colors.neutral.white : theme.colors.neutral[900])};
+  border: 1px solid ${({ theme, $fromUser }) => ($fromUser ? theme.colors.primary[500] : theme.colors.neutral[200])};
+  box-shadow: ${({ theme }) => theme.shadows.sm};
+  white-space: ${({ $fromUser }) => ($fromUser ? 'pre-wrap' : 'normal')};
+  overflow-wrap: anywhere;
+
+  p + p,
+  ul,
+  ol,
+  pre {
+    margin-top: ${({ theme }) => theme.spacing[2]};
+  }
+
+  ul,
+  ol {
+    padding-left: ${({ theme }) => theme.spacing[5]};
+  }
+
+  a {
+    color: ${({ theme }) => theme.colors.primary[600]};
+  }
+
+  pre,
+  code {
+    font-family: ${({ theme }) => theme.typography.fontFamily.mono.join(', ')};
+    font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  }
+`;
+
+const Time = styled.div`
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[400]};
+  margin-top: ${({ theme }) => theme.spacing[1]};
+`;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.message - Message from the API ({ type, text, html, timestamp })
+ * @param {React.ReactNode} props.children - Shown under the bubble
+ */
+function ChatMessage({ message, children }) {
+  const fromUser = message.type === 'user';
+
+  return (
+    <Row $fromUser={fromUser}>
+      {fromUser || !message.html ? (
+        <Bubble $fromUser={fromUser}>{message.text}</Bubble>
+      ) : (
+        <Bubble dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(message.html) }} />
+      )}
+      {message.timestamp && (
+        <Time>{new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</Time>
+      )}
+      {children}
+    </Row>
+  );
+}
+
+export default ChatMessage;
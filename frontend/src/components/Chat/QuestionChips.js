@@ -0,0 +1,73 @@
+import React from 'react';
+import styled from 'styled-components';
+
+/**
+ * Question Chips
+ *
+ * A row of clickable questions under a chat message ("did you mean"
+ * suggestions and the like). Clicking one asks it.
+ */
+
+const Wrapper = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[2]};
+`;
+
+const Label = styled.div`
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+  margin-bottom: ${({ theme }) => theme.spacing[1]};
+`;
+
+const Chips = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[2]};
+`;
+
+const Chip = styled.button`
+  border: 1px solid ${({ theme }) => theme.colors.primary[300]};
+  background: ${({ theme }) => theme.colors.neutral.white};
+  color: ${({ theme }) => theme.colors.primary[700]};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  padding: ${({ theme }) => `${theme.spacing[1]} ${theme.spacing[3]}`};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.colors};
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.primary[50]};
+  }
+
+  &:disabled {
+    cursor: not-allowed;
+    opacity: 0.6;
+  }
+`;
+
+/**
+ * @param {Object} props
+ * @param {string} props.label - Caption above the chips
+ * @param {Array<Object>} props.items - [{ key, text }]
+ * @param {Function} props.onSelect - Called with the clicked item
+ * @param {boolean} props.disabled - Disable the chips (e.g. while sending)
+ */
+function QuestionChips({ label, items, onSelect, disabled = false }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  return (
+    <Wrapper>
+      {label && <Label>{label}</Label>}
+      <Chips>
+        {items.map(item => (
+          <Chip key={item.key} type="button" disabled={disabled} onClick={() => onSelect(item)}>
+            {item.text}
+          </Chip>
+        ))}
+      </Chips>
+    </Wrapper>
+  );
+}
+
+export default QuestionChips;
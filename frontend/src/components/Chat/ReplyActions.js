@@ -0,0 +1,74 @@
+import React from 'react';
+import styled from 'styled-components';
+import { FiChevronLeft, FiChevronRight, FiRefreshCw } from 'react-icons/fi';
+
+/**
+ * Reply Actions
+ *
+ * Controls under a curated reply: "another answer", and once there are
+ * several phrasings, arrows to flip between them.
+ */
+
+const Bar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  margin-top: ${({ theme }) => theme.spacing[1]};
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const IconButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  padding: ${({ theme }) => `${theme.spacing[1]} ${theme.spacing[1.5]}`};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: transparent;
+  color: inherit;
+  font-size: inherit;
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.colors};
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.neutral[100]};
+    color: ${({ theme }) => theme.colors.primary[600]};
+  }
+
+  &:disabled {
+    cursor: not-allowed;
+    opacity: 0.4;
+  }
+`;
+
+/**
+ * @param {Object} props
+ * @param {number} props.index - Phrasing shown (0-based)
+ * @param {number} props.count - Phrasings known
+ * @param {Function} props.onFlip - Called with the index to show
+ * @param {Function} props.onRegenerate - Ask for another phrasing
+ * @param {boolean} props.disabled - Disable the actions (e.g. while sending)
+ */
+function ReplyActions({ index, count, onFlip, onRegenerate, disabled = false }) {
+  return (
+    <Bar>
+      {count > 1 && (
+        <>
+          <IconButton aria-label="Previous answer" disabled={index === 0} onClick={() => onFlip(index - 1)}>
+            <FiChevronLeft />
+          </IconButton>
+          <span>{index + 1} / {count}</span>
+          <IconButton aria-label="Next answer" disabled={index === count - 1} onClick={() => onFlip(index + 1)}>
+            <FiChevronRight />
+          </IconButton>
+        </>
+      )}
+      <IconButton disabled={disabled} onClick={onRegenerate}>
+        <FiRefreshCw /> Another answer
+      </IconButton>
+    </Bar>
+  );
+}
+
+export default ReplyActions;
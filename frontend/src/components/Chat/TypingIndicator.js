@@ -0,0 +1,50 @@
+import React from 'react';
+import styled, { keyframes } from 'styled-components';
+
+/**
+ * Typing Indicator
+ *
+ * Three pulsing dots in an agent bubble, shown while the agent is
+ * "thinking" about a reply and before its first words arrive.
+ */
+
+const pulse = keyframes`
+  0%, 80%, 100% {
+    opacity: 0.3;
+    transform: scale(0.8);
+  }
+  40% {
+    opacity: 1;
+    transform: scale(1);
+  }
+`;
+
+const Bubble = styled.div`
+  display: inline-flex;
+  gap: ${({ theme }) => theme.spacing[1]};
+  margin-bottom: ${({ theme }) => theme.spacing[4]};
+  padding: ${({ theme }) => `${theme.spacing[3]} ${theme.spacing[4]}`};
+  border: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+  border-radius: ${({ theme }) => theme.borderRadius.xl};
+  background: ${({ theme }) => theme.colors.neutral.white};
+  box-shadow: ${({ theme }) => theme.shadows.sm};
+`;
+
+const Dot = styled.span`
+  width: ${({ theme }) => theme.spacing[2]};
+  height: ${({ theme }) => theme.spacing[2]};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  background: ${({ theme }) => theme.colors.neutral[400]};
+  animation: ${pulse} 1.4s infinite ease-in-out;
+  animation-delay: ${({ $index }) => `${$index * 0.2}s`};
+`;
+
+function TypingIndicator() {
+  return (
+    <Bubble role="status" aria-label="Agent is typing">
+      {[0, 1, 2].map(index => <Dot key={index} $index={index} />)}
+    </Bubble>
+  );
+}
+
+export default TypingIndicator;
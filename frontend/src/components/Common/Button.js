@@ -0,0 +1,66 @@
+import styled, { css } from 'styled-components';
+import { componentThemes } from '../../styles/theme';
+
+/**
+ * Button
+ *
+ * The platform's button, in the themed variants (primary, secondary,
+ * outline) plus danger for destructive actions. $size sm suits buttons
+ * inside lists and cards. Buttons don't submit forms unless type="submit".
+ */
+
+const danger = ({ theme }) => ({
+  bg: theme.colors.neutral.white,
+  bgHover: theme.colors.error[50],
+  bgActive: theme.colors.error[100],
+  text: theme.colors.error[600],
+  border: theme.colors.error[500]
+});
+
+const colorsFor = (props) => (
+  props.$variant === 'danger' ? danger(props) : componentThemes.button[props.$variant || 'primary']
+);
+
+const Button = styled.button.attrs(({ as, type }) => (as ? {} : { type: type || 'button' }))`
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  gap: ${({ theme }) => theme.spacing[2]};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.medium};
+  cursor: pointer;
+  transition: ${({ theme }) => theme.transitions.colors};
+  white-space: nowrap;
+
+  ${props => {
+    const colors = colorsFor(props);
+    return css`
+      background: ${colors.bg};
+      color: ${colors.text};
+      border: 1px solid ${colors.border};
+
+      &:hover:not(:disabled) {
+        background: ${colors.bgHover};
+      }
+
+      &:active:not(:disabled) {
+        background: ${colors.bgActive};
+      }
+    `;
+  }}
+
+  ${({ theme, $size }) => ($size === 'sm' ? css`
+    padding: ${theme.spacing[1]} ${theme.spacing[3]};
+    font-size: ${theme.typography.fontSize.sm};
+  ` : css`
+    padding: ${theme.spacing[2]} ${theme.spacing[4]};
+    font-size: ${theme.typography.fontSize.base};
+  `)}
+
+  &:disabled {
+    cursor: not-allowed;
+    opacity: 0.6;
+  }
+`;
+
+export default Button;
@@ -0,0 +1,54 @@
+import styled from 'styled-components';
+import { componentThemes } from '../../styles/theme';
+
+/**
+ * Form Controls
+ *
+ * Themed inputs for admin forms. A Field stacks a Label over its control.
+ */
+
+const control = ({ theme }) => `
+  width: 100%;
+  padding: ${theme.spacing[2]} ${theme.spacing[3]};
+  background: ${componentThemes.input.bg};
+  color: ${componentThemes.input.text};
+  border: 1px solid ${componentThemes.input.border};
+  border-radius: ${theme.borderRadius.lg};
+  font-size: ${theme.typography.fontSize.sm};
+  font-family: inherit;
+
+  &::placeholder {
+    color: ${componentThemes.input.placeholder};
+  }
+
+  &:focus {
+    outline: none;
+    border-color: ${componentThemes.input.borderFocus};
+  }
+`;
+
+export const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: ${({ theme }) => theme.spacing[1]};
+  margin-bottom: ${({ theme }) => theme.spacing[3]};
+`;
+
+export const Label = styled.span`
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.medium};
+  color: ${({ theme }) => theme.colors.neutral[700]};
+`;
+
+export const Input = styled.input`
+  ${control}
+`;
+
+export const Select = styled.select`
+  ${control}
+`;
+
+export const TextArea = styled.textarea`
+  ${control}
+  resize: vertical;
+`;
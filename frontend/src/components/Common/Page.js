@@ -0,0 +1,50 @@
+import styled from 'styled-components';
+import { componentThemes } from '../../styles/theme';
+
+/**
+ * Page Building Blocks
+ *
+ * Header, toolbar, card and empty state shared by the admin pages.
+ */
+
+export const PageHeader = styled.div`
+  margin-bottom: ${({ theme }) => theme.spacing[6]};
+`;
+
+export const PageTitle = styled.h1`
+  font-size: ${({ theme }) => theme.typography.fontSize['2xl']};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.bold};
+  color: ${({ theme }) => theme.colors.neutral[900]};
+`;
+
+export const PageDescription = styled.p`
+  margin-top: ${({ theme }) => theme.spacing[1]};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: ${({ theme }) => theme.spacing[4]};
+  margin-bottom: ${({ theme }) => theme.spacing[6]};
+
+  > * {
+    min-width: ${({ theme }) => theme.spacing[48]};
+  }
+`;
+
+export const Card = styled.div`
+  background: ${componentThemes.card.bg};
+  border: 1px solid ${componentThemes.card.border};
+  border-radius: ${({ theme }) => theme.borderRadius.xl};
+  box-shadow: ${componentThemes.card.shadow};
+  padding: ${({ theme }) => theme.spacing[5]};
+  margin-bottom: ${({ theme }) => theme.spacing[4]};
+`;
+
+export const EmptyState = styled.div`
+  padding: ${({ theme }) => theme.spacing[12]};
+  text-align: center;
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
@@ -0,0 +1,64 @@
+import React from 'react';
+import ReactQuill from 'react-quill';
+import 'react-quill/dist/quill.snow.css';
+import styled from 'styled-components';
+
+/**
+ * Rich Text Editor
+ *
+ * Quill editor for answer HTML, limited to the formatting the chat
+ * renders (the API sanitizes whatever it stores). onChange gets both the
+ * HTML and its plain text, as answers are saved with both.
+ */
+
+const TOOLBAR = [
+  ['bold', 'italic', 'underline'],
+  [{ list: 'ordered' }, { list: 'bullet' }],
+  ['link', 'code-block'],
+  ['clean']
+];
+
+const Wrapper = styled.div`
+  margin-bottom: ${({ theme }) => theme.spacing[3]};
+
+  .ql-toolbar,
+  .ql-container {
+    border-color: ${({ theme }) => theme.colors.neutral[300]};
+  }
+
+  .ql-toolbar {
+    border-radius: ${({ theme }) => `${theme.borderRadius.lg} ${theme.borderRadius.lg} 0 0`};
+  }
+
+  .ql-container {
+    border-radius: ${({ theme }) => `0 0 ${theme.borderRadius.lg} ${theme.borderRadius.lg}`};
+    font-family: inherit;
+    font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  }
+
+  .ql-editor {
+    min-height: ${({ theme }) => theme.spacing[24]};
+  }
+`;
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - HTML
+ * @param {Function} props.onChange - Called with (html, text)
+ * @param {string} props.placeholder - Shown while empty
+ */
+function RichTextEditor({ value, onChange, placeholder }) {
+  return (
+    <Wrapper>
+      <ReactQuill
+        theme="snow"
+        value={value}
+        modules={{ toolbar: TOOLBAR }}
+        placeholder={placeholder}
+        onChange={(html, delta, source, editor) => onChange(html, editor.getText().trim())}
+      />
+    </Wrapper>
+  );
+}
+
+export default RichTextEditor;
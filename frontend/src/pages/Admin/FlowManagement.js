@@ -0,0 +1,409 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import DOMPurify from 'dompurify';
+import { FiArrowLeft, FiArrowRight, FiEdit2, FiPlus, FiTrash2 } from 'react-icons/fi';
+
+import Button from '../../components/Common/Button';
+import RichTextEditor from '../../components/Common/RichTextEditor';
+import { Field, Input, Label, Select } from '../../components/Common/Form';
+import { Card, EmptyState, PageDescription, PageHeader, PageTitle } from '../../components/Common/Page';
+import {
+  getAgents,
+  getFlowNodes,
+  createFlowNode,
+  updateFlowNode,
+  deleteFlowNode,
+  createFlowChoice,
+  updateFlowChoice,
+  deleteFlowChoice
+} from '../../services/adminApi';
+import { apiErrorMessage } from '../../services/apiErrors';
+
+/**
+ * Flow Management
+ *
+ * An agent's conversation flows. An entry node starts from one of the
+ * agent's questions and follow-up nodes are reached through choices; each
+ * node offers quick-reply choices (with synonyms typed answers also match)
+ * leading to another node or ending the flow.
+ */
+
+const BackLink = styled(Link)`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  margin-bottom: ${({ theme }) => theme.spacing[2]};
+  color: ${({ theme }) => theme.colors.primary[600]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  text-decoration: none;
+`;
+
+const NodeList = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[6]};
+`;
+
+const NodeHeader = styled.div`
+  display: flex;
+  align-items: flex-start;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[4]};
+`;
+
+const NodeName = styled.h2`
+  font-size: ${({ theme }) => theme.typography.fontSize.lg};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+`;
+
+const NodeKind = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[1]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const NodeMessage = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[3]};
+  padding: ${({ theme }) => theme.spacing[3]};
+  background: ${({ theme }) => theme.colors.neutral[50]};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+`;
+
+const Choices = styled.ul`
+  list-style: none;
+  margin-top: ${({ theme }) => theme.spacing[4]};
+`;
+
+const ChoiceRow = styled.li`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[3]};
+  padding: ${({ theme }) => `${theme.spacing[2]} 0`};
+  border-top: 1px solid ${({ theme }) => theme.colors.neutral[100]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+`;
+
+const ChoiceTarget = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const Synonyms = styled.div`
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[400]};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[2]};
+`;
+
+const Form = styled.form`
+  margin-top: ${({ theme }) => theme.spacing[4]};
+  padding-top: ${({ theme }) => theme.spacing[4]};
+  border-top: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+`;
+
+/**
+ * Split comma-separated synonyms
+ * @param {string} text - "sure, ok"
+ * @returns {Array<string>} ['sure', 'ok']
+ */
+const parseSynonyms = text => text.split(',').map(synonym => synonym.trim()).filter(Boolean);
+
+/**
+ * Create or edit a node
+ */
+function NodeForm({ node, questions, onSubmit, onCancel, isSaving }) {
+  const [name, setName] = useState(node?.name || '');
+  const [questionId, setQuestionId] = useState(node?.question_id || '');
+  const [message, setMessage] = useState({ html: node?.message_html || '', text: node?.message_text || '' });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSubmit({
+      name,
+      question_id: questionId || null,
+      message_html: message.text ? message.html : null
+    });
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Field>
+        <Label>Name</Label>
+        <Input value={name} onChange={event => setName(event.target.value)} placeholder="e.g. Billing help" />
+      </Field>
+      <Field>
+        <Label>Starts from question</Label>
+        <Select value={questionId} onChange={event => setQuestionId(event.target.value)}>
+          <option value="">None (follow-up node)</option>
+          {questions.map(question => (
+            <option key={question.id} value={question.id}>{question.question_text}</option>
+          ))}
+        </Select>
+      </Field>
+      <Label>Message {questionId && '(optional, defaults to the question\'s answer)'}</Label>
+      <RichTextEditor
+        value={message.html}
+        onChange={(html, text) => setMessage({ html, text })}
+        placeholder="What the agent says at this step..."
+      />
+      <Actions>
+        <Button type="submit" $size="sm" disabled={!name.trim() || (!questionId && !message.text) || isSaving}>
+          {node ? 'Save node' : 'Create node'}
+        </Button>
+        <Button $variant="secondary" $size="sm" onClick={onCancel}>Cancel</Button>
+      </Actions>
+    </Form>
+  );
+}
+
+/**
+ * Create or edit a choice
+ */
+function ChoiceForm({ choice, nodes, onSubmit, onCancel, isSaving }) {
+  const [label, setLabel] = useState(choice?.label || '');
+  const [synonyms, setSynonyms] = useState((choice?.synonyms || []).join(', '));
+  const [nextNodeId, setNextNodeId] = useState(choice?.next_node_id || '');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSubmit({
+      label,
+      synonyms: parseSynonyms(synonyms),
+      next_node_id: nextNodeId || null
+    });
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Field>
+        <Label>Label</Label>
+        <Input value={label} onChange={event => setLabel(event.target.value)} placeholder="e.g. Yes, please" />
+      </Field>
+      <Field>
+        <Label>Synonyms (comma-separated)</Label>
+        <Input value={synonyms} onChange={event => setSynonyms(event.target.value)} placeholder="e.g. sure, ok" />
+      </Field>
+      <Field>
+        <Label>Leads to</Label>
+        <Select value={nextNodeId} onChange={event => setNextNodeId(event.target.value)}>
+          <option value="">End of flow</option>
+          {nodes.map(node => <option key={node.id} value={node.id}>{node.name}</option>)}
+        </Select>
+      </Field>
+      <Actions>
+        <Button type="submit" $size="sm" disabled={!label.trim() || isSaving}>
+          {choice ? 'Save choice' : 'Add choice'}
+        </Button>
+        <Button $variant="secondary" $size="sm" onClick={onCancel}>Cancel</Button>
+      </Actions>
+    </Form>
+  );
+}
+
+/**
+ * One node with its choices
+ */
+function FlowNodeCard({ node, nodes, questions, onChanged }) {
+  // null, 'node', 'new-choice' or the ID of the choice being edited
+  const [editing, setEditing] = useState(null);
+
+  const nodeName = id => nodes.find(other => other.id === id)?.name || 'Unknown node';
+  const onError = fallback => error => toast.error(apiErrorMessage(error, fallback));
+  const onSaved = (result) => {
+    setEditing(null);
+    onChanged(result);
+  };
+
+  const saveNode = useMutation(data => updateFlowNode(node.id, data), {
+    onSuccess: onSaved,
+    onError: onError('Error updating flow node')
+  });
+  const removeNode = useMutation(() => deleteFlowNode(node.id), {
+    onSuccess: onChanged,
+    onError: onError('Error deleting flow node')
+  });
+  const addChoice = useMutation(data => createFlowChoice(node.id, data), {
+    onSuccess: onSaved,
+    onError: onError('Error creating flow choice')
+  });
+  const saveChoice = useMutation(({ id, data }) => updateFlowChoice(id, data), {
+    onSuccess: onSaved,
+    onError: onError('Error updating flow choice')
+  });
+  const removeChoice = useMutation(id => deleteFlowChoice(id), {
+    onSuccess: onChanged,
+    onError: onError('Error deleting flow choice')
+  });
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the node "${node.name}" and its choices?`)) {
+      removeNode.mutate();
+    }
+  };
+
+  return (
+    <Card>
+      <NodeHeader>
+        <div>
+          <NodeName>{node.name}</NodeName>
+          <NodeKind>
+            {node.question ? `Starts from "${node.question.question_text}"` : 'Follow-up node'}
+          </NodeKind>
+        </div>
+        <Actions>
+          <Button $variant="outline" $size="sm" onClick={() => setEditing('node')}>
+            <FiEdit2 /> Edit
+          </Button>
+          <Button $variant="danger" $size="sm" onClick={handleDelete} disabled={removeNode.isLoading}>
+            <FiTrash2 /> Delete
+          </Button>
+        </Actions>
+      </NodeHeader>
+
+      {editing === 'node' ? (
+        <NodeForm
+          node={node}
+          questions={questions}
+          onSubmit={data => saveNode.mutate(data)}
+          onCancel={() => setEditing(null)}
+          isSaving={saveNode.isLoading}
+        />
+      ) : (
+        <NodeMessage
+          dangerouslySetInnerHTML={{
+            __html: DOMPurify.sanitize(node.message_html || "<em>The question's answer</em>")
+          }}
+        />
+      )}
+
+      <Choices>
+        {node.choices.map(choice => (
+          editing === choice.id ? (
+            <li key={choice.id}>
+              <ChoiceForm
+                choice={choice}
+                nodes={nodes}
+                onSubmit={data => saveChoice.mutate({ id: choice.id, data })}
+                onCancel={() => setEditing(null)}
+                isSaving={saveChoice.isLoading}
+              />
+            </li>
+          ) : (
+            <ChoiceRow key={choice.id}>
+              <div>
+                <strong>{choice.label}</strong>{' '}
+                <ChoiceTarget>
+                  <FiArrowRight /> {choice.next_node_id ? nodeName(choice.next_node_id) : 'End of flow'}
+                </ChoiceTarget>
+                {choice.synonyms?.length > 0 && <Synonyms>Also: {choice.synonyms.join(', ')}</Synonyms>}
+              </div>
+              <Actions>
+                <Button $variant="outline" $size="sm" aria-label="Edit choice" onClick={() => setEditing(choice.id)}>
+                  <FiEdit2 />
+                </Button>
+                <Button
+                  $variant="danger"
+                  $size="sm"
+                  aria-label="Delete choice"
+                  onClick={() => removeChoice.mutate(choice.id)}
+                  disabled={removeChoice.isLoading}
+                >
+                  <FiTrash2 />
+                </Button>
+              </Actions>
+            </ChoiceRow>
+          )
+        ))}
+      </Choices>
+
+      {editing === 'new-choice' ? (
+        <ChoiceForm
+          nodes={nodes}
+          onSubmit={data => addChoice.mutate(data)}
+          onCancel={() => setEditing(null)}
+          isSaving={addChoice.isLoading}
+        />
+      ) : (
+        <Button $variant="secondary" $size="sm" onClick={() => setEditing('new-choice')}>
+          <FiPlus /> Add choice
+        </Button>
+      )}
+    </Card>
+  );
+}
+
+function FlowManagement() {
+  const { agentId } = useParams();
+  const queryClient = useQueryClient();
+  const [isCreating, setIsCreating] = useState(false);
+
+  const { data: agentsData } = useQuery('admin-agents', getAgents);
+  const agent = agentsData?.agents.find(candidate => candidate.id === agentId);
+  const questions = agent?.questions || [];
+
+  const { data, isLoading } = useQuery(['flow-nodes', agentId], () => getFlowNodes(agentId));
+  const nodes = data?.nodes || [];
+
+  const handleChanged = (result) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries(['flow-nodes', agentId]);
+  };
+
+  const createNode = useMutation(nodeData => createFlowNode(agentId, nodeData), {
+    onSuccess: (result) => {
+      setIsCreating(false);
+      handleChanged(result);
+    },
+    onError: error => toast.error(apiErrorMessage(error, 'Error creating flow node'))
+  });
+
+  return (
+    <div>
+      <PageHeader>
+        <BackLink to={`/admin/agents/${agentId}/questions`}>
+          <FiArrowLeft /> Q&A
+        </BackLink>
+        <PageTitle>Conversation Flows{agent && ` – ${agent.name}`}</PageTitle>
+        <PageDescription>
+          Multi-turn flows: a question starts a flow, and quick-reply choices lead to follow-up nodes.
+        </PageDescription>
+      </PageHeader>
+
+      {isCreating ? (
+        <Card>
+          <NodeName>New node</NodeName>
+          <NodeForm
+            questions={questions}
+            onSubmit={nodeData => createNode.mutate(nodeData)}
+            onCancel={() => setIsCreating(false)}
+            isSaving={createNode.isLoading}
+          />
+        </Card>
+      ) : (
+        <Actions>
+          <Button onClick={() => setIsCreating(true)}>
+            <FiPlus /> New node
+          </Button>
+        </Actions>
+      )}
+
+      <NodeList>
+        {!isLoading && nodes.length === 0 && <EmptyState>This agent has no conversation flows yet.</EmptyState>}
+        {nodes.map(node => (
+          <FlowNodeCard key={node.id} node={node} nodes={nodes} questions={questions} onChanged={handleChanged} />
+        ))}
+      </NodeList>
+    </div>
+  );
+}
+
+export default FlowManagement;
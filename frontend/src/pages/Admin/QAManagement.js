@@ -0,0 +1,340 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import DOMPurify from 'dompurify';
+import {
+  FiArrowDown,
+  FiArrowLeft,
+  FiArrowUp,
+  FiChevronDown,
+  FiChevronUp,
+  FiGitBranch,
+  FiInbox,
+  FiStar,
+  FiX
+} from 'react-icons/fi';
+
+import VariantReview from '../../components/Admin/VariantReview';
+import Button from '../../components/Common/Button';
+import { Field, Label, Select } from '../../components/Common/Form';
+import { Card, EmptyState, PageDescription, PageHeader, PageTitle } from '../../components/Common/Page';
+import { getAgents, getQuestions, setStarterQuestions } from '../../services/adminApi';
+import { apiErrorMessage } from '../../services/apiErrors';
+
+/**
+ * Q&A Management
+ *
+ * An agent's questions and answers, with the starter questions pinned in
+ * its chat: up to MAX_STARTER_QUESTIONS chips, in the order set here, that
+ * an empty chat offers. Only Final questions are shown to demo users.
+ * Each question's variants, and its answer's, are reviewed here too.
+ */
+
+// Same limit as the API
+const MAX_STARTER_QUESTIONS = 6;
+
+const BackLink = styled(Link)`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  margin-bottom: ${({ theme }) => theme.spacing[2]};
+  color: ${({ theme }) => theme.colors.primary[600]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  text-decoration: none;
+`;
+
+const HeaderRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[4]};
+`;
+
+const Links = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing[2]};
+`;
+
+const SectionTitle = styled.h2`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[2]};
+  margin-bottom: ${({ theme }) => theme.spacing[3]};
+  font-size: ${({ theme }) => theme.typography.fontSize.lg};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+`;
+
+const Hint = styled.p`
+  margin-bottom: ${({ theme }) => theme.spacing[3]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const StarterList = styled.ol`
+  margin-bottom: ${({ theme }) => theme.spacing[3]};
+  padding-left: ${({ theme }) => theme.spacing[5]};
+`;
+
+const StarterRow = styled.li`
+  padding: ${({ theme }) => `${theme.spacing[1]} 0`};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+`;
+
+const RowContent = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[3]};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[2]};
+`;
+
+const QuestionHeader = styled.div`
+  display: flex;
+  align-items: flex-start;
+  justify-content: space-between;
+  gap: ${({ theme }) => theme.spacing[4]};
+`;
+
+const QuestionText = styled.h3`
+  font-size: ${({ theme }) => theme.typography.fontSize.base};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+`;
+
+const Badges = styled.div`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing[2]};
+`;
+
+const Badge = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  padding: ${({ theme }) => `${theme.spacing[0.5]} ${theme.spacing[2]}`};
+  border-radius: ${({ theme }) => theme.borderRadius.full};
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.medium};
+  background: ${({ theme, $tone }) => theme.colors[$tone][100]};
+  color: ${({ theme, $tone }) => theme.colors[$tone][700]};
+`;
+
+const VariantsToggle = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[3]};
+`;
+
+const AnswerHtml = styled.div`
+  margin-top: ${({ theme }) => theme.spacing[2]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  color: ${({ theme }) => theme.colors.neutral[700]};
+`;
+
+/**
+ * Pinned starter questions, reordered and saved together
+ */
+function StarterQuestions({ agentId, questions }) {
+  const queryClient = useQueryClient();
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [choice, setChoice] = useState('');
+
+  // Start from the saved pins whenever the questions (re)load
+  useEffect(() => {
+    setPinnedIds(questions
+      .filter(question => question.is_starter)
+      .sort((a, b) => a.starter_position - b.starter_position)
+      .map(question => question.id));
+  }, [questions]);
+
+  const save = useMutation(() => setStarterQuestions(agentId, pinnedIds), {
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries(['admin-questions', agentId]);
+    },
+    onError: error => toast.error(apiErrorMessage(error, 'Error updating starter questions'))
+  });
+
+  const byId = Object.fromEntries(questions.map(question => [question.id, question]));
+  const unpinned = questions.filter(question => !pinnedIds.includes(question.id));
+
+  const move = (index, offset) => {
+    const next = [...pinnedIds];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setPinnedIds(next);
+  };
+
+  const pin = () => {
+    setPinnedIds(current => [...current, choice]);
+    setChoice('');
+  };
+
+  return (
+    <Card>
+      <SectionTitle><FiStar /> Starter questions</SectionTitle>
+      <Hint>
+        Shown as chips when a demo user opens an empty chat (Final questions only, up to {MAX_STARTER_QUESTIONS}).
+      </Hint>
+
+      {pinnedIds.length > 0 && (
+        <StarterList>
+          {pinnedIds.map((id, index) => (
+            <StarterRow key={id}>
+              <RowContent>
+                <span>
+                  {byId[id]?.question_text}{' '}
+                  {byId[id]?.status !== 'Final' && <Badge $tone="warning">Draft – hidden</Badge>}
+                </span>
+                <Actions>
+                  <Button $variant="outline" $size="sm" aria-label="Move up" disabled={index === 0} onClick={() => move(index, -1)}>
+                    <FiArrowUp />
+                  </Button>
+                  <Button
+                    $variant="outline"
+                    $size="sm"
+                    aria-label="Move down"
+                    disabled={index === pinnedIds.length - 1}
+                    onClick={() => move(index, 1)}
+                  >
+                    <FiArrowDown />
+                  </Button>
+                  <Button
+                    $variant="danger"
+                    $size="sm"
+                    aria-label="Unpin"
+                    onClick={() => setPinnedIds(current => current.filter(pinned => pinned !== id))}
+                  >
+                    <FiX />
+                  </Button>
+                </Actions>
+              </RowContent>
+            </StarterRow>
+          ))}
+        </StarterList>
+      )}
+
+      <Field>
+        <Label>Pin a question</Label>
+        <Select value={choice} onChange={event => setChoice(event.target.value)} disabled={pinnedIds.length >= MAX_STARTER_QUESTIONS}>
+          <option value="">Choose a question...</option>
+          {unpinned.map(question => (
+            <option key={question.id} value={question.id}>{question.question_text}</option>
+          ))}
+        </Select>
+      </Field>
+      <Actions>
+        <Button $variant="secondary" $size="sm" onClick={pin} disabled={!choice}>
+          <FiStar /> Pin
+        </Button>
+        <Button $size="sm" onClick={() => save.mutate()} disabled={save.isLoading}>
+          Save starter questions
+        </Button>
+      </Actions>
+    </Card>
+  );
+}
+
+/**
+ * One Q&A pair, with its variants under a toggle
+ */
+function QuestionCard({ question, onVariantsChanged }) {
+  const [showVariants, setShowVariants] = useState(false);
+  const questionVariants = question.variants || [];
+  const answerVariants = question.answer?.variants || [];
+  const rejected = [...questionVariants, ...answerVariants].filter(variant => !variant.is_approved).length;
+
+  return (
+    <Card>
+      <QuestionHeader>
+        <QuestionText>{question.question_text}</QuestionText>
+        <Badges>
+          {question.is_starter && <Badge $tone="primary"><FiStar /> Starter</Badge>}
+          <Badge $tone={question.status === 'Final' ? 'success' : 'warning'}>{question.status}</Badge>
+        </Badges>
+      </QuestionHeader>
+      {question.answer && (
+        <AnswerHtml dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(question.answer.answer_html) }} />
+      )}
+
+      <VariantsToggle>
+        <Button $variant="secondary" $size="sm" onClick={() => setShowVariants(shown => !shown)}>
+          {showVariants ? <FiChevronUp /> : <FiChevronDown />}
+          Variants ({questionVariants.length + answerVariants.length}{rejected > 0 && `, ${rejected} rejected`})
+        </Button>
+      </VariantsToggle>
+      {showVariants && (
+        <>
+          <VariantReview
+            kind="question"
+            questionId={question.id}
+            variants={questionVariants}
+            onChanged={onVariantsChanged}
+          />
+          {question.answer && (
+            <VariantReview
+              kind="answer"
+              questionId={question.id}
+              variants={answerVariants}
+              onChanged={onVariantsChanged}
+            />
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+function QAManagement() {
+  const { agentId } = useParams();
+  const queryClient = useQueryClient();
+
+  const { data: agentsData } = useQuery('admin-agents', getAgents);
+  const agent = agentsData?.agents.find(candidate => candidate.id === agentId);
+
+  const { data, isLoading } = useQuery(['admin-questions', agentId], () => getQuestions(agentId));
+  const questions = data?.questions || [];
+
+  return (
+    <div>
+      <PageHeader>
+        <BackLink to="/admin/agents">
+          <FiArrowLeft /> Agents
+        </BackLink>
+        <HeaderRow>
+          <div>
+            <PageTitle>Questions & Answers{agent && ` – ${agent.name}`}</PageTitle>
+            <PageDescription>The curated answers this agent gives, and the questions its chat starts with.</PageDescription>
+          </div>
+          <Links>
+            <Button as={Link} to={`/admin/agents/${agentId}/flows`} $variant="outline" $size="sm">
+              <FiGitBranch /> Conversation flows
+            </Button>
+            <Button as={Link} to="/admin/unanswered" $variant="outline" $size="sm">
+              <FiInbox /> Unanswered questions
+            </Button>
+          </Links>
+        </HeaderRow>
+      </PageHeader>
+
+      {!isLoading && questions.length === 0 ? (
+        <EmptyState>This agent has no questions yet.</EmptyState>
+      ) : (
+        <StarterQuestions agentId={agentId} questions={questions} />
+      )}
+
+      {questions.map(question => (
+        <QuestionCard
+          key={question.id}
+          question={question}
+          onVariantsChanged={() => queryClient.invalidateQueries(['admin-questions', agentId])}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default QAManagement;
@@ -0,0 +1,294 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { FiCheck, FiLink, FiPlus, FiX } from 'react-icons/fi';
+
+import Button from '../../components/Common/Button';
+import RichTextEditor from '../../components/Common/RichTextEditor';
+import { Field, Input, Label, Select } from '../../components/Common/Form';
+import { Card, EmptyState, PageDescription, PageHeader, PageTitle, Toolbar } from '../../components/Common/Page';
+import {
+  getAgents,
+  getUnansweredQuestions,
+  convertUnansweredQuestion,
+  attachUnansweredQuestion,
+  dismissUnansweredQuestion
+} from '../../services/adminApi';
+import { apiErrorMessage } from '../../services/apiErrors';
+
+/**
+ * Unanswered Questions
+ *
+ * The inbox of questions that got an agent's fallback reply, clustered so
+ * rephrasings of one question are one entry, most frequent first. An open
+ * entry is converted into a new (Draft) Q&A pair, attached as a variant of
+ * an existing question, or dismissed.
+ */
+
+const STATUSES = ['Open', 'Converted', 'Attached', 'Dismissed'];
+
+const Question = styled.h2`
+  font-size: ${({ theme }) => theme.typography.fontSize.lg};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+  color: ${({ theme }) => theme.colors.neutral[900]};
+`;
+
+const Meta = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[3]};
+  margin-top: ${({ theme }) => theme.spacing[1]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const Count = styled.span`
+  font-weight: ${({ theme }) => theme.typography.fontWeight.semibold};
+  color: ${({ theme }) => theme.colors.primary[700]};
+`;
+
+const Phrasings = styled.ul`
+  margin-top: ${({ theme }) => theme.spacing[3]};
+  padding-left: ${({ theme }) => theme.spacing[5]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  color: ${({ theme }) => theme.colors.neutral[700]};
+`;
+
+const Times = styled.span`
+  color: ${({ theme }) => theme.colors.neutral[400]};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${({ theme }) => theme.spacing[2]};
+  margin-top: ${({ theme }) => theme.spacing[4]};
+`;
+
+const ActionForm = styled.form`
+  margin-top: ${({ theme }) => theme.spacing[4]};
+  padding-top: ${({ theme }) => theme.spacing[4]};
+  border-top: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+`;
+
+/**
+ * Form turning an entry into a new Q&A pair
+ */
+function ConvertForm({ item, onCancel, onDone }) {
+  const [questionText, setQuestionText] = useState(item.sample_text);
+  const [answer, setAnswer] = useState({ html: '', text: '' });
+
+  const convert = useMutation(
+    () => convertUnansweredQuestion(item.id, {
+      question_text: questionText,
+      answer_text: answer.text,
+      answer_html: answer.html
+    }),
+    {
+      onSuccess: onDone,
+      onError: error => toast.error(apiErrorMessage(error, 'Error converting unanswered question'))
+    }
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    convert.mutate();
+  };
+
+  return (
+    <ActionForm onSubmit={handleSubmit}>
+      <Field>
+        <Label>Question</Label>
+        <Input value={questionText} onChange={event => setQuestionText(event.target.value)} />
+      </Field>
+      <Label>Answer</Label>
+      <RichTextEditor
+        value={answer.html}
+        onChange={(html, text) => setAnswer({ html, text })}
+        placeholder="Write the answer..."
+      />
+      <Actions>
+        <Button type="submit" $size="sm" disabled={!questionText.trim() || !answer.text || convert.isLoading}>
+          <FiCheck /> Create Q&A pair
+        </Button>
+        <Button $variant="secondary" $size="sm" onClick={onCancel}>Cancel</Button>
+      </Actions>
+    </ActionForm>
+  );
+}
+
+/**
+ * Form adding an entry as a variant of one of the agent's questions
+ */
+function AttachForm({ item, questions, onCancel, onDone }) {
+  const [questionId, setQuestionId] = useState('');
+  const [variantText, setVariantText] = useState(item.sample_text);
+
+  const attach = useMutation(
+    () => attachUnansweredQuestion(item.id, { question_id: questionId, variant_text: variantText }),
+    {
+      onSuccess: onDone,
+      onError: error => toast.error(apiErrorMessage(error, 'Error attaching unanswered question'))
+    }
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    attach.mutate();
+  };
+
+  return (
+    <ActionForm onSubmit={handleSubmit}>
+      <Field>
+        <Label>Question</Label>
+        <Select value={questionId} onChange={event => setQuestionId(event.target.value)}>
+          <option value="">Choose a question...</option>
+          {questions.map(question => (
+            <option key={question.id} value={question.id}>{question.question_text}</option>
+          ))}
+        </Select>
+      </Field>
+      <Field>
+        <Label>Variant text</Label>
+        <Input value={variantText} onChange={event => setVariantText(event.target.value)} />
+      </Field>
+      <Actions>
+        <Button type="submit" $size="sm" disabled={!questionId || !variantText.trim() || attach.isLoading}>
+          <FiLink /> Attach as variant
+        </Button>
+        <Button $variant="secondary" $size="sm" onClick={onCancel}>Cancel</Button>
+      </Actions>
+    </ActionForm>
+  );
+}
+
+/**
+ * One cluster of the inbox with its actions
+ */
+function UnansweredItem({ item, questions, onResolved }) {
+  // null, 'convert' or 'attach'
+  const [action, setAction] = useState(null);
+
+  const dismiss = useMutation(() => dismissUnansweredQuestion(item.id), {
+    onSuccess: onResolved,
+    onError: error => toast.error(apiErrorMessage(error, 'Error dismissing unanswered question'))
+  });
+
+  const phrasings = [...(item.phrasings || [])].sort((a, b) => b.count - a.count);
+
+  return (
+    <Card>
+      <Question>{item.sample_text}</Question>
+      <Meta>
+        <Count>{item.occurrence_count}×</Count>
+        <span>{item.agent?.name}</span>
+        <span>Last seen {formatDistanceToNow(new Date(item.last_seen_at), { addSuffix: true })}</span>
+        <span>First seen {format(new Date(item.first_seen_at), 'PP')}</span>
+      </Meta>
+
+      {phrasings.length > 1 && (
+        <Phrasings>
+          {phrasings.map(phrasing => (
+            <li key={phrasing.text}>
+              {phrasing.text} <Times>×{phrasing.count}</Times>
+            </li>
+          ))}
+        </Phrasings>
+      )}
+
+      {item.status === 'Open' && !action && (
+        <Actions>
+          <Button $size="sm" onClick={() => setAction('convert')}>
+            <FiPlus /> Convert to Q&A
+          </Button>
+          <Button $variant="outline" $size="sm" onClick={() => setAction('attach')} disabled={questions.length === 0}>
+            <FiLink /> Attach to question
+          </Button>
+          <Button $variant="danger" $size="sm" onClick={() => dismiss.mutate()} disabled={dismiss.isLoading}>
+            <FiX /> Dismiss
+          </Button>
+        </Actions>
+      )}
+
+      {action === 'convert' && (
+        <ConvertForm item={item} onCancel={() => setAction(null)} onDone={onResolved} />
+      )}
+      {action === 'attach' && (
+        <AttachForm item={item} questions={questions} onCancel={() => setAction(null)} onDone={onResolved} />
+      )}
+    </Card>
+  );
+}
+
+function UnansweredQuestions() {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ agent_id: '', status: 'Open' });
+
+  const { data: agentsData } = useQuery('admin-agents', getAgents);
+  const agents = agentsData?.agents || [];
+
+  const { data, isLoading } = useQuery(
+    ['unanswered', filters],
+    () => getUnansweredQuestions({ status: filters.status, agent_id: filters.agent_id || undefined }),
+    { keepPreviousData: true }
+  );
+  const items = data?.items || [];
+  const openCounts = Object.fromEntries((data?.agents || []).map(row => [row.agent_id, row.open_count]));
+
+  const questionsOf = agentId => agents.find(agent => agent.id === agentId)?.questions || [];
+
+  const handleResolved = (result) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries('unanswered');
+    queryClient.invalidateQueries('admin-agents');
+  };
+
+  const setFilter = field => event => setFilters(current => ({ ...current, [field]: event.target.value }));
+
+  return (
+    <div>
+      <PageHeader>
+        <PageTitle>Unanswered Questions</PageTitle>
+        <PageDescription>
+          Questions your agents couldn&apos;t answer, grouped with their rephrasings.
+        </PageDescription>
+      </PageHeader>
+
+      <Toolbar>
+        <Field>
+          <Label>Agent</Label>
+          <Select value={filters.agent_id} onChange={setFilter('agent_id')}>
+            <option value="">All agents</option>
+            {agents.map(agent => (
+              <option key={agent.id} value={agent.id}>
+                {agent.name}{openCounts[agent.id] ? ` (${openCounts[agent.id]} open)` : ''}
+              </option>
+            ))}
+          </Select>
+        </Field>
+        <Field>
+          <Label>Status</Label>
+          <Select value={filters.status} onChange={setFilter('status')}>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </Select>
+        </Field>
+      </Toolbar>
+
+      {!isLoading && items.length === 0 && (
+        <EmptyState>No {filters.status.toLowerCase()} unanswered questions.</EmptyState>
+      )}
+      {items.map(item => (
+        <UnansweredItem
+          key={item.id}
+          item={item}
+          questions={questionsOf(item.agent_id)}
+          onResolved={handleResolved}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default UnansweredQuestions;
@@ -0,0 +1,524 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiArrowLeft, FiClock, FiPlus, FiRotateCcw, FiSend } from 'react-icons/fi';
+
+import Button from '../../components/Common/Button';
+import { Select } from '../../components/Common/Form';
+import ChatMessage from '../../components/Chat/ChatMessage';
+import QuestionChips from '../../components/Chat/QuestionChips';
+import ReplyActions from '../../components/Chat/ReplyActions';
+import TypingIndicator from '../../components/Chat/TypingIndicator';
+import {
+  getAgent,
+  startChat,
+  getHistory,
+  getSessions,
+  resumeSession,
+  streamMessage,
+  regenerateReply,
+  getAlternatives
+} from '../../services/demoApi';
+import { apiErrorMessage, isSessionExpired } from '../../services/apiErrors';
+
+/**
+ * Chat Interface
+ *
+ * Chat with a demo agent. Opening the page resumes the active session
+ * with the agent, or starts one whose first message is the agent's
+ * greeting, if any; "New chat" starts over and earlier sessions can be
+ * resumed. Older messages load when scrolling to the top. When the
+ * session has expired from inactivity, the chat says so and offers to
+ * start a new session or resume the expired one.
+ *
+ * Replies are streamed: a typing indicator while the agent thinks, then
+ * the reply as it is typed, replaced by the saved message when it is
+ * done. Low-confidence replies offer "did you mean" suggestions, an empty
+ * chat the agent's pinned starter questions and curated replies related
+ * questions, all as chips asked with one click. Flow replies offer their
+ * choices as quick-reply buttons under the latest message. A curated
+ * reply can be rephrased ("another answer"); its phrasings share one
+ * bubble, with arrows to flip between them.
+ */
+
+// Load older messages when scrolled this close to the top (px)
+const LOAD_OLDER_THRESHOLD = 48;
+
+const Page = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: calc(100vh - ${({ theme }) => theme.spacing[32]});
+  min-height: ${({ theme }) => theme.spacing[96]};
+  max-width: ${({ theme }) => theme.breakpoints.lg};
+  margin: 0 auto;
+  width: 100%;
+  background: ${({ theme }) => theme.colors.neutral[50]};
+  border: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+  border-radius: ${({ theme }) => theme.borderRadius.xl};
+  overflow: hidden;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[4]};
+  padding: ${({ theme }) => `${theme.spacing[4]} ${theme.spacing[6]}`};
+  background: ${({ theme }) => theme.colors.neutral.white};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+`;
+
+const BackLink = styled(Link)`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[1]};
+  color: ${({ theme }) => theme.colors.primary[600]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+  text-decoration: none;
+`;
+
+const AgentName = styled.h1`
+  font-size: ${({ theme }) => theme.typography.fontSize.lg};
+`;
+
+const HeaderActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[2]};
+  margin-left: auto;
+
+  select {
+    width: auto;
+  }
+`;
+
+const ExpiredNotice = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[3]};
+  padding: ${({ theme }) => `${theme.spacing[3]} ${theme.spacing[4]}`};
+  background: ${({ theme }) => theme.colors.warning[50]};
+  border-top: 1px solid ${({ theme }) => theme.colors.warning[500]};
+  color: ${({ theme }) => theme.colors.warning[700]};
+  font-size: ${({ theme }) => theme.typography.fontSize.sm};
+
+  span {
+    flex: 1;
+  }
+`;
+
+const OlderMessages = styled.div`
+  margin-bottom: ${({ theme }) => theme.spacing[4]};
+  text-align: center;
+`;
+
+const AgentDetails = styled.div`
+  font-size: ${({ theme }) => theme.typography.fontSize.xs};
+  color: ${({ theme }) => theme.colors.neutral[500]};
+`;
+
+const Messages = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: ${({ theme }) => theme.spacing[6]};
+`;
+
+const Composer = styled.form`
+  display: flex;
+  gap: ${({ theme }) => theme.spacing[2]};
+  padding: ${({ theme }) => theme.spacing[4]};
+  background: ${({ theme }) => theme.colors.neutral.white};
+  border-top: 1px solid ${({ theme }) => theme.colors.neutral[200]};
+`;
+
+const Input = styled.input`
+  flex: 1;
+  padding: ${({ theme }) => `${theme.spacing[2.5]} ${theme.spacing[4]}`};
+  border: 1px solid ${({ theme }) => theme.colors.neutral[300]};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  font-size: ${({ theme }) => theme.typography.fontSize.base};
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary[500]};
+  }
+`;
+
+const SendButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: ${({ theme }) => theme.spacing[2]};
+  padding: ${({ theme }) => `${theme.spacing[2.5]} ${theme.spacing[4]}`};
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  background: ${({ theme }) => theme.colors.primary[500]};
+  color: ${({ theme }) => theme.colors.neutral.white};
+  font-weight: ${({ theme }) => theme.typography.fontWeight.medium};
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background: ${({ theme }) => theme.colors.primary[600]};
+  }
+
+  &:disabled {
+    cursor: not-allowed;
+    opacity: 0.6;
+  }
+`;
+
+function ChatInterface() {
+  const { agentId } = useParams();
+  const [sessionId, setSessionId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  // Reply being streamed: null, or { html } typed so far
+  const [streamedReply, setStreamedReply] = useState(null);
+  // Phrasing shown per reply with alternatives: { [originalId]: index }
+  const [shownPhrasing, setShownPhrasing] = useState({});
+  // Cursor for the next page of older messages, null when all are loaded
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  // Message of the session's expiry, null while it is usable
+  const [expiredMessage, setExpiredMessage] = useState(null);
+  const messageList = useRef(null);
+  const endOfMessages = useRef(null);
+  // Scroll position to keep while older messages are prepended
+  const scrollAnchor = useRef(null);
+  // Session shown, for responses arriving after a switch
+  const currentSession = useRef(null);
+
+  const { data: agentData } = useQuery(['demo-agent', agentId], () => getAgent(agentId));
+  const agent = agentData?.agent;
+  const starterQuestions = agentData?.starter_questions || [];
+
+  const { data: sessionsData, refetch: refetchSessions } = useQuery('chat-sessions', getSessions);
+  const earlierSessions = (sessionsData?.sessions || [])
+    .filter(session => session.agent.id === agentId && session.id !== sessionId);
+
+  /**
+   * Show a started or resumed session with its latest messages
+   * @param {Object} data - startChat or resumeSession response
+   */
+  const openSession = (data) => {
+    currentSession.current = data.session_id;
+    setSessionId(data.session_id);
+    setMessages(data.messages);
+    setShownPhrasing({});
+    setOlderCursor(data.has_more ? data.next_cursor : null);
+    setExpiredMessage(null);
+  };
+
+  /**
+   * Report a failed chat call: an expired session turns the composer into
+   * the expiry notice, anything else is a toast
+   * @param {Error} error - API error
+   * @param {string} fallback - Message when the API gave none
+   */
+  const handleChatError = (error, fallback) => {
+    if (isSessionExpired(error)) {
+      setExpiredMessage(apiErrorMessage(error, fallback));
+    } else {
+      toast.error(apiErrorMessage(error, fallback));
+    }
+  };
+
+  // Resume the active session, or start one, when the page opens
+  useEffect(() => {
+    let cancelled = false;
+
+    startChat(agentId, { resume: true })
+      .then((data) => {
+        if (!cancelled) openSession(data);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(apiErrorMessage(error, 'Could not start the chat'));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [agentId]);
+
+  // Messages grouped with their alternative phrasings (oldest first),
+  // keyed by the original; alternatives of replies not loaded stand alone
+  const conversation = useMemo(() => {
+    const loaded = new Set(messages.map(message => message.id));
+    const groups = new Map();
+    messages.forEach((message) => {
+      const originalId = loaded.has(message.parent_message_id) ? message.parent_message_id : message.id;
+      groups.set(originalId, [...(groups.get(originalId) || []), message]);
+    });
+    return [...groups.entries()].map(([originalId, phrasings]) => ({
+      originalId,
+      phrasings: phrasings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    }));
+  }, [messages]);
+
+  const hasUserMessages = messages.some(message => message.type === 'user');
+  // Chips and reply actions wait for the reply, and stay off once expired
+  const isBusy = isSending || Boolean(expiredMessage);
+  const latestId = conversation[conversation.length - 1]?.originalId;
+
+  // Keep the latest message in view (older ones are prepended, which
+  // doesn't change the latest)
+  useEffect(() => {
+    endOfMessages.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [latestId, streamedReply]);
+
+  // Keep the messages in view in place when older ones are prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchor.current;
+    if (!anchor) return;
+    const list = messageList.current;
+    list.scrollTop = list.scrollHeight - anchor.height + anchor.top;
+    scrollAnchor.current = null;
+  }, [messages]);
+
+  const loadOlder = async () => {
+    if (!olderCursor || isLoadingOlder) return;
+
+    const requestedSession = sessionId;
+    setIsLoadingOlder(true);
+    try {
+      const data = await getHistory(requestedSession, { before: olderCursor });
+      if (currentSession.current !== requestedSession) return;
+
+      const list = messageList.current;
+      scrollAnchor.current = { height: list.scrollHeight, top: list.scrollTop };
+      setMessages((current) => {
+        const known = new Set(current.map(message => message.id));
+        return [...data.messages.filter(message => !known.has(message.id)), ...current];
+      });
+      setOlderCursor(data.has_more ? data.next_cursor : null);
+    } catch (error) {
+      toast.error(apiErrorMessage(error, 'Could not load older messages'));
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
+
+  const handleScroll = (event) => {
+    if (event.currentTarget.scrollTop < LOAD_OLDER_THRESHOLD) {
+      loadOlder();
+    }
+  };
+
+  /**
+   * Switch to a new session, or resume an earlier one
+   * @param {Function} open - Resolves to the session to show
+   * @param {string} fallback - Error message when the API gave none
+   */
+  const switchSession = async (open, fallback) => {
+    try {
+      openSession(await open());
+      refetchSessions();
+    } catch (error) {
+      toast.error(apiErrorMessage(error, fallback));
+    }
+  };
+
+  /**
+   * Send a message and stream the agent's reply into the chat
+   * @param {string} text - Message
+   * @param {string} choiceId - Quick-reply choice the message picks, if any
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  const ask = async (text, choiceId = null) => {
+    const message = text.trim();
+    if (!message || !sessionId || isSending || expiredMessage) return false;
+
+    setIsSending(true);
+    try {
+      await streamMessage(sessionId, { message, choice_id: choiceId || undefined }, (event, data) => {
+        if (event === 'user_message') {
+          setMessages(current => [...current, data]);
+        } else if (event === 'thinking') {
+          setStreamedReply({ html: '' });
+        } else if (event === 'token') {
+          setStreamedReply(current => ({ html: (current?.html || '') + data.chunk }));
+        } else if (event === 'done') {
+          setStreamedReply(null);
+          setMessages(current => [...current, data]);
+        }
+      });
+      return true;
+    } catch (error) {
+      handleChatError(error, 'Could not send your message');
+      return false;
+    } finally {
+      setStreamedReply(null);
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Ask for another phrasing of a reply and show it. All phrasings are
+   * then loaded, so ones from before the loaded history can be flipped to.
+   */
+  const regenerate = async (originalId) => {
+    setIsSending(true);
+    try {
+      await regenerateReply(originalId);
+      const data = await getAlternatives(originalId);
+      setMessages((current) => {
+        const known = new Set(current.map(message => message.id));
+        return [...current, ...data.messages.filter(message => !known.has(message.id))];
+      });
+      setShownPhrasing(current => ({ ...current, [originalId]: data.messages.length - 1 }));
+    } catch (error) {
+      handleChatError(error, 'Could not get another answer');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (await ask(input)) {
+      setInput('');
+    }
+  };
+
+  return (
+    <Page>
+      <Header>
+        <BackLink to="/demo">
+          <FiArrowLeft /> Agents
+        </BackLink>
+        <div>
+          <AgentName>{agent?.name || 'Chat'}</AgentName>
+          {agent && <AgentDetails>{agent.environment} · version {agent.version}</AgentDetails>}
+        </div>
+        <HeaderActions>
+          {earlierSessions.length > 0 && (
+            <Select
+              value=""
+              aria-label="Resume an earlier chat"
+              disabled={isSending}
+              onChange={event => switchSession(() => resumeSession(event.target.value), 'Could not resume the chat')}
+            >
+              <option value="">Earlier chats...</option>
+              {earlierSessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {format(new Date(session.started_at), 'PPp')}
+                </option>
+              ))}
+            </Select>
+          )}
+          <Button
+            $variant="outline"
+            $size="sm"
+            disabled={isSending}
+            onClick={() => switchSession(() => startChat(agentId), 'Could not start the chat')}
+          >
+            <FiPlus /> New chat
+          </Button>
+        </HeaderActions>
+      </Header>
+
+      <Messages ref={messageList} onScroll={handleScroll}>
+        {olderCursor && (
+          <OlderMessages>
+            <Button $variant="secondary" $size="sm" onClick={loadOlder} disabled={isLoadingOlder}>
+              {isLoadingOlder ? 'Loading...' : 'Load older messages'}
+            </Button>
+          </OlderMessages>
+        )}
+        {conversation.map(({ originalId, phrasings }, position) => {
+          const isLatest = position === conversation.length - 1;
+          const index = Math.min(shownPhrasing[originalId] ?? phrasings.length - 1, phrasings.length - 1);
+          const message = phrasings[index];
+
+          return (
+            <ChatMessage key={originalId} message={message}>
+              {message.source === 'curated' && (
+                <ReplyActions
+                  index={index}
+                  count={phrasings.length}
+                  onFlip={next => setShownPhrasing(current => ({ ...current, [originalId]: next }))}
+                  onRegenerate={() => regenerate(originalId)}
+                  disabled={isBusy}
+                />
+              )}
+              <QuestionChips
+                label="Did you mean:"
+                items={(message.suggestions || []).map(suggestion => ({
+                  key: suggestion.question_id,
+                  text: suggestion.question_text
+                }))}
+                onSelect={item => ask(item.text)}
+                disabled={isBusy}
+              />
+              <QuestionChips
+                label="Related questions:"
+                items={(message.related || []).map(related => ({
+                  key: related.question_id,
+                  text: related.question_text
+                }))}
+                onSelect={item => ask(item.text)}
+                disabled={isBusy}
+              />
+              {isLatest && (
+                <QuestionChips
+                  items={(message.choices || []).map(choice => ({ key: choice.id, text: choice.label }))}
+                  onSelect={item => ask(item.text, item.key)}
+                  disabled={isBusy}
+                />
+              )}
+            </ChatMessage>
+          );
+        })}
+        {!hasUserMessages && !streamedReply && (
+          <QuestionChips
+            label="Try asking:"
+            items={starterQuestions.map(question => ({ key: question.id, text: question.question_text }))}
+            onSelect={item => ask(item.text)}
+            disabled={!sessionId || isBusy}
+          />
+        )}
+        {streamedReply && (streamedReply.html ? (
+          <ChatMessage message={{ type: 'agent', html: streamedReply.html }} />
+        ) : (
+          <TypingIndicator />
+        ))}
+        <div ref={endOfMessages} />
+      </Messages>
+
+      {expiredMessage ? (
+        <ExpiredNotice role="alert">
+          <FiClock />
+          <span>{expiredMessage}</span>
+          <Button $size="sm" onClick={() => switchSession(() => startChat(agentId), 'Could not start the chat')}>
+            <FiPlus /> Start a new chat
+          </Button>
+          <Button
+            $variant="secondary"
+            $size="sm"
+            onClick={() => switchSession(() => resumeSession(sessionId), 'Could not resume the chat')}
+          >
+            <FiRotateCcw /> Resume this chat
+          </Button>
+        </ExpiredNotice>
+      ) : (
+        <Composer onSubmit={handleSubmit}>
+          <Input
+            value={input}
+            onChange={event => setInput(event.target.value)}
+            placeholder="Ask a question..."
+            aria-label="Message"
+            disabled={!sessionId}
+          />
+          <SendButton type="submit" disabled={!sessionId || isSending || !input.trim()}>
+            <FiSend /> Send
+          </SendButton>
+        </Composer>
+      )}
+    </Page>
+  );
+}
+
+export default ChatInterface;
@@ -0,0 +1,239 @@
+import axios from 'axios';
+
+/**
+ * Admin API
+ *
+ * Calls to the administration endpoints (/api/admin). Like the demo API,
+ * each function resolves to the response body and a failed request
+ * rejects with the axios error.
+ */
+
+// =============================================================================
+// AGENTS
+// =============================================================================
+
+/**
+ * Get all agents, with their domain and questions
+ * @returns {Promise<Object>} { agents }
+ */
+export const getAgents = async () => {
+  const response = await axios.get('/admin/agents');
+  return response.data;
+};
+
+// =============================================================================
+// QUESTIONS & ANSWERS
+// =============================================================================
+
+/**
+ * Get an agent's questions with their answers and variants
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} { questions }
+ */
+export const getQuestions = async (agentId) => {
+  const response = await axios.get(`/admin/agents/${agentId}/questions`);
+  return response.data;
+};
+
+/**
+ * Pin an agent's starter questions, replacing the current ones
+ * @param {string} agentId - Agent ID
+ * @param {Array<string>} questionIds - Question IDs in display order
+ * @returns {Promise<Object>} { starter_questions }
+ */
+export const setStarterQuestions = async (agentId, questionIds) => {
+  const response = await axios.put(`/admin/agents/${agentId}/starter-questions`, { question_ids: questionIds });
+  return response.data;
+};
+
+// =============================================================================
+// VARIANT REVIEW
+// =============================================================================
+
+/**
+ * Add a hand-written question variant
+ * @param {string} questionId - Question ID
+ * @param {Object} data - { variant_text, is_locked, is_approved }
+ * @returns {Promise<Object>} { variant }
+ */
+export const createQuestionVariant = async (questionId, data) => {
+  const response = await axios.post(`/admin/questions/${questionId}/variants`, data);
+  return response.data;
+};
+
+/**
+ * Approve, reject, lock or reword a question variant
+ * @param {string} id - Question variant ID
+ * @param {Object} data - Any of { is_approved, is_locked, variant_text }
+ * @returns {Promise<Object>} { variant }
+ */
+export const updateQuestionVariant = async (id, data) => {
+  const response = await axios.put(`/admin/question-variants/${id}`, data);
+  return response.data;
+};
+
+/**
+ * Delete a question variant
+ * @param {string} id - Question variant ID
+ * @returns {Promise<Object>}
+ */
+export const deleteQuestionVariant = async (id) => {
+  const response = await axios.delete(`/admin/question-variants/${id}`);
+  return response.data;
+};
+
+/**
+ * Add a hand-written answer variant
+ * @param {string} questionId - ID of the answer's question
+ * @param {Object} data - { variant_html, variant_text, is_locked, is_approved }
+ * @returns {Promise<Object>} { variant }
+ */
+export const createAnswerVariant = async (questionId, data) => {
+  const response = await axios.post(`/admin/questions/${questionId}/answer-variants`, data);
+  return response.data;
+};
+
+/**
+ * Approve, reject, lock or rewrite an answer variant
+ * @param {string} id - Answer variant ID
+ * @param {Object} data - Any of { is_approved, is_locked, variant_html, variant_text }
+ * @returns {Promise<Object>} { variant }
+ */
+export const updateAnswerVariant = async (id, data) => {
+  const response = await axios.put(`/admin/answer-variants/${id}`, data);
+  return response.data;
+};
+
+/**
+ * Delete an answer variant
+ * @param {string} id - Answer variant ID
+ * @returns {Promise<Object>}
+ */
+export const deleteAnswerVariant = async (id) => {
+  const response = await axios.delete(`/admin/answer-variants/${id}`);
+  return response.data;
+};
+
+// =============================================================================
+// CONVERSATION FLOWS
+// =============================================================================
+
+/**
+ * Get an agent's flow nodes with their choices
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} { nodes }
+ */
+export const getFlowNodes = async (agentId) => {
+  const response = await axios.get(`/admin/agents/${agentId}/flow-nodes`);
+  return response.data;
+};
+
+/**
+ * Create a flow node (an entry node when question_id is set)
+ * @param {string} agentId - Agent ID
+ * @param {Object} data - { name, question_id, message_html }
+ * @returns {Promise<Object>} { node }
+ */
+export const createFlowNode = async (agentId, data) => {
+  const response = await axios.post(`/admin/agents/${agentId}/flow-nodes`, data);
+  return response.data;
+};
+
+/**
+ * Update a flow node
+ * @param {string} id - Flow node ID
+ * @param {Object} data - { name, question_id, message_html }
+ * @returns {Promise<Object>} { node }
+ */
+export const updateFlowNode = async (id, data) => {
+  const response = await axios.put(`/admin/flow-nodes/${id}`, data);
+  return response.data;
+};
+
+/**
+ * Delete a flow node and its choices
+ * @param {string} id - Flow node ID
+ * @returns {Promise<Object>}
+ */
+export const deleteFlowNode = async (id) => {
+  const response = await axios.delete(`/admin/flow-nodes/${id}`);
+  return response.data;
+};
+
+/**
+ * Add a quick-reply choice to a flow node
+ * @param {string} nodeId - Flow node ID
+ * @param {Object} data - { label, synonyms, position, next_node_id }
+ * @returns {Promise<Object>} { choice }
+ */
+export const createFlowChoice = async (nodeId, data) => {
+  const response = await axios.post(`/admin/flow-nodes/${nodeId}/choices`, data);
+  return response.data;
+};
+
+/**
+ * Update a flow choice
+ * @param {string} id - Flow choice ID
+ * @param {Object} data - { label, synonyms, position, next_node_id }
+ * @returns {Promise<Object>} { choice }
+ */
+export const updateFlowChoice = async (id, data) => {
+  const response = await axios.put(`/admin/flow-choices/${id}`, data);
+  return response.data;
+};
+
+/**
+ * Delete a flow choice
+ * @param {string} id - Flow choice ID
+ * @returns {Promise<Object>}
+ */
+export const deleteFlowChoice = async (id) => {
+  const response = await axios.delete(`/admin/flow-choices/${id}`);
+  return response.data;
+};
+
+// =============================================================================
+// UNANSWERED QUESTIONS INBOX
+// =============================================================================
+
+/**
+ * Get clusters of unanswered questions, most frequent first
+ * @param {Object} filters - { agent_id, status }
+ * @returns {Promise<Object>} { items, agents: [{ agent_id, open_count, occurrences }] }
+ */
+export const getUnansweredQuestions = async (filters) => {
+  const response = await axios.get('/admin/unanswered', { params: filters });
+  return response.data;
+};
+
+/**
+ * Create a new (Draft) Q&A pair from an unanswered question
+ * @param {string} id - Unanswered question ID
+ * @param {Object} data - { question_text, answer_text, answer_html }
+ * @returns {Promise<Object>} { item, question }
+ */
+export const convertUnansweredQuestion = async (id, data) => {
+  const response = await axios.post(`/admin/unanswered/${id}/convert`, data);
+  return response.data;
+};
+
+/**
+ * Add an unanswered question as a variant of an existing question
+ * @param {string} id - Unanswered question ID
+ * @param {Object} data - { question_id, variant_text }
+ * @returns {Promise<Object>} { item, question }
+ */
+export const attachUnansweredQuestion = async (id, data) => {
+  const response = await axios.post(`/admin/unanswered/${id}/attach`, data);
+  return response.data;
+};
+
+/**
+ * Dismiss an unanswered question
+ * @param {string} id - Unanswered question ID
+ * @returns {Promise<Object>} { item }
+ */
+export const dismissUnansweredQuestion = async (id) => {
+  const response = await axios.post(`/admin/unanswered/${id}/dismiss`);
+  return response.data;
+};
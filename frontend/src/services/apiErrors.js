@@ -0,0 +1,23 @@
+/**
+ * API Errors
+ *
+ * Helpers for failed API calls, shared by the demo and admin pages.
+ */
+
+/**
+ * Message of a failed API call, for toasts
+ * @param {Error} error - Axios error (or one shaped like it)
+ * @param {string} fallback - Message when the API gave none
+ * @returns {string}
+ */
+export const apiErrorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+/**
+ * Whether a chat call failed because the session expired from inactivity
+ * (410 with code SESSION_EXPIRED)
+ * @param {Error} error - Axios error (or one shaped like it)
+ * @returns {boolean}
+ */
+export const isSessionExpired = error => (
+  error.response?.status === 410 && error.response.data?.code === 'SESSION_EXPIRED'
+);
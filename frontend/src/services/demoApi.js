@@ -0,0 +1,154 @@
+import axios from 'axios';
+
+/**
+ * Demo API
+ *
+ * Calls to the demo chat endpoints (/api/demo). Each function resolves to
+ * the response body; a failed request rejects with the axios error, whose
+ * response data carries the API's { success, message }.
+ */
+
+/**
+ * Get an agent's details
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} { agent }
+ */
+export const getAgent = async (agentId) => {
+  const response = await axios.get(`/demo/agents/${agentId}`);
+  return response.data;
+};
+
+/**
+ * Start a chat session with an agent, ending the active one
+ * @param {string} agentId - Agent ID
+ * @param {Object} options - { resume: true } resumes the active session instead, if any
+ * @returns {Promise<Object>} { session_id, variant_seed, messages, resumed, has_more, next_cursor }
+ */
+export const startChat = async (agentId, options = {}) => {
+  const response = await axios.post(`/demo/agents/${agentId}/chat/start`, options);
+  return response.data;
+};
+
+/**
+ * Get a page of a session's history, oldest message first
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} params - { limit, before } (before: next_cursor of the previous page)
+ * @returns {Promise<Object>} { messages, has_more, next_cursor }
+ */
+export const getHistory = async (sessionId, params) => {
+  const response = await axios.get(`/demo/chat/${sessionId}/history`, { params });
+  return response.data;
+};
+
+/**
+ * Get the user's recent chat sessions
+ * @returns {Promise<Object>} { sessions }
+ */
+export const getSessions = async () => {
+  const response = await axios.get('/demo/chat/sessions');
+  return response.data;
+};
+
+/**
+ * Resume an earlier session, making it the active one with its agent
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object>} Like startChat: the session and its latest history page
+ */
+export const resumeSession = async (sessionId) => {
+  const response = await axios.post(`/demo/chat/${sessionId}/resume`);
+  return response.data;
+};
+
+/**
+ * Error shaped like an axios error, so apiErrorMessage reads it alike
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body ({ success, message })
+ * @returns {Error}
+ */
+const responseError = (status, data) => {
+  const error = new Error(data.message || `Request failed with status ${status}`);
+  error.response = { status, data };
+  return error;
+};
+
+/**
+ * Parse one Server-Sent Event ("event: name\ndata: {json}")
+ * @param {string} block - Event text without the blank line ending it
+ * @returns {Object} { event, data }
+ */
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : {} };
+};
+
+/**
+ * Send a message and stream the agent's reply
+ *
+ * Uses fetch rather than EventSource, which can't POST. onEvent gets the
+ * user_message, thinking, token ({ chunk } of reply HTML) and done
+ * events; an error event rejects instead.
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} body - { message, choice_id } (choice_id: quick-reply choice clicked)
+ * @param {Function} onEvent - Called with (event, data) as events arrive
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const streamMessage = async (sessionId, body, onEvent) => {
+  const response = await fetch(`${axios.defaults.baseURL}/demo/chat/${sessionId}/message/stream`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw responseError(response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const { event, data } = parseEvent(block);
+      if (event === 'error') {
+        await reader.cancel();
+        throw responseError(500, data);
+      }
+      onEvent(event, data);
+    }
+  }
+};
+
+/**
+ * "Give me another answer": reply again with a different phrasing
+ * @param {string} messageId - Agent reply ID
+ * @returns {Promise<Object>} { message } - The new phrasing
+ */
+export const regenerateReply = async (messageId) => {
+  const response = await axios.post(`/demo/chat/messages/${messageId}/regenerate`);
+  return response.data;
+};
+
+/**
+ * Get a reply and all its alternative phrasings, oldest first
+ * @param {string} messageId - ID of the reply or one of its alternatives
+ * @returns {Promise<Object>} { original_message_id, messages }
+ */
+export const getAlternatives = async (messageId) => {
+  const response = await axios.get(`/demo/chat/messages/${messageId}/alternatives`);
+  return response.data;
+};